@@ -0,0 +1,124 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const { initializeEmbedder } = require('../src/services/embedding');
+const evaluationService = require('../src/services/evaluationService');
+
+const USAGE = `Usage: npm run evaluate -- --set <name|id> [options]
+
+Options:
+  --set <name|id>      Golden set to evaluate
+  --file <path>        Upload/replace a golden set from a JSON file first
+                       ({ name, description, questions: [{ question, expected }] })
+  --configs <a,b>      Preset configs to compare (default: all presets)
+  --config-file <path> JSON array of inline configs ({ name, method, ...options })
+  --cutoffs <1,3,5>    Values of k for recall@k and nDCG@k (default: 1,3,5,10)
+  --list-configs       Print the preset configs and exit`;
+
+/**
+ * Parse --flag value pairs
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} Flag name -> value (true for bare flags)
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next && !next.startsWith('--')) {
+      args[key] = next;
+      i++;
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
+
+/**
+ * Read a JSON file relative to the working directory
+ * @param {string} file - File path
+ * @returns {*} Parsed JSON
+ */
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(process.cwd(), file), 'utf8'));
+}
+
+/**
+ * Print one row per config with the run's metrics
+ * @param {Object} run - Completed EvaluationRun
+ */
+function printRun(run) {
+  const rows = run.results.map(result => {
+    const row = { config: result.name, MRR: result.metrics.mrr.toFixed(3) };
+    for (const k of run.cutoffs) {
+      row[`R@${k}`] = result.metrics.recall[k].toFixed(3);
+    }
+    for (const k of run.cutoffs) {
+      row[`nDCG@${k}`] = result.metrics.ndcg[k].toFixed(3);
+    }
+    row['avg ms'] = result.avgLatencyMs;
+    row.errors = result.errorCount;
+    return row;
+  });
+
+  console.log(`\nRun ${run._id} on "${run.setName}" (${run.environment.embeddingModel}, ${run.environment.vectorStore} store, ${run.environment.chunkCount} chunks)`);
+  console.table(rows);
+}
+
+const evaluate = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args['list-configs']) {
+    console.log(JSON.stringify(evaluationService.listConfigs(), null, 2));
+    return;
+  }
+  if (!args.set && !args.file) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await connectDB();
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('Could not connect to MongoDB');
+    }
+    await initializeEmbedder();
+
+    let setRef = args.set;
+    if (args.file) {
+      const set = await evaluationService.saveSet(readJson(args.file));
+      console.log(`✅ Saved evaluation set "${set.name}" (${set.questions.length} questions)`);
+      setRef = setRef || set.name;
+    }
+
+    const configs = [
+      ...(typeof args.configs === 'string' ? args.configs.split(',').map(name => name.trim()) : []),
+      ...(typeof args['config-file'] === 'string' ? readJson(args['config-file']) : [])
+    ];
+    const cutoffs = typeof args.cutoffs === 'string' ? args.cutoffs.split(',').map(Number) : undefined;
+
+    const { completion } = await evaluationService.startRun(setRef, {
+      configs,
+      cutoffs,
+      triggeredBy: 'cli'
+    });
+    const run = await completion;
+
+    if (run.status !== 'completed') {
+      throw new Error(run.error || 'Evaluation run failed');
+    }
+    printRun(run);
+  } catch (error) {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+evaluate();
@@ -0,0 +1,120 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const embeddingSpaceService = require('../src/services/embeddingSpaceService');
+const embeddingMigrationService = require('../src/services/embeddingMigrationService');
+
+const USAGE = `Usage: npm run reembed -- --model <id> [options]
+       npm run reembed -- --resume <migrationId> [--cutover]
+       npm run reembed -- --status
+
+Options:
+  --model <id>         Registered embedding model to re-embed every chunk with
+  --batch-size <n>     Chunks per batch (default: EMBEDDING_MIGRATION_BATCH_SIZE or 16)
+  --delay <ms>         Pause between batches (default: EMBEDDING_MIGRATION_DELAY_MS or 250)
+  --cutover            Make the model active once every chunk is embedded
+  --resume <id>        Continue a paused or failed migration
+  --status             Print chunk counts per embedding space and recent migrations`;
+
+/**
+ * Parse --flag value pairs
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} Flag name -> value (true for bare flags)
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next && !next.startsWith('--')) {
+      args[key] = next;
+      i++;
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
+
+/**
+ * Print chunk counts per space and the latest migrations
+ * @returns {Promise<void>}
+ */
+async function printStatus() {
+  const stats = await embeddingSpaceService.getSpaceStats();
+  console.log(`\nActive model: ${stats.activeModel} (${stats.totalChunks} chunks)`);
+  console.table(stats.spaces.map(space => ({
+    model: space.model,
+    dimensions: space.dimensions,
+    chunks: space.chunks,
+    active: space.active ? 'yes' : ''
+  })));
+
+  const migrations = await embeddingMigrationService.list(5);
+  if (migrations.length > 0) {
+    console.table(migrations.map(migration => ({
+      id: migration._id.toString(),
+      target: migration.targetModel,
+      status: migration.status,
+      progress: `${migration.processed}/${migration.total}`,
+      failed: migration.failed
+    })));
+  }
+}
+
+const reembed = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.model && !args.resume && !args.status) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await connectDB();
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('Could not connect to MongoDB');
+    }
+    await embeddingSpaceService.backfillLegacySpace();
+
+    if (args.status) {
+      await printStatus();
+      return;
+    }
+
+    const { migration, completion } = args.resume
+      ? await embeddingMigrationService.resume(args.resume)
+      : await embeddingMigrationService.start(args.model, {
+        batchSize: parseInt(args['batch-size'], 10) || undefined,
+        delayMs: args.delay !== undefined ? parseInt(args.delay, 10) : undefined,
+        autoCutover: Boolean(args.cutover)
+      });
+
+    // Ctrl+C pauses after the current batch so the migration can be resumed
+    process.once('SIGINT', () => {
+      console.log('\n⏸️  Pausing after the current batch...');
+      embeddingMigrationService.pause(migration._id.toString()).catch(() => {});
+    });
+
+    const result = await completion;
+
+    // A resumed migration can still be cut over from here
+    if (args.resume && args.cutover && result.status === 'ready') {
+      await embeddingMigrationService.cutover(result._id.toString());
+    }
+
+    await printStatus();
+    if (['failed', 'cancelled'].includes(result.status)) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Re-embedding failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+reembed();
@@ -4,12 +4,41 @@ const cors = require('cors');
 const routes = require('./routes');
 const connectDB = require('./config/database');
 const { initializeEmbedder } = require('./services/embedding');
+const embeddingMigrationService = require('./services/embeddingMigrationService');
+const { startWorker } = require('./services/backgroundJobService');
+const documentLibraryService = require('./services/documentLibraryService');
+const duplicateDetectionService = require('./services/duplicateDetectionService');
+const documentMetadataService = require('./services/documentMetadataService');
+const connectorService = require('./services/connectorService');
+
+// Connect to database, then resume any interrupted re-embedding migration
+const databaseReady = connectDB().then(() => embeddingMigrationService.initialize());
+
+// Process queued ingestion jobs, including those interrupted by a restart,
+// and sync folder and git connectors
+databaseReady
+  .then(() => startWorker())
+  .then(() => connectorService.start())
+  .catch(error => {
+    console.error('Failed to start the ingestion worker:', error);
+  });
 
-// Connect to database
-connectDB();
-
-// Initialize embedding model at startup
-initializeEmbedder().catch(error => {
+// Alongside the worker, record documents ingested before the document library
+// existed and stamp their upload dates on their chunks, then compute their
+// near-duplicate signatures and extract their metadata; a failing step is
+// logged and does not stop the ones after it
+databaseReady
+  .then(() => documentLibraryService.backfill())
+  .catch(error => console.error('Failed to record existing documents:', error))
+  .then(() => documentLibraryService.backfillUploadDates())
+  .catch(error => console.error('Failed to store upload dates on existing chunks:', error))
+  .then(() => duplicateDetectionService.backfillSignatures())
+  .catch(error => console.error('Failed to compute near-duplicate signatures:', error))
+  .then(() => documentMetadataService.backfill())
+  .catch(error => console.error('Failed to extract metadata of existing documents:', error));
+
+// Initialize the active embedding model at startup (it is stored in the database)
+databaseReady.then(() => initializeEmbedder()).catch(error => {
   console.error('Failed to initialize embedding model:', error);
   process.exit(1);
 });
@@ -49,7 +78,7 @@ app.use(cors({
     return callback(new Error(`CORS blocked origin: ${origin}`));
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
@@ -0,0 +1,78 @@
+/**
+ * Embedding model registry
+ * Every registered model is its own embedding space: chunk vectors for it
+ * are stored under `path` and searched through `atlasIndex`. MiniLM keeps the
+ * original `embedding` field and `vector_index` so existing data and Atlas
+ * indexes stay valid; other models live under `embeddings.<id>`.
+ */
+const EMBEDDING_MODELS = {
+  'minilm-l6': {
+    provider: 'xenova',
+    model: 'Xenova/all-MiniLM-L6-v2',
+    dimensions: 384,
+    pooling: 'mean',
+    normalize: true,
+    path: 'embedding',
+    atlasIndex: 'vector_index'
+  },
+  'bge-small-en': {
+    provider: 'xenova',
+    model: 'Xenova/bge-small-en-v1.5',
+    dimensions: 384,
+    pooling: 'cls',
+    normalize: true,
+    queryPrefix: 'Represent this sentence for searching relevant passages: '
+  },
+  'e5-small': {
+    provider: 'xenova',
+    model: 'Xenova/e5-small-v2',
+    dimensions: 384,
+    pooling: 'mean',
+    normalize: true,
+    queryPrefix: 'query: ',
+    documentPrefix: 'passage: '
+  },
+  'google-text-embedding-004': {
+    provider: 'google',
+    model: 'text-embedding-004',
+    dimensions: 768
+  }
+};
+
+const DEFAULT_EMBEDDING_MODEL = process.env.ACTIVE_EMBEDDING_MODEL || 'minilm-l6';
+
+/**
+ * Look up a registered embedding model
+ * @param {string} id - Registry ID (e.g. "minilm-l6")
+ * @returns {Object} Model definition with `id`, `path` and `atlasIndex` filled in
+ * @throws {Error} If the model is not registered
+ */
+function getEmbeddingModel(id) {
+  const definition = EMBEDDING_MODELS[id];
+  if (!definition) {
+    throw new Error(`Unknown embedding model "${id}". Registered: ${Object.keys(EMBEDDING_MODELS).join(', ')}`);
+  }
+
+  return {
+    id,
+    path: `embeddings.${id}`,
+    atlasIndex: `vector_index_${id.replace(/-/g, '_')}`,
+    queryPrefix: '',
+    documentPrefix: '',
+    ...definition
+  };
+}
+
+/**
+ * Every registered embedding model
+ * @returns {Array<Object>} Model definitions
+ */
+function listEmbeddingModels() {
+  return Object.keys(EMBEDDING_MODELS).map(getEmbeddingModel);
+}
+
+module.exports = {
+  DEFAULT_EMBEDDING_MODEL,
+  getEmbeddingModel,
+  listEmbeddingModels
+};
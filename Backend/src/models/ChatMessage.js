@@ -48,7 +48,12 @@ const chatMessageSchema = new mongoose.Schema({
     tokens: Number,
     model: String,
     responseTime: Number,
-    citations: mongoose.Schema.Types.Mixed
+    citations: mongoose.Schema.Types.Mixed,
+    // Query as typed and the standalone rewrite used for retrieval (null if unchanged)
+    originalQuery: String,
+    rewrittenQuery: String,
+    // Served from the semantic answer cache instead of a new LLM call
+    cached: Boolean
   }
 }, {
   timestamps: true
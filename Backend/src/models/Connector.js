@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * Connector Schema - a directory on disk, or a git working tree, kept in
+ * sync with the document library. Documents it created carry its
+ * `connectorId` and their path relative to `path`.
+ */
+const connectorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  // folder: every supported file under path; git: files tracked by git
+  type: {
+    type: String,
+    enum: ['folder', 'git'],
+    required: true
+  },
+  // Absolute path of the directory or working tree
+  path: {
+    type: String,
+    required: true
+  },
+  // Tags added to every document from this source
+  tags: {
+    type: [String],
+    default: []
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  pollIntervalMinutes: {
+    type: Number,
+    default: 15,
+    min: 1
+  },
+  // Also sync shortly after a change is seen on disk
+  watch: {
+    type: Boolean,
+    default: false
+  },
+  // git only: fast-forward the working tree from its upstream before each sync
+  pull: {
+    type: Boolean,
+    default: false
+  },
+  // A server syncing this connector holds it until then
+  syncLockedUntil: Date,
+  lastSyncAt: Date,
+  lastSyncStatus: {
+    type: String,
+    enum: ['ok', 'error']
+  },
+  lastError: String,
+  // Counts from the last sync: added, updated, deleted, unchanged, skipped
+  lastSyncStats: mongoose.Schema.Types.Mixed,
+  // Source files that could not be ingested, with the size and modification
+  // time they had; they are not read again until one of those changes
+  skippedSources: {
+    type: [{
+      _id: false,
+      path: String,
+      size: Number,
+      modifiedAt: Date,
+      error: String
+    }],
+    default: []
+  },
+  // git only: HEAD at the last sync
+  lastCommit: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const Connector = mongoose.model('Connector', connectorSchema);
+
+module.exports = Connector;
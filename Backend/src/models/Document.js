@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+/**
+ * Document Schema - one uploaded file. Its chunks live in DocumentChunk under
+ * the same `fileId`; `fileName`, `tags` and the title, author and language
+ * from `metadata` are copied onto every chunk so citations and search
+ * filters never need a join.
+ *
+ * Uploads of the same document form a version chain sharing `seriesId`.
+ * Exactly one version of a chain is current; the others stay stored but are
+ * left out of retrieval.
+ */
+const documentSchema = new mongoose.Schema({
+  fileId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Display name; starts as the uploaded name and can be renamed
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Name the file was uploaded with
+  originalName: String,
+  filePath: {
+    type: String,
+    required: true
+  },
+  mimeType: String,
+  // Extractor that read the file (pdf, docx, markdown, html, txt, csv)
+  format: String,
+  // Bytes on disk
+  size: Number,
+  // SHA-256 of the uploaded file
+  checksum: {
+    type: String,
+    index: true
+  },
+  pageCount: Number,
+  // What pageCount counts: PDF pages, or sections for formats without pages
+  pageUnit: {
+    type: String,
+    enum: ['pages', 'sections']
+  },
+  chunkCount: {
+    type: Number,
+    default: 0
+  },
+  tableCount: {
+    type: Number,
+    default: 0
+  },
+  tags: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  // Read from the file and its text when it was ingested (see documentMetadataService)
+  metadata: {
+    title: String,
+    author: String,
+    subject: String,
+    // Dates from the file's own properties
+    createdAt: Date,
+    modifiedAt: Date,
+    // ISO 639-1 code detected from the text, or declared by the file
+    language: String,
+    summary: String,
+    // How the summary was written: extractive or llm
+    summarySource: String,
+    // Keyword tags generated from the text, best first
+    keywords: {
+      type: [String],
+      default: undefined
+    }
+  },
+  // processing while a job is queued or running; a failed or cancelled
+  // re-index leaves a document that still has chunks `ready`
+  status: {
+    type: String,
+    enum: ['processing', 'ready', 'failed', 'cancelled'],
+    default: 'processing',
+    index: true
+  },
+  // fileId of the first version of the document
+  seriesId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  // False for superseded versions and for a new version until its chunks are stored
+  isCurrent: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  supersededAt: Date,
+  // fileId of the version that replaced this one
+  supersededBy: String,
+  // MinHash signature of the extracted text, compared to find near-duplicates
+  minhash: {
+    type: [Number],
+    default: undefined,
+    select: false
+  },
+  // Current documents whose text this upload closely matched when it was ingested
+  nearDuplicates: [{
+    _id: false,
+    fileId: String,
+    fileName: String,
+    similarity: Number
+  }],
+  // Connector that keeps this document in sync with a file on disk
+  connectorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Connector',
+    index: true
+  },
+  // Path of the source file relative to the connector's root
+  sourcePath: String,
+  // Modification time of the source file when it was last read
+  sourceModifiedAt: Date,
+  // When a sync last found the source file with this version's content
+  sourceSyncedAt: Date,
+  // Error of the last job that did not complete
+  error: String,
+  lastJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IngestionJob'
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the current chunks were stored
+  indexedAt: Date
+}, {
+  timestamps: true
+});
+
+documentSchema.index({ uploadedAt: -1 });
+
+// Search facets and filters on extracted metadata
+documentSchema.index({ 'metadata.language': 1 });
+documentSchema.index({ 'metadata.author': 1 });
+documentSchema.index({ 'metadata.keywords': 1 });
+
+const Document = mongoose.model('Document', documentSchema);
+
+module.exports = Document;
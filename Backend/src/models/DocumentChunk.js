@@ -1,5 +1,22 @@
 const mongoose = require('mongoose');
 
+// A table chunk's rows; `content` holds the same table rendered as Markdown or CSV
+const tableSchema = new mongoose.Schema({
+  caption: String,
+  format: {
+    type: String,
+    enum: ['markdown', 'csv']
+  },
+  header: [String],
+  rows: [[String]]
+}, { _id: false });
+
+// Version of the document the chunk belongs to, set once it has more than one
+const versionSchema = new mongoose.Schema({
+  number: Number,
+  uploadedAt: Date
+}, { _id: false });
+
 const documentChunkSchema = new mongoose.Schema({
   fileId: {
     type: String,
@@ -28,10 +45,13 @@ const documentChunkSchema = new mongoose.Schema({
     unique: true
   },
   pages: [{
+    // PDF page number, or the section's position for formats without pages
     page: {
       type: Number,
       required: true
     },
+    // Heading of the section (DOCX, Markdown, HTML, CSV row range)
+    section: String,
     startChar: {
       type: Number,
       required: true
@@ -39,13 +59,72 @@ const documentChunkSchema = new mongoose.Schema({
     endChar: {
       type: Number,
       required: true
-    }
+    },
+    // Mean OCR confidence (0-100) for pages recognized from a scan
+    ocrConfidence: Number
   }],
+  // Heading titles from the top-level section down to the one the chunk starts in
+  sectionPath: {
+    type: [String],
+    default: undefined
+  },
+  // Set on chunks holding a single table (chunkId table_N)
+  table: {
+    type: tableSchema,
+    default: undefined
+  },
+  // Chunking settings the document was split with, reused when it is re-indexed
+  chunking: {
+    strategy: String,
+    size: Number,
+    overlap: Number,
+    unit: String
+  },
+  tags: {
+    type: [String],
+    index: true
+  },
+  // The document's title, author and language, for citations and the keyword index
+  metadata: {
+    title: String,
+    author: String,
+    language: String
+  },
+  version: {
+    type: versionSchema,
+    default: undefined
+  },
+  // Vector in the MiniLM space (see config/embeddingModels.js)
   embedding: {
     type: [Number],
-    required: true,
+    default: undefined,
     select: false // Don't return embedding by default
   },
+  // Vectors in other embedding spaces, keyed by registry ID
+  embeddings: {
+    type: Map,
+    of: [Number],
+    select: false
+  },
+  // Embedding spaces this chunk has a vector in
+  embeddingSpaces: [{
+    _id: false,
+    model: {
+      type: String,
+      required: true
+    },
+    dimensions: {
+      type: Number,
+      required: true
+    },
+    embeddedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // When the document was uploaded; unlike createdAt it survives re-indexing,
+  // so uploadedAfter/uploadedBefore filters look at it
+  uploadedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -59,9 +138,34 @@ const documentChunkSchema = new mongoose.Schema({
 // Create a compound index for faster lookups
 documentChunkSchema.index({ fileId: 1, chunkId: 1 }, { unique: true });
 
-// Create a vector index for vector search
+// Find chunks missing a vector in a given space
+documentChunkSchema.index({ 'embeddingSpaces.model': 1 });
+
+// Create a vector index for vector search (MiniLM space; other spaces use
+// vector_index_<model> on embeddings.<model>)
 documentChunkSchema.index({ embedding: "vector" }, { name: "vector_index", dimensions: 384 });
 
+// Broadcast inserts and deletes on DocumentChunk.events so in-process
+// indexes (e.g. the local vector store) can stay in sync
+documentChunkSchema.post('save', function (doc) {
+  this.constructor.events.emit('chunksInserted', [doc]);
+});
+
+documentChunkSchema.post('insertMany', function (docs) {
+  this.events.emit('chunksInserted', docs);
+});
+
+documentChunkSchema.pre(['deleteMany', 'deleteOne'], { document: false, query: true }, async function () {
+  const ids = await this.model.find(this.getFilter()).distinct('_id');
+  this._deletedChunkIds = ids.map(id => id.toString());
+});
+
+documentChunkSchema.post(['deleteMany', 'deleteOne'], { document: false, query: true }, function () {
+  if (this._deletedChunkIds?.length) {
+    this.model.events.emit('chunksDeleted', this._deletedChunkIds);
+  }
+});
+
 const DocumentChunk = mongoose.model('DocumentChunk', documentChunkSchema);
 
 module.exports = DocumentChunk;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * Embedding Migration Schema - progress of re-embedding every chunk into a
+ * target embedding space. The checkpoint (`lastChunkId`) lets an interrupted
+ * migration resume where it stopped.
+ */
+const embeddingMigrationSchema = new mongoose.Schema({
+  targetModel: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Active model when the migration started; cutover only succeeds if it is still active
+  sourceModel: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'paused', 'ready', 'completed', 'cancelled', 'failed'],
+    default: 'running',
+    index: true
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  // Highest chunk _id handled so far
+  lastChunkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  batchSize: {
+    type: Number,
+    default: 16
+  },
+  // Pause between batches so ingestion and queries keep the CPU
+  delayMs: {
+    type: Number,
+    default: 250
+  },
+  // Switch the active model as soon as every chunk is embedded
+  autoCutover: {
+    type: Boolean,
+    default: false
+  },
+  error: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  cutoverAt: Date
+}, {
+  timestamps: true
+});
+
+const EmbeddingMigration = mongoose.model('EmbeddingMigration', embeddingMigrationSchema);
+
+module.exports = EmbeddingMigration;
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * Evaluation Run Schema - metrics of one golden set executed under one or
+ * more named retrieval configurations
+ */
+const evaluationRunSchema = new mongoose.Schema({
+  setId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EvaluationSet',
+    required: true,
+    index: true
+  },
+  setName: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+    index: true
+  },
+  // Cutoffs recall@k and nDCG@k are reported at
+  cutoffs: [Number],
+  // Index and corpus state the run was measured against
+  environment: {
+    embeddingModel: String,
+    vectorStore: String,
+    chunkCount: Number,
+    fileCount: Number
+  },
+  results: [{
+    _id: false,
+    name: String,
+    config: mongoose.Schema.Types.Mixed,
+    // { recall: { k: mean }, ndcg: { k: mean }, mrr }
+    metrics: mongoose.Schema.Types.Mixed,
+    avgLatencyMs: Number,
+    errorCount: Number,
+    questions: [{
+      _id: false,
+      question: String,
+      recall: mongoose.Schema.Types.Mixed,
+      ndcg: mongoose.Schema.Types.Mixed,
+      mrr: Number,
+      firstRelevantRank: Number,
+      retrieved: [{
+        _id: false,
+        fileId: String,
+        fileName: String,
+        chunkId: String,
+        pages: [Number],
+        score: Number
+      }],
+      error: String
+    }]
+  }],
+  error: String,
+  triggeredBy: {
+    type: String,
+    enum: ['api', 'cli'],
+    default: 'api'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+evaluationRunSchema.index({ setId: 1, createdAt: -1 });
+
+const EvaluationRun = mongoose.model('EvaluationRun', evaluationRunSchema);
+
+module.exports = EvaluationRun;
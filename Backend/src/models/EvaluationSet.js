@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * Evaluation Set Schema - golden questions with the documents/pages that
+ * should be retrieved for them
+ */
+const evaluationSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  questions: [{
+    question: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // Any one of fileId / fileName identifies the document; page is optional
+    expected: [{
+      _id: false,
+      fileId: String,
+      fileName: String,
+      page: Number
+    }]
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const EvaluationSet = mongoose.model('EvaluationSet', evaluationSetSchema);
+
+module.exports = EvaluationSet;
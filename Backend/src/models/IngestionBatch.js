@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Ingestion Batch Schema - the parent of the ingestion jobs queued by one
+ * multi-file or ZIP upload. Its status is aggregated from the child jobs
+ * (IngestionJob.batchId) when read; `files` records what happened to every
+ * uploaded file and archive entry, including those that were skipped.
+ */
+const ingestionBatchSchema = new mongoose.Schema({
+  files: [{
+    _id: false,
+    // Path inside the archive, or the uploaded file name
+    name: String,
+    // Archive the file was unpacked from
+    archive: String,
+    fileId: String,
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'IngestionJob'
+    },
+    // queued, or skipped with the reason in `error`
+    status: {
+      type: String,
+      enum: ['queued', 'skipped']
+    },
+    error: String,
+    // Existing document for files skipped as duplicates
+    duplicateOf: String
+  }],
+  // { chunking? } applied to every file
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const IngestionBatch = mongoose.model('IngestionBatch', ingestionBatchSchema);
+
+module.exports = IngestionBatch;
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+/**
+ * Ingestion Job Schema - one queued upload or re-index. Jobs are claimed by
+ * a worker with a lease kept alive by heartbeats, so a job whose server
+ * crashed is picked up again once the lease expires. `checkpoint` records
+ * the last completed stage; a resumed job skips the stages before it.
+ */
+const ingestionJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['upload', 'reindex'],
+    default: 'upload'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+  fileId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  filePath: {
+    type: String,
+    required: true
+  },
+  mimeType: String,
+  // { chunking? } as given when the job was created
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  progress: {
+    type: Number,
+    default: 0
+  },
+  message: String,
+  // Last completed stage
+  checkpoint: {
+    type: String,
+    enum: ['parsed', 'embedded', 'stored'],
+    default: null
+  },
+  // Parse summary saved with the `parsed` checkpoint: format, chunking, counts, OCR,
+  // and the title, language and keywords extracted for the document
+  parsed: mongoose.Schema.Types.Mixed,
+  // Embedding spaces the staged chunks are embedded into
+  embeddingModels: {
+    type: [String],
+    default: undefined
+  },
+  // Staged chunks embedded so far
+  embeddedChunks: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time the job may be claimed (backoff between attempts)
+  runAfter: {
+    type: Date,
+    default: Date.now
+  },
+  errorHistory: [{
+    attempt: Number,
+    stage: String,
+    message: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  error: String,
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  // Worker holding the lease and its last heartbeat
+  lockedBy: String,
+  heartbeatAt: Date,
+  result: mongoose.Schema.Types.Mixed,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Batch upload this job belongs to
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IngestionBatch',
+    index: true
+  },
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Claim order: due pending jobs, oldest first
+ingestionJobSchema.index({ status: 1, runAfter: 1, createdAt: 1 });
+
+const IngestionJob = mongoose.model('IngestionJob', ingestionJobSchema);
+
+module.exports = IngestionJob;
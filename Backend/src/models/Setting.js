@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+/**
+ * Setting Schema - small runtime settings shared by every server instance.
+ * Each setting is one document, so updating it is atomic.
+ */
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * Staged Chunk Schema - a parsed chunk waiting to be stored by an ingestion
+ * job. Chunks are staged here after parsing and get their vectors batch by
+ * batch, so an interrupted job resumes without parsing or embedding again.
+ * They are copied into DocumentChunk in the job's last stage and removed.
+ */
+const stagedChunkSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IngestionJob',
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true
+  },
+  // Chunk as returned by processDocument
+  chunk: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Registry ID -> vector
+  vectors: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+stagedChunkSchema.index({ jobId: 1, index: 1 }, { unique: true });
+
+const StagedChunk = mongoose.model('StagedChunk', stagedChunkSchema);
+
+module.exports = StagedChunk;
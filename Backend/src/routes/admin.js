@@ -3,6 +3,8 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const answerCacheService = require('../services/answerCacheService');
+const { getEmbeddingCacheStats } = require('../services/embedding');
 
 /**
  * @route   POST /api/admin/assign-role
@@ -199,4 +201,30 @@ router.delete('/users/:id', auth.required, auth.hasRole('admin'), async (req, re
   }
 });
 
+/**
+ * @route   GET /api/admin/cache
+ * @desc    Query embedding and answer cache statistics (admin only)
+ * @access  Admin only
+ */
+router.get('/cache', auth.required, auth.hasRole('admin'), (req, res) => {
+  res.json({
+    success: true,
+    embeddingCache: getEmbeddingCacheStats(),
+    answerCache: answerCacheService.stats()
+  });
+});
+
+/**
+ * @route   DELETE /api/admin/cache/answers
+ * @desc    Clear the semantic answer cache (admin only)
+ * @access  Admin only
+ */
+router.delete('/cache/answers', auth.required, auth.hasRole('admin'), (req, res) => {
+  answerCacheService.clear();
+  res.json({
+    success: true,
+    message: 'Answer cache cleared'
+  });
+});
+
 module.exports = router;
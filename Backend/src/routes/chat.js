@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const chatService = require('../services/chatService');
+const searchFilterService = require('../services/searchFilterService');
+const documentMetadataService = require('../services/documentMetadataService');
 const auth = require('../middleware/auth');
 
 /**
@@ -10,6 +12,13 @@ const auth = require('../middleware/auth');
  * @access  Private (authentication required)
  * @body    {string} query - The user's message
  * @body    {string} [sessionId] - Optional session ID for chat history
+ * @body    {boolean} [rerank] - Override cross-encoder reranking (defaults to RERANK_ENABLED)
+ * @body    {boolean} [mmr] - Override maximal marginal relevance selection (defaults to MMR_ENABLED)
+ * @body    {number} [mmrLambda] - MMR relevance/diversity trade-off between 0 and 1
+ * @body    {number} [maxChunksPerDocument] - Cap on context chunks from one file (0 = unlimited)
+ * @body    {string} [contextExpansion] - 'none', 'neighbors' or 'parent' (defaults to CONTEXT_EXPANSION)
+ * @body    {Object} [filter] - Restrict retrieval by metadata: fileIds, fileNames (globs),
+ *          uploadedAfter, uploadedBefore, pages { from, to }, tags, languages, authors, keywords
  */
 router.post(
   '/',
@@ -29,6 +38,32 @@ router.post(
       .withMessage('sessionId must be a string')
       .isLength({ min: 1, max: 100 })
       .withMessage('sessionId must be between 1 and 100 characters'),
+    body('rerank')
+      .optional()
+      .isBoolean()
+      .withMessage('rerank must be a boolean'),
+    body('mmr')
+      .optional()
+      .isBoolean()
+      .withMessage('mmr must be a boolean'),
+    body('mmrLambda')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('mmrLambda must be a number between 0 and 1'),
+    body('maxChunksPerDocument')
+      .optional()
+      .isInt({ min: 0, max: 10 })
+      .withMessage('maxChunksPerDocument must be an integer between 0 and 10'),
+    body('contextExpansion')
+      .optional()
+      .isIn(['none', 'neighbors', 'parent'])
+      .withMessage('contextExpansion must be "none", "neighbors" or "parent"'),
+    body('filter')
+      .optional()
+      .custom(value => {
+        searchFilterService.normalize(value);
+        return true;
+      }),
   ],
   async (req, res) => {
     try {
@@ -42,7 +77,16 @@ router.post(
         });
       }
 
-      const { query, sessionId: clientSessionId } = req.body;
+      const {
+        query,
+        sessionId: clientSessionId,
+        rerank,
+        mmr,
+        mmrLambda,
+        maxChunksPerDocument,
+        filter,
+        contextExpansion
+      } = req.body;
       
       // Validate and use session ID - regenerate if invalid
       const sessionId = (clientSessionId && chatService.isValidSessionId(clientSessionId))
@@ -54,7 +98,13 @@ router.post(
         query,
         sessionId,
         options: {
-          userId: req.user.id
+          userId: req.user.id,
+          ...(filter && { filter }),
+          ...(contextExpansion && { contextExpansion }),
+          ...(rerank !== undefined && { rerank: rerank === true || rerank === 'true' }),
+          ...(mmr !== undefined && { mmr: mmr === true || mmr === 'true' }),
+          ...(mmrLambda !== undefined && { mmrLambda: parseFloat(mmrLambda) }),
+          ...(maxChunksPerDocument !== undefined && { maxChunksPerDocument: parseInt(maxChunksPerDocument, 10) })
         }
       }, res);
 
@@ -239,6 +289,31 @@ router.delete('/sessions/:sessionId', auth.required, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/chat/facets
+ * @desc    Values the retrieval filter can take (tags, keywords, languages,
+ *          authors, formats), each with its number of searchable documents
+ * @access  Private
+ */
+router.get('/facets', auth.required, async (req, res) => {
+  try {
+    const facets = await documentMetadataService.getFacets();
+
+    res.json({
+      success: true,
+      data: { facets }
+    });
+
+  } catch (error) {
+    console.error('Search facets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch search facets',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * @route   GET /api/chat/stats/:sessionId
  * @desc    Get statistics for a specific chat session
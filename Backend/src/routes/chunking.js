@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const chunkingSettingsService = require('../services/chunkingSettingsService');
+const { createReindexJob } = require('../services/backgroundJobService');
+const { listChunkers } = require('../services/chunkers');
+const { getFormats } = require('../services/extractors');
+const { sendError } = require('./errorResponse');
+
+// Every chunking management endpoint is admin only
+router.use(auth.required, auth.hasRole('admin'));
+
+/**
+ * Validators for one { strategy, size, overlap } settings layer
+ * @param {string} field - Body path of the layer
+ * @param {boolean} requireStrategy - Whether the layer must name a strategy
+ * @returns {Array} express-validator chains
+ */
+function layerValidators(field, requireStrategy) {
+  const strategy = body(`${field}.strategy`);
+  return [
+    (requireStrategy ? strategy : strategy.optional())
+      .isIn(listChunkers().map(chunker => chunker.name))
+      .withMessage(`${field}.strategy must be one of: ${listChunkers().map(chunker => chunker.name).join(', ')}`),
+    body(`${field}.size`).optional().isInt({ min: 1 }).withMessage(`${field}.size must be a positive integer`).toInt(),
+    body(`${field}.overlap`).optional().isInt({ min: 0 }).withMessage(`${field}.overlap must be a non-negative integer`).toInt()
+  ];
+}
+
+/**
+ * @route   GET /api/admin/chunking
+ * @desc    Available chunking strategies and the current defaults (global and per format)
+ * @access  Admin only
+ */
+router.get('/', async (req, res) => {
+  try {
+    const defaults = await chunkingSettingsService.getDefaults();
+    const formats = getFormats();
+    const resolved = {};
+    for (const format of formats) {
+      resolved[format] = await chunkingSettingsService.resolve(format);
+    }
+
+    res.json({
+      success: true,
+      strategies: listChunkers(),
+      defaults,
+      resolved
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch chunking settings');
+  }
+});
+
+/**
+ * @route   PUT /api/admin/chunking
+ * @desc    Replace the chunking defaults used for new uploads
+ * @access  Admin only
+ * @body    {Object} default - { strategy, size?, overlap? } for every format
+ * @body    {Object} [formats] - { <format>: { strategy?, size?, overlap? } } per-format overrides
+ */
+router.put(
+  '/',
+  [
+    body('default').isObject().withMessage('default must be an object'),
+    ...layerValidators('default', true),
+    body('formats').optional().isObject().withMessage('formats must be an object')
+      .custom(value => {
+        const unknown = Object.keys(value).filter(format => !getFormats().includes(format));
+        if (unknown.length > 0) {
+          throw new Error(`Unknown formats: ${unknown.join(', ')}. Available: ${getFormats().join(', ')}`);
+        }
+        return true;
+      }),
+    ...getFormats().flatMap(format => layerValidators(`formats.${format}`, false))
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const defaults = await chunkingSettingsService.update({
+        default: req.body.default,
+        formats: req.body.formats
+      });
+
+      res.json({
+        success: true,
+        defaults
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to update chunking settings');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/chunking/reindex/:fileId
+ * @desc    Re-chunk and re-embed a document, reusing its stored chunking settings unless new ones are given
+ * @access  Admin only
+ * @body    {string} [strategy] - Chunking strategy
+ * @body    {number} [size] - Chunk size in the strategy's unit
+ * @body    {number} [overlap] - Overlap in the strategy's unit
+ */
+router.post(
+  '/reindex/:fileId',
+  [
+    body('strategy').optional().isIn(listChunkers().map(chunker => chunker.name))
+      .withMessage(`strategy must be one of: ${listChunkers().map(chunker => chunker.name).join(', ')}`),
+    body('size').optional().isInt({ min: 1 }).withMessage('size must be a positive integer').toInt(),
+    body('overlap').optional().isInt({ min: 0 }).withMessage('overlap must be a non-negative integer').toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { strategy, size, overlap } = req.body;
+      const chunking = strategy || size !== undefined || overlap !== undefined
+        ? {
+          ...(strategy && { strategy }),
+          ...(size !== undefined && { size }),
+          ...(overlap !== undefined && { overlap })
+        }
+        : undefined;
+
+      const jobId = await createReindexJob(req.params.fileId, chunking, { createdBy: req.user._id });
+      res.status(202).json({
+        success: true,
+        message: `Re-indexing ${req.params.fileId}`,
+        jobId
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to start re-indexing');
+    }
+  }
+);
+
+module.exports = router;
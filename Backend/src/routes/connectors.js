@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const connectorService = require('../services/connectorService');
+const { sendError } = require('./errorResponse');
+
+// Every connector endpoint is admin only
+router.use(auth.required, auth.hasRole('admin'));
+
+// Settings shared by create and update
+const settingsValidators = [
+  body('tags').optional().isArray().withMessage('tags must be an array of strings'),
+  body('tags.*').optional().isString().withMessage('tags must be an array of strings'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be true or false'),
+  body('pollIntervalMinutes').optional().isInt({ min: 1, max: 7 * 24 * 60 })
+    .withMessage('pollIntervalMinutes must be between 1 and 10080').toInt(),
+  body('watch').optional().isBoolean().withMessage('watch must be true or false'),
+  body('pull').optional().isBoolean().withMessage('pull must be true or false')
+];
+
+/**
+ * @route   GET /api/admin/connectors
+ * @desc    Every folder and git connector with its last sync
+ * @access  Admin only
+ */
+router.get('/', async (req, res) => {
+  try {
+    const connectors = await connectorService.list();
+    res.json({ success: true, connectors });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch connectors');
+  }
+});
+
+/**
+ * @route   POST /api/admin/connectors
+ * @desc    Register a local directory or git working tree as a source; its first sync starts at once
+ * @access  Admin only
+ * @body    {string} name - Unique name
+ * @body    {string} type - folder or git
+ * @body    {string} path - Absolute path on the server
+ * @body    {Array<string>} [tags] - Tags for every document from the source
+ * @body    {boolean} [enabled=true] - Sync on the poll interval
+ * @body    {number} [pollIntervalMinutes=15] - Minutes between syncs
+ * @body    {boolean} [watch=false] - Also sync shortly after files change
+ * @body    {boolean} [pull=false] - git only: fast-forward from upstream before each sync
+ */
+router.post(
+  '/',
+  [
+    body('name').isString().trim().notEmpty().withMessage('name is required')
+      .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    body('type').isIn(['folder', 'git']).withMessage('type must be folder or git'),
+    body('path').isString().trim().notEmpty().withMessage('path is required'),
+    ...settingsValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const connector = await connectorService.create(req.body, req.user._id);
+      res.status(201).json({ success: true, connector });
+    } catch (error) {
+      sendError(res, error, 'Failed to create connector');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/connectors/:id
+ * @desc    One connector with its last sync
+ * @access  Admin only
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const connector = await connectorService.get(req.params.id);
+    res.json({ success: true, connector });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch connector');
+  }
+});
+
+/**
+ * @route   PUT /api/admin/connectors/:id
+ * @desc    Change a connector's name or settings (its type and path are fixed)
+ * @access  Admin only
+ */
+router.put(
+  '/:id',
+  [
+    body('name').optional().isString().trim().notEmpty().withMessage('name cannot be empty')
+      .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    ...settingsValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const connector = await connectorService.update(req.params.id, {
+        name: req.body.name,
+        tags: req.body.tags,
+        enabled: req.body.enabled,
+        pollIntervalMinutes: req.body.pollIntervalMinutes,
+        watch: req.body.watch,
+        pull: req.body.pull
+      });
+      res.json({ success: true, connector });
+    } catch (error) {
+      sendError(res, error, 'Failed to update connector');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/connectors/:id/sync
+ * @desc    Sync a connector now and return it with the sync's results
+ * @access  Admin only
+ */
+router.post('/:id/sync', async (req, res) => {
+  try {
+    const connector = await connectorService.sync(req.params.id);
+    res.json({ success: true, connector });
+  } catch (error) {
+    sendError(res, error, 'Failed to sync connector');
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/connectors/:id
+ * @desc    Remove a connector; its documents are kept as ordinary uploads unless deleteDocuments is set
+ * @access  Admin only
+ * @query   {boolean} [deleteDocuments=false] - Also delete every document it created
+ */
+router.delete(
+  '/:id',
+  [
+    query('deleteDocuments').optional().isBoolean().withMessage('deleteDocuments must be true or false').toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const result = await connectorService.delete(req.params.id, { deleteDocuments: req.query.deleteDocuments });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete connector');
+    }
+  }
+);
+
+module.exports = router;
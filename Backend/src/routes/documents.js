@@ -0,0 +1,248 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const documentLibraryService = require('../services/documentLibraryService');
+const { createReindexJob } = require('../services/backgroundJobService');
+const { listChunkers } = require('../services/chunkers');
+const { sendError } = require('./errorResponse');
+
+// Every document management endpoint is admin only
+router.use(auth.required, auth.hasRole('admin'));
+
+/**
+ * @route   GET /api/admin/documents
+ * @desc    Document library, newest upload first
+ * @access  Admin only
+ * @query   {string} [search] - Text in the file name or document title
+ * @query   {string} [status] - processing, ready, failed or cancelled
+ * @query   {string} [tag] - Only documents with this tag
+ * @query   {string} [language] - Only documents in this language (ISO 639-1 code)
+ * @query   {string} [keyword] - Only documents with this keyword tag
+ * @query   {number} [limit=50] - Page size (1-200)
+ * @query   {number} [skip=0] - Documents to skip
+ * @query   {boolean} [includeSuperseded=false] - Also list superseded versions
+ */
+router.get(
+  '/',
+  [
+    query('search').optional().isString().trim(),
+    query('status').optional().isIn(['processing', 'ready', 'failed', 'cancelled'])
+      .withMessage('status must be one of: processing, ready, failed, cancelled'),
+    query('tag').optional().isString().trim(),
+    query('language').optional().isString().trim(),
+    query('keyword').optional().isString().trim(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200').toInt(),
+    query('skip').optional().isInt({ min: 0 }).withMessage('skip must be a non-negative integer').toInt(),
+    query('includeSuperseded').optional().isBoolean().withMessage('includeSuperseded must be true or false').toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { documents, total } = await documentLibraryService.list({
+        search: req.query.search,
+        status: req.query.status,
+        tag: req.query.tag,
+        language: req.query.language,
+        keyword: req.query.keyword,
+        limit: req.query.limit,
+        skip: req.query.skip,
+        includeSuperseded: req.query.includeSuperseded
+      });
+      res.json({ success: true, documents, total });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch documents');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/documents/:fileId
+ * @desc    One document with its recent ingestion jobs
+ * @access  Admin only
+ */
+router.get('/:fileId', async (req, res) => {
+  try {
+    const document = await documentLibraryService.get(req.params.fileId);
+    res.json({ success: true, document });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch document');
+  }
+});
+
+/**
+ * @route   GET /api/admin/documents/:fileId/chunks
+ * @desc    A document's stored chunks, without vectors
+ * @access  Admin only
+ */
+router.get('/:fileId/chunks', async (req, res) => {
+  try {
+    const chunks = await documentLibraryService.getChunks(req.params.fileId);
+    res.json({ success: true, chunks });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch document chunks');
+  }
+});
+
+/**
+ * @route   GET /api/admin/documents/:fileId/versions
+ * @desc    Version history of a document, newest first
+ * @access  Admin only
+ */
+router.get('/:fileId/versions', async (req, res) => {
+  try {
+    const versions = await documentLibraryService.getVersions(req.params.fileId);
+    res.json({ success: true, versions });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch document versions');
+  }
+});
+
+/**
+ * @route   POST /api/admin/documents/:fileId/rollback
+ * @desc    Make this stored version the current one; the others are excluded from retrieval
+ * @access  Admin only
+ */
+router.post('/:fileId/rollback', async (req, res) => {
+  try {
+    const document = await documentLibraryService.rollback(req.params.fileId);
+    res.json({ success: true, document });
+  } catch (error) {
+    sendError(res, error, 'Failed to roll back document');
+  }
+});
+
+/**
+ * @route   POST /api/admin/documents/:fileId/register-version
+ * @desc    Register a separately uploaded document as the newest version of another, e.g. a reported near-duplicate
+ * @access  Admin only
+ * @body    {string} versionOf - fileId of any version of the other document
+ */
+router.post(
+  '/:fileId/register-version',
+  [
+    body('versionOf').isString().trim().notEmpty().withMessage('versionOf must be a document fileId')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const document = await documentLibraryService.registerAsVersion(req.params.fileId, req.body.versionOf);
+      res.json({ success: true, document });
+    } catch (error) {
+      sendError(res, error, 'Failed to register document as a version');
+    }
+  }
+);
+
+/**
+ * @route   PATCH /api/admin/documents/:fileId
+ * @desc    Rename a document and/or replace its tags (applied to every chunk)
+ * @access  Admin only
+ * @body    {string} [fileName] - New display name
+ * @body    {Array<string>} [tags] - New tags
+ */
+router.patch(
+  '/:fileId',
+  [
+    body('fileName').optional().isString().trim()
+      .isLength({ min: 1, max: 255 }).withMessage('fileName must be 1-255 characters'),
+    body('tags').optional().isArray().withMessage('tags must be an array of strings'),
+    body('tags.*').optional().isString().withMessage('tags must be an array of strings')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const document = await documentLibraryService.update(req.params.fileId, {
+        fileName: req.body.fileName,
+        tags: req.body.tags
+      });
+      res.json({ success: true, document });
+    } catch (error) {
+      sendError(res, error, 'Failed to update document');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/documents/:fileId/reindex
+ * @desc    Re-chunk and re-embed a document from its original file
+ * @access  Admin only
+ * @body    {string} [strategy] - Chunking strategy
+ * @body    {number} [size] - Chunk size in the strategy's unit
+ * @body    {number} [overlap] - Overlap in the strategy's unit
+ */
+router.post(
+  '/:fileId/reindex',
+  [
+    body('strategy').optional().isIn(listChunkers().map(chunker => chunker.name))
+      .withMessage(`strategy must be one of: ${listChunkers().map(chunker => chunker.name).join(', ')}`),
+    body('size').optional().isInt({ min: 1 }).withMessage('size must be a positive integer').toInt(),
+    body('overlap').optional().isInt({ min: 0 }).withMessage('overlap must be a non-negative integer').toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { strategy, size, overlap } = req.body;
+      const chunking = strategy || size !== undefined || overlap !== undefined
+        ? {
+          ...(strategy && { strategy }),
+          ...(size !== undefined && { size }),
+          ...(overlap !== undefined && { overlap })
+        }
+        : undefined;
+
+      const jobId = await createReindexJob(req.params.fileId, chunking, { createdBy: req.user._id });
+      res.status(202).json({
+        success: true,
+        message: `Re-indexing ${req.params.fileId}`,
+        jobId
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to start re-indexing');
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/admin/documents/:fileId
+ * @desc    Delete a document with its chunks and uploaded file, cancelling its queued jobs
+ * @access  Admin only
+ */
+router.delete('/:fileId', async (req, res) => {
+  try {
+    const result = await documentLibraryService.delete(req.params.fileId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete document');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const embeddingSpaceService = require('../services/embeddingSpaceService');
+const embeddingMigrationService = require('../services/embeddingMigrationService');
+const embeddingPool = require('../services/embeddingPool');
+const { getEmbeddingModel } = require('../config/embeddingModels');
+const { sendError } = require('./errorResponse');
+
+// Every embedding management endpoint is admin only
+router.use(auth.required, auth.hasRole('admin'));
+
+/**
+ * @route   GET /api/admin/embeddings
+ * @desc    Registered embedding models, chunk counts per space, recent migrations and worker pool load
+ * @access  Admin only
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [stats, migrations] = await Promise.all([
+      embeddingSpaceService.getSpaceStats(),
+      embeddingMigrationService.list()
+    ]);
+
+    res.json({
+      success: true,
+      ...stats,
+      migrations,
+      pool: embeddingPool.stats()
+    });
+  } catch (error) {
+    console.error('Error fetching embedding spaces:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch embedding spaces'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/embeddings/migrations
+ * @desc    Start re-embedding every chunk with another registered model
+ * @access  Admin only
+ * @body    {string} model - Target registry ID
+ * @body    {number} [batchSize] - Chunks per batch
+ * @body    {number} [delayMs] - Pause between batches
+ * @body    {boolean} [autoCutover=false] - Activate the model when the migration finishes
+ */
+router.post(
+  '/migrations',
+  [
+    body('model')
+      .isString()
+      .custom(value => {
+        getEmbeddingModel(value);
+        return true;
+      }),
+    body('batchSize').optional().isInt({ min: 1, max: 256 }).withMessage('batchSize must be between 1 and 256').toInt(),
+    body('delayMs').optional().isInt({ min: 0, max: 60000 }).withMessage('delayMs must be between 0 and 60000').toInt(),
+    body('autoCutover').optional().isBoolean().withMessage('autoCutover must be a boolean').toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { migration } = await embeddingMigrationService.start(req.body.model, {
+        batchSize: req.body.batchSize,
+        delayMs: req.body.delayMs,
+        autoCutover: req.body.autoCutover,
+        createdBy: req.user._id
+      });
+
+      res.status(202).json({
+        success: true,
+        message: `Re-embedding ${migration.total} chunks with ${migration.targetModel}`,
+        migration
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to start embedding migration');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/embeddings/migrations/:id
+ * @desc    Get migration progress
+ * @access  Admin only
+ */
+router.get('/migrations/:id', async (req, res) => {
+  try {
+    const migration = await embeddingMigrationService.get(req.params.id);
+    res.json({
+      success: true,
+      migration
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch embedding migration');
+  }
+});
+
+/**
+ * @route   POST /api/admin/embeddings/migrations/:id/:action
+ * @desc    Pause, resume, cancel or cut over a migration
+ * @access  Admin only
+ */
+router.post('/migrations/:id/:action', async (req, res) => {
+  const { id, action } = req.params;
+
+  try {
+    let migration;
+    switch (action) {
+      case 'pause':
+        migration = await embeddingMigrationService.pause(id);
+        break;
+      case 'cancel':
+        migration = await embeddingMigrationService.cancel(id);
+        break;
+      case 'resume':
+        ({ migration } = await embeddingMigrationService.resume(id));
+        break;
+      case 'cutover':
+        migration = await embeddingMigrationService.cutover(id);
+        break;
+      default:
+        return res.status(404).json({
+          success: false,
+          error: `Unknown migration action "${action}"`
+        });
+    }
+
+    res.json({
+      success: true,
+      migration
+    });
+  } catch (error) {
+    sendError(res, error, `Failed to ${action} embedding migration`);
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/embeddings/spaces/:model
+ * @desc    Remove every vector of an inactive embedding space
+ * @access  Admin only
+ */
+router.delete('/spaces/:model', async (req, res) => {
+  try {
+    getEmbeddingModel(req.params.model);
+  } catch (error) {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const chunks = await embeddingSpaceService.dropSpace(req.params.model);
+    res.json({
+      success: true,
+      message: `Removed ${req.params.model} vectors from ${chunks} chunks`
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to drop embedding space');
+  }
+});
+
+module.exports = router;
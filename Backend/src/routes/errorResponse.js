@@ -0,0 +1,20 @@
+/**
+ * Error responses shared by the admin routes
+ */
+
+/**
+ * Send a service error with its status code (see services/utils/errors);
+ * errors without one are logged and sent as 500 with a generic message
+ * @param {Object} res - Express response
+ * @param {Error} error - Thrown error
+ * @param {string} fallback - Message for unexpected errors
+ */
+function sendError(res, error, fallback) {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+}
+
+module.exports = { sendError };
@@ -0,0 +1,348 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const EvaluationSet = require('../models/EvaluationSet');
+const EvaluationRun = require('../models/EvaluationRun');
+const evaluationService = require('../services/evaluationService');
+
+// Every evaluation endpoint is admin only
+router.use(auth.required, auth.hasRole('admin'));
+
+/**
+ * @route   GET /api/admin/evaluation/configs
+ * @desc    List the preset retrieval configurations
+ * @access  Admin only
+ */
+router.get('/configs', (req, res) => {
+  res.json({
+    success: true,
+    configs: evaluationService.listConfigs()
+  });
+});
+
+/**
+ * @route   POST /api/admin/evaluation/sets
+ * @desc    Upload a golden set (replaces the questions of a set with the same name)
+ * @access  Admin only
+ * @body    {string} name - Set name
+ * @body    {string} [description] - Set description
+ * @body    {Array} questions - [{ question, expected: [{ fileId | fileName, page }] }]
+ */
+router.post(
+  '/sets',
+  [
+    body().custom(value => {
+      evaluationService.normalizeSet(value);
+      return true;
+    })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const set = await evaluationService.saveSet(req.body, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        set
+      });
+    } catch (error) {
+      console.error('Error saving evaluation set:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save evaluation set'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/evaluation/sets
+ * @desc    List golden sets with their question counts
+ * @access  Admin only
+ */
+router.get('/sets', async (req, res) => {
+  try {
+    const sets = await EvaluationSet.aggregate([
+      { $sort: { updatedAt: -1 } },
+      {
+        $project: {
+          name: 1,
+          description: 1,
+          createdAt: 1,
+          updatedAt: 1,
+          questionCount: { $size: '$questions' }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      sets,
+      count: sets.length
+    });
+  } catch (error) {
+    console.error('Error fetching evaluation sets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch evaluation sets'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/evaluation/sets/:ref
+ * @desc    Get a golden set by ID or name
+ * @access  Admin only
+ */
+router.get('/sets/:ref', async (req, res) => {
+  try {
+    const set = await evaluationService.getSet(req.params.ref);
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evaluation set not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      set
+    });
+  } catch (error) {
+    console.error('Error fetching evaluation set:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch evaluation set'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/evaluation/sets/:ref
+ * @desc    Delete a golden set and its runs
+ * @access  Admin only
+ */
+router.delete('/sets/:ref', async (req, res) => {
+  try {
+    const set = await evaluationService.getSet(req.params.ref);
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evaluation set not found'
+      });
+    }
+
+    const { deletedCount } = await EvaluationRun.deleteMany({ setId: set._id });
+    await set.deleteOne();
+
+    res.json({
+      success: true,
+      message: `Evaluation set ${set.name} deleted with ${deletedCount} run(s)`
+    });
+  } catch (error) {
+    console.error('Error deleting evaluation set:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete evaluation set'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/evaluation/runs
+ * @desc    Start an evaluation run; poll GET /runs/:id for the results
+ * @access  Admin only
+ * @body    {string} set - Golden set ID or name
+ * @body    {Array} [configs] - Preset names or inline { name, method, ...options } (default: all presets)
+ * @body    {Array<number>} [cutoffs] - Values of k for recall@k and nDCG@k (default: 1, 3, 5, 10)
+ */
+router.post(
+  '/runs',
+  [
+    body('set').isString().notEmpty().withMessage('Evaluation set is required'),
+    body('configs')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('configs must be a non-empty array')
+      .bail()
+      .custom(value => {
+        evaluationService.resolveConfigs(value);
+        return true;
+      }),
+    body('cutoffs')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('cutoffs must be a non-empty array')
+      .bail()
+      .custom(value => {
+        evaluationService.resolveCutoffs(value);
+        return true;
+      })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { run } = await evaluationService.startRun(req.body.set, {
+        configs: req.body.configs,
+        cutoffs: req.body.cutoffs,
+        triggeredBy: 'api',
+        createdBy: req.user._id
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Evaluation run started',
+        runId: run._id,
+        status: run.status
+      });
+    } catch (error) {
+      if (error.status === 404) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.error('Error starting evaluation run:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start evaluation run'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/evaluation/runs
+ * @desc    List recent runs (metrics only, no per-question detail)
+ * @access  Admin only
+ * @query   {string} [set] - Golden set ID or name
+ * @query   {number} [limit=20] - Maximum runs
+ */
+router.get(
+  '/runs',
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const runs = await evaluationService.listRuns({
+        set: req.query.set,
+        limit: parseInt(req.query.limit, 10) || 20
+      });
+
+      res.json({
+        success: true,
+        runs,
+        count: runs.length
+      });
+    } catch (error) {
+      console.error('Error fetching evaluation runs:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch evaluation runs'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/evaluation/runs/compare
+ * @desc    Compare metrics of completed runs per config, oldest run as baseline
+ * @access  Admin only
+ * @query   {string} ids - Comma-separated run IDs
+ */
+router.get(
+  '/runs/compare',
+  [
+    query('ids')
+      .isString()
+      .custom(value => {
+        const ids = value.split(',').map(id => id.trim()).filter(Boolean);
+        if (ids.length < 2 || ids.some(id => !/^[a-f\d]{24}$/i.test(id))) {
+          throw new Error('ids must list at least two run IDs');
+        }
+        return true;
+      })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const ids = req.query.ids.split(',').map(id => id.trim()).filter(Boolean);
+      const comparison = await evaluationService.compareRuns(ids);
+
+      res.json({
+        success: true,
+        ...comparison
+      });
+    } catch (error) {
+      console.error('Error comparing evaluation runs:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to compare evaluation runs'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/evaluation/runs/:id
+ * @desc    Get a run with per-question results
+ * @access  Admin only
+ */
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const run = /^[a-f\d]{24}$/i.test(req.params.id)
+      ? await EvaluationRun.findById(req.params.id).lean()
+      : null;
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evaluation run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      run
+    });
+  } catch (error) {
+    console.error('Error fetching evaluation run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch evaluation run'
+    });
+  }
+});
+
+module.exports = router;
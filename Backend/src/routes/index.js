@@ -10,6 +10,12 @@ const chatRoute = require('./chat');
 const chatHistoryRoute = require('./chatHistory');
 const authRoute = require('./auth');
 const adminRoute = require('./admin');
+const evaluationRoute = require('./evaluation');
+const embeddingsRoute = require('./embeddings');
+const chunkingRoute = require('./chunking');
+const jobsRoute = require('./jobs');
+const documentsRoute = require('./documents');
+const connectorsRoute = require('./connectors');
 const analyticsRoute = require('./analytics');
 const DocumentChunk = require('../models/DocumentChunk');
 
@@ -116,6 +122,30 @@ apiRouter.use('/chat/history/', chatHistoryRoute);
 apiRouter.use('/auth', authRoute);
 apiRouter.use('/auth/', authRoute);
 
+// Handle retrieval evaluation routes (admin only)
+apiRouter.use('/admin/evaluation', evaluationRoute);
+apiRouter.use('/admin/evaluation/', evaluationRoute);
+
+// Handle embedding model and migration routes (admin only)
+apiRouter.use('/admin/embeddings', embeddingsRoute);
+apiRouter.use('/admin/embeddings/', embeddingsRoute);
+
+// Handle chunking settings and re-indexing routes (admin only)
+apiRouter.use('/admin/chunking', chunkingRoute);
+apiRouter.use('/admin/chunking/', chunkingRoute);
+
+// Handle ingestion job routes (admin only)
+apiRouter.use('/admin/jobs', jobsRoute);
+apiRouter.use('/admin/jobs/', jobsRoute);
+
+// Handle document library routes (admin only)
+apiRouter.use('/admin/documents', documentsRoute);
+apiRouter.use('/admin/documents/', documentsRoute);
+
+// Handle folder and git connector routes (admin only)
+apiRouter.use('/admin/connectors', connectorsRoute);
+apiRouter.use('/admin/connectors/', connectorsRoute);
+
 // Handle admin routes
 apiRouter.use('/admin', adminRoute);
 apiRouter.use('/admin/', adminRoute);
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { listJobs, getJobStatus, cancelJob, retryJob } = require('../services/backgroundJobService');
+const jobEventService = require('../services/jobEventService');
+const { sendError } = require('./errorResponse');
+
+// Every ingestion job endpoint is admin only
+router.use(auth.required, auth.hasRole('admin'));
+
+/**
+ * @route   GET /api/admin/jobs
+ * @desc    Recent ingestion jobs, newest first
+ * @access  Admin only
+ * @query   {string} [status] - pending, processing, completed, failed or cancelled
+ * @query   {string} [fileId] - Only jobs for this document
+ * @query   {number} [limit=50] - Maximum jobs (1-200)
+ */
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(['pending', 'processing', 'completed', 'failed', 'cancelled'])
+      .withMessage('status must be one of: pending, processing, completed, failed, cancelled'),
+    query('fileId').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200').toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const jobs = await listJobs({
+        status: req.query.status,
+        fileId: req.query.fileId,
+        limit: req.query.limit
+      });
+      res.json({ success: true, jobs });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch ingestion jobs');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/jobs/events
+ * @desc    Server-Sent Events for every ingestion job: a `jobs` snapshot of
+ *          recent jobs, then `status` and `progress` events as they happen
+ * @access  Admin only
+ * @query   {string} [batchId] - Only jobs of this batch upload
+ */
+router.get(
+  '/events',
+  [
+    query('batchId').optional().isMongoId().withMessage('batchId must be a valid ID')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { batchId } = req.query;
+    await jobEventService.stream(req, res, {
+      batchId,
+      initial: async () => [{ event: 'jobs', data: await listJobs({ batchId, limit: batchId ? 1000 : 50 }) }]
+    });
+  }
+);
+
+/**
+ * @route   GET /api/admin/jobs/:id
+ * @desc    One job with its checkpoint, attempts and error history
+ * @access  Admin only
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await getJobStatus(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch ingestion job');
+  }
+});
+
+/**
+ * @route   POST /api/admin/jobs/:id/cancel
+ * @desc    Cancel a queued job, or stop a running one at its next checkpoint
+ * @access  Admin only
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const job = await cancelJob(req.params.id);
+    res.json({ success: true, job });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel ingestion job');
+  }
+});
+
+/**
+ * @route   POST /api/admin/jobs/:id/retry
+ * @desc    Queue a failed or cancelled job again from the start
+ * @access  Admin only
+ */
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id);
+    res.json({ success: true, job });
+  } catch (error) {
+    sendError(res, error, 'Failed to retry ingestion job');
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,18 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { embedText } = require('../services/embedding');
-const DocumentChunk = require('../models/DocumentChunk');
 const documentService = require('../services/documentService');
 const langchainService = require('../services/langchainService');
+const keywordIndexService = require('../services/keywordIndexService');
+const searchFilterService = require('../services/searchFilterService');
 
 /**
  * @route   POST /api/retrieve
  * @desc    Retrieve relevant information based on user query
  * @access  Public
  * @body    {string} query - The search query
+ * @body    {Object} [filter] - Metadata filter: fileIds, fileNames (globs),
+ *          uploadedAfter, uploadedBefore, pages { from, to }, tags, languages, authors, keywords
  */
 router.post(
   '/',
@@ -33,6 +36,12 @@ router.post(
       .optional()
       .isString()
       .withMessage('fileId must be a string'),
+    body('filter')
+      .optional()
+      .custom(value => {
+        searchFilterService.normalize(value);
+        return true;
+      }),
   ],
   async (req, res) => {
     try {
@@ -43,13 +52,14 @@ router.post(
       }
 
       const { query, searchType = 'hybrid', topK = 3, fileId = null } = req.body;
+      const filter = await searchFilterService.resolve(req.body.filter, { fileId });
       
       // 1. Get embedding for the query
       const queryEmbedding = await embedText(query);
       
       // 2. Perform enhanced search based on type
       let searchResults;
-      const searchOptions = { fileId, minScore: 0.3 };
+      const searchOptions = { filter, minScore: 0.3 };
       
       if (searchType === 'hybrid') {
         // Use hybrid search combining vector and text search
@@ -69,13 +79,8 @@ router.post(
       if (chunks.length === 0 || chunks.every(chunk => chunk.text.length < 50)) {
         console.log('🔍 Vector search returned poor chunks, trying keyword search fallback...');
         
-        // Simple keyword search fallback
-        const keywordResults = await DocumentChunk.find({
-          $or: [
-            { content: { $regex: query.split(' ').join('|'), $options: 'i' } },
-            { fileName: { $regex: query.split(' ').join('|'), $options: 'i' } }
-          ]
-        }).limit(3).select('content fileName fileId').lean();
+        // BM25 keyword search fallback
+        const keywordResults = await keywordIndexService.search(query, { limit: 3, filter });
         
         if (keywordResults.length > 0) {
           console.log(`✅ Keyword search found ${keywordResults.length} results`);
@@ -87,18 +92,18 @@ router.post(
             success: true,
             query,
             searchType: 'keyword_fallback',
-            searchOptions: { topK, fileId, resultsFound: keywordResults.length },
+            searchOptions: { topK, fileId, filter: req.body.filter || null, resultsFound: keywordResults.length },
             chunks: keywordResults.map(r => ({
-              chunkId: r._id,
+              chunkId: r.chunkId,
               text: r.content,
-              score: 0.8,
+              score: r.score,
               documentId: r.fileId,
               fileName: r.fileName
             })),
             answer,
             hasCitations: response.hasCitations || false,
             citations: response.citations || [],
-            database: { engine: 'MongoDB Keyword Search', searchMethod: 'keyword_fallback' }
+            database: { engine: 'BM25 Keyword Index', searchMethod: 'keyword_fallback' }
           });
         }
       }
@@ -115,6 +120,7 @@ router.post(
         searchOptions: {
           topK,
           fileId,
+          filter: req.body.filter || null,
           resultsFound: searchResults.length
         },
         chunks: searchResults.map(r => ({
@@ -1,8 +1,14 @@
 const express = require("express");
 const multer = require("multer");
-const path = require("path");
 const fs = require("fs").promises;
+const { body, validationResult } = require("express-validator");
 const { createJob } = require("../services/backgroundJobService");
+const documentLibraryService = require("../services/documentLibraryService");
+const batchUploadService = require("../services/batchUploadService");
+const Document = require("../models/Document");
+const { detectExtractor, isSupported, getSupportedExtensions } = require("../services/extractors");
+const { listChunkers } = require("../services/chunkers");
+const chunkingSettingsService = require("../services/chunkingSettingsService");
 const auth = require("../middleware/auth");
 
 const router = express.Router();
@@ -43,8 +49,8 @@ const handleMulterError = (error, req, res, next) => {
     }
   }
   
-  if (error.message === 'Only PDF files are allowed!') {
-    return res.status(400).json({
+  if (error.status === 415) {
+    return res.status(415).json({
       status: 'error',
       message: error.message
     });
@@ -64,35 +70,66 @@ const storage = multer.diskStorage({
   }
 });
 
-// Allow only PDFs
+// Allow formats the extractor registry can read (the content is checked again when processing)
 const fileFilter = (req, file, cb) => {
-  const ext = path.extname(file.originalname).toLowerCase();
-  if (ext === ".pdf") {
+  if (isSupported(file.originalname, file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error("Only PDF files are allowed!"), false);
+    const error = new Error(`Unsupported file type. Allowed: ${getSupportedExtensions().join(", ")}`);
+    error.status = 415;
+    cb(error, false);
   }
 };
 
 const upload = multer({ storage, fileFilter });
 
+// Batch uploads take any file: ZIP archives are unpacked, and unsupported
+// files are reported as skipped instead of failing the whole batch
+const batchStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, "uploads/");
+  },
+  filename: (req, file, cb) => {
+    cb(null, batchUploadService.storedName(file.originalname));
+  }
+});
+const batchUpload = multer({
+  storage: batchStorage,
+  limits: { files: batchUploadService.maxFiles, fileSize: batchUploadService.maxFileBytes }
+});
+
 // GET /upload - Provide usage instructions
 router.get('/', (req, res) => {
   console.log('GET /upload endpoint called');
   res.status(200).json({
     status: 'info',
-    message: 'Use POST /upload with a PDF file to upload and process documents',
+    message: 'Use POST /upload with a document in the "pdf" field to upload and process it, or POST /upload/batch with several documents or .zip archives in the "files" field',
+    supportedExtensions: getSupportedExtensions(),
+    chunkingStrategies: listChunkers(),
     example: {
       method: 'POST',
       url: '/upload',
       headers: { 'Content-Type': 'multipart/form-data' },
       body: {
-        pdf: 'your-file.pdf'  // PDF file to upload
+        pdf: 'your-file.pdf',  // Document to upload (PDF, DOCX, Markdown, HTML, TXT or CSV)
+        chunkingStrategy: 'section',  // Optional: fixed, sentence, section or recursive
+        chunkSize: 1600,  // Optional: characters, or tokens for recursive
+        chunkOverlap: 150,  // Optional: same unit as chunkSize
+        versionOf: '1718000000000-policy.pdf'  // Optional: fileId of a document this file replaces
       }
     }
   });
 });
 
+// Optional chunking fields sent alongside the file; ranges depend on the strategy and are checked when resolving
+const chunkingValidators = [
+  body('chunkingStrategy').optional().isIn(listChunkers().map(chunker => chunker.name))
+    .withMessage(`chunkingStrategy must be one of: ${listChunkers().map(chunker => chunker.name).join(', ')}`),
+  body('chunkSize').optional().isInt({ min: 1 }).withMessage('chunkSize must be a positive integer').toInt(),
+  body('chunkOverlap').optional().isInt({ min: 0 }).withMessage('chunkOverlap must be a non-negative integer').toInt(),
+  body('versionOf').optional().isString().trim().notEmpty().withMessage('versionOf must be a document fileId')
+];
+
 // POST /upload - Admin only
 const uploadHandler = async (req, res) => {
   console.log('Upload request received at:', new Date().toISOString());
@@ -108,6 +145,16 @@ const uploadHandler = async (req, res) => {
       });
     }
 
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({
+        status: "error",
+        message: errors.array()[0].msg,
+        errors: errors.array()
+      });
+    }
+
     console.log(`Received file: ${req.file.originalname}`);
     console.log(`File info:`, {
       originalname: req.file.originalname,
@@ -120,9 +167,53 @@ const uploadHandler = async (req, res) => {
       // Check if file exists
       await fs.access(req.file.path);
       console.log('File confirmed to exist on disk');
+
+      const chunking = {
+        ...(req.body.chunkingStrategy && { strategy: req.body.chunkingStrategy }),
+        ...(req.body.chunkSize !== undefined && { size: req.body.chunkSize }),
+        ...(req.body.chunkOverlap !== undefined && { overlap: req.body.chunkOverlap })
+      };
+
+      // Reject content that does not match its claimed format, or chunking
+      // settings out of range for it, before queuing it
+      try {
+        const extractor = await detectExtractor(req.file.path, {
+          fileName: req.file.originalname,
+          mimeType: req.file.mimetype
+        });
+        const settings = await chunkingSettingsService.resolve(extractor.name, chunking);
+        console.log(`Detected ${extractor.label} document, chunking with ${settings.strategy} (${settings.size} ${settings.unit})`);
+      } catch (detectError) {
+        await fs.unlink(req.file.path).catch(() => {});
+        return res.status(detectError.status || 400).json({
+          status: "error",
+          message: detectError.message
+        });
+      }
       
-      // Create background job
-      const jobId = createJob(req.file);
+      // Record the document (rejecting a file identical to a stored one), then queue its ingestion job
+      let document;
+      try {
+        document = await documentLibraryService.registerUpload(req.file, {
+          uploadedBy: req.user?._id,
+          versionOf: req.body.versionOf
+        });
+      } catch (registerError) {
+        await fs.unlink(req.file.path).catch(() => {});
+        if (!registerError.status) throw registerError;
+        return res.status(registerError.status).json({
+          status: "error",
+          message: registerError.message,
+          ...(registerError.duplicateOf && { duplicateOf: registerError.duplicateOf })
+        });
+      }
+      let jobId;
+      try {
+        jobId = await createJob(req.file, { chunking, createdBy: req.user?._id });
+      } catch (jobError) {
+        await Document.deleteOne({ fileId: req.file.filename }).catch(() => {});
+        throw jobError;
+      }
       
       console.log(`Created background job ${jobId} for file ${req.file.originalname}`);
       
@@ -130,8 +221,9 @@ const uploadHandler = async (req, res) => {
         status: "success",
         fileId: req.file.filename,
         fileName: req.file.originalname,
+        version: document.version,
         jobId: jobId,
-        message: "PDF uploaded successfully. Processing started in background."
+        message: "Document uploaded successfully. Processing is queued in the background."
       });
       
     } catch (processError) {
@@ -152,9 +244,74 @@ const uploadHandler = async (req, res) => {
   }
 };
 
+// POST /upload/batch - Several documents and/or ZIP archives in the "files" field, admin only
+const batchHandler = async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({
+      status: "error",
+      message: "No files uploaded"
+    });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    await Promise.all(req.files.map(file => fs.unlink(file.path).catch(() => {})));
+    return res.status(400).json({
+      status: "error",
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const chunking = {
+      ...(req.body.chunkingStrategy && { strategy: req.body.chunkingStrategy }),
+      ...(req.body.chunkSize !== undefined && { size: req.body.chunkSize }),
+      ...(req.body.chunkOverlap !== undefined && { overlap: req.body.chunkOverlap })
+    };
+    console.log(`Batch upload of ${req.files.length} file(s) received`);
+
+    const batch = await batchUploadService.createBatch(req.files, { chunking, createdBy: req.user?._id });
+    return res.status(202).json({
+      status: "success",
+      batchId: batch.id,
+      batch,
+      message: `${batch.counts.total - batch.counts.skipped} document(s) queued, ${batch.counts.skipped} skipped`
+    });
+  } catch (error) {
+    console.error("Batch upload error:", error);
+    await Promise.all(req.files.map(file => fs.unlink(file.path).catch(() => {})));
+    return res.status(500).json({
+      status: "error",
+      message: `Error creating batch: ${error.message}`
+    });
+  }
+};
+
+router.post("/batch", auth.required, auth.hasRole('admin'), batchUpload.array("files", batchUploadService.maxFiles), chunkingValidators, (req, res, next) => {
+  Promise.resolve(batchHandler(req, res)).catch(next);
+}, handleMulterError);
+
+// POST /upload/batch/:batchId/cancel - Cancel the batch's queued and running jobs, admin only
+router.post("/batch/:batchId/cancel", auth.required, auth.hasRole('admin'), async (req, res) => {
+  try {
+    const batch = await batchUploadService.cancelBatch(req.params.batchId);
+    return res.json({
+      status: "success",
+      batch
+    });
+  } catch (error) {
+    if (!error.status) console.error("Batch cancel error:", error);
+    return res.status(error.status || 500).json({
+      status: "error",
+      message: error.status ? error.message : "Failed to cancel batch"
+    });
+  }
+});
+
 // Wrap the handler to catch synchronous errors
-router.post("/", auth.required, auth.hasRole('admin'), handleMulterError, upload.single("pdf"), (req, res, next) => {
+router.post("/", auth.required, auth.hasRole('admin'), upload.single("pdf"), chunkingValidators, (req, res, next) => {
   Promise.resolve(uploadHandler(req, res)).catch(next);
-});
+}, handleMulterError);
 
 module.exports = router;
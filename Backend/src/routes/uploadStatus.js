@@ -1,23 +1,87 @@
 const express = require('express');
 const router = express.Router();
 const { getJobStatus } = require('../services/backgroundJobService');
+const batchUploadService = require('../services/batchUploadService');
+const jobEventService = require('../services/jobEventService');
+const auth = require('../middleware/auth');
 
-// GET /upload-status/:jobId - Get upload job status
-router.get('/:jobId', (req, res) => {
+// GET /upload-status/batch/:batchId - Aggregate status of a batch upload and its files (admin only)
+router.get('/batch/:batchId', auth.required, auth.hasRole('admin'), async (req, res) => {
+  try {
+    const batch = await batchUploadService.getBatchStatus(req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Batch not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      batch
+    });
+  } catch (error) {
+    console.error('Error fetching batch status:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch batch status'
+    });
+  }
+});
+
+// GET /upload-status/:jobId/events - Server-Sent Events for one job: its status,
+// then `progress` events per stage (with chunks embedded and an ETA) and `status`
+// events as it changes; the stream ends when the job completes, fails or is cancelled (admin only)
+router.get('/:jobId/events', auth.required, auth.hasRole('admin'), async (req, res) => {
   const { jobId } = req.params;
-  const jobStatus = getJobStatus(jobId);
-  
-  if (!jobStatus) {
-    return res.status(404).json({
+
+  try {
+    if (!await getJobStatus(jobId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+  } catch (error) {
+    console.error('Error fetching job status:', error);
+    return res.status(500).json({
       status: 'error',
-      message: 'Job not found'
+      message: 'Failed to fetch job status'
     });
   }
-  
-  res.json({
-    status: 'success',
-    job: jobStatus
+
+  await jobEventService.stream(req, res, {
+    jobId,
+    initial: async () => [{ event: 'status', data: await getJobStatus(jobId) }]
   });
 });
 
+// GET /upload-status/:jobId - Get upload job status (jobs are stored, so this survives restarts) (admin only)
+router.get('/:jobId', auth.required, auth.hasRole('admin'), async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const jobStatus = await getJobStatus(jobId);
+
+    if (!jobStatus) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      job: jobStatus
+    });
+  } catch (error) {
+    console.error('Error fetching job status:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch job status'
+    });
+  }
+});
+
 module.exports = router;
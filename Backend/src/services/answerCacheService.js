@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const DocumentChunk = require('../models/DocumentChunk');
+const { LRUCache } = require('./utils/lruCache');
+const { cosineSimilarity } = require('./utils/hnswIndex');
+const { readCount, readNumber } = require('./utils/settings');
+
+/**
+ * Answer Cache Service - semantic cache of generated chat answers
+ * A new query reuses a stored answer when its embedding is close enough to a
+ * previous query asked with the same retrieval options against the same
+ * document set. Entries are dropped when the chunks they cite are deleted,
+ * and the whole cache goes stale when new chunks are ingested, documents are
+ * renamed, retagged or replaced by another version, or the active embedding
+ * model changes. The cache is shared by all users, so chatService only uses
+ * it for questions asked without chat history in the prompt.
+ */
+class AnswerCacheService {
+  constructor() {
+    this.similarityThreshold = readNumber(process.env.ANSWER_CACHE_SIMILARITY, 0.95);
+    this.cache = new LRUCache({
+      maxSize: readCount(process.env.ANSWER_CACHE_SIZE, 500),
+      ttlMs: readCount(process.env.ANSWER_CACHE_TTL_MINUTES, 60) * 60 * 1000
+    });
+    // Bumped on every ingest; answers from an older document set are stale
+    this.documentSetVersion = 0;
+
+    this.handleInserted = this.handleInserted.bind(this);
+    this.handleDeleted = this.handleDeleted.bind(this);
+    this.handleModelActivated = this.handleModelActivated.bind(this);
+    this.handleUpdated = this.handleUpdated.bind(this);
+    this.handleVersionsChanged = this.handleVersionsChanged.bind(this);
+    DocumentChunk.events.on('chunksInserted', this.handleInserted);
+    DocumentChunk.events.on('chunksDeleted', this.handleDeleted);
+    DocumentChunk.events.on('chunksUpdated', this.handleUpdated);
+    DocumentChunk.events.on('versionsChanged', this.handleVersionsChanged);
+    DocumentChunk.events.on('embeddingModelActivated', this.handleModelActivated);
+  }
+
+  /**
+   * Whether answer caching is turned on
+   * @returns {boolean} False only when ANSWER_CACHE_ENABLED is "false"
+   */
+  isEnabled() {
+    return process.env.ANSWER_CACHE_ENABLED !== 'false';
+  }
+
+  /**
+   * Fingerprint of the options that change which chunks are retrieved
+   * @param {Object} options - Chat retrieval options
+   * @returns {string} Options key
+   */
+  getOptionsKey(options = {}) {
+    const relevant = {
+      filter: options.filter || null,
+      searchMode: options.searchMode || null,
+      rerank: options.rerank ?? null,
+      mmr: options.mmr ?? null,
+      mmrLambda: options.mmrLambda ?? null,
+      maxChunksPerDocument: options.maxChunksPerDocument ?? null,
+      contextExpansion: options.contextExpansion || null
+    };
+    return crypto.createHash('sha1').update(JSON.stringify(relevant)).digest('hex');
+  }
+
+  /**
+   * Find a cached answer for a semantically equivalent query
+   * @param {Array<number>} queryEmbedding - Embedding of the search query
+   * @param {Object} options - Chat retrieval options
+   * @returns {Object|null} Cached entry with `similarity`, or null on a miss
+   */
+  lookup(queryEmbedding, options = {}) {
+    if (!this.isEnabled()) return null;
+
+    const optionsKey = this.getOptionsKey(options);
+    let best = null;
+    let bestSimilarity = this.similarityThreshold;
+
+    for (const [key, entry] of this.cache.liveEntries()) {
+      if (entry.optionsKey !== optionsKey || entry.documentSetVersion !== this.documentSetVersion) {
+        continue;
+      }
+      if (entry.queryEmbedding.length !== queryEmbedding.length) continue;
+
+      const similarity = cosineSimilarity(queryEmbedding, entry.queryEmbedding);
+      if (similarity >= bestSimilarity) {
+        best = { key, entry };
+        bestSimilarity = similarity;
+      }
+    }
+
+    if (!best) {
+      this.cache.misses++;
+      return null;
+    }
+
+    // Mark as recently used
+    this.cache.get(best.key);
+    console.log(`💾 Answer cache hit (similarity ${bestSimilarity.toFixed(3)}) for "${best.entry.query}"`);
+    return { ...best.entry, similarity: bestSimilarity };
+  }
+
+  /**
+   * Store a generated answer
+   * @param {Object} params - Entry data
+   * @param {string} params.query - Search query the answer was generated for
+   * @param {Array<number>} params.queryEmbedding - Embedding of the search query
+   * @param {Object} params.options - Chat retrieval options
+   * @param {string} params.answer - Final answer text (with citations)
+   * @param {Array} params.chunks - Chunks used as context
+   * @param {Array} params.citations - Citation metadata sent to the client
+   * @param {Object} params.citationSummary - Citation summary
+   * @param {number} params.documentSetVersion - Version read before retrieval started
+   */
+  store({ query, queryEmbedding, options, answer, chunks, citations, citationSummary, documentSetVersion }) {
+    if (!this.isEnabled() || !queryEmbedding || chunks.length === 0) return;
+
+    // Documents were ingested while this answer was being generated
+    if (documentSetVersion !== this.documentSetVersion) return;
+
+    const optionsKey = this.getOptionsKey(options);
+    this.cache.set(`${optionsKey}:${query.trim().toLowerCase()}`, {
+      query,
+      queryEmbedding,
+      optionsKey,
+      documentSetVersion,
+      answer,
+      citations,
+      citationSummary,
+      chunks: chunks.map(chunk => ({
+        _id: chunk._id,
+        chunkId: chunk.chunkId,
+        fileId: chunk.fileId,
+        fileName: chunk.fileName,
+        content: chunk.content,
+        pages: chunk.pages,
+        pageReferences: chunk.pageReferences,
+        relevanceScore: chunk.relevanceScore
+      })),
+      chunkIds: chunks.map(chunk => chunk._id?.toString()).filter(Boolean),
+      createdAt: new Date()
+    });
+  }
+
+  /**
+   * New chunks can outrank the ones behind any cached answer
+   * @param {Array<Object>} docs - Inserted chunk documents
+   */
+  handleInserted(docs) {
+    if (!docs || docs.length === 0) return;
+
+    this.documentSetVersion++;
+    if (this.cache.size > 0) {
+      console.log(`💾 Answer cache cleared after ingest of ${new Set(docs.map(doc => doc.fileId)).size} file(s)`);
+      this.cache.clear();
+    }
+  }
+
+  /**
+   * Drop answers that cite deleted chunks
+   * @param {Array<string>} ids - Deleted chunk IDs
+   */
+  handleDeleted(ids) {
+    const deleted = new Set(ids);
+    const removed = this.cache.deleteWhere(entry => entry.chunkIds.some(id => deleted.has(id)));
+    if (removed > 0) {
+      console.log(`💾 Answer cache dropped ${removed} answer(s) citing deleted chunks`);
+    }
+  }
+
+  /**
+   * Renamed or retagged chunks change citations and which chunks a tag filter matches
+   * @param {Array<Object>} chunks - Updated chunks
+   */
+  handleUpdated(chunks) {
+    if (!chunks || chunks.length === 0) return;
+
+    this.documentSetVersion++;
+    if (this.cache.size > 0) {
+      console.log(`💾 Answer cache cleared after ${chunks[0].fileName} was renamed or retagged`);
+      this.cache.clear();
+    }
+  }
+
+  /**
+   * A different version of a document is now the one retrieval searches
+   * @param {string} seriesId - Version chain that changed
+   */
+  handleVersionsChanged(seriesId) {
+    this.documentSetVersion++;
+    if (this.cache.size > 0) {
+      console.log(`💾 Answer cache cleared after the current version of ${seriesId} changed`);
+      this.cache.clear();
+    }
+  }
+
+  /**
+   * Cached query embeddings belong to the previous embedding space
+   * @param {string} model - Newly active model
+   */
+  handleModelActivated(model) {
+    this.documentSetVersion++;
+    if (this.cache.size > 0) {
+      console.log(`💾 Answer cache cleared after switching embeddings to ${model}`);
+      this.cache.clear();
+    }
+  }
+
+  /**
+   * Remove every cached answer
+   */
+  clear() {
+    this.cache.clear();
+  }
+
+  /**
+   * Cache statistics for monitoring
+   * @returns {Object} Size, hits, misses and document set version
+   */
+  stats() {
+    return { ...this.cache.stats(), documentSetVersion: this.documentSetVersion };
+  }
+}
+
+module.exports = new AnswerCacheService();
@@ -1,143 +1,857 @@
-const { processPDF } = require('./pdfService');
+const mongoose = require('mongoose');
+const os = require('os');
+const { processDocument, detectExtractor } = require('./extractors');
+const chunkingSettingsService = require('./chunkingSettingsService');
 const { embedBatch } = require('./embedding');
+const embeddingSpaceService = require('./embeddingSpaceService');
+const documentVersionService = require('./documentVersionService');
+const duplicateDetectionService = require('./duplicateDetectionService');
+const documentMetadataService = require('./documentMetadataService');
+const jobEventService = require('./jobEventService');
 const DocumentChunk = require('../models/DocumentChunk');
+const Document = require('../models/Document');
+const IngestionJob = require('../models/IngestionJob');
+const StagedChunk = require('../models/StagedChunk');
 const crypto = require('crypto');
 const fs = require('fs').promises;
+const { readCount } = require('./utils/settings');
+const { statusError } = require('./utils/errors');
 
-// In-memory job status store (in production, use Redis or database)
-const jobStatus = new Map();
+// Jobs processed at once by this server
+const CONCURRENCY = readCount(process.env.INGESTION_CONCURRENCY, 2);
+// Attempts before a job is marked failed
+const MAX_ATTEMPTS = readCount(process.env.INGESTION_MAX_ATTEMPTS, 3);
+// Delay before the first retry; doubles with every attempt
+const RETRY_BASE_MS = readCount(process.env.INGESTION_RETRY_BASE_MS, 5000);
+const RETRY_MAX_MS = 10 * 60 * 1000;
+// A job whose worker has not sent a heartbeat for this long is taken over
+const LEASE_MS = readCount(process.env.INGESTION_LEASE_MS, 30000);
+const POLL_MS = readCount(process.env.INGESTION_POLL_MS, 2000);
+// Chunks embedded between checkpoints
+const EMBED_BATCH_SIZE = readCount(process.env.INGESTION_EMBED_BATCH_SIZE, 64);
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Stage that runs after each checkpoint
+const NEXT_STAGE = { parsed: 'embed', embedded: 'store', stored: 'finish' };
+
+// Identifies this process as the holder of a job's lease
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Job ID -> { stop: null | 'cancelled' | 'lost', completion } for jobs running here
+const active = new Map();
+let pollTimer = null;
+let ticking = false;
+let tickAgain = false;
+
+/**
+ * Error that retrying cannot fix (bad input, missing file); the job fails at once
+ * @param {string} message - Error message
+ * @param {number} [status=422] - HTTP status
+ * @returns {Error} Permanent error
+ */
+function permanent(message, status = 422) {
+  const error = statusError(message, status);
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * Whether an error should fail the job without further attempts
+ * @param {Error} error - Thrown error
+ * @returns {boolean} True for permanent errors
+ */
+function isPermanent(error) {
+  return error.permanent || error.code === 'ENOENT' || (error.status >= 400 && error.status < 500);
+}
 
 /**
- * Create a new background job for PDF processing
- * @param {Object} file - Uploaded file object
- * @returns {string} Job ID
+ * Queue a document for ingestion
+ * @param {Object} file - Uploaded file object (multer)
+ * @param {Object} [options] - Processing options
+ * @param {Object} [options.chunking] - { strategy?, size?, overlap? } overriding the defaults for the format
+ * @param {string} [options.type='upload'] - 'upload' or 'reindex'
+ * @param {string} [options.createdBy] - User ID
+ * @param {string} [options.batchId] - Batch upload the job belongs to
+ * @returns {Promise<string>} Job ID
  */
-function createJob(file) {
-  const jobId = crypto.randomUUID();
-  jobStatus.set(jobId, {
-    id: jobId,
-    status: 'pending',
-    progress: 0,
+async function createJob(file, options = {}) {
+  const job = await IngestionJob.create({
+    type: options.type || 'upload',
     fileId: file.filename,
     fileName: file.originalname,
     filePath: file.path,
-    message: 'Job created, waiting to start processing...',
-    createdAt: new Date(),
-    error: null,
-    result: null
+    mimeType: file.mimetype,
+    options: {
+      ...(options.chunking && { chunking: options.chunking })
+    },
+    maxAttempts: MAX_ATTEMPTS,
+    message: 'Job queued, waiting for a worker...',
+    createdBy: options.createdBy || null,
+    ...(options.batchId && { batchId: options.batchId })
   });
-  
-  // Start processing in background
-  processPDFInBackground(jobId, file);
-  
-  return jobId;
+  await Document.updateOne(
+    { fileId: job.fileId },
+    { $set: { status: 'processing', lastJobId: job._id }, $unset: { error: 1 } }
+  );
+  jobEventService.publishStatus(toStatus(job));
+
+  tick();
+  return job._id.toString();
+}
+
+/**
+ * Re-index a stored document from its original file, with the chunking
+ * settings it was indexed with unless new ones are given
+ * @param {string} fileId - Stored file ID
+ * @param {Object} [chunking] - { strategy?, size?, overlap? } replacing the stored settings
+ * @param {Object} [options] - Job options
+ * @param {string} [options.createdBy] - User ID
+ * @returns {Promise<string>} Job ID
+ * @throws {Error} Status 404 if the document or its file is gone, 400 for invalid settings
+ */
+async function createReindexJob(fileId, chunking, options = {}) {
+  const record = await Document.findOne({ fileId }).select('filePath fileName mimeType').lean();
+  if (!record) {
+    throw statusError(`Document ${fileId} not found`, 404);
+  }
+  // A document whose upload failed has no chunks and starts from the defaults
+  const chunk = await DocumentChunk.findOne({ fileId }).select('chunking').lean();
+
+  const stored = chunk?.chunking?.strategy
+    ? { strategy: chunk.chunking.strategy, size: chunk.chunking.size, overlap: chunk.chunking.overlap }
+    : {};
+  // A new strategy starts from its own defaults; otherwise only the given values change
+  const settings = chunking?.strategy && chunking.strategy !== stored.strategy
+    ? chunking
+    : { ...stored, ...chunking };
+
+  let extractor;
+  try {
+    extractor = await detectExtractor(record.filePath, { fileName: record.fileName, mimeType: record.mimeType });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      error.status = 404;
+      error.message = `Original file for ${fileId} is no longer on disk`;
+    }
+    throw error;
+  }
+  await chunkingSettingsService.resolve(extractor.name, settings);
+
+  return createJob(
+    { filename: fileId, originalname: record.fileName, path: record.filePath, mimetype: record.mimeType },
+    { chunking: settings, type: 'reindex', createdBy: options.createdBy }
+  );
+}
+
+/**
+ * Record on the document how a job that did not complete ended. A document
+ * that still has chunks from an earlier run stays ready.
+ * @param {Object} job - IngestionJob document or plain object
+ * @param {string} status - 'failed' or 'cancelled'
+ * @param {string} [error] - Error message for failed jobs
+ * @returns {Promise<void>}
+ */
+async function settleDocument(job, status, error) {
+  const hasChunks = await DocumentChunk.exists({ fileId: job.fileId });
+  await Document.updateOne(
+    { fileId: job.fileId, lastJobId: job._id },
+    error
+      ? { $set: { status: hasChunks ? 'ready' : status, error } }
+      : { $set: { status: hasChunks ? 'ready' : status }, $unset: { error: 1 } }
+  );
+}
+
+/**
+ * Public view of a job
+ * @param {Object} job - IngestionJob document or plain object
+ * @returns {Object} Job status
+ */
+function toStatus(job) {
+  return {
+    id: job._id.toString(),
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    fileId: job.fileId,
+    fileName: job.fileName,
+    message: job.message,
+    checkpoint: job.checkpoint,
+    // Stage running now: parse, embed, store or finish
+    stage: job.status === 'processing' ? NEXT_STAGE[job.checkpoint] || 'parse' : null,
+    ...(job.parsed && { embeddedChunks: job.embeddedChunks, totalChunks: job.parsed.chunks }),
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    ...(job.status === 'pending' && job.attempts > 0 && { nextAttemptAt: job.runAfter }),
+    cancelRequested: job.cancelRequested,
+    batchId: job.batchId ? job.batchId.toString() : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error || null,
+    errorHistory: job.errorHistory || [],
+    result: job.result || null
+  };
+}
+
+/**
+ * Publish a job's stored state to live progress streams
+ * @param {Object} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+async function announce(jobId) {
+  try {
+    const job = await IngestionJob.findById(jobId).lean();
+    if (job) jobEventService.publishStatus(toStatus(job));
+  } catch (error) {
+    console.warn(`⚠️ Could not publish the status of job ${jobId}: ${error.message}`);
+  }
+}
+
+/**
+ * Find a job or throw a 404-style error
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} IngestionJob document
+ */
+async function findJob(jobId) {
+  const job = mongoose.Types.ObjectId.isValid(jobId) ? await IngestionJob.findById(jobId) : null;
+  if (!job) {
+    throw statusError('Job not found', 404);
+  }
+  return job;
 }
 
 /**
  * Get job status by ID
  * @param {string} jobId - Job ID
- * @returns {Object|null} Job status or null if not found
+ * @returns {Promise<Object|null>} Job status or null if not found
  */
-function getJobStatus(jobId) {
-  return jobStatus.get(jobId) || null;
+async function getJobStatus(jobId) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+  const job = await IngestionJob.findById(jobId).lean();
+  return job ? toStatus(job) : null;
 }
 
 /**
- * Process PDF in background
+ * Recent jobs, newest first
+ * @param {Object} [options] - List options
+ * @param {string} [options.status] - Only jobs in this state
+ * @param {string} [options.fileId] - Only jobs for this document
+ * @param {string} [options.batchId] - Only jobs of this batch upload
+ * @param {number} [options.limit=50] - Maximum jobs
+ * @returns {Promise<Array>} Job statuses
+ */
+async function listJobs(options = {}) {
+  const query = {
+    ...(options.status && { status: options.status }),
+    ...(options.fileId && { fileId: options.fileId }),
+    ...(options.batchId && { batchId: options.batchId })
+  };
+  const jobs = await IngestionJob.find(query)
+    .sort({ createdAt: -1 })
+    .limit(options.limit || 50)
+    .lean();
+  return jobs.map(toStatus);
+}
+
+/**
+ * Cancel a queued or running job. A running job stops at its next
+ * checkpoint; chunks already stored for the document are left as they are.
  * @param {string} jobId - Job ID
- * @param {Object} file - File object
+ * @returns {Promise<Object>} Job status (still processing, with cancelRequested, until a running job stops)
+ * @throws {Error} Status 404 if not found, 409 if already finished
+ */
+async function cancelJob(jobId) {
+  const job = await findJob(jobId);
+  if (FINISHED_STATUSES.includes(job.status)) {
+    throw statusError(`Cannot cancel a ${job.status} job`, 409);
+  }
+
+  const queued = await IngestionJob.findOneAndUpdate(
+    { _id: job._id, status: 'pending' },
+    { $set: { status: 'cancelled', cancelRequested: true, message: 'Cancelled before processing finished', finishedAt: new Date() } },
+    { new: true }
+  );
+  if (queued) {
+    await StagedChunk.deleteMany({ jobId: job._id });
+    await settleDocument(queued, 'cancelled');
+    jobEventService.publishStatus(toStatus(queued));
+    return toStatus(queued);
+  }
+
+  // Running: the worker holding the lease sees the flag at its next heartbeat
+  // and stops at the following checkpoint
+  await IngestionJob.updateOne({ _id: job._id }, { $set: { cancelRequested: true } });
+  const control = active.get(job._id.toString());
+  if (control) control.stop = 'cancelled';
+  const status = await getJobStatus(jobId);
+  jobEventService.publishStatus(status);
+  return status;
+}
+
+/**
+ * Queue a failed or cancelled job again from the start, with fresh attempts
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Job status
+ * @throws {Error} Status 404 if not found, 409 unless failed or cancelled
+ */
+async function retryJob(jobId) {
+  const job = await findJob(jobId);
+  const retried = await IngestionJob.findOneAndUpdate(
+    { _id: job._id, status: { $in: ['failed', 'cancelled'] } },
+    {
+      $set: {
+        status: 'pending',
+        progress: 0,
+        message: 'Job queued again, waiting for a worker...',
+        checkpoint: null,
+        embeddedChunks: 0,
+        attempts: 0,
+        runAfter: new Date(),
+        cancelRequested: false
+      },
+      $unset: { parsed: 1, embeddingModels: 1, error: 1, result: 1, finishedAt: 1, lockedBy: 1 }
+    },
+    { new: true }
+  );
+  if (!retried) {
+    throw statusError(`Cannot retry a ${job.status} job`, 409);
+  }
+
+  await StagedChunk.deleteMany({ jobId: job._id });
+  await Document.updateOne(
+    { fileId: job.fileId },
+    { $set: { status: 'processing', lastJobId: job._id }, $unset: { error: 1 } }
+  );
+  jobEventService.publishStatus(toStatus(retried));
+  tick();
+  return toStatus(retried);
+}
+
+/**
+ * Write job fields while this server still holds the lease
+ * @param {Object} job - IngestionJob document
+ * @param {Object} fields - Fields to set
+ * @param {Object} [push] - Fields to push
+ * @returns {Promise<void>}
+ * @throws {Error} If another server took the job over
  */
-async function processPDFInBackground(jobId, file) {
-  const job = jobStatus.get(jobId);
-  if (!job) return;
+async function saveJob(job, fields, push) {
+  const update = { $set: { ...fields, heartbeatAt: new Date() } };
+  if (push) update.$push = push;
+
+  const { matchedCount } = await IngestionJob.updateOne({ _id: job._id, lockedBy: workerId }, update);
+  if (matchedCount === 0) {
+    const error = new Error(`Lost the lease on job ${job._id}`);
+    error.leaseLost = true;
+    throw error;
+  }
+  Object.assign(job, fields);
+}
+
+/**
+ * Throw if the job was cancelled or taken over since the last check
+ * @param {Object} control - Run control
+ */
+function checkStop(control) {
+  if (control.stop) {
+    const error = new Error(control.stop === 'cancelled' ? 'Job cancelled' : 'Lost the job lease');
+    error.stop = control.stop;
+    throw error;
+  }
+}
+
+/**
+ * Stage 1: extract and chunk the file, staging the chunks
+ * @param {Object} job - IngestionJob document
+ * @param {Object} control - Run control
+ */
+async function parseStage(job, control) {
+  await saveJob(job, { progress: 10, message: 'Extracting text...' });
+  jobEventService.publishProgress(job, 'parse');
 
   try {
-    job.status = 'processing';
-    job.message = 'Starting PDF processing...';
-    job.progress = 10;
-
-    // Check if file exists
-    await fs.access(file.path);
-    job.message = 'File confirmed, extracting text...';
-    job.progress = 20;
-
-    // Process PDF
-    const chunks = await processPDF(file.path);
-    job.message = `PDF parsed into ${chunks.length} chunks, generating embeddings...`;
-    job.progress = 40;
-
-    if (chunks.length === 0) {
-      throw new Error('PDF appears to be empty or could not be processed');
+    await fs.access(job.filePath);
+  } catch (error) {
+    throw permanent(`Original file ${job.fileName} is no longer on disk`, 404);
+  }
+
+  // Extract page by page (or section by section) so chunks carry real locations
+  const { format, chunks, chunking, ocr, properties } = await processDocument(job.filePath, {
+    fileName: job.fileName,
+    mimeType: job.mimeType,
+    chunking: job.options?.chunking,
+    onExtracted: async ({ format: extracted, segments, tables }) => {
+      checkStop(control);
+      await saveJob(job, {
+        progress: 25,
+        message: `Extracted ${segments} ${extracted.toUpperCase()} segments and ${tables} tables, chunking...`
+      });
+      jobEventService.publishProgress(job, 'chunk');
     }
+  });
+  if (chunks.length === 0) {
+    throw permanent(ocr
+      ? 'Document appears to be a scan and OCR found no text'
+      : 'Document appears to be empty or could not be processed');
+  }
+  checkStop(control);
 
-    // Generate embeddings in batches
-    const chunkTexts = chunks.map(chunk => chunk.content);
-    const embeddings = await embedBatch(chunkTexts);
-    job.message = 'Embeddings generated, storing in database...';
-    job.progress = 70;
-
-    // Prepare documents for database
-    const documents = chunks.map((chunk, index) => {
-      const hash = crypto.createHash('md5').update(
-        file.filename + chunk.content + index
-      ).digest('hex');
-      
-      return {
-        fileId: file.filename,
-        filePath: file.path,
-        fileName: file.originalname,
-        chunkId: `chunk_${index + 1}`,
-        content: chunk.content,
-        hash: hash,
-        pages: chunk.pages || [{ page: index + 1, startChar: 0, endChar: chunk.content.length }],
-        embedding: embeddings[index]
-      };
-    });
+  const pageCount = new Set(chunks.flatMap(chunk => chunk.pages.map(p => p.page))).size;
+  const unit = chunks.some(chunk => chunk.pages.some(p => p.section)) ? 'sections' : 'pages';
+  const tableCount = chunks.filter(chunk => chunk.table).length;
+  await duplicateDetectionService.storeSignature(job.fileId, chunks);
+  const { title, language, keywords } = await documentMetadataService.storeMetadata(job.fileId, chunks, properties);
+
+  // Chunks staged by an attempt that stopped before this checkpoint are replaced
+  await StagedChunk.deleteMany({ jobId: job._id });
+  await StagedChunk.insertMany(chunks.map((chunk, index) => ({ jobId: job._id, index, chunk })));
 
-    // Clear existing documents for this file
-    await DocumentChunk.deleteMany({ fileId: file.filename });
-    
-    // Insert new documents
-    await DocumentChunk.insertMany(documents);
-    
-    // Verify insertion
-    const count = await DocumentChunk.countDocuments({ fileId: file.filename });
-    
-    job.status = 'completed';
-    job.progress = 100;
-    job.message = `Successfully processed and stored ${count} chunks`;
-    job.result = {
-      fileId: file.filename,
-      fileName: file.originalname,
+  const ocrNote = ocr ? `, ${ocr.pages.length} OCRed (${ocr.lowConfidencePages.length} low confidence)` : '';
+  await saveJob(job, {
+    checkpoint: 'parsed',
+    parsed: {
+      format,
+      chunking,
       chunks: chunks.length,
-      embeddings: embeddings.length
+      tables: tableCount,
+      unit,
+      pageCount,
+      ...(ocr && { ocr }),
+      metadata: { title: title || null, language: language || null, keywords }
+    },
+    embeddedChunks: 0,
+    progress: 40,
+    message: `${format.toUpperCase()} parsed into ${chunks.length} ${chunking.strategy} chunks (${tableCount} tables) from ${pageCount} ${unit}${ocrNote}, generating embeddings...`
+  });
+  jobEventService.publishProgress(job, 'embed', { done: 0, total: chunks.length });
+}
+
+/**
+ * Stage 2: embed the staged chunks batch by batch, checkpointing each batch
+ * @param {Object} job - IngestionJob document
+ * @param {Object} control - Run control
+ */
+async function embedStage(job, control) {
+  if (!job.embeddingModels?.length) {
+    // The active model and any space being migrated to
+    await saveJob(job, { embeddingModels: await embeddingSpaceService.getWriteModels() });
+  }
+
+  const total = job.parsed.chunks;
+  // Rate of this run, for the ETA; a resumed job counts from where it resumed
+  const started = { at: Date.now(), done: job.embeddedChunks };
+  const reportEmbedded = (done) => {
+    const rate = (done - started.done) / (Date.now() - started.at);
+    jobEventService.publishProgress(job, 'embed', {
+      done,
+      total,
+      ...(rate > 0 && { etaSeconds: Math.ceil((total - done) / rate / 1000) }),
+      progress: 40 + Math.round((done / total) * 30),
+      message: `Embedding chunk ${done}/${total}...`
+    }, { throttle: done < total });
+  };
+
+  while (job.embeddedChunks < total) {
+    checkStop(control);
+    const batch = await StagedChunk.find({ jobId: job._id, index: { $gte: job.embeddedChunks } })
+      .sort({ index: 1 })
+      .limit(EMBED_BATCH_SIZE)
+      .lean();
+    if (batch.length === 0) {
+      throw new Error(`Staged chunks for job ${job._id} are missing`);
+    }
+
+    const texts = batch.map(staged => staged.chunk.content);
+    const vectorsByModel = {};
+    const models = job.embeddingModels;
+    for (const [m, model] of models.entries()) {
+      // With several spaces, a chunk counts as embedded once every model has embedded it
+      const onProgress = (n) => reportEmbedded(job.embeddedChunks + Math.floor((m * texts.length + n) / models.length));
+      vectorsByModel[model] = await embedBatch(texts, { model, onProgress });
+    }
+
+    await StagedChunk.bulkWrite(batch.map((staged, index) => ({
+      updateOne: {
+        filter: { _id: staged._id },
+        update: {
+          $set: {
+            vectors: Object.fromEntries(job.embeddingModels.map(model => [model, vectorsByModel[model][index]]))
+          }
+        }
+      }
+    })));
+
+    const embedded = batch[batch.length - 1].index + 1;
+    await saveJob(job, {
+      embeddedChunks: embedded,
+      progress: 40 + Math.round((embedded / total) * 30),
+      message: `Embedded ${embedded}/${total} chunks...`
+    });
+  }
+
+  await saveJob(job, { checkpoint: 'embedded', progress: 70, message: 'Embeddings generated, storing in database...' });
+  jobEventService.publishProgress(job, 'store');
+}
+
+/**
+ * Stage 3: replace the document's chunks with the staged ones
+ * @param {Object} job - IngestionJob document
+ * @param {Object} control - Run control
+ */
+async function storeStage(job, control) {
+  checkStop(control);
+  const staged = await StagedChunk.find({ jobId: job._id }).sort({ index: 1 }).lean();
+  if (staged.length !== job.parsed.chunks || staged.some(entry => !entry.vectors)) {
+    throw new Error(`Staged chunks for job ${job._id} are incomplete`);
+  }
+
+  // Name and tags may have been edited in the document library since the job was queued
+  const record = await Document.findOne({ fileId: job.fileId })
+    .select('fileId fileName tags metadata seriesId version uploadedAt')
+    .lean();
+  if (!record) {
+    throw permanent(`Document ${job.fileId} was deleted before its chunks were stored`, 410);
+  }
+
+  const { chunking } = job.parsed;
+  const fileName = record.fileName;
+  const tags = record.tags;
+  const metadata = documentMetadataService.toChunkMetadata(record.metadata);
+  const version = await documentVersionService.getChunkVersion(record);
+  const documents = staged.map(({ chunk, vectors }, index) => {
+    const hash = crypto.createHash('md5').update(
+      job.fileId + chunk.content + index
+    ).digest('hex');
+
+    return {
+      fileId: job.fileId,
+      filePath: job.filePath,
+      fileName,
+      chunkId: chunk.chunkId,
+      content: chunk.content,
+      hash: hash,
+      pages: chunk.pages,
+      sectionPath: chunk.sectionPath,
+      ...(chunk.table && { table: chunk.table }),
+      chunking,
+      ...(tags?.length && { tags }),
+      ...(metadata && { metadata }),
+      ...(version && { version }),
+      uploadedAt: record.uploadedAt,
+      ...embeddingSpaceService.buildEmbeddingFields(vectors)
     };
+  });
+
+  // Replace the document's chunks; repeating this after a crash gives the same result
+  await DocumentChunk.deleteMany({ fileId: job.fileId });
+  await DocumentChunk.insertMany(documents);
+
+  // A delete that landed after the record was read removed the chunks before
+  // they were written; remove them again so no chunk outlives its document
+  if (!await Document.exists({ fileId: job.fileId })) {
+    await DocumentChunk.deleteMany({ fileId: job.fileId });
+    throw permanent(`Document ${job.fileId} was deleted while its chunks were stored`, 410);
+  }
 
-    console.log(`Background job ${jobId} completed successfully`);
+  await saveJob(job, { checkpoint: 'stored', progress: 95, message: 'Chunks stored, finishing...' });
+  jobEventService.publishProgress(job, 'finish');
+}
+
+/**
+ * Run a claimed job from its checkpoint to the end, then record the outcome:
+ * completed, cancelled, retried with backoff, or failed
+ * @param {Object} job - Claimed IngestionJob document
+ * @param {Object} control - Run control
+ * @returns {Promise<void>}
+ */
+async function runJob(job, control) {
+  try {
+    jobEventService.publishStatus(toStatus(job));
+    if (job.attempts > job.maxAttempts) {
+      throw permanent(`Gave up after ${job.maxAttempts} attempts`);
+    }
+    if (job.checkpoint) {
+      console.log(`♻️ Resuming ingestion job ${job._id} (${job.fileName}) after the ${job.checkpoint} checkpoint`);
+    }
+
+    if (!job.checkpoint) await parseStage(job, control);
+    if (job.checkpoint === 'parsed') await embedStage(job, control);
+    if (job.checkpoint === 'embedded') await storeStage(job, control);
+
+    const count = await DocumentChunk.countDocuments({ fileId: job.fileId });
+    const { format, chunking, chunks, tables, unit, pageCount, ocr, metadata } = job.parsed;
+    const lowConfidencePages = ocr?.lowConfidencePages.map(({ page }) => page) || [];
+
+    await Document.updateOne({ fileId: job.fileId }, {
+      $set: {
+        status: 'ready',
+        format,
+        pageCount,
+        pageUnit: unit,
+        chunkCount: count,
+        tableCount: tables,
+        indexedAt: new Date()
+      },
+      $unset: { error: 1 }
+    });
+    // A new version replaces the current one once its chunks are stored
+    await documentVersionService.handleIngested(job);
+    const nearDuplicates = job.type === 'upload' ? await duplicateDetectionService.checkUpload(job.fileId) : [];
+    const notes = [];
+    if (lowConfidencePages.length) {
+      notes.push(`OCR confidence is low on pages ${lowConfidencePages.join(', ')}`);
+    }
+    if (nearDuplicates.length) {
+      notes.push(`very similar to ${nearDuplicates.map(match => `${match.fileName} (${Math.round(match.similarity * 100)}%)`).join(', ')}`);
+    }
+
+    await saveJob(job, {
+      status: 'completed',
+      progress: 100,
+      message: `Successfully processed and stored ${count} chunks${notes.map(note => `; ${note}`).join('')}`,
+      result: {
+        fileId: job.fileId,
+        fileName: job.fileName,
+        format,
+        chunks,
+        tables,
+        [unit]: pageCount,
+        chunking,
+        ...(ocr && { ocr }),
+        ...(metadata && { metadata }),
+        ...(nearDuplicates.length && { nearDuplicates }),
+        embeddingModels: job.embeddingModels
+      },
+      finishedAt: new Date(),
+      lockedBy: null
+    });
+    await StagedChunk.deleteMany({ jobId: job._id });
+    jobEventService.publishStatus(toStatus(job));
 
+    console.log(`Background job ${job._id} completed successfully`);
   } catch (error) {
-    console.error(`Background job ${jobId} failed:`, error);
-    job.status = 'failed';
-    job.error = error.message;
-    job.message = `Processing failed: ${error.message}`;
+    if (error.leaseLost || control.stop === 'lost') {
+      console.warn(`⚠️ Ingestion job ${job._id} was taken over by another worker`);
+      return;
+    }
+
+    const stage = NEXT_STAGE[job.checkpoint] || 'parse';
+
+    if (error.stop === 'cancelled' || control.stop === 'cancelled') {
+      await IngestionJob.updateOne(
+        { _id: job._id, lockedBy: workerId },
+        { $set: { status: 'cancelled', message: `Cancelled during ${stage}`, finishedAt: new Date(), lockedBy: null } }
+      );
+      await StagedChunk.deleteMany({ jobId: job._id });
+      await settleDocument(job, 'cancelled');
+      await announce(job._id);
+      console.log(`🛑 Ingestion job ${job._id} cancelled`);
+      return;
+    }
+
+    const entry = { attempt: job.attempts, stage, message: error.message, at: new Date() };
+    const retry = !isPermanent(error) && job.attempts < job.maxAttempts;
+
+    try {
+      if (retry) {
+        const delay = Math.min(RETRY_BASE_MS * 2 ** (job.attempts - 1), RETRY_MAX_MS);
+        console.warn(`⚠️ Background job ${job._id} attempt ${job.attempts} failed, retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+        await saveJob(job, {
+          status: 'pending',
+          runAfter: new Date(Date.now() + delay),
+          error: error.message,
+          message: `Attempt ${job.attempts} of ${job.maxAttempts} failed (${error.message}), retrying in ${Math.round(delay / 1000)}s...`,
+          lockedBy: null
+        }, { errorHistory: entry });
+        await announce(job._id);
+      } else {
+        console.error(`Background job ${job._id} failed:`, error);
+        await saveJob(job, {
+          status: 'failed',
+          error: error.message,
+          message: `Processing failed: ${error.message}`,
+          finishedAt: new Date(),
+          lockedBy: null
+        }, { errorHistory: entry });
+        await StagedChunk.deleteMany({ jobId: job._id });
+        await settleDocument(job, 'failed', error.message);
+        await announce(job._id);
+      }
+    } catch (saveError) {
+      console.error(`Failed to record the outcome of job ${job._id}:`, saveError.message);
+    }
   }
 }
 
 /**
- * Clean up old jobs (optional - call periodically)
- * @param {number} maxAge - Maximum age in milliseconds (default 24 hours)
+ * Claim the next due job: a pending job whose backoff has passed, or a
+ * processing job whose worker stopped sending heartbeats
+ * @returns {Promise<Object|null>} Claimed IngestionJob document
  */
-function cleanupOldJobs(maxAge = 24 * 60 * 60 * 1000) {
+async function claimNextJob() {
   const now = new Date();
-  for (const [jobId, job] of jobStatus.entries()) {
-    if (now - job.createdAt > maxAge) {
-      jobStatus.delete(jobId);
+  const stale = new Date(now.getTime() - LEASE_MS);
+  // A late heartbeat from this worker (a blocked event loop, a slow database)
+  // must not let it take over a job it is still running
+  const abandonedByOthers = {
+    status: 'processing',
+    heartbeatAt: { $lt: stale },
+    _id: { $nin: [...active.keys()] },
+    lockedBy: { $ne: workerId }
+  };
+
+  // Abandoned jobs that were asked to stop are cancelled rather than resumed
+  const abandoned = await IngestionJob.find({ ...abandonedByOthers, cancelRequested: true })
+    .select('_id fileId')
+    .lean();
+  for (const { _id, fileId } of abandoned) {
+    const { modifiedCount } = await IngestionJob.updateOne(
+      { ...abandonedByOthers, _id },
+      { $set: { status: 'cancelled', message: 'Cancelled', finishedAt: now, lockedBy: null } }
+    );
+    await StagedChunk.deleteMany({ jobId: _id });
+    if (modifiedCount > 0) await settleDocument({ _id, fileId }, 'cancelled');
+  }
+
+  const previous = await IngestionJob.findOneAndUpdate(
+    {
+      cancelRequested: { $ne: true },
+      $or: [
+        { status: 'pending', runAfter: { $lte: now } },
+        abandonedByOthers
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedBy: workerId, heartbeatAt: now, startedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAfter: 1, createdAt: 1 }, new: false }
+  ).lean();
+  if (!previous) return null;
+
+  if (previous.status === 'processing') {
+    // The previous worker crashed or was restarted mid-job
+    await IngestionJob.updateOne({ _id: previous._id, lockedBy: workerId }, {
+      $push: {
+        errorHistory: {
+          attempt: previous.attempts,
+          stage: NEXT_STAGE[previous.checkpoint] || 'parse',
+          message: `Interrupted: worker ${previous.lockedBy} stopped responding`,
+          at: now
+        }
+      }
+    });
+  }
+
+  return IngestionJob.findById(previous._id);
+}
+
+/**
+ * Run a claimed job with a heartbeat that keeps its lease and picks up
+ * cancellation requests made on any server
+ * @param {Object} job - Claimed IngestionJob document
+ */
+function launch(job) {
+  const id = job._id.toString();
+  const control = { stop: null };
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const current = await IngestionJob.findOneAndUpdate(
+        { _id: job._id, lockedBy: workerId },
+        { $set: { heartbeatAt: new Date() } },
+        { new: true, projection: { cancelRequested: 1 } }
+      ).lean();
+      if (!current) control.stop = 'lost';
+      else if (current.cancelRequested && !control.stop) control.stop = 'cancelled';
+    } catch (error) {
+      console.warn(`⚠️ Heartbeat for job ${id} failed: ${error.message}`);
     }
+  }, Math.max(1000, Math.floor(LEASE_MS / 3)));
+  heartbeat.unref();
+
+  control.completion = runJob(job, control).catch(error => {
+    console.error(`Ingestion job ${id} stopped unexpectedly:`, error);
+  }).finally(() => {
+    clearInterval(heartbeat);
+    active.delete(id);
+    tick();
+  });
+  active.set(id, control);
+}
+
+/**
+ * Start due jobs until the concurrency cap is reached
+ * @returns {Promise<void>}
+ */
+async function tick() {
+  if (!pollTimer || mongoose.connection.readyState !== 1) return;
+  if (ticking) {
+    tickAgain = true;
+    return;
   }
+
+  ticking = true;
+  try {
+    do {
+      tickAgain = false;
+      while (active.size < CONCURRENCY) {
+        const job = await claimNextJob();
+        if (!job) break;
+        launch(job);
+      }
+    } while (tickAgain && active.size < CONCURRENCY);
+  } catch (error) {
+    console.error('Failed to claim ingestion jobs:', error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the worker loop: poll for due jobs, and resume jobs left behind by
+ * a crash or restart once their lease expires
+ */
+function startWorker() {
+  if (pollTimer) return;
+  pollTimer = setInterval(tick, POLL_MS);
+  // The loop must not keep scripts from exiting
+  pollTimer.unref();
+  console.log(`📥 Ingestion worker ${workerId} started (concurrency ${CONCURRENCY})`);
+  tick();
+}
+
+/**
+ * Stop claiming new jobs; jobs already running here finish
+ */
+function stopWorker() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Delete finished jobs older than maxAge
+ * @param {number} maxAge - Maximum age in milliseconds (default 7 days)
+ * @returns {Promise<number>} Jobs deleted
+ */
+async function cleanupOldJobs(maxAge = 7 * 24 * 60 * 60 * 1000) {
+  const { deletedCount } = await IngestionJob.deleteMany({
+    status: { $in: FINISHED_STATUSES },
+    finishedAt: { $lt: new Date(Date.now() - maxAge) }
+  });
+  return deletedCount;
 }
 
 module.exports = {
   createJob,
+  createReindexJob,
   getJobStatus,
-  cleanupOldJobs
+  listJobs,
+  cancelJob,
+  retryJob,
+  startWorker,
+  stopWorker,
+  cleanupOldJobs,
+  toStatus
 };
@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const JSZip = require('jszip');
+const IngestionBatch = require('../models/IngestionBatch');
+const IngestionJob = require('../models/IngestionJob');
+const { createJob, cancelJob } = require('./backgroundJobService');
+const documentLibraryService = require('./documentLibraryService');
+const chunkingSettingsService = require('./chunkingSettingsService');
+const { detectExtractor, isSupported, getSupportedExtensions } = require('./extractors');
+const { readCount } = require('./utils/settings');
+const { statusError } = require('./utils/errors');
+
+const MB = 1024 * 1024;
+// Files accepted in one batch request (archives count as one)
+const BATCH_MAX_FILES = readCount(process.env.UPLOAD_BATCH_MAX_FILES, 500);
+// Largest file accepted in a batch, archives included; an archive is read
+// into memory to be unpacked, so this also bounds that
+const BATCH_MAX_FILE_BYTES = readCount(process.env.UPLOAD_BATCH_MAX_FILE_MB, 200) * MB;
+// Archive limits: entries, unpacked size per file and in total, and the
+// unpacked-to-packed size ratio beyond which an archive is treated as a zip bomb
+const ZIP_MAX_ENTRIES = readCount(process.env.ZIP_MAX_ENTRIES, 1000);
+const ZIP_MAX_FILE_BYTES = readCount(process.env.ZIP_MAX_FILE_MB, 100) * MB;
+const ZIP_MAX_TOTAL_BYTES = readCount(process.env.ZIP_MAX_TOTAL_MB, 1024) * MB;
+const ZIP_MAX_RATIO = readCount(process.env.ZIP_MAX_RATIO, 100);
+
+const UPLOAD_DIR = 'uploads';
+const ARCHIVE_MIME_TYPES = new Set(['application/zip', 'application/x-zip-compressed']);
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Batch Upload Service - multi-file and ZIP uploads. Every file becomes its
+ * own document and ingestion job under one IngestionBatch. Archives are
+ * unpacked into flat upload names, so entry paths never reach the file
+ * system; the folders an entry sat in become its tags.
+ */
+class BatchUploadService {
+  constructor() {
+    this.maxFiles = BATCH_MAX_FILES;
+    this.maxFileBytes = BATCH_MAX_FILE_BYTES;
+  }
+
+  /**
+   * Unique stored name for an uploaded or unpacked file
+   * @param {string} originalName - Name without folders
+   * @returns {string} File name under uploads/
+   */
+  storedName(originalName) {
+    return `${Date.now()}-${crypto.randomBytes(3).toString('hex')}-${originalName}`;
+  }
+
+  /**
+   * Whether an upload is a ZIP archive to unpack. DOCX files are ZIPs too,
+   * so only the .zip extension or a ZIP MIME type counts.
+   * @param {Object} file - Uploaded file object (multer)
+   * @returns {boolean} True for archives
+   */
+  isArchive(file) {
+    return path.extname(file.originalname).toLowerCase() === '.zip' || ARCHIVE_MIME_TYPES.has(file.mimetype);
+  }
+
+  /**
+   * Why an archive entry path is unsafe to unpack (zip-slip), if it is
+   * @param {string} name - Entry path with forward slashes
+   * @returns {string|null} Reason, or null for a safe path
+   */
+  checkEntryPath(name) {
+    if (name.includes('\0')) {
+      return 'Entry name contains a NUL byte';
+    }
+    if (name.startsWith('/') || /^[a-zA-Z]:/.test(name)) {
+      return 'Entry has an absolute path';
+    }
+    if (name.split('/').includes('..')) {
+      return 'Entry path leaves the archive (..)';
+    }
+    return null;
+  }
+
+  /**
+   * Whether an entry is archive clutter rather than content (macOS resource
+   * forks, hidden files)
+   * @param {string} name - Entry path with forward slashes
+   * @returns {boolean} True to skip silently
+   */
+  isClutter(name) {
+    return name.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+  }
+
+  /**
+   * Write one entry to disk, stopping as soon as it unpacks to more than allowed
+   * @param {Object} entry - JSZip entry
+   * @param {string} target - Output path
+   * @param {number} limit - Maximum bytes
+   * @returns {Promise<number>} Bytes written
+   * @throws {Error} Status 413 when the limit is exceeded
+   */
+  async writeEntry(entry, target, limit) {
+    let written = 0;
+    const counter = new Transform({
+      transform(data, encoding, callback) {
+        written += data.length;
+        if (written > limit) {
+          callback(statusError('Archive unpacks to more data than allowed (possible zip bomb)', 413));
+          return;
+        }
+        callback(null, data);
+      }
+    });
+
+    try {
+      await pipeline(entry.nodeStream('nodebuffer'), counter, fs.createWriteStream(target));
+    } catch (error) {
+      await fs.promises.unlink(target).catch(() => {});
+      throw error;
+    }
+    return written;
+  }
+
+  /**
+   * Unpack a ZIP archive into uploads/. Unsafe or unsupported entries are
+   * skipped; any size limit being exceeded aborts the whole archive.
+   * @param {Object} archive - Uploaded archive (multer)
+   * @returns {Promise<{files: Array<Object>, skipped: Array<Object>}>} Unpacked files (multer-like, with `entryName` and `tags`) and skipped entries
+   * @throws {Error} Status 400 for unreadable archives, 413 for archives too large to read or over the limits
+   */
+  async extractArchive(archive) {
+    const { size } = await fs.promises.stat(archive.path);
+    if (size > BATCH_MAX_FILE_BYTES) {
+      throw statusError(`${archive.originalname} is larger than ${BATCH_MAX_FILE_BYTES / MB} MB`, 413);
+    }
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(await fs.promises.readFile(archive.path));
+    } catch (error) {
+      throw statusError(`${archive.originalname} is not a readable ZIP archive: ${error.message}`, 400);
+    }
+
+    const entries = Object.values(zip.files).filter(entry => !entry.dir);
+    if (entries.length > ZIP_MAX_ENTRIES) {
+      throw statusError(`${archive.originalname} has ${entries.length} entries (limit ${ZIP_MAX_ENTRIES})`, 413);
+    }
+
+    const maxTotal = Math.min(ZIP_MAX_TOTAL_BYTES, size * ZIP_MAX_RATIO);
+    const files = [];
+    const skipped = [];
+    let total = 0;
+    try {
+      for (const entry of entries) {
+        // JSZip strips leading "../" from `name`; check what the archive really says
+        const name = (entry.unsafeOriginalName || entry.name).replace(/\\/g, '/');
+        const unsafe = this.checkEntryPath(name);
+        if (unsafe) {
+          skipped.push({ name, error: unsafe });
+          continue;
+        }
+        if (this.isClutter(name)) continue;
+
+        const originalName = path.posix.basename(name);
+        if (path.extname(originalName).toLowerCase() === '.zip') {
+          skipped.push({ name, error: 'Nested archives are not unpacked' });
+          continue;
+        }
+        if (!isSupported(originalName)) {
+          skipped.push({ name, error: `Unsupported file type. Allowed: ${getSupportedExtensions().join(', ')}` });
+          continue;
+        }
+
+        const filename = this.storedName(originalName);
+        const target = path.join(UPLOAD_DIR, filename);
+        const written = await this.writeEntry(entry, target, Math.min(ZIP_MAX_FILE_BYTES, maxTotal - total));
+        total += written;
+        files.push({
+          filename,
+          originalname: originalName,
+          path: target,
+          mimetype: '',
+          size: written,
+          entryName: name,
+          tags: documentLibraryService.folderTags(path.posix.dirname(name))
+        });
+      }
+    } catch (error) {
+      await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+      throw error;
+    }
+
+    console.log(`🗜️ Unpacked ${files.length} file(s) from ${archive.originalname} (${(total / MB).toFixed(1)} MB, ${skipped.length} skipped)`);
+    return { files, skipped };
+  }
+
+  /**
+   * Register one file and queue its ingestion job
+   * @param {Object} file - Uploaded or unpacked file
+   * @param {Object} options - Batch options
+   * @param {string} [options.versionOf] - fileId of a document the file is a new version of
+   * @param {Object} [options.source] - { connectorId, path, modifiedAt } for a file read by a connector
+   * @returns {Promise<Object>} Batch file entry, queued or skipped
+   */
+  async queueFile(file, options) {
+    const { batchId, chunking, createdBy, archive, versionOf, source } = options;
+    const entry = { name: file.entryName || file.originalname, ...(archive && { archive }) };
+    const skip = async (error, duplicateOf) => {
+      await fs.promises.unlink(file.path).catch(() => {});
+      return { ...entry, status: 'skipped', error, ...(duplicateOf && { duplicateOf }) };
+    };
+
+    if (!isSupported(file.originalname, file.mimetype)) {
+      return skip(`Unsupported file type. Allowed: ${getSupportedExtensions().join(', ')}`);
+    }
+
+    try {
+      const extractor = await detectExtractor(file.path, { fileName: file.originalname, mimeType: file.mimetype });
+      await chunkingSettingsService.resolve(extractor.name, chunking);
+    } catch (error) {
+      return skip(error.message);
+    }
+
+    let document;
+    try {
+      document = await documentLibraryService.registerUpload(file, {
+        uploadedBy: createdBy,
+        tags: file.tags,
+        versionOf,
+        source
+      });
+    } catch (error) {
+      if (!error.status) {
+        console.error(`Failed to register ${entry.name}:`, error);
+      }
+      return skip(error.message, error.duplicateOf?.fileId);
+    }
+
+    try {
+      const jobId = await createJob(file, { chunking, createdBy, batchId });
+      return { ...entry, fileId: document.fileId, jobId, status: 'queued' };
+    } catch (error) {
+      console.error(`Failed to queue ${entry.name}:`, error);
+      await documentLibraryService.delete(document.fileId).catch(() => {});
+      return { ...entry, status: 'skipped', error: `Could not queue ingestion: ${error.message}` };
+    }
+  }
+
+  /**
+   * Create a batch from uploaded files, unpacking ZIP archives
+   * @param {Array<Object>} uploads - Uploaded files (multer)
+   * @param {Object} [options] - Batch options
+   * @param {Object} [options.chunking] - { strategy?, size?, overlap? } for every file
+   * @param {string} [options.createdBy] - User ID
+   * @returns {Promise<Object>} Batch status
+   */
+  async createBatch(uploads, options = {}) {
+    const chunking = options.chunking && Object.keys(options.chunking).length > 0 ? options.chunking : undefined;
+    const batch = await IngestionBatch.create({
+      options: { ...(chunking && { chunking }) },
+      createdBy: options.createdBy || null
+    });
+    const queueOptions = { batchId: batch._id, chunking, createdBy: options.createdBy };
+
+    const files = [];
+    for (const upload of uploads) {
+      if (!this.isArchive(upload)) {
+        files.push(await this.queueFile(upload, queueOptions));
+        continue;
+      }
+
+      try {
+        const unpacked = await this.extractArchive(upload);
+        files.push(...unpacked.skipped.map(entry => ({ ...entry, archive: upload.originalname, status: 'skipped' })));
+        for (const file of unpacked.files) {
+          files.push(await this.queueFile(file, { ...queueOptions, archive: upload.originalname }));
+        }
+      } catch (error) {
+        if (!error.status) {
+          console.error(`Failed to unpack ${upload.originalname}:`, error);
+        }
+        files.push({ name: upload.originalname, status: 'skipped', error: error.message });
+      } finally {
+        await fs.promises.unlink(upload.path).catch(() => {});
+      }
+    }
+
+    await IngestionBatch.updateOne({ _id: batch._id }, { $set: { files } });
+    const queued = files.filter(file => file.status === 'queued').length;
+    console.log(`📦 Batch ${batch._id}: ${queued} file(s) queued, ${files.length - queued} skipped`);
+    return this.getBatchStatus(batch._id.toString());
+  }
+
+  /**
+   * Aggregate status of a batch and its child jobs. The batch is processing
+   * while any job is; then completed, partial (some files failed) or failed.
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object|null>} Batch status, or null if not found
+   */
+  async getBatchStatus(batchId) {
+    if (!mongoose.Types.ObjectId.isValid(batchId)) return null;
+    const batch = await IngestionBatch.findById(batchId).lean();
+    if (!batch) return null;
+
+    const jobs = await IngestionJob.find({ batchId: batch._id })
+      .select('status progress message error finishedAt')
+      .lean();
+    const jobsById = new Map(jobs.map(job => [job._id.toString(), job]));
+
+    const counts = { total: batch.files.length, skipped: 0, pending: 0, processing: 0, completed: 0, failed: 0, cancelled: 0 };
+    const files = batch.files.map(file => {
+      if (file.status === 'skipped') {
+        counts.skipped++;
+        return file;
+      }
+      const job = jobsById.get(file.jobId?.toString());
+      const status = job?.status || 'pending';
+      counts[status]++;
+      return {
+        ...file,
+        jobId: file.jobId?.toString(),
+        status,
+        progress: FINISHED_STATUSES.includes(status) ? 100 : job?.progress || 0,
+        message: job?.message,
+        error: job?.error || null
+      };
+    });
+
+    const jobCount = files.length - counts.skipped;
+    const active = counts.pending + counts.processing;
+    let status;
+    if (active > 0) {
+      status = 'processing';
+    } else if (counts.completed === 0) {
+      status = 'failed';
+    } else {
+      status = counts.completed === counts.total ? 'completed' : 'partial';
+    }
+    const finishedTimes = jobs.map(job => job.finishedAt).filter(Boolean);
+
+    return {
+      id: batch._id.toString(),
+      status,
+      progress: jobCount > 0
+        ? Math.round(files.reduce((sum, file) => sum + (file.status === 'skipped' ? 0 : file.progress), 0) / jobCount)
+        : 100,
+      counts,
+      files,
+      createdAt: batch.createdAt,
+      finishedAt: active === 0 && finishedTimes.length > 0 ? new Date(Math.max(...finishedTimes)) : null
+    };
+  }
+
+  /**
+   * Cancel every queued or running job of a batch
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} Batch status
+   * @throws {Error} Status 404 if not found
+   */
+  async cancelBatch(batchId) {
+    const exists = mongoose.Types.ObjectId.isValid(batchId) && await IngestionBatch.exists({ _id: batchId });
+    if (!exists) {
+      throw statusError('Batch not found', 404);
+    }
+
+    const activeJobs = await IngestionJob.find({ batchId, status: { $in: ['pending', 'processing'] } }).select('_id').lean();
+    for (const job of activeJobs) {
+      try {
+        await cancelJob(job._id.toString());
+      } catch (error) {
+        // Finished in the meantime
+        if (error.status !== 409) throw error;
+      }
+    }
+    console.log(`🛑 Cancelling ${activeJobs.length} job(s) of batch ${batchId}`);
+    return this.getBatchStatus(batchId);
+  }
+}
+
+module.exports = new BatchUploadService();
@@ -2,10 +2,17 @@ const mongoose = require('mongoose');
 const ChatMessage = require('../models/ChatMessage');
 const { v4: uuidv4 } = require('uuid');
 const vectorSearchService = require('./vectorSearchService');
+const rerankService = require('./rerankService');
+const queryRewriteService = require('./queryRewriteService');
+const contextExpansionService = require('./contextExpansionService');
 const promptService = require('./promptService');
+const tokenBudgetService = require('./tokenBudgetService');
+const answerCacheService = require('./answerCacheService');
+const { embedText } = require('./embedding');
 const citationService = require('./citationService');
 const llmService = require('./llmService');
 const analyticsService = require('./analyticsService');
+const { readCount, readNumber } = require('./utils/settings');
 
 class ChatService {
   constructor() {
@@ -168,24 +175,49 @@ class ChatService {
         timestamp: new Date().toISOString() 
       });
 
+      // Load history before saving this turn so it only holds earlier messages
+      const previousMessages = await this.getRecentMessages(options.userId, sessionId, 6);
+
+      // Condense follow-ups into a standalone search query
+      const { originalQuery, searchQuery, rewritten } = await queryRewriteService.rewrite(query, previousMessages);
+      const queryMetadata = { originalQuery, rewrittenQuery: rewritten ? searchQuery : null };
+
       // Save user message
       await this.saveMessage({
         userId: options.userId,
         sessionId,
         role: 'user',
-        content: query
+        content: query,
+        metadata: queryMetadata
       });
 
       // Send search status
-      this.sendSSEEvent(res, 'status', { 
-        message: 'Searching documents...' 
-      });
+      this.sendSSEEvent(res, 'status', rewritten
+        ? {
+          message: `Searching documents for: "${searchQuery}"`,
+          originalQuery,
+          rewrittenQuery: searchQuery
+        }
+        : { message: 'Searching documents...' });
+
+      // Identical or near-identical questions reuse a stored answer. Answers
+      // are shaped by the conversation in the prompt, so only questions that
+      // open a conversation are answered from, or stored in, the shared cache
+      const documentSetVersion = answerCacheService.documentSetVersion;
+      const queryEmbedding = previousMessages.length === 0 ? await this.getCacheEmbedding(searchQuery) : null;
+      const cachedAnswer = queryEmbedding && answerCacheService.lookup(queryEmbedding, options);
+      if (cachedAnswer) {
+        await this.sendCachedAnswer(res, cachedAnswer, {
+          userId: options.userId,
+          sessionId,
+          query,
+          queryMetadata,
+          startTime
+        });
+        return;
+      }
 
-      // Perform vector search
-      const relevantChunks = await vectorSearchService.search(query, {
-        limit: 5,  // Reduced from 10 to 5 to stay within token limits
-        minScore: 0.02  // Realistic threshold for MiniLM cosine similarity
-      });
+      const relevantChunks = await this.retrieveChunks(searchQuery, options);
 
       // Send search results
       this.sendSSEEvent(res, 'search_results', {
@@ -194,6 +226,8 @@ class ChatService {
           chunkId: chunk.chunkId,
           fileName: chunk.fileName,
           relevanceScore: chunk.relevanceScore,
+          ...(chunk.rerankScore !== undefined && { rerankScore: chunk.rerankScore }),
+          ...(chunk.expandedChunkIds && { expandedChunkIds: chunk.expandedChunkIds }),
           preview: chunk.content?.substring(0, 100) + '...' || 'No preview available'
         }))
       });
@@ -213,7 +247,7 @@ class ChatService {
           role: 'assistant',
           content: fallbackResponse,
           chunks: [],
-          metadata: { responseTime: Date.now() - startTime }
+          metadata: { responseTime: Date.now() - startTime, ...queryMetadata }
         });
         
         return;
@@ -224,17 +258,40 @@ class ChatService {
         message: 'Generating response...' 
       });
 
-      // Create prompt with context
+      // Create prompt with context, packed into the model's token budget
+      await tokenBudgetService.initialize();
       const promptData = promptService.createChatPrompt(relevantChunks, query, {
         sessionId,
-        previousMessages: await this.getRecentMessages(options.userId, sessionId, 6)
+        previousMessages,
+        modelName: llmService.getModelName()
       });
 
+      if (!promptData.hasContext) {
+        const error = new Error('Request too large: the question leaves no room for document context');
+        error.status = 413;
+        throw error;
+      }
+
+      const { budget } = promptData;
+      if (budget.droppedChunks.length > 0 || budget.truncatedChunks.length > 0) {
+        this.sendSSEEvent(res, 'status', {
+          message: `Trimmed context to fit the model: ${budget.droppedChunks.length} chunk(s) dropped, ${budget.truncatedChunks.length} truncated`,
+          droppedChunks: budget.droppedChunks,
+          truncatedChunks: budget.truncatedChunks,
+          promptTokens: budget.promptTokens,
+          contextWindow: budget.contextWindow
+        });
+      }
+
+      // Only chunks that made it into the prompt can be cited
+      const contextChunks = promptData.usedChunks;
+
       // Generate response with streaming
       let fullResponse = '';
       const stream = await llmService.generateStreamingResponse(
         promptData.systemPrompt,
-        promptData.userPrompt
+        promptData.userPrompt,
+        { maxTokens: budget.answerTokens }
       );
 
       // Stream the response
@@ -249,14 +306,14 @@ class ChatService {
       }
 
       // Generate and validate citations
-      const citationData = citationService.generateInlineCitations(relevantChunks);
+      const citationData = citationService.generateInlineCitations(contextChunks);
       const citations = citationData.citations;
       const citationSummary = citationService.generateCitationSummary(citations);
       
       // Add citations to response
       const responseWithCitations = citationService.addCitationsToResponse(
         fullResponse, 
-        relevantChunks
+        contextChunks
       );
 
       // Send final response content with citations
@@ -267,13 +324,14 @@ class ChatService {
 
       // Send citations metadata
       this.sendSSEEvent(res, 'citations', {
-        citations: citationService.createCitationMetadata(relevantChunks),
+        citations: citationService.createCitationMetadata(contextChunks),
         summary: citationSummary
       });
 
       this.sendSSEEvent(res, 'complete', { 
         responseTime: Date.now() - startTime,
-        totalTokens: this.estimateTokens(responseWithCitations)
+        totalTokens: this.estimateTokens(responseWithCitations),
+        promptTokens: budget.promptTokens
       });
 
       // Save assistant message
@@ -282,20 +340,35 @@ class ChatService {
         sessionId,
         role: 'assistant',
         content: responseWithCitations,
-        chunks: relevantChunks,
+        chunks: contextChunks,
         metadata: {
           responseTime: Date.now() - startTime,
           citations: citationSummary,
-          model: 'groq-llama3-70b-8192'
+          model: 'groq-llama3-70b-8192',
+          ...queryMetadata
         }
       });
 
+      // An error apology is not worth caching
+      if (fullResponse !== llmService.errorResponse) {
+        answerCacheService.store({
+          query: searchQuery,
+          queryEmbedding,
+          options,
+          answer: responseWithCitations,
+          chunks: contextChunks,
+          citations: citationService.createCitationMetadata(contextChunks),
+          citationSummary,
+          documentSetVersion
+        });
+      }
+
       // Record analytics
       const analyticsData = analyticsService.createAnalyticsRecord({
         sessionId,
         query,
         response: responseWithCitations,
-        chunks: relevantChunks,
+        chunks: contextChunks,
         responseTime: Date.now() - startTime,
         citations: citationSummary
       });
@@ -307,8 +380,12 @@ class ChatService {
 
     } catch (error) {
       console.error('Chat processing error:', error);
+      const contextLimit = tokenBudgetService.isContextLimitError(error);
       this.sendSSEEvent(res, 'error', { 
-        message: 'An error occurred while processing your request',
+        message: contextLimit
+          ? 'Your question and the matching documents are too long for the model. Try a shorter or more specific question, or narrow the search with a filter.'
+          : 'An error occurred while processing your request',
+        ...(contextLimit && { code: 'context_limit' }),
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     } finally {
@@ -316,6 +393,187 @@ class ChatService {
     }
   }
 
+  /**
+   * Embed the search query for the answer cache lookup.
+   * The embedding is memoised, so the vector search reuses it.
+   * @param {string} searchQuery - Standalone search query
+   * @returns {Promise<Array<number>|null>} Query embedding, or null if caching is off or embedding failed
+   */
+  async getCacheEmbedding(searchQuery) {
+    if (!answerCacheService.isEnabled()) return null;
+
+    try {
+      return await embedText(searchQuery.trim());
+    } catch (error) {
+      console.error('Answer cache lookup skipped, could not embed query:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stream a cached answer through the usual SSE events and record the turn
+   * @param {Object} res - Express response object for SSE
+   * @param {Object} cachedAnswer - Entry returned by answerCacheService.lookup
+   * @param {Object} context - Request context (userId, sessionId, query, queryMetadata, startTime)
+   * @returns {Promise<void>}
+   */
+  async sendCachedAnswer(res, cachedAnswer, context) {
+    const { userId, sessionId, query, queryMetadata, startTime } = context;
+
+    this.sendSSEEvent(res, 'search_results', {
+      chunksFound: cachedAnswer.chunks.length,
+      cached: true,
+      chunks: cachedAnswer.chunks.map(chunk => ({
+        chunkId: chunk.chunkId,
+        fileName: chunk.fileName,
+        relevanceScore: chunk.relevanceScore,
+        preview: chunk.content?.substring(0, 100) + '...' || 'No preview available'
+      }))
+    });
+
+    this.sendSSEEvent(res, 'content', {
+      content: cachedAnswer.answer,
+      final: true
+    });
+
+    this.sendSSEEvent(res, 'citations', {
+      citations: cachedAnswer.citations,
+      summary: cachedAnswer.citationSummary
+    });
+
+    this.sendSSEEvent(res, 'complete', {
+      responseTime: Date.now() - startTime,
+      totalTokens: this.estimateTokens(cachedAnswer.answer),
+      cached: true,
+      cacheSimilarity: cachedAnswer.similarity
+    });
+
+    await this.saveMessage({
+      userId,
+      sessionId,
+      role: 'assistant',
+      content: cachedAnswer.answer,
+      chunks: cachedAnswer.chunks,
+      metadata: {
+        responseTime: Date.now() - startTime,
+        citations: cachedAnswer.citationSummary,
+        cached: true,
+        ...queryMetadata
+      }
+    });
+
+    const analyticsData = analyticsService.createAnalyticsRecord({
+      sessionId,
+      query,
+      response: cachedAnswer.answer,
+      chunks: cachedAnswer.chunks,
+      responseTime: Date.now() - startTime,
+      citations: cachedAnswer.citationSummary
+    });
+
+    analyticsService.trackQuery(analyticsData).catch(err => {
+      console.error('Analytics tracking failed:', err);
+    });
+  }
+
+  /**
+   * Retrieve context chunks for a chat query
+   * Hybrid (vector + BM25) or vector-only search, optionally followed by
+   * cross-encoder reranking over a wider candidate set and expansion with
+   * neighbouring chunks
+   * @param {string} query - Search query
+   * @param {Object} [options] - Retrieval options
+   * @param {string} [options.searchMode] - 'hybrid' or 'vector' (default: CHAT_SEARCH_MODE or 'hybrid')
+   * @param {boolean} [options.rerank] - Override RERANK_ENABLED
+   * @param {string} [options.contextExpansion] - 'none', 'neighbors' or 'parent' (default: CONTEXT_EXPANSION)
+   * @param {number} [options.limit=5] - Number of chunks to return
+   * @param {Object} [options.filter] - Metadata filter (see searchFilterService)
+   * @returns {Promise<Array>} Ranked chunks
+   */
+  async retrieveChunks(query, options = {}) {
+    const ranked = await this.rankChunks(query, options);
+
+    try {
+      return await contextExpansionService.expand(ranked, { mode: options.contextExpansion });
+    } catch (error) {
+      // Expansion only adds surrounding text; keep the matched chunks if it fails
+      console.error('Context expansion failed, using matched chunks:', error);
+      return ranked;
+    }
+  }
+
+  /**
+   * Search, optionally rerank, and select the chunks for a query.
+   * When MMR or a per-document cap is active, a wider candidate pool is
+   * retrieved and the final chunks are picked for diversity.
+   * @param {string} query - Search query
+   * @param {Object} [options] - Retrieval options (see retrieveChunks)
+   * @param {boolean} [options.mmr] - Override MMR_ENABLED
+   * @param {number} [options.mmrLambda] - Override MMR_LAMBDA
+   * @param {number} [options.maxChunksPerDocument] - Override MMR_MAX_PER_DOCUMENT
+   * @returns {Promise<Array>} Ranked chunks
+   */
+  async rankChunks(query, options = {}) {
+    const limit = options.limit || 5;  // Reduced from 10 to 5 to stay within token limits
+    const rerank = options.rerank ?? rerankService.isEnabled();
+    const mmr = options.mmr ?? process.env.MMR_ENABLED === 'true';
+    const maxPerDocument = options.maxChunksPerDocument ?? readCount(process.env.MMR_MAX_PER_DOCUMENT, 0, 0);
+    const diversify = mmr || maxPerDocument > 0;
+
+    let candidateLimit = limit;
+    if (rerank) {
+      candidateLimit = Math.max(readCount(process.env.RERANK_CANDIDATES, 30), candidateLimit);
+    }
+    if (diversify) {
+      candidateLimit = Math.max(readCount(process.env.MMR_CANDIDATES, 20), candidateLimit);
+    }
+
+    const searchOptions = {
+      limit: candidateLimit,
+      minScore: 0.02,  // Realistic threshold for MiniLM cosine similarity
+      filter: options.filter || null
+    };
+    const searchMode = options.searchMode || process.env.CHAT_SEARCH_MODE || 'hybrid';
+    let candidates = searchMode === 'vector'
+      ? await vectorSearchService.search(query, searchOptions)
+      : await vectorSearchService.hybridSearch(query, searchOptions);
+
+    if (candidates.length === 0) {
+      return candidates;
+    }
+
+    if (rerank) {
+      try {
+        candidates = await rerankService.rerank(query, candidates, {
+          topK: diversify ? candidates.length : limit,
+          minScore: readNumber(process.env.RERANK_MIN_SCORE, 0, 0)
+        });
+      } catch (error) {
+        // Reranking is an enhancement; keep the retriever's order if it fails
+        console.error('Reranking failed, using retrieval order:', error);
+      }
+    }
+
+    if (!diversify) {
+      return candidates.slice(0, limit);
+    }
+
+    const envLambda = parseFloat(process.env.MMR_LAMBDA);
+    const lambda = options.mmrLambda ?? (Number.isNaN(envLambda) ? 0.7 : envLambda);
+
+    try {
+      return await vectorSearchService.diversify(candidates, {
+        limit,
+        // Without MMR the cap alone applies, in relevance order
+        lambda: mmr ? lambda : 1,
+        maxPerDocument
+      });
+    } catch (error) {
+      console.error('MMR selection failed, using relevance order:', error);
+      return candidates.slice(0, limit);
+    }
+  }
+
   /**
    * Send Server-Sent Event
    * @param {Object} res - Express response object
@@ -464,13 +722,12 @@ class ChatService {
   }
 
   /**
-   * Estimate token count (rough approximation)
-   * @param {string} text - Text to estimate
-   * @returns {number} Estimated token count
+   * Count tokens with the chat model's tokenizer (chars/4 estimate if unavailable)
+   * @param {string} text - Text to measure
+   * @returns {number} Token count
    */
   estimateTokens(text) {
-    // Rough estimation: ~4 characters per token
-    return Math.ceil(text.length / 4);
+    return tokenBudgetService.countTokens(text);
   }
 
   /**
@@ -0,0 +1,25 @@
+/**
+ * Fixed chunker - the original character window: `size` characters per
+ * chunk, each starting `size - overlap` after the previous one, regardless
+ * of words, sentences or headings.
+ * @param {Object} document - Joined document ({ text, segments })
+ * @param {Object} settings - { size, overlap } in characters
+ * @returns {Array<{start: number, end: number}>} Chunk spans in the document text
+ */
+function split(document, settings) {
+  const { size, overlap } = settings;
+  const spans = [];
+
+  for (let start = 0; start < document.text.length; start += size - overlap) {
+    spans.push({ start, end: Math.min(start + size, document.text.length) });
+  }
+  return spans;
+}
+
+module.exports = {
+  name: 'fixed',
+  description: 'Fixed character windows (legacy)',
+  unit: 'chars',
+  defaults: { size: 1600, overlap: 200 },
+  split
+};
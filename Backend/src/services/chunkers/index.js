@@ -0,0 +1,171 @@
+const fixedChunker = require('./fixedChunker');
+const sentenceChunker = require('./sentenceChunker');
+const sectionChunker = require('./sectionChunker');
+const recursiveChunker = require('./recursiveChunker');
+const { renderTable, splitTable } = require('../utils/tableFormatter');
+const { readCount } = require('../utils/settings');
+
+// How table chunks are written for embedding and the prompt: markdown or csv
+const TABLE_FORMAT = process.env.TABLE_FORMAT === 'csv' ? 'csv' : 'markdown';
+// Longer tables are split into parts that repeat the header row
+const TABLE_MAX_CHARS = readCount(process.env.TABLE_MAX_CHARS, 4000);
+
+const chunkers = {
+  fixed: fixedChunker,
+  sentence: sentenceChunker,
+  section: sectionChunker,
+  recursive: recursiveChunker
+};
+
+/**
+ * Look up a chunking strategy
+ * @param {string} name - Strategy name
+ * @returns {Object} Chunker
+ * @throws {Error} Status 400 for an unknown strategy
+ */
+function getChunker(name) {
+  const chunker = chunkers[name];
+  if (!chunker) {
+    const error = new Error(`Unknown chunking strategy "${name}". Available: ${Object.keys(chunkers).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return chunker;
+}
+
+/**
+ * Available strategies with their size unit and default size/overlap
+ * @returns {Array<Object>} Strategy descriptions
+ */
+function listChunkers() {
+  return Object.values(chunkers).map(({ name, description, unit, defaults }) => ({ name, description, unit, defaults }));
+}
+
+/**
+ * Join segments into one document text and record where each one sits.
+ * Sections are separated by a blank line so no sentence runs across a
+ * heading; pages by a space, since sentences often continue on the next page.
+ * @param {Array<{page: number, section?: string, text: string}>} segments - Pages or sections in order
+ * @returns {{text: string, segments: Array<Object>}} Document text and segments with startChar/endChar (exclusive, separator not included)
+ */
+function joinSegments(segments) {
+  let text = '';
+  const placed = segments.map(segment => {
+    if (text.length > 0) text += segment.section ? '\n\n' : ' ';
+    const startChar = text.length;
+    text += segment.text;
+    return { ...segment, sectionPath: segment.sectionPath || [], startChar, endChar: text.length };
+  });
+  return { text, segments: placed };
+}
+
+/**
+ * Turn chunk spans into chunks with trimmed content, page/section offsets
+ * relative to the content (plus the OCR confidence of scanned pages), and
+ * the section path the chunk starts in
+ * @param {Object} document - Joined document
+ * @param {Array<{start: number, end: number}>} spans - Chunk spans
+ * @returns {Array<Object>} Chunks
+ */
+function buildChunks(document, spans) {
+  const chunks = [];
+
+  for (const { start, end } of spans) {
+    const slice = document.text.slice(start, end);
+    const content = slice.trim();
+    if (!content) continue;
+    // Offsets are relative to the trimmed content
+    const contentStart = start + (slice.length - slice.trimStart().length);
+
+    const pages = [];
+    let sectionPath = null;
+    for (const segment of document.segments) {
+      if (segment.startChar < end && segment.endChar > start) {
+        pages.push({
+          page: segment.page,
+          ...(segment.section && { section: segment.section }),
+          startChar: Math.max(0, segment.startChar - contentStart),
+          endChar: Math.min(content.length, segment.endChar - contentStart),
+          ...(segment.ocrConfidence !== undefined && { ocrConfidence: segment.ocrConfidence })
+        });
+        if (!sectionPath && segment.endChar > contentStart) sectionPath = segment.sectionPath;
+      }
+    }
+
+    chunks.push({
+      chunkId: `chunk_${chunks.length + 1}`,
+      content,
+      pages,
+      sectionPath: sectionPath || []
+    });
+  }
+
+  return chunks;
+}
+
+/**
+ * Chunk extracted segments with a strategy
+ * @param {Array<{page: number, section?: string, sectionPath?: Array<string>, ocrConfidence?: number, text: string}>} segments - Pages or sections in order
+ * @param {Object} settings - Chunking settings
+ * @param {string} settings.strategy - fixed, sentence, section or recursive
+ * @param {number} settings.size - Chunk size in the strategy's unit (characters or tokens)
+ * @param {number} settings.overlap - Overlap between consecutive chunks, same unit
+ * @returns {Promise<Array<{chunkId: string, content: string, pages: Array<Object>, sectionPath: Array<string>}>>} Chunks
+ */
+async function chunkSegments(segments, settings) {
+  const chunker = getChunker(settings.strategy);
+  const document = joinSegments(segments);
+  const spans = await chunker.split(document, settings);
+  return buildChunks(document, spans);
+}
+
+/**
+ * Turn extracted tables into one chunk each (or one per part for long
+ * tables). The content is the caption followed by the table rendered as
+ * Markdown or CSV; the rows are kept alongside so the UI can show the table.
+ * Table chunks are numbered `table_N`, apart from the text chunk sequence.
+ * @param {Array<{page: number, section?: string, sectionPath: Array<string>, caption: string|null, rows: Array<Array<string>>}>} tables - Tables in document order, header row first
+ * @returns {Array<Object>} Table chunks
+ */
+function chunkTables(tables) {
+  const chunks = [];
+
+  tables.forEach((table, index) => {
+    const caption = table.caption || `Table ${index + 1}`;
+    const parts = splitTable(table.rows, TABLE_FORMAT, TABLE_MAX_CHARS);
+
+    parts.forEach((rows, part) => {
+      const partCaption = parts.length > 1 ? `${caption} (part ${part + 1} of ${parts.length})` : caption;
+      const content = `${partCaption}\n\n${renderTable(rows, TABLE_FORMAT)}`;
+
+      chunks.push({
+        chunkId: `table_${chunks.length + 1}`,
+        content,
+        pages: [{
+          page: table.page,
+          ...(table.section && { section: table.section }),
+          startChar: 0,
+          endChar: content.length
+        }],
+        sectionPath: table.sectionPath || [],
+        table: {
+          caption: partCaption,
+          format: TABLE_FORMAT,
+          header: rows[0],
+          rows: rows.slice(1)
+        }
+      });
+    });
+  });
+
+  return chunks;
+}
+
+module.exports = {
+  getChunker,
+  listChunkers,
+  joinSegments,
+  buildChunks,
+  chunkSegments,
+  chunkTables
+};
@@ -0,0 +1,75 @@
+const tokenBudgetService = require('../tokenBudgetService');
+const { packUnits } = require('./sentenceChunker');
+
+// Tried in order: paragraphs, lines, sentences, words
+const SEPARATORS = ['\n\n', '\n', '. ', ' '];
+
+/**
+ * Split a range at the coarsest separator that makes every piece fit,
+ * recursing into pieces that are still too long
+ * @param {string} text - Document text
+ * @param {number} start - Range start
+ * @param {number} end - Range end (exclusive)
+ * @param {number} level - Index into SEPARATORS
+ * @param {number} size - Maximum tokens per piece
+ * @param {Function} measure - (start, end) => tokens
+ * @returns {Array<{start: number, end: number}>} Pieces that fit
+ */
+function splitRange(text, start, end, level, size, measure) {
+  if (measure(start, end) <= size) {
+    return [{ start, end }];
+  }
+
+  if (level >= SEPARATORS.length) {
+    // No separator left: cut proportionally to the token count
+    const step = Math.max(1, Math.floor((end - start) * size / measure(start, end)));
+    const pieces = [];
+    for (let s = start; s < end; s += step) {
+      pieces.push({ start: s, end: Math.min(s + step, end) });
+    }
+    return pieces;
+  }
+
+  const separator = SEPARATORS[level];
+  const pieces = [];
+  let pieceStart = start;
+  let index = text.indexOf(separator, start);
+  while (index !== -1 && index < end) {
+    pieces.push({ start: pieceStart, end: index + separator.length });
+    pieceStart = index + separator.length;
+    index = text.indexOf(separator, pieceStart);
+  }
+  if (pieceStart < end) pieces.push({ start: pieceStart, end });
+
+  if (pieces.length === 1) {
+    return splitRange(text, start, end, level + 1, size, measure);
+  }
+  return pieces.flatMap(piece => splitRange(text, piece.start, piece.end, level + 1, size, measure));
+}
+
+/**
+ * Recursive chunker - token-counted chunks split at the coarsest structure
+ * (paragraph, line, sentence, word) that keeps each one within `size` tokens
+ * @param {Object} document - Joined document ({ text, segments })
+ * @param {Object} settings - { size, overlap } in tokens
+ * @returns {Promise<Array<{start: number, end: number}>>} Chunk spans in the document text
+ */
+async function split(document, settings) {
+  await tokenBudgetService.initialize();
+
+  const { text } = document;
+  const measure = (start, end) => tokenBudgetService.countTokens(text.slice(start, end));
+
+  const pieces = splitRange(text, 0, text.length, 0, settings.size, measure)
+    .filter(piece => text.slice(piece.start, piece.end).trim());
+
+  return packUnits(pieces, { size: settings.size, overlap: settings.overlap, measure });
+}
+
+module.exports = {
+  name: 'recursive',
+  description: 'Token-counted recursive splitting on paragraphs, lines, sentences, then words',
+  unit: 'tokens',
+  defaults: { size: 300, overlap: 40 },
+  split
+};
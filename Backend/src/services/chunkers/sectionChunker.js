@@ -0,0 +1,54 @@
+const sentenceChunker = require('./sentenceChunker');
+
+/**
+ * Whether `path` is `ancestor` or lies under it
+ * @param {Array<string>} path - Section path
+ * @param {Array<string>} ancestor - Possible ancestor path
+ * @returns {boolean} True if `path` starts with `ancestor`
+ */
+function isWithin(path, ancestor) {
+  return ancestor.every((title, index) => path[index] === title);
+}
+
+/**
+ * Section chunker - never lets a chunk cross a heading into an unrelated
+ * section. A section that fits is one chunk, and is merged with the
+ * subsections that follow it while they still fit; longer sections are split
+ * at sentence boundaries. Documents without headings (PDF pages, plain text)
+ * are chunked by sentence.
+ * @param {Object} document - Joined document ({ text, segments })
+ * @param {Object} settings - { size, overlap } in characters
+ * @returns {Array<{start: number, end: number}>} Chunk spans in the document text
+ */
+function split(document, settings) {
+  const { segments } = document;
+  if (!segments.some(segment => segment.section)) {
+    return sentenceChunker.split(document, settings);
+  }
+
+  // Consecutive segments that form one chunk when they fit
+  const groups = [];
+  for (const segment of segments) {
+    const group = groups[groups.length - 1];
+    if (group &&
+      group.sectionPath.length > 0 &&
+      segment.endChar - group.startChar <= settings.size &&
+      isWithin(segment.sectionPath, group.sectionPath)) {
+      group.endChar = segment.endChar;
+    } else {
+      groups.push({ startChar: segment.startChar, endChar: segment.endChar, sectionPath: segment.sectionPath });
+    }
+  }
+
+  return groups.flatMap(group => (group.endChar - group.startChar <= settings.size
+    ? [{ start: group.startChar, end: group.endChar }]
+    : sentenceChunker.split(document, settings, group.startChar, group.endChar)));
+}
+
+module.exports = {
+  name: 'section',
+  description: 'One chunk per heading section, split by sentence when a section is too long',
+  unit: 'chars',
+  defaults: { size: 1600, overlap: 150 },
+  split
+};
@@ -0,0 +1,145 @@
+// Words ending in a period that do not end a sentence
+const ABBREVIATIONS = new Set([
+  'e.g', 'i.e', 'etc', 'vs', 'cf', 'approx', 'dept', 'fig', 'no', 'nr', 'vol', 'p', 'pp',
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'jr', 'sr', 'inc', 'ltd', 'co', 'corp'
+]);
+
+// Sentence ends, blank lines and list items
+const BOUNDARY = /[.!?…]+["'”’)\]]*(?=\s+["'“‘(\[]?[A-Z0-9])|\n[^\S\n]*\n\s*|\n(?=[^\S\n]*(?:[-*+•]|\d+[.)])\s)/g;
+
+/**
+ * Split part of the document into sentence (or paragraph / list item) units
+ * @param {string} text - Document text
+ * @param {number} start - First character of the range
+ * @param {number} end - End of the range (exclusive)
+ * @returns {Array<{start: number, end: number}>} Units with surrounding whitespace trimmed
+ */
+function splitSentences(text, start, end) {
+  const units = [];
+  let unitStart = start;
+
+  /**
+   * Record the unit ending at `unitEnd` unless it is blank
+   * @param {number} unitEnd - End of the unit (exclusive)
+   */
+  const push = unitEnd => {
+    let s = unitStart;
+    let e = unitEnd;
+    while (s < e && /\s/.test(text[s])) s++;
+    while (e > s && /\s/.test(text[e - 1])) e--;
+    if (e > s) units.push({ start: s, end: e });
+  };
+
+  const boundary = new RegExp(BOUNDARY.source, 'g');
+  boundary.lastIndex = start;
+  let match;
+  while ((match = boundary.exec(text)) !== null && match.index < end) {
+    if (match[0][0] === '\n') {
+      push(match.index);
+      unitStart = match.index + match[0].length;
+      continue;
+    }
+
+    // "e.g." or an initial ("J. Smith") does not end the sentence
+    const word = text.slice(Math.max(unitStart, match.index - 24), match.index).match(/[^\s("']*$/)[0].toLowerCase();
+    if (match[0][0] === '.' && (ABBREVIATIONS.has(word) || /^[a-z]$/.test(word))) {
+      continue;
+    }
+
+    const unitEnd = Math.min(match.index + match[0].length, end);
+    push(unitEnd);
+    unitStart = unitEnd;
+  }
+  push(end);
+
+  return units;
+}
+
+/**
+ * Cut a unit longer than the chunk size at word boundaries
+ * @param {string} text - Document text
+ * @param {Object} unit - { start, end }
+ * @param {number} size - Maximum characters per piece
+ * @returns {Array<{start: number, end: number}>} Pieces
+ */
+function splitLongUnit(text, unit, size) {
+  const pieces = [];
+  let start = unit.start;
+
+  while (unit.end - start > size) {
+    let end = text.lastIndexOf(' ', start + size);
+    if (end <= start) end = start + size;
+    pieces.push({ start, end });
+    start = end;
+    while (start < unit.end && text[start] === ' ') start++;
+  }
+  if (unit.end > start) pieces.push({ start, end: unit.end });
+  return pieces;
+}
+
+/**
+ * Group consecutive units into chunks of at most `size`, repeating trailing
+ * units of up to `overlap` at the start of the next chunk
+ * @param {Array<{start: number, end: number}>} units - Units in document order
+ * @param {Object} options - Packing options
+ * @param {number} options.size - Maximum chunk size
+ * @param {number} options.overlap - Maximum size repeated from the previous chunk
+ * @param {Function} options.measure - (start, end) => size of that span
+ * @returns {Array<{start: number, end: number}>} Chunk spans
+ */
+function packUnits(units, { size, overlap, measure }) {
+  const spans = [];
+  let current = [];
+
+  for (const unit of units) {
+    if (current.length > 0 && measure(current[0].start, unit.end) > size) {
+      spans.push({ start: current[0].start, end: current[current.length - 1].end });
+
+      // Carry whole trailing units into the next chunk as overlap
+      const carried = [];
+      for (let i = current.length - 1; i > 0; i--) {
+        if (measure(current[i].start, current[current.length - 1].end) > overlap) break;
+        carried.unshift(current[i]);
+      }
+      current = carried.length > 0 && measure(carried[0].start, unit.end) <= size ? carried : [];
+    }
+    current.push(unit);
+  }
+  if (current.length > 0) {
+    spans.push({ start: current[0].start, end: current[current.length - 1].end });
+  }
+
+  return spans;
+}
+
+/**
+ * Sentence chunker - packs whole sentences into chunks of up to `size`
+ * characters, so no chunk starts or ends mid-sentence unless a single
+ * sentence is longer than a chunk
+ * @param {Object} document - Joined document ({ text, segments })
+ * @param {Object} settings - { size, overlap } in characters
+ * @param {number} [start=0] - Range start
+ * @param {number} [end] - Range end (default: end of the document)
+ * @returns {Array<{start: number, end: number}>} Chunk spans in the document text
+ */
+function split(document, settings, start = 0, end = document.text.length) {
+  const { text } = document;
+  const units = splitSentences(text, start, end)
+    .flatMap(unit => (unit.end - unit.start > settings.size ? splitLongUnit(text, unit, settings.size) : [unit]));
+
+  return packUnits(units, {
+    size: settings.size,
+    overlap: settings.overlap,
+    measure: (s, e) => e - s
+  });
+}
+
+module.exports = {
+  name: 'sentence',
+  description: 'Whole sentences, paragraphs and list items packed up to the chunk size',
+  unit: 'chars',
+  defaults: { size: 1200, overlap: 200 },
+  split,
+  splitSentences,
+  packUnits
+};
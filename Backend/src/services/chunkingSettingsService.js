@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Setting = require('../models/Setting');
+const { getChunker } = require('./chunkers');
+
+const DEFAULTS_KEY = 'chunking.defaults';
+
+// How long an instance trusts its cached defaults before re-reading them
+const DEFAULTS_TTL_MS = 30 * 1000;
+
+// Allowed chunk sizes per strategy unit
+const SIZE_LIMITS = {
+  chars: { min: 200, max: 8000 },
+  tokens: { min: 32, max: 2048 }
+};
+
+/**
+ * Error for invalid chunking settings
+ * @param {string} message - Error message
+ * @returns {Error} Error with status 400
+ */
+function invalid(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Apply settings layers from least to most specific. A layer that switches
+ * strategy starts again from that strategy's defaults, so a size meant for
+ * characters is never read as tokens.
+ * @param {Array<Object>} layers - { strategy?, size?, overlap? } layers
+ * @returns {Object} { strategy, size, overlap }
+ */
+function applyLayers(layers) {
+  let settings = null;
+
+  for (const layer of layers) {
+    if (layer.strategy && layer.strategy !== settings?.strategy) {
+      settings = { strategy: layer.strategy, ...getChunker(layer.strategy).defaults };
+    }
+    if (layer.size !== undefined) {
+      settings.size = layer.size;
+      // Keep an inherited overlap in proportion to a smaller chunk
+      if (layer.overlap === undefined) settings.overlap = Math.min(settings.overlap, Math.floor(layer.size / 4));
+    }
+    if (layer.overlap !== undefined) settings.overlap = layer.overlap;
+  }
+
+  return settings;
+}
+
+/**
+ * Chunking Settings Service - which chunking strategy and size a document is
+ * split with. Settings resolve from the global default, then the default for
+ * the document's format, then the options sent with the upload.
+ * Admin-edited defaults are a single Setting document; the environment
+ * provides the initial global default.
+ */
+class ChunkingSettingsService {
+  constructor() {
+    this.defaults = null;
+    this.defaultsLoadedAt = 0;
+  }
+
+  /**
+   * Defaults from the environment, used until an admin saves others
+   * @returns {{default: Object, formats: Object}} Defaults
+   */
+  getEnvironmentDefaults() {
+    const size = parseInt(process.env.CHUNK_SIZE, 10);
+    const overlap = parseInt(process.env.CHUNK_OVERLAP, 10);
+
+    return {
+      default: {
+        strategy: process.env.CHUNKING_STRATEGY || 'section',
+        ...(Number.isFinite(size) && { size }),
+        ...(Number.isFinite(overlap) && { overlap })
+      },
+      formats: {}
+    };
+  }
+
+  /**
+   * Current defaults: the global layer and per-format layers
+   * @returns {Promise<{default: Object, formats: Object}>} Defaults
+   */
+  async getDefaults() {
+    if (this.defaults && Date.now() - this.defaultsLoadedAt < DEFAULTS_TTL_MS) {
+      return this.defaults;
+    }
+
+    // Without a connection, reads would buffer until one appears
+    if (mongoose.connection.readyState !== 1) {
+      return this.defaults || this.getEnvironmentDefaults();
+    }
+
+    try {
+      const setting = await Setting.findOne({ key: DEFAULTS_KEY }).lean();
+      this.defaults = setting?.value || this.getEnvironmentDefaults();
+      this.defaultsLoadedAt = Date.now();
+    } catch (error) {
+      console.error('Failed to read chunking defaults:', error.message);
+      if (!this.defaults) return this.getEnvironmentDefaults();
+    }
+
+    return this.defaults;
+  }
+
+  /**
+   * Check complete settings against the strategy's unit
+   * @param {Object} settings - { strategy, size, overlap }
+   * @returns {Object} Settings with the strategy's unit added
+   * @throws {Error} Status 400 if invalid
+   */
+  validate(settings) {
+    const { unit } = getChunker(settings.strategy);
+    const limits = SIZE_LIMITS[unit];
+
+    if (!Number.isInteger(settings.size) || settings.size < limits.min || settings.size > limits.max) {
+      throw invalid(`Chunk size for the ${settings.strategy} strategy must be ${limits.min}-${limits.max} ${unit}`);
+    }
+    if (!Number.isInteger(settings.overlap) || settings.overlap < 0 || settings.overlap >= settings.size / 2) {
+      throw invalid(`Chunk overlap must be at least 0 and less than half the chunk size (${settings.size} ${unit})`);
+    }
+
+    return { strategy: settings.strategy, size: settings.size, overlap: settings.overlap, unit };
+  }
+
+  /**
+   * Settings for one document
+   * @param {string} format - Extractor name (pdf, docx, markdown, ...)
+   * @param {Object} [overrides] - { strategy?, size?, overlap? } sent with the upload
+   * @returns {Promise<{strategy: string, size: number, overlap: number, unit: string}>} Resolved settings
+   * @throws {Error} Status 400 if the result is invalid
+   */
+  async resolve(format, overrides = {}) {
+    const defaults = await this.getDefaults();
+    return this.validate(applyLayers([defaults.default, defaults.formats?.[format] || {}, overrides]));
+  }
+
+  /**
+   * Replace the stored defaults
+   * @param {{default: Object, formats?: Object}} defaults - Global layer (strategy required) and per-format layers
+   * @returns {Promise<{default: Object, formats: Object}>} Stored defaults
+   * @throws {Error} Status 400 if any layer resolves to invalid settings
+   */
+  async update(defaults) {
+    if (!defaults?.default?.strategy) {
+      throw invalid('Default chunking settings must name a strategy');
+    }
+
+    const value = { default: defaults.default, formats: defaults.formats || {} };
+    this.validate(applyLayers([value.default]));
+    for (const [format, layer] of Object.entries(value.formats)) {
+      try {
+        this.validate(applyLayers([value.default, layer]));
+      } catch (error) {
+        throw invalid(`${format}: ${error.message}`);
+      }
+    }
+
+    await Setting.findOneAndUpdate(
+      { key: DEFAULTS_KEY },
+      { $set: { value } },
+      { upsert: true, new: true }
+    );
+
+    this.defaults = value;
+    this.defaultsLoadedAt = Date.now();
+    console.log(`✂️ Chunking defaults updated: ${value.default.strategy}`);
+    return value;
+  }
+}
+
+module.exports = new ChunkingSettingsService();
@@ -13,8 +13,33 @@ class CitationService {
     };
   }
 
+  /**
+   * Section headings a chunk comes from, for formats without pages
+   * @param {Object} chunk - Document chunk with `pages` entries
+   * @returns {Array<string>} Unique section names in document order
+   */
+  getSections(chunk) {
+    const pages = (chunk.pages || []).filter(p => p && p.section).sort((a, b) => a.page - b.page);
+    return [...new Set(pages.map(p => p.section))];
+  }
+
+  /**
+   * Version of the document a chunk comes from, for documents with more than one
+   * @param {Object} chunk - Document chunk
+   * @returns {string|null} e.g. "3 (uploaded 2026-05-01)"
+   */
+  getVersionLabel(chunk) {
+    if (!chunk.version?.number) return null;
+    const uploadedAt = chunk.version.uploadedAt ? new Date(chunk.version.uploadedAt) : null;
+    return uploadedAt && !isNaN(uploadedAt.getTime())
+      ? `${chunk.version.number} (uploaded ${uploadedAt.toISOString().slice(0, 10)})`
+      : `${chunk.version.number}`;
+  }
+
   /**
    * Format citation for a chunk with page information
+   * Chunks from formats without pages (DOCX, Markdown, HTML, CSV) are cited
+   * by section instead, e.g. [runbook.md, Section: Deploy Rollback]
    * @param {Object} chunk - Document chunk with citation metadata
    * @param {string} format - Citation format (apa, mla, chicago, simple)
    * @returns {Object} Formatted citation object
@@ -28,6 +53,18 @@ class CitationService {
       };
     }
 
+    const sections = this.getSections(chunk);
+    if (sections.length > 0) {
+      const pageText = `Section: ${sections.join('; ')}`;
+      return {
+        source: chunk.fileName || 'Unknown Document',
+        pages: [],
+        sections,
+        pageText,
+        citation: `[${chunk.fileName || 'Unknown Document'}, ${pageText}]`
+      };
+    }
+
     // Extract unique page numbers
     const pageNumbers = [...new Set(chunk.pages.map(p => p.page))].sort((a, b) => a - b);
     
@@ -94,7 +131,7 @@ class CitationService {
     
     chunks.forEach((chunk, index) => {
       const citation = this.formatCitation(chunk);
-      const citationKey = `${citation.source}_${citation.pages.join('_')}`;
+      const citationKey = `${citation.source}_${(citation.sections || citation.pages).join('_')}`;
       
       if (!citationMap.has(citationKey)) {
         citationMap.set(citationKey, {
@@ -155,8 +192,22 @@ class CitationService {
         chunkId: chunk.chunkId,
         source: citation.source,
         pages: citation.pages,
+        ...(citation.sections && { sections: citation.sections }),
         pageText: citation.pageText,
         citation: citation.citation,
+        ...(chunk.metadata?.title && { title: chunk.metadata.title }),
+        ...(chunk.metadata?.author && { author: chunk.metadata.author }),
+        ...(chunk.metadata?.language && { language: chunk.metadata.language }),
+        ...(chunk.version?.number && {
+          version: { number: chunk.version.number, uploadedAt: chunk.version.uploadedAt }
+        }),
+        ...(chunk.table && {
+          table: {
+            caption: chunk.table.caption,
+            header: chunk.table.header,
+            rows: chunk.table.rows
+          }
+        }),
         confidence: chunk.relevanceScore || chunk.score || 0.0
       };
     });
@@ -201,7 +252,11 @@ class CitationService {
       const pagesText = match[2].trim();
       
       let pages = [];
-      if (pagesText) {
+      let sections = [];
+      const sectionMatch = pagesText.match(/^Section:\s*(.+)$/i);
+      if (sectionMatch) {
+        sections = sectionMatch[1].split(';').map(section => section.trim()).filter(Boolean);
+      } else if (pagesText) {
         // Extract page numbers
         const pageRegex = /page[s]?\s*(\d+(?:-\d+)?)/gi;
         let pageMatch;
@@ -221,6 +276,7 @@ class CitationService {
       citations.push({
         source,
         pages,
+        ...(sections.length > 0 && { sections }),
         fullMatch: match[0]
       });
     }
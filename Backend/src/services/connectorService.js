@@ -0,0 +1,683 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+const Connector = require('../models/Connector');
+const Document = require('../models/Document');
+const documentLibraryService = require('./documentLibraryService');
+const documentVersionService = require('./documentVersionService');
+const batchUploadService = require('./batchUploadService');
+const { isSupported } = require('./extractors');
+const { readCount } = require('./utils/settings');
+const { statusError } = require('./utils/errors');
+
+const execFileAsync = promisify(execFile);
+
+// Directories connectors may read from (comma-separated); none when unset
+const ALLOWED_ROOTS = (process.env.CONNECTOR_ALLOWED_ROOTS || '')
+  .split(',')
+  .map(root => root.trim())
+  .filter(Boolean)
+  .map(root => path.resolve(root));
+// The roots as given and with symbolic links resolved, so a root that is a
+// link matches both the paths admins type and the real paths they lead to
+const ROOT_PATHS = [...new Set(ALLOWED_ROOTS.flatMap(root => {
+  try {
+    return [root, fs.realpathSync(root)];
+  } catch (error) {
+    return [root];
+  }
+}))];
+// Supported files read from one source; a larger source fails its sync
+const MAX_FILES = readCount(process.env.CONNECTOR_MAX_FILES, 5000);
+const MAX_FILE_BYTES = readCount(process.env.CONNECTOR_MAX_FILE_MB, 100) * 1024 * 1024;
+// How often to look for connectors due a sync
+const POLL_MS = readCount(process.env.CONNECTOR_POLL_MS, 60 * 1000);
+// A server syncing a connector holds it this long, so others skip it
+const SYNC_LEASE_MS = 30 * 60 * 1000;
+// Quiet time after a change on disk before a watched connector syncs
+const WATCH_DEBOUNCE_MS = 5000;
+const GIT_TIMEOUT_MS = 2 * 60 * 1000;
+// Directories never read by folder connectors
+const IGNORED_DIRS = new Set(['node_modules']);
+// Files whose sync problems are kept on the connector
+const MAX_REPORTED_FILES = 20;
+
+// Keep the repository's hooks and fsmonitor command from running as this server
+const GIT_SAFETY_ARGS = ['-c', 'core.fsmonitor=false', '-c', 'core.hooksPath=/dev/null'];
+
+/**
+ * Run git in a working tree, without running any of its hooks
+ * @param {string} cwd - Working tree
+ * @param {Array<string>} args - git arguments
+ * @returns {Promise<string>} Standard output
+ * @throws {Error} When git is missing, fails or times out
+ */
+async function git(cwd, args) {
+  try {
+    const { stdout } = await execFileAsync('git', [...GIT_SAFETY_ARGS, '-C', cwd, ...args], {
+      timeout: GIT_TIMEOUT_MS,
+      maxBuffer: 64 * 1024 * 1024
+    });
+    return stdout;
+  } catch (error) {
+    const detail = (error.stderr || '').trim() || error.message;
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+/**
+ * Connector Service - keeps a directory on disk, or a git working tree, in
+ * sync with the document library. Each sync lists the source's supported
+ * files and compares them with the documents the connector created:
+ * files whose modification time and size are unchanged are skipped without
+ * being read, changed files are hashed and ingested as a new version only
+ * if their content differs, files reverted to an earlier version's content
+ * roll back to it, and files gone from the source have all their versions
+ * deleted. Connectors sync on their poll interval and, if watched, shortly
+ * after a change on disk.
+ */
+class ConnectorService {
+  constructor() {
+    this.pollTimer = null;
+    // connectorId -> { watcher, path, timer }
+    this.watchers = new Map();
+  }
+
+  /**
+   * Public view of a connector
+   * @param {Object} connector - Connector (lean)
+   * @param {number} [documentCount] - Documents it created
+   * @returns {Object} Connector summary
+   */
+  toSummary(connector, documentCount) {
+    return {
+      id: connector._id.toString(),
+      name: connector.name,
+      type: connector.type,
+      path: connector.path,
+      tags: connector.tags || [],
+      enabled: connector.enabled,
+      pollIntervalMinutes: connector.pollIntervalMinutes,
+      watch: connector.watch,
+      pull: connector.pull,
+      syncing: Boolean(connector.syncLockedUntil && connector.syncLockedUntil > new Date()),
+      lastSyncAt: connector.lastSyncAt || null,
+      lastSyncStatus: connector.lastSyncStatus || null,
+      lastError: connector.lastError || null,
+      lastSyncStats: connector.lastSyncStats || null,
+      lastCommit: connector.lastCommit || null,
+      ...(documentCount !== undefined && { documentCount }),
+      createdAt: connector.createdAt,
+      updatedAt: connector.updatedAt
+    };
+  }
+
+  /**
+   * Whether a path is one of the allowed roots or inside one
+   * @param {string} candidate - Absolute, normalized path
+   * @returns {boolean} True if connectors may read it
+   */
+  isAllowedPath(candidate) {
+    return ROOT_PATHS.some(root => candidate === root || candidate.startsWith(root + path.sep));
+  }
+
+  /**
+   * Check that a source can be read: an absolute path to an existing
+   * directory inside CONNECTOR_ALLOWED_ROOTS (which must be set), and a git working tree for
+   * git connectors. The roots are checked before the path is looked at, so
+   * errors never reveal what exists outside them.
+   * @param {string} type - 'folder' or 'git'
+   * @param {string} sourcePath - Path as given
+   * @returns {Promise<string>} Resolved path
+   * @throws {Error} Status 400 when the source cannot be used
+   */
+  async validateSource(type, sourcePath) {
+    if (!path.isAbsolute(sourcePath)) {
+      throw statusError('path must be an absolute path', 400);
+    }
+    if (ALLOWED_ROOTS.length === 0) {
+      throw statusError('Connectors are disabled: set CONNECTOR_ALLOWED_ROOTS to the directories they may read', 400);
+    }
+    const outsideRoots = statusError(`${sourcePath} is outside the allowed connector roots: ${ALLOWED_ROOTS.join(', ')}`, 400);
+    if (!this.isAllowedPath(path.resolve(sourcePath))) {
+      throw outsideRoots;
+    }
+
+    let resolved;
+    try {
+      resolved = await fs.promises.realpath(sourcePath);
+    } catch (error) {
+      throw statusError(`${sourcePath} does not exist or cannot be read`, 400);
+    }
+    // A symbolic link inside a root may lead outside it
+    if (!this.isAllowedPath(resolved)) {
+      throw outsideRoots;
+    }
+    if (!(await fs.promises.stat(resolved)).isDirectory()) {
+      throw statusError(`${sourcePath} is not a directory`, 400);
+    }
+
+    if (type === 'git') {
+      let topLevel;
+      try {
+        topLevel = (await git(resolved, ['rev-parse', '--show-toplevel'])).trim();
+      } catch (error) {
+        throw statusError(`${sourcePath} is not a git working tree: ${error.message}`, 400);
+      }
+      if (await fs.promises.realpath(topLevel) !== resolved) {
+        throw statusError(`${sourcePath} is inside a git repository; use its root ${topLevel}`, 400);
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Find a connector or throw a 404-style error
+   * @param {string} id - Connector ID
+   * @returns {Promise<Object>} Connector (lean)
+   */
+  async findConnector(id) {
+    const connector = mongoose.isValidObjectId(id) ? await Connector.findById(id).lean() : null;
+    if (!connector) {
+      throw statusError(`Connector ${id} not found`, 404);
+    }
+    return connector;
+  }
+
+  /**
+   * Every connector with the number of documents it created
+   * @returns {Promise<Array>} Connector summaries
+   */
+  async list() {
+    const connectors = await Connector.find().sort({ name: 1 }).lean();
+    const counts = await Promise.all(connectors.map(({ _id }) => Document.countDocuments({ connectorId: _id })));
+    return connectors.map((connector, i) => this.toSummary(connector, counts[i]));
+  }
+
+  /**
+   * One connector
+   * @param {string} id - Connector ID
+   * @returns {Promise<Object>} Connector summary
+   * @throws {Error} Status 404 if not found
+   */
+  async get(id) {
+    const connector = await this.findConnector(id);
+    return this.toSummary(connector, await Document.countDocuments({ connectorId: connector._id }));
+  }
+
+  /**
+   * Register a source. Its first sync runs in the background.
+   * @param {Object} data - { name, type, path, tags?, enabled?, pollIntervalMinutes?, watch?, pull? }
+   * @param {string} [userId] - Creating user
+   * @returns {Promise<Object>} Connector summary
+   * @throws {Error} Status 400 for an unusable source or tags, 409 if the name or path is taken
+   */
+  async create(data, userId) {
+    const sourcePath = await this.validateSource(data.type, data.path);
+    if (await Connector.exists({ name: data.name.trim() })) {
+      throw statusError(`A connector named ${data.name.trim()} already exists`, 409);
+    }
+    if (await Connector.exists({ path: sourcePath })) {
+      throw statusError(`${sourcePath} is already a connector source`, 409);
+    }
+
+    const connector = await Connector.create({
+      name: data.name,
+      type: data.type,
+      path: sourcePath,
+      tags: documentLibraryService.normalizeTags(data.tags || []),
+      ...(data.enabled !== undefined && { enabled: data.enabled }),
+      ...(data.pollIntervalMinutes !== undefined && { pollIntervalMinutes: data.pollIntervalMinutes }),
+      ...(data.watch !== undefined && { watch: data.watch }),
+      pull: data.type === 'git' && Boolean(data.pull),
+      createdBy: userId || null
+    });
+    console.log(`🔌 Connector ${connector.name} created for ${sourcePath} (${connector.type})`);
+
+    this.refreshWatcher(connector);
+    if (connector.enabled) this.syncInBackground(connector._id.toString());
+    return this.get(connector._id.toString());
+  }
+
+  /**
+   * Change a connector's settings. The source path and type are fixed.
+   * @param {string} id - Connector ID
+   * @param {Object} changes - { name?, tags?, enabled?, pollIntervalMinutes?, watch?, pull? }
+   * @returns {Promise<Object>} Connector summary
+   * @throws {Error} Status 404 if not found, 400 for invalid changes, 409 if the name is taken
+   */
+  async update(id, changes) {
+    const connector = await this.findConnector(id);
+
+    const fields = {
+      ...(changes.name !== undefined && { name: changes.name.trim() }),
+      ...(changes.tags !== undefined && { tags: documentLibraryService.normalizeTags(changes.tags) }),
+      ...(changes.enabled !== undefined && { enabled: changes.enabled }),
+      ...(changes.pollIntervalMinutes !== undefined && { pollIntervalMinutes: changes.pollIntervalMinutes }),
+      ...(changes.watch !== undefined && { watch: changes.watch }),
+      ...(changes.pull !== undefined && { pull: connector.type === 'git' && changes.pull })
+    };
+    if (Object.keys(fields).length === 0) {
+      throw statusError('Nothing to update', 400);
+    }
+    if (fields.name && fields.name !== connector.name && await Connector.exists({ name: fields.name })) {
+      throw statusError(`A connector named ${fields.name} already exists`, 409);
+    }
+
+    const updated = await Connector.findOneAndUpdate({ _id: connector._id }, { $set: fields }, { new: true }).lean();
+    this.refreshWatcher(updated);
+    console.log(`🔌 Updated connector ${updated.name}: ${Object.keys(fields).join(', ')}`);
+    return this.get(id);
+  }
+
+  /**
+   * Remove a connector. Its documents are deleted too, or kept as ordinary
+   * uploads that are no longer synced.
+   * @param {string} id - Connector ID
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.deleteDocuments=false] - Also delete the documents it created
+   * @returns {Promise<Object>} { id, name, deletedDocuments, detachedDocuments }
+   * @throws {Error} Status 404 if not found, 409 while it is syncing
+   */
+  async delete(id, options = {}) {
+    const connector = await this.findConnector(id);
+    if (connector.syncLockedUntil && connector.syncLockedUntil > new Date()) {
+      throw statusError(`Connector ${connector.name} is syncing; try again when it has finished`, 409);
+    }
+
+    this.closeWatcher(id);
+    await Connector.deleteOne({ _id: connector._id });
+
+    let deletedDocuments = 0;
+    let detachedDocuments = 0;
+    if (options.deleteDocuments) {
+      const sourcePaths = await Document.distinct('sourcePath', { connectorId: connector._id });
+      for (const sourcePath of sourcePaths) {
+        deletedDocuments += await this.deleteSourceDocuments(connector._id, sourcePath);
+      }
+    } else {
+      ({ modifiedCount: detachedDocuments } = await Document.updateMany(
+        { connectorId: connector._id },
+        { $unset: { connectorId: 1, sourcePath: 1, sourceModifiedAt: 1, sourceSyncedAt: 1 } }
+      ));
+    }
+
+    console.log(`🔌 Deleted connector ${connector.name} (${deletedDocuments} documents deleted, ${detachedDocuments} kept)`);
+    return { id, name: connector.name, deletedDocuments, detachedDocuments };
+  }
+
+  /**
+   * Supported files in a source, by path relative to its root. Folder
+   * connectors skip hidden entries and node_modules; git connectors read
+   * the files tracked in the index. Symbolic links are never followed.
+   * @param {Object} connector - Connector (lean)
+   * @returns {Promise<Map<string, Object>>} Relative path -> { absolutePath, stat }
+   * @throws {Error} When the source has more than CONNECTOR_MAX_FILES supported files
+   */
+  async listSourceFiles(connector) {
+    let relativePaths;
+    if (connector.type === 'git') {
+      relativePaths = (await git(connector.path, ['ls-files', '-z'])).split('\0').filter(Boolean);
+    } else {
+      relativePaths = [];
+      const walk = async (dir) => {
+        for (const entry of await fs.promises.readdir(path.join(connector.path, dir), { withFileTypes: true })) {
+          if (entry.name.startsWith('.')) continue;
+          const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+          if (entry.isDirectory()) {
+            if (!IGNORED_DIRS.has(entry.name)) await walk(relativePath);
+          } else if (entry.isFile()) {
+            relativePaths.push(relativePath);
+          }
+        }
+      };
+      await walk('');
+    }
+
+    const files = new Map();
+    for (const relativePath of relativePaths) {
+      if (!isSupported(path.posix.basename(relativePath))) continue;
+      const absolutePath = path.join(connector.path, relativePath);
+      let stat;
+      try {
+        stat = await fs.promises.lstat(absolutePath);
+      } catch (error) {
+        // Tracked but deleted from the working tree
+        continue;
+      }
+      if (!stat.isFile()) continue;
+      files.set(relativePath, { absolutePath, stat });
+      if (files.size > MAX_FILES) {
+        throw new Error(`Source has more than ${MAX_FILES} supported files`);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Delete every version of the document read from one source file,
+   * superseded versions first so no other version is promoted meanwhile
+   * @param {Object} connectorId - Connector ID
+   * @param {string} sourcePath - Path relative to the connector's root
+   * @returns {Promise<number>} Versions deleted
+   */
+  async deleteSourceDocuments(connectorId, sourcePath) {
+    const versions = await Document.find({ connectorId, sourcePath }).select('fileId isCurrent').lean();
+    versions.sort((a, b) => Number(a.isCurrent) - Number(b.isCurrent));
+    let deleted = 0;
+    for (const { fileId } of versions) {
+      try {
+        await documentLibraryService.delete(fileId);
+        deleted++;
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Bring one changed or new source file into the library
+   * @param {Object} connector - Connector (lean)
+   * @param {string} relativePath - Path relative to the connector's root
+   * @param {Object} file - { absolutePath, stat }
+   * @param {Array<Object>} versions - Documents already read from this path, baseline first
+   * @returns {Promise<Object>} { outcome: added|updated|restored|unchanged|skipped, error? }
+   */
+  async syncFile(connector, relativePath, file, versions) {
+    const { absolutePath, stat } = file;
+    const baseline = versions[0];
+    const modifiedAt = stat.mtime;
+
+    if (stat.size > MAX_FILE_BYTES) {
+      return { outcome: 'skipped', error: `Larger than ${MAX_FILE_BYTES / (1024 * 1024)} MB` };
+    }
+
+    // Touched but not edited, or reverted to an earlier version's content
+    if (baseline) {
+      const checksum = await documentLibraryService.computeChecksum(absolutePath);
+      const match = versions.find(version => version.checksum === checksum);
+      if (match) {
+        await Document.updateOne(
+          { fileId: match.fileId },
+          { $set: { sourceModifiedAt: modifiedAt, sourceSyncedAt: new Date() } }
+        );
+        if (match === baseline || match.isCurrent || match.status !== 'ready') {
+          return { outcome: 'unchanged' };
+        }
+        await documentVersionService.rollback(match.fileId);
+        console.log(`🔌 ${connector.name}: ${relativePath} reverted to version ${match.version}`);
+        return { outcome: 'restored' };
+      }
+    }
+
+    const originalname = path.posix.basename(relativePath);
+    const filename = batchUploadService.storedName(originalname);
+    const target = path.join('uploads', filename);
+    await fs.promises.copyFile(absolutePath, target);
+
+    const entry = await batchUploadService.queueFile(
+      {
+        filename,
+        originalname,
+        path: target,
+        mimetype: '',
+        size: stat.size,
+        entryName: relativePath,
+        tags: [...(connector.tags || []), ...documentLibraryService.folderTags(path.posix.dirname(relativePath))]
+      },
+      {
+        createdBy: connector.createdBy,
+        versionOf: baseline?.fileId,
+        source: { connectorId: connector._id, path: relativePath, modifiedAt }
+      }
+    );
+    if (entry.status === 'skipped') {
+      return { outcome: 'skipped', error: entry.error };
+    }
+    return { outcome: baseline ? 'updated' : 'added' };
+  }
+
+  /**
+   * Compare a source with the connector's documents and apply the differences
+   * @param {Object} connector - Connector (lean)
+   * @returns {Promise<Object>} { stats, commit, skippedSources }
+   * @throws {Error} When the source cannot be read or pulled
+   */
+  async syncSource(connector) {
+    // A missing source must fail the sync, not read as "every file deleted"
+    await this.validateSource(connector.type, connector.path);
+
+    let commit;
+    if (connector.type === 'git') {
+      if (connector.pull) await git(connector.path, ['pull', '--ff-only']);
+      commit = (await git(connector.path, ['rev-parse', 'HEAD']).catch(() => '')).trim() || undefined;
+    }
+
+    const files = await this.listSourceFiles(connector);
+    const known = await Document.find({ connectorId: connector._id })
+      .select('fileId sourcePath sourceModifiedAt sourceSyncedAt size checksum version isCurrent status')
+      .lean();
+    const bySourcePath = new Map();
+    for (const doc of known) {
+      if (!bySourcePath.has(doc.sourcePath)) bySourcePath.set(doc.sourcePath, []);
+      bySourcePath.get(doc.sourcePath).push(doc);
+    }
+
+    // An emptied source is more likely an unmounted disk or a failed checkout
+    // than every file being removed; keep the documents and fail the sync
+    if (files.size === 0 && bySourcePath.size > 0) {
+      throw new Error(`Source has no supported files; refusing to delete the ${bySourcePath.size} document(s) read from it`);
+    }
+
+    const previouslySkipped = new Map((connector.skippedSources || []).map(entry => [entry.path, entry]));
+    const skippedSources = [];
+
+    const stats = { added: 0, updated: 0, restored: 0, deleted: 0, unchanged: 0, skipped: 0, skippedFiles: [] };
+    for (const [relativePath, file] of files) {
+      // The baseline is the version the file was last seen with
+      const versions = (bySourcePath.get(relativePath) || []).sort((a, b) =>
+        (b.sourceSyncedAt || 0) - (a.sourceSyncedAt || 0) || b.version - a.version
+      );
+      const baseline = versions[0];
+      if (baseline && baseline.size === file.stat.size &&
+          baseline.sourceModifiedAt?.getTime() === file.stat.mtime.getTime()) {
+        stats.unchanged++;
+        continue;
+      }
+
+      // Skipped before with the same size and modification time: skip it without reading it again
+      const skippedBefore = previouslySkipped.get(relativePath);
+      let result;
+      if (skippedBefore && skippedBefore.size === file.stat.size &&
+          skippedBefore.modifiedAt?.getTime() === file.stat.mtime.getTime()) {
+        result = { outcome: 'skipped', error: skippedBefore.error };
+        skippedSources.push(skippedBefore);
+      } else {
+        try {
+          result = await this.syncFile(connector, relativePath, file, versions);
+          if (result.outcome === 'skipped') {
+            skippedSources.push({ path: relativePath, size: file.stat.size, modifiedAt: file.stat.mtime, error: result.error });
+          }
+        } catch (error) {
+          // Not remembered: the next sync tries the file again
+          console.error(`Failed to sync ${relativePath} from ${connector.name}:`, error);
+          result = { outcome: 'skipped', error: error.message };
+        }
+      }
+      stats[result.outcome]++;
+      if (result.error && stats.skippedFiles.length < MAX_REPORTED_FILES) {
+        stats.skippedFiles.push({ path: relativePath, error: result.error });
+      }
+    }
+
+    for (const sourcePath of bySourcePath.keys()) {
+      if (files.has(sourcePath)) continue;
+      await this.deleteSourceDocuments(connector._id, sourcePath);
+      stats.deleted++;
+    }
+
+    return { stats, commit, skippedSources };
+  }
+
+  /**
+   * Sync a connector now. Only one server syncs a connector at a time.
+   * @param {string} id - Connector ID
+   * @returns {Promise<Object>} Connector summary after the sync
+   * @throws {Error} Status 404 if not found, 409 if a sync is already running
+   */
+  async sync(id) {
+    const existing = await this.findConnector(id);
+    const now = new Date();
+    const connector = await Connector.findOneAndUpdate(
+      {
+        _id: existing._id,
+        $or: [{ syncLockedUntil: null }, { syncLockedUntil: { $lt: now } }]
+      },
+      { $set: { syncLockedUntil: new Date(now.getTime() + SYNC_LEASE_MS) } },
+      { new: true }
+    ).lean();
+    if (!connector) {
+      throw statusError(`Connector ${existing.name} is already syncing`, 409);
+    }
+
+    const started = Date.now();
+    try {
+      const { stats, commit, skippedSources } = await this.syncSource(connector);
+      await Connector.updateOne({ _id: connector._id }, {
+        $set: {
+          lastSyncAt: new Date(),
+          lastSyncStatus: 'ok',
+          lastSyncStats: stats,
+          skippedSources,
+          ...(commit && { lastCommit: commit })
+        },
+        $unset: { lastError: 1, syncLockedUntil: 1 }
+      });
+      console.log(
+        `🔌 Synced ${connector.name} in ${Date.now() - started}ms: ${stats.added} added, ${stats.updated} updated, ` +
+        `${stats.restored} restored, ${stats.deleted} deleted, ${stats.unchanged} unchanged, ${stats.skipped} skipped`
+      );
+    } catch (error) {
+      console.error(`❌ Sync of connector ${connector.name} failed:`, error.message);
+      await Connector.updateOne({ _id: connector._id }, {
+        $set: { lastSyncAt: new Date(), lastSyncStatus: 'error', lastError: error.message },
+        $unset: { syncLockedUntil: 1 }
+      });
+    }
+    return this.get(id);
+  }
+
+  /**
+   * Start a sync without waiting for it; a sync already running is left alone
+   * @param {string} id - Connector ID
+   */
+  syncInBackground(id) {
+    this.sync(id).catch(error => {
+      if (error.status !== 409 && error.status !== 404) {
+        console.error(`Failed to sync connector ${id}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Sync the enabled connectors whose poll interval has passed, one at a time
+   * @returns {Promise<void>}
+   */
+  async syncDue() {
+    if (mongoose.connection.readyState !== 1) return;
+    const connectors = await Connector.find({ enabled: true }).lean();
+    const now = Date.now();
+    for (const connector of connectors) {
+      const due = !connector.lastSyncAt ||
+        now - connector.lastSyncAt.getTime() >= connector.pollIntervalMinutes * 60 * 1000;
+      if (!due) continue;
+      try {
+        await this.sync(connector._id.toString());
+      } catch (error) {
+        if (error.status !== 409 && error.status !== 404) {
+          console.error(`Failed to sync connector ${connector.name}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Stop watching a connector's source
+   * @param {string} id - Connector ID
+   */
+  closeWatcher(id) {
+    const entry = this.watchers.get(id);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    entry.watcher.close();
+    this.watchers.delete(id);
+  }
+
+  /**
+   * Watch or stop watching a connector's source to match its settings.
+   * Changes inside .git are ignored; a burst of changes causes one sync.
+   * @param {Object} connector - Connector (lean)
+   */
+  refreshWatcher(connector) {
+    const id = connector._id.toString();
+    const wanted = connector.enabled && connector.watch;
+    const entry = this.watchers.get(id);
+    if (entry && wanted && entry.path === connector.path) return;
+    this.closeWatcher(id);
+    if (!wanted || !this.pollTimer) return;
+
+    let watcher;
+    try {
+      watcher = fs.watch(connector.path, { recursive: true, persistent: false });
+    } catch (error) {
+      console.warn(`⚠️ Cannot watch ${connector.path} for connector ${connector.name}: ${error.message}; polling only`);
+      return;
+    }
+    const watched = { watcher, path: connector.path, timer: null };
+    watcher.on('change', (event, fileName) => {
+      const changed = String(fileName || '').replace(/\\/g, '/');
+      if (changed === '.git' || changed.startsWith('.git/')) return;
+      clearTimeout(watched.timer);
+      watched.timer = setTimeout(() => this.syncInBackground(id), WATCH_DEBOUNCE_MS);
+      watched.timer.unref();
+    });
+    watcher.on('error', (error) => {
+      console.warn(`⚠️ Stopped watching ${connector.path} for connector ${connector.name}: ${error.message}`);
+      this.closeWatcher(id);
+    });
+    this.watchers.set(id, watched);
+  }
+
+  /**
+   * Start syncing connectors on their poll intervals, and watch the sources
+   * of connectors that ask for it
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => {
+      this.syncDue().catch(error => console.error('Connector poll failed:', error));
+    }, POLL_MS);
+    // The loop must not keep scripts from exiting
+    this.pollTimer.unref();
+
+    const connectors = await Connector.find({ enabled: true, watch: true }).lean();
+    connectors.forEach(connector => this.refreshWatcher(connector));
+    console.log(`🔌 Connector sync started (${connectors.length} watched)`);
+    this.syncDue().catch(error => console.error('Connector poll failed:', error));
+  }
+
+  /**
+   * Stop polling and watching
+   */
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    [...this.watchers.keys()].forEach(id => this.closeWatcher(id));
+  }
+}
+
+module.exports = new ConnectorService();
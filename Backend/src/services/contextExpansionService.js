@@ -0,0 +1,262 @@
+const DocumentChunk = require('../models/DocumentChunk');
+const { readCount } = require('./utils/settings');
+
+// Overlap bounds when stitching siblings (chunkTextWithPages overlaps by 200)
+const MAX_STITCH_OVERLAP = 400;
+const MIN_STITCH_OVERLAP = 20;
+
+/**
+ * Context Expansion Service - widens retrieved chunks before prompting
+ * Pulls adjacent chunk_N±k siblings (or every chunk on the hit's pages) from
+ * the same file and merges overlapping spans, keeping page references exact
+ */
+class ContextExpansionService {
+  constructor() {
+    this.defaultMode = process.env.CONTEXT_EXPANSION || 'none';
+    this.defaultWindow = readCount(process.env.CONTEXT_EXPANSION_WINDOW, 1);
+    this.defaultMaxChars = readCount(process.env.CONTEXT_EXPANSION_MAX_CHARS, 4800);
+  }
+
+  /**
+   * Position of a chunk within its file, from its "chunk_N" identifier
+   * @param {Object} chunk - Document chunk
+   * @returns {number|null} 1-based chunk number, or null if not sequential
+   */
+  getChunkNumber(chunk) {
+    const match = /^chunk_(\d+)$/.exec(String(chunk.chunkId || ''));
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Join two consecutive chunks, dropping the text they share
+   * @param {string} left - Earlier chunk text
+   * @param {string} right - Later chunk text
+   * @returns {{text: string, offset: number}} Joined text and where `right` starts in it
+   */
+  stitch(left, right) {
+    const maxOverlap = Math.min(MAX_STITCH_OVERLAP, left.length, right.length);
+
+    for (let size = maxOverlap; size >= MIN_STITCH_OVERLAP; size--) {
+      if (left.endsWith(right.slice(0, size))) {
+        return { text: left + right.slice(size), offset: left.length - size };
+      }
+    }
+
+    return { text: `${left} ${right}`, offset: left.length + 1 };
+  }
+
+  /**
+   * Merge a run of consecutive chunks into one span with shifted page offsets
+   * @param {Array<Object>} run - Chunks from one file, ordered by chunk number
+   * @returns {{content: string, pages: Array<Object>}} Merged text and page map
+   */
+  mergeRun(run) {
+    let content = '';
+    const pageRanges = new Map(); // page -> { page, section?, startChar, endChar }
+
+    run.forEach((chunk, index) => {
+      let offset = 0;
+      if (index === 0) {
+        content = chunk.content;
+      } else {
+        const stitched = this.stitch(content, chunk.content);
+        content = stitched.text;
+        offset = stitched.offset;
+      }
+
+      for (const { page, section, startChar, endChar } of chunk.pages || []) {
+        const existing = pageRanges.get(page);
+        const shifted = { page, ...(section && { section }), startChar: startChar + offset, endChar: endChar + offset };
+        pageRanges.set(page, existing
+          ? {
+            ...shifted,
+            startChar: Math.min(existing.startChar, shifted.startChar),
+            endChar: Math.max(existing.endChar, shifted.endChar)
+          }
+          : shifted);
+      }
+    });
+
+    const pages = Array.from(pageRanges.values())
+      .map(range => ({ ...range, endChar: Math.min(range.endChar, content.length) }))
+      .sort((a, b) => a.page - b.page);
+
+    return { content, pages };
+  }
+
+  /**
+   * Chunk numbers to fetch around a hit
+   * @param {Object} hit - Retrieved chunk
+   * @param {number} window - Siblings on each side
+   * @returns {Array<number>} Chunk numbers, nearest first
+   */
+  getNeighborNumbers(hit, window) {
+    const number = this.getChunkNumber(hit);
+    const numbers = [];
+    for (let distance = 1; distance <= window; distance++) {
+      numbers.push(number - distance, number + distance);
+    }
+    return numbers.filter(n => n >= 1);
+  }
+
+  /**
+   * Load the sibling chunks needed for every hit of one file
+   * @param {string} fileId - File ID
+   * @param {Array<Object>} hits - Hits from that file
+   * @param {string} mode - 'neighbors' or 'parent'
+   * @param {number} window - Siblings on each side for 'neighbors'
+   * @returns {Promise<Map<number, Object>>} Chunk number -> chunk
+   */
+  async loadSiblings(fileId, hits, mode, window) {
+    let query;
+    if (mode === 'parent') {
+      const pages = [...new Set(hits.flatMap(hit => (hit.pages || []).map(p => p.page)))];
+      query = { fileId, 'pages.page': { $in: pages } };
+    } else {
+      const chunkIds = [...new Set(hits.flatMap(hit => this.getNeighborNumbers(hit, window)))]
+        .map(n => `chunk_${n}`);
+      query = { fileId, chunkId: { $in: chunkIds } };
+    }
+
+    const siblings = await DocumentChunk.find(query)
+      .select('chunkId content pages fileId')
+      .lean();
+
+    return new Map(siblings
+      .map(chunk => [this.getChunkNumber(chunk), chunk])
+      .filter(([number]) => number !== null));
+  }
+
+  /**
+   * Grow a hit into a run of consecutive chunks within the character budget.
+   * Siblings are added nearest first, alternating sides.
+   * @param {Object} hit - Retrieved chunk
+   * @param {Map<number, Object>} siblings - Available chunks by number
+   * @param {number} maxChars - Character budget for the run
+   * @param {Function} [canInclude] - Extra predicate a sibling must pass
+   * @returns {{start: number, end: number}} Inclusive chunk number range
+   */
+  growRange(hit, siblings, maxChars, canInclude = () => true) {
+    const number = this.getChunkNumber(hit);
+    let start = number;
+    let end = number;
+    let length = hit.content.length;
+    let growLeft = true;
+    let growRight = true;
+
+    while (growLeft || growRight) {
+      for (const side of ['left', 'right']) {
+        if (side === 'left' ? !growLeft : !growRight) continue;
+
+        const next = side === 'left' ? start - 1 : end + 1;
+        const sibling = siblings.get(next);
+        if (!sibling || length + sibling.content.length > maxChars || !canInclude(sibling)) {
+          if (side === 'left') growLeft = false;
+          else growRight = false;
+          continue;
+        }
+
+        length += sibling.content.length;
+        if (side === 'left') start = next;
+        else end = next;
+      }
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Expand retrieved chunks with surrounding context from the same file.
+   * Hits whose expanded ranges touch are merged into one span that keeps the
+   * best-ranked hit's position and scores.
+   * @param {Array<Object>} chunks - Ranked chunks (fileId, chunkId, content, pages)
+   * @param {Object} [options] - Expansion options
+   * @param {string} [options.mode] - 'none', 'neighbors' or 'parent' (default: CONTEXT_EXPANSION or 'none')
+   * @param {number} [options.window] - Siblings on each side for 'neighbors' (default: 1)
+   * @param {number} [options.maxChars] - Character budget per merged span (default: 4800)
+   * @returns {Promise<Array<Object>>} Expanded chunks with `expandedChunkIds` and `matchedChunkIds`
+   */
+  async expand(chunks, options = {}) {
+    const {
+      mode = this.defaultMode,
+      window = this.defaultWindow,
+      maxChars = this.defaultMaxChars
+    } = options;
+
+    if (mode === 'none' || !chunks || chunks.length === 0) {
+      return chunks;
+    }
+
+    const startTime = Date.now();
+    const hitsByFile = new Map();
+    chunks.forEach((chunk, rank) => {
+      if (!chunk.fileId || this.getChunkNumber(chunk) === null || !chunk.content) return;
+      if (!hitsByFile.has(chunk.fileId)) hitsByFile.set(chunk.fileId, []);
+      hitsByFile.get(chunk.fileId).push({ chunk, rank });
+    });
+
+    const expandedByRank = new Map();
+
+    await Promise.all(Array.from(hitsByFile.entries()).map(async ([fileId, hits]) => {
+      const siblings = await this.loadSiblings(fileId, hits.map(h => h.chunk), mode, window);
+      for (const { chunk } of hits) {
+        siblings.set(this.getChunkNumber(chunk), chunk);
+      }
+
+      // Expand each hit, then merge ranges that overlap or touch
+      const ranges = hits
+        .map(({ chunk, rank }) => {
+          // A parent section is the run of chunks sharing a page with the hit
+          const hitPages = new Set((chunk.pages || []).map(p => p.page));
+          const canInclude = mode === 'parent'
+            ? sibling => (sibling.pages || []).some(p => hitPages.has(p.page))
+            : undefined;
+          return { ...this.growRange(chunk, siblings, maxChars, canInclude), hits: [{ chunk, rank }] };
+        })
+        .sort((a, b) => a.start - b.start);
+
+      const merged = [];
+      for (const range of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) {
+          last.end = Math.max(last.end, range.end);
+          last.hits.push(...range.hits);
+        } else {
+          merged.push(range);
+        }
+      }
+
+      for (const range of merged) {
+        const run = [];
+        for (let n = range.start; n <= range.end; n++) {
+          if (siblings.has(n)) run.push(siblings.get(n));
+        }
+
+        const best = range.hits.reduce((a, b) => (a.rank <= b.rank ? a : b));
+        const { content, pages } = this.mergeRun(run);
+
+        expandedByRank.set(best.rank, {
+          ...best.chunk,
+          content,
+          pages,
+          pageReferences: pages.map(p => p.page),
+          expandedChunkIds: run.map(chunk => chunk.chunkId),
+          matchedChunkIds: range.hits.sort((a, b) => a.rank - b.rank).map(h => h.chunk.chunkId)
+        });
+        // Lower-ranked hits absorbed into this span are dropped
+        for (const hit of range.hits) {
+          if (hit !== best) expandedByRank.set(hit.rank, null);
+        }
+      }
+    }));
+
+    const expanded = chunks
+      .map((chunk, rank) => (expandedByRank.has(rank) ? expandedByRank.get(rank) : chunk))
+      .filter(Boolean);
+
+    console.log(`🧩 Expanded ${chunks.length} chunks into ${expanded.length} spans (${mode}, took ${Date.now() - startTime}ms)`);
+    return expanded;
+  }
+}
+
+module.exports = new ContextExpansionService();
@@ -1,4 +1,5 @@
 const chatRepository = require('../repositories/chatRepository');
+const tokenBudgetService = require('./tokenBudgetService');
 
 class ContextService {
   constructor() {
@@ -55,14 +56,13 @@ class ContextService {
   }
 
   /**
-   * Estimate token count for a string (approximate)
+   * Count tokens for a string with the chat model's tokenizer
+   * Falls back to a chars/4 estimate until the tokenizer has loaded
    * @param {string} text - Input text
-   * @returns {number} Estimated token count
+   * @returns {number} Token count
    */
   estimateTokenCount(text) {
-    // Rough estimation: 1 token ≈ 4 characters for English text
-    // This is an approximation, actual tokenization depends on the model
-    return Math.ceil((text || '').length / 4);
+    return tokenBudgetService.countTokens(text || '');
   }
 
   /**
@@ -0,0 +1,461 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const Document = require('../models/Document');
+const DocumentChunk = require('../models/DocumentChunk');
+const IngestionJob = require('../models/IngestionJob');
+const { getChunksByFileId, deleteChunksByFileId } = require('./documentService');
+const { cancelJob, listJobs } = require('./backgroundJobService');
+const { detectExtractor } = require('./extractors');
+const { escapeRegex } = require('./utils/textAnalyzer');
+const documentVersionService = require('./documentVersionService');
+const duplicateDetectionService = require('./duplicateDetectionService');
+const documentMetadataService = require('./documentMetadataService');
+const { statusError } = require('./utils/errors');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Document Library Service - the Document record behind every upload, and
+ * the admin operations on it. Renames and tag edits are copied onto the
+ * document's chunks, and deleting a document removes its chunks, queued jobs
+ * and the uploaded file. Version chains are handled by documentVersionService.
+ */
+class DocumentLibraryService {
+  /**
+   * SHA-256 of a file, streamed so large uploads are not read into memory
+   * @param {string} filePath - File on disk
+   * @returns {Promise<string>} Hex digest
+   */
+  computeChecksum(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', data => hash.update(data))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * Trim, de-duplicate and check tags
+   * @param {Array<string>} tags - Tags as given
+   * @returns {Array<string>} Clean tags
+   * @throws {Error} Status 400 for too many or too long tags
+   */
+  normalizeTags(tags) {
+    const clean = [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+    if (clean.length > MAX_TAGS) {
+      throw statusError(`A document can have at most ${MAX_TAGS} tags`, 400);
+    }
+    const tooLong = clean.find(tag => tag.length > MAX_TAG_LENGTH);
+    if (tooLong) {
+      throw statusError(`Tag "${tooLong.slice(0, 20)}..." is longer than ${MAX_TAG_LENGTH} characters`, 400);
+    }
+    return clean;
+  }
+
+  /**
+   * Tags for a file's folder inside an uploaded archive: every ancestor
+   * folder path, so "HR/Policies" tags a file "HR" and "HR/Policies".
+   * Paths too long for a tag are left out.
+   * @param {string} folder - Folder path with forward slashes ('.' or '' for none)
+   * @returns {Array<string>} Tags
+   */
+  folderTags(folder) {
+    const parts = folder.split('/').map(part => part.trim()).filter(part => part && part !== '.');
+    return parts
+      .map((part, index) => parts.slice(0, index + 1).join('/'))
+      .filter(tag => tag.length <= MAX_TAG_LENGTH)
+      .slice(0, MAX_TAGS);
+  }
+
+  /**
+   * Public view of a document; the server-side file path is left out
+   * @param {Object} doc - Document (lean, uploadedBy populated)
+   * @param {number} [versionCount] - Versions in the document's chain, when known
+   * @returns {Object} Document summary
+   */
+  toSummary(doc, versionCount) {
+    return {
+      fileId: doc.fileId,
+      fileName: doc.fileName,
+      originalName: doc.originalName,
+      mimeType: doc.mimeType,
+      format: doc.format || null,
+      size: doc.size ?? null,
+      checksum: doc.checksum || null,
+      pageCount: doc.pageCount ?? null,
+      pageUnit: doc.pageUnit || null,
+      chunkCount: doc.chunkCount,
+      tableCount: doc.tableCount,
+      tags: doc.tags || [],
+      metadata: documentMetadataService.toSummary(doc.metadata),
+      status: doc.status,
+      error: doc.error || null,
+      seriesId: doc.seriesId,
+      version: doc.version,
+      isCurrent: doc.isCurrent,
+      supersededAt: doc.supersededAt || null,
+      supersededBy: doc.supersededBy || null,
+      ...(versionCount !== undefined && { versionCount }),
+      nearDuplicates: doc.nearDuplicates || [],
+      source: doc.connectorId ? { connectorId: doc.connectorId.toString(), path: doc.sourcePath } : null,
+      lastJobId: doc.lastJobId ? doc.lastJobId.toString() : null,
+      uploadedBy: doc.uploadedBy?._id
+        ? { id: doc.uploadedBy._id.toString(), name: doc.uploadedBy.name, email: doc.uploadedBy.email }
+        : null,
+      uploadedAt: doc.uploadedAt,
+      indexedAt: doc.indexedAt || null
+    };
+  }
+
+  /**
+   * Record a freshly uploaded file before its ingestion job is queued
+   * @param {Object} file - Uploaded file object (multer)
+   * @param {Object} [options] - Upload options
+   * @param {string} [options.uploadedBy] - User ID
+   * @param {string} [options.versionOf] - fileId of a document this upload is a new version of
+   * @param {Array<string>} [options.tags] - Tags to add to those a new version inherits
+   * @param {Object} [options.source] - { connectorId, path, modifiedAt } for a file read by a connector
+   * @returns {Promise<Object>} Created Document
+   * @throws {Error} Status 400 for invalid tags, 404 if versionOf does not exist, 409 (with `duplicateOf`) if the file is already stored
+   */
+  async registerUpload(file, options = {}) {
+    const checksum = await this.computeChecksum(file.path);
+    const duplicate = await duplicateDetectionService.findExactDuplicate(checksum);
+    if (duplicate) {
+      const error = statusError(duplicateDetectionService.describeDuplicate(duplicate), 409);
+      error.duplicateOf = {
+        fileId: duplicate.fileId,
+        fileName: duplicate.fileName,
+        version: duplicate.version,
+        uploadedAt: duplicate.uploadedAt
+      };
+      throw error;
+    }
+
+    // A new version stays out of retrieval until its chunks are stored
+    const chain = options.versionOf
+      ? { ...await documentVersionService.nextVersion(options.versionOf), isCurrent: false }
+      : { seriesId: file.filename, version: 1, isCurrent: true };
+    const tags = this.normalizeTags([...(chain.tags || []), ...(options.tags || [])]);
+    return Document.create({
+      ...chain,
+      tags,
+      fileId: file.filename,
+      fileName: file.originalname,
+      originalName: file.originalname,
+      filePath: file.path,
+      mimeType: file.mimetype,
+      size: file.size,
+      checksum,
+      status: 'processing',
+      uploadedBy: options.uploadedBy || null,
+      ...(options.source && {
+        connectorId: options.source.connectorId,
+        sourcePath: options.source.path,
+        sourceModifiedAt: options.source.modifiedAt,
+        sourceSyncedAt: new Date()
+      })
+    });
+  }
+
+  /**
+   * Find a document or throw a 404-style error
+   * @param {string} fileId - Stored file ID
+   * @returns {Promise<Object>} Document (lean, uploadedBy populated)
+   */
+  async findDocument(fileId) {
+    const doc = await Document.findOne({ fileId }).populate('uploadedBy', 'name email').lean();
+    if (!doc) {
+      throw statusError(`Document ${fileId} not found`, 404);
+    }
+    return doc;
+  }
+
+  /**
+   * Documents, newest upload first
+   * @param {Object} [options] - List options
+   * @param {string} [options.search] - Case-insensitive text in the file name or document title
+   * @param {string} [options.status] - Only documents in this state
+   * @param {string} [options.tag] - Only documents with this tag
+   * @param {string} [options.language] - Only documents detected in this language (ISO 639-1)
+   * @param {string} [options.keyword] - Only documents with this keyword tag
+   * @param {number} [options.limit=50] - Page size
+   * @param {number} [options.skip=0] - Documents to skip
+   * @param {boolean} [options.includeSuperseded=false] - Also list superseded versions
+   * @returns {Promise<Object>} { documents, total }
+   */
+  async list(options = {}) {
+    const search = options.search && { $regex: escapeRegex(options.search), $options: 'i' };
+    const query = {
+      ...(!options.includeSuperseded && { supersededAt: { $exists: false } }),
+      ...(search && { $or: [{ fileName: search }, { 'metadata.title': search }] }),
+      ...(options.status && { status: options.status }),
+      ...(options.tag && { tags: options.tag }),
+      ...(options.language && { 'metadata.language': options.language.toLowerCase() }),
+      ...(options.keyword && { 'metadata.keywords': options.keyword })
+    };
+
+    const [docs, total] = await Promise.all([
+      Document.find(query)
+        .sort({ uploadedAt: -1 })
+        .skip(options.skip || 0)
+        .limit(options.limit || 50)
+        .populate('uploadedBy', 'name email')
+        .lean(),
+      Document.countDocuments(query)
+    ]);
+
+    const versionCounts = await Document.aggregate([
+      { $match: { seriesId: { $in: [...new Set(docs.map(doc => doc.seriesId))] } } },
+      { $group: { _id: '$seriesId', count: { $sum: 1 } } }
+    ]);
+    const counts = new Map(versionCounts.map(({ _id, count }) => [_id, count]));
+
+    return { documents: docs.map(doc => this.toSummary(doc, counts.get(doc.seriesId) || 1)), total };
+  }
+
+  /**
+   * One document with its recent ingestion jobs
+   * @param {string} fileId - Stored file ID
+   * @returns {Promise<Object>} Document summary with `jobs`
+   * @throws {Error} Status 404 if not found
+   */
+  async get(fileId) {
+    const doc = await this.findDocument(fileId);
+    const jobs = await listJobs({ fileId, limit: 10 });
+    return { ...this.toSummary(doc), jobs };
+  }
+
+  /**
+   * Every version of a document, newest first
+   * @param {string} fileId - fileId of any version
+   * @returns {Promise<Array>} Document summaries
+   * @throws {Error} Status 404 if not found
+   */
+  async getVersions(fileId) {
+    const versions = await documentVersionService.getHistory(fileId);
+    return versions.map(doc => this.toSummary(doc, versions.length));
+  }
+
+  /**
+   * Make a stored version the current one of its document
+   * @param {string} fileId - Version to restore
+   * @returns {Promise<Object>} Restored version summary
+   * @throws {Error} Status 404 if not found, 409 if already current or not ingested
+   */
+  async rollback(fileId) {
+    await documentVersionService.rollback(fileId);
+    return this.toSummary(await this.findDocument(fileId));
+  }
+
+  /**
+   * Register a separately uploaded document as the next version of another,
+   * e.g. after it was reported as a near-duplicate
+   * @param {string} fileId - Document to move into the other's version chain
+   * @param {string} versionOf - fileId of any version of the other document
+   * @returns {Promise<Object>} Summary of the document, now the current version
+   * @throws {Error} Status 404 if either is not found, 409 if it cannot join the chain
+   */
+  async registerAsVersion(fileId, versionOf) {
+    await documentVersionService.attach(fileId, versionOf);
+    return this.toSummary(await this.findDocument(fileId));
+  }
+
+  /**
+   * A document's stored chunks without their vectors
+   * @param {string} fileId - Stored file ID
+   * @returns {Promise<Array>} Chunks
+   * @throws {Error} Status 404 if the document is unknown
+   */
+  async getChunks(fileId) {
+    await this.findDocument(fileId);
+    return getChunksByFileId(fileId);
+  }
+
+  /**
+   * Rename a document and/or replace its tags, on the record and every chunk
+   * @param {string} fileId - Stored file ID
+   * @param {Object} changes - Fields to change
+   * @param {string} [changes.fileName] - New display name
+   * @param {Array<string>} [changes.tags] - New tags (replace the old ones)
+   * @returns {Promise<Object>} Updated document summary
+   * @throws {Error} Status 404 if not found, 400 for invalid tags
+   */
+  async update(fileId, changes) {
+    await this.findDocument(fileId);
+
+    const fields = {
+      ...(changes.fileName !== undefined && { fileName: changes.fileName.trim() }),
+      ...(changes.tags !== undefined && { tags: this.normalizeTags(changes.tags) })
+    };
+    if (Object.keys(fields).length === 0) {
+      throw statusError('Nothing to update: send fileName and/or tags', 400);
+    }
+
+    await Document.updateOne({ fileId }, { $set: fields });
+    const { modifiedCount } = await DocumentChunk.updateMany({ fileId }, { $set: fields });
+
+    // In-process indexes cache file names and tags; refresh them for these chunks
+    if (modifiedCount > 0) {
+      const chunks = await DocumentChunk.find({ fileId })
+        .select('content fileId fileName metadata tags pages.page uploadedAt')
+        .lean();
+      DocumentChunk.events.emit('chunksUpdated', chunks);
+    }
+
+    console.log(`📚 Updated document ${fileId}: ${Object.keys(fields).join(', ')} (${modifiedCount} chunks)`);
+    return this.toSummary(await this.findDocument(fileId));
+  }
+
+  /**
+   * Delete a document: cancel its queued or running jobs, then remove its
+   * chunks, its record and the uploaded file. Deleting the current version
+   * makes the newest remaining version current.
+   * @param {string} fileId - Stored file ID
+   * @returns {Promise<Object>} { fileId, fileName, deletedChunks, cancelledJobs, fileDeleted, currentVersion }
+   * @throws {Error} Status 404 if not found
+   */
+  async delete(fileId) {
+    const doc = await this.findDocument(fileId);
+
+    const activeJobs = await IngestionJob.find({ fileId, status: { $in: ['pending', 'processing'] } })
+      .select('_id')
+      .lean();
+    for (const { _id } of activeJobs) {
+      try {
+        await cancelJob(_id.toString());
+      } catch (error) {
+        // Finished between the query and the cancel
+        if (error.status !== 409) throw error;
+      }
+    }
+
+    // Removing the record first also stops a running job from storing chunks
+    // afterwards: it checks for the record before and after writing them
+    await Document.deleteOne({ fileId });
+    const { deletedCount } = await deleteChunksByFileId(fileId);
+    const restored = await documentVersionService.handleDeleted(doc);
+
+    let fileDeleted = true;
+    try {
+      await fs.promises.unlink(doc.filePath);
+    } catch (error) {
+      fileDeleted = false;
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not delete ${doc.filePath}: ${error.message}`);
+      }
+    }
+
+    console.log(`🗑️ Deleted document ${fileId} (${deletedCount} chunks, ${activeJobs.length} jobs cancelled)`);
+    return {
+      fileId,
+      fileName: doc.fileName,
+      deletedChunks: deletedCount,
+      cancelledJobs: activeJobs.length,
+      fileDeleted,
+      currentVersion: restored ? restored.fileId : null
+    };
+  }
+
+  /**
+   * Create records for documents ingested before the Document collection
+   * existed, from their chunks and the files still on disk
+   * @returns {Promise<number>} Documents created
+   */
+  async backfill() {
+    // Records created before version chains existed start their own chain
+    await Document.updateMany({ seriesId: { $exists: false } }, [{ $set: { seriesId: '$fileId' } }]);
+
+    const known = await Document.distinct('fileId');
+    const groups = await DocumentChunk.aggregate([
+      { $match: { fileId: { $nin: known } } },
+      {
+        $group: {
+          _id: '$fileId',
+          fileName: { $first: '$fileName' },
+          filePath: { $first: '$filePath' },
+          tags: { $first: '$tags' },
+          chunkCount: { $sum: 1 },
+          tableCount: { $sum: { $cond: [{ $ifNull: ['$table', false] }, 1, 0] } },
+          pages: { $push: '$pages.page' },
+          sections: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$pages.section', []] } }, 0] }, 1, 0] } },
+          uploadedAt: { $min: '$createdAt' }
+        }
+      }
+    ]);
+    if (groups.length === 0) return 0;
+
+    console.log(`📚 Creating document records for ${groups.length} existing file(s)...`);
+    for (const group of groups) {
+      let size;
+      let checksum;
+      let format;
+      try {
+        size = (await fs.promises.stat(group.filePath)).size;
+        checksum = await this.computeChecksum(group.filePath);
+        format = (await detectExtractor(group.filePath, { fileName: group.fileName })).name;
+      } catch (error) {
+        console.warn(`⚠️ Original file for ${group._id} is not readable: ${error.message}`);
+      }
+
+      await Document.updateOne(
+        { fileId: group._id },
+        {
+          $setOnInsert: {
+            fileId: group._id,
+            seriesId: group._id,
+            fileName: group.fileName,
+            originalName: group.fileName,
+            filePath: group.filePath,
+            format,
+            size,
+            checksum,
+            pageCount: new Set(group.pages.flat()).size,
+            pageUnit: group.sections > 0 ? 'sections' : 'pages',
+            chunkCount: group.chunkCount,
+            tableCount: group.tableCount,
+            tags: group.tags || [],
+            status: 'ready',
+            uploadedAt: group.uploadedAt,
+            indexedAt: group.uploadedAt
+          }
+        },
+        { upsert: true }
+      );
+    }
+
+    console.log(`✅ Created ${groups.length} document record(s)`);
+    return groups.length;
+  }
+
+  /**
+   * Copy each document's upload date onto chunks stored before chunks
+   * carried it, so upload-date filters keep matching them
+   * @returns {Promise<number>} Documents updated
+   */
+  async backfillUploadDates() {
+    const fileIds = await DocumentChunk.distinct('fileId', { uploadedAt: { $exists: false } });
+    const docs = await Document.find({ fileId: { $in: fileIds } }).select('fileId uploadedAt').lean();
+
+    for (const doc of docs) {
+      await DocumentChunk.updateMany(
+        { fileId: doc.fileId, uploadedAt: { $exists: false } },
+        { $set: { uploadedAt: doc.uploadedAt } }
+      );
+      // In-process indexes cache filter fields; refresh them for these chunks
+      const chunks = await DocumentChunk.find({ fileId: doc.fileId })
+        .select('content fileId fileName metadata tags pages.page uploadedAt')
+        .lean();
+      DocumentChunk.events.emit('chunksUpdated', chunks);
+    }
+    if (docs.length > 0) {
+      console.log(`📚 Stored upload dates on the chunks of ${docs.length} document(s)`);
+    }
+    return docs.length;
+  }
+}
+
+module.exports = new DocumentLibraryService();
@@ -0,0 +1,240 @@
+const Document = require('../models/Document');
+const DocumentChunk = require('../models/DocumentChunk');
+const promptService = require('./promptService');
+const { readDocumentProperties } = require('./extractors');
+const { detectLanguage } = require('./utils/languageDetector');
+const { extractKeywords, summarize } = require('./utils/textSummarizer');
+const { readCount } = require('./utils/settings');
+
+// Keyword tags generated per document
+const KEYWORD_COUNT = readCount(process.env.METADATA_KEYWORD_COUNT, 8);
+const MAX_KEYWORD_LENGTH = 50;
+const MAX_SUMMARY_LENGTH = 600;
+// Characters from the start of a document an LLM summary is written from
+const LLM_SUMMARY_CHARS = 8000;
+// Values listed per search facet
+const FACET_LIMIT = 50;
+
+/**
+ * Document Metadata Service - describes each ingested document: the title,
+ * author, subject and dates stored in the file, the language of its text,
+ * a short summary and keyword tags. The result is kept on the Document;
+ * title, author and language are also copied onto its chunks, where the
+ * keyword index, search suggestions and citations read them.
+ */
+class DocumentMetadataService {
+  /**
+   * How summaries are written
+   * @returns {string} 'llm' when METADATA_SUMMARY_MODE is "llm", otherwise 'extractive'
+   */
+  getSummaryMode() {
+    return process.env.METADATA_SUMMARY_MODE === 'llm' ? 'llm' : 'extractive';
+  }
+
+  /**
+   * Title for a document whose file declares none: its first top-level heading
+   * @param {Array<Object>} chunks - Chunks in document order
+   * @returns {string|null} Top-level heading of the first chunk under one
+   */
+  titleFromHeadings(chunks) {
+    const first = chunks.find(chunk => chunk.sectionPath?.length > 0);
+    return first?.sectionPath[0] || null;
+  }
+
+  /**
+   * Summarize a document's text, with the chat model when configured; the
+   * extractive summary is used if the model fails or is not configured
+   * @param {string} text - Document text
+   * @param {Object} [options] - What is known about the document
+   * @param {string|null} [options.title] - Document title
+   * @param {string|null} [options.language] - ISO 639-1 code of the text
+   * @returns {Promise<{summary: string, source: string}>} Summary and how it was written
+   */
+  async summarize(text, options = {}) {
+    const { title = null, language = null } = options;
+
+    if (this.getSummaryMode() === 'llm') {
+      try {
+        // Required lazily: the chat model client needs an API key, extractive summaries do not
+        const langchainService = require('./langchainService');
+        const { systemPrompt, userPrompt } = promptService.createDocumentSummaryPrompt(
+          text.slice(0, LLM_SUMMARY_CHARS),
+          { title, language }
+        );
+        const completion = await langchainService.generateCompletion(systemPrompt, userPrompt, {
+          temperature: 0,
+          maxTokens: 200
+        });
+        const summary = (completion || '').replace(/^summary\s*:\s*/i, '').replace(/\s+/g, ' ').trim();
+        if (summary) {
+          return { summary: summary.slice(0, MAX_SUMMARY_LENGTH), source: 'llm' };
+        }
+      } catch (error) {
+        // Ingestion never fails over a summary
+        console.warn(`⚠️ LLM summary failed, using an extractive one: ${error.message}`);
+      }
+    }
+
+    return { summary: summarize(text, { language, maxLength: MAX_SUMMARY_LENGTH }), source: 'extractive' };
+  }
+
+  /**
+   * Describe a document from its chunks and the properties stored in its file
+   * @param {Array<Object>} chunks - Chunks in document order, with content
+   * @param {Object} [properties] - Normalized file properties (see extractors.normalizeProperties)
+   * @returns {Promise<Object>} Metadata: title, author, subject, createdAt, modifiedAt, language, summary, summarySource, keywords
+   */
+  async analyze(chunks, properties = {}) {
+    const text = chunks.filter(chunk => !chunk.table).map(chunk => chunk.content).join('\n\n');
+
+    // The text is a better witness than a language the file's template declares
+    const language = detectLanguage(text).language || properties.language || null;
+    const title = properties.title || this.titleFromHeadings(chunks);
+    const { summary, source } = await this.summarize(text, { title, language });
+
+    // Keywords the author set in the file come first
+    const keywords = [...new Set([
+      ...(properties.keywords || []).filter(keyword => keyword.length <= MAX_KEYWORD_LENGTH),
+      ...extractKeywords(text, { language, limit: KEYWORD_COUNT, maxLength: MAX_KEYWORD_LENGTH })
+    ])].slice(0, KEYWORD_COUNT);
+
+    return {
+      ...(title && { title }),
+      ...(properties.author && { author: properties.author }),
+      ...(properties.subject && { subject: properties.subject }),
+      ...(properties.createdAt && { createdAt: properties.createdAt }),
+      ...(properties.modifiedAt && { modifiedAt: properties.modifiedAt }),
+      ...(language && { language }),
+      ...(summary && { summary, summarySource: source }),
+      keywords
+    };
+  }
+
+  /**
+   * Describe a document and store the result on its record
+   * @param {string} fileId - Stored file ID
+   * @param {Array<Object>} chunks - Chunks in document order, with content
+   * @param {Object} [properties] - Normalized file properties
+   * @returns {Promise<Object>} Stored metadata
+   */
+  async storeMetadata(fileId, chunks, properties = {}) {
+    const metadata = await this.analyze(chunks, properties);
+    await Document.updateOne({ fileId }, { $set: { metadata } });
+    console.log(`🏷️ ${fileId}: ${metadata.language || 'unknown language'}, ${metadata.keywords.length} keywords${metadata.title ? `, "${metadata.title}"` : ''}`);
+    return metadata;
+  }
+
+  /**
+   * The part of a document's metadata copied onto its chunks
+   * @param {Object} [metadata] - Document metadata
+   * @returns {Object|undefined} { title, author, language } with the fields that are set, or undefined if none are
+   */
+  toChunkMetadata(metadata) {
+    if (!metadata) return undefined;
+    const fields = {
+      ...(metadata.title && { title: metadata.title }),
+      ...(metadata.author && { author: metadata.author }),
+      ...(metadata.language && { language: metadata.language })
+    };
+    return Object.keys(fields).length > 0 ? fields : undefined;
+  }
+
+  /**
+   * Public view of a document's metadata
+   * @param {Object} [metadata] - Document metadata
+   * @returns {Object|null} Metadata, or null for documents ingested before it was extracted
+   */
+  toSummary(metadata) {
+    if (!metadata) return null;
+    return {
+      title: metadata.title || null,
+      author: metadata.author || null,
+      subject: metadata.subject || null,
+      createdAt: metadata.createdAt || null,
+      modifiedAt: metadata.modifiedAt || null,
+      language: metadata.language || null,
+      summary: metadata.summary || null,
+      summarySource: metadata.summarySource || null,
+      keywords: metadata.keywords || []
+    };
+  }
+
+  /**
+   * Values to filter retrieval by, with the number of searchable documents
+   * having each: tags, keywords, languages, authors and formats
+   * @returns {Promise<Object>} { tags, keywords, languages, authors, formats }, each [{ value, count }] most common first
+   */
+  async getFacets() {
+    const facet = field => [
+      { $unwind: `$${field}` },
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_LIMIT }
+    ];
+
+    // Current versions with stored chunks are the ones retrieval searches
+    const [facets] = await Document.aggregate([
+      { $match: { isCurrent: true, chunkCount: { $gt: 0 } } },
+      {
+        $facet: {
+          tags: facet('tags'),
+          keywords: facet('metadata.keywords'),
+          languages: facet('metadata.language'),
+          authors: facet('metadata.author'),
+          formats: facet('format')
+        }
+      }
+    ]);
+
+    return Object.fromEntries(Object.entries(facets).map(([name, values]) => [
+      name,
+      values.map(({ _id, count }) => ({ value: _id, count }))
+    ]));
+  }
+
+  /**
+   * Describe documents ingested before metadata was extracted, from their
+   * stored chunks and, when still on disk, their original files
+   * @returns {Promise<number>} Documents updated
+   */
+  async backfill() {
+    const missing = await Document.find({ status: 'ready', metadata: { $exists: false } })
+      .select('fileId fileName filePath mimeType')
+      .lean();
+
+    let updated = 0;
+    for (const doc of missing) {
+      const chunks = await DocumentChunk.find({ fileId: doc.fileId })
+        .sort({ _id: 1 })
+        .select('content sectionPath table')
+        .lean();
+      if (chunks.length === 0) continue;
+
+      let properties = {};
+      try {
+        properties = await readDocumentProperties(doc.filePath, { fileName: doc.fileName, mimeType: doc.mimeType });
+      } catch (error) {
+        console.warn(`⚠️ Original file for ${doc.fileId} is not readable, describing it from its chunks: ${error.message}`);
+      }
+
+      const metadata = await this.storeMetadata(doc.fileId, chunks, properties);
+      const chunkMetadata = this.toChunkMetadata(metadata);
+      if (chunkMetadata) {
+        await DocumentChunk.updateMany({ fileId: doc.fileId }, { $set: { metadata: chunkMetadata } });
+        // In-process indexes cache titles; refresh them for these chunks
+        const refreshed = await DocumentChunk.find({ fileId: doc.fileId })
+          .select('content fileId fileName metadata tags pages.page uploadedAt')
+          .lean();
+        DocumentChunk.events.emit('chunksUpdated', refreshed);
+      }
+      updated++;
+    }
+    if (updated > 0) {
+      console.log(`🏷️ Extracted metadata for ${updated} existing documents`);
+    }
+    return updated;
+  }
+}
+
+module.exports = new DocumentMetadataService();
@@ -1,5 +1,10 @@
 const DocumentChunk = require('../models/DocumentChunk');
 const crypto = require('crypto');
+const { searchVectors } = require('./vectorStores');
+const keywordIndexService = require('./keywordIndexService');
+const searchFilterService = require('./searchFilterService');
+const { fuseResults, getChunkKey } = require('./utils/rankFusion');
+const { readCount } = require('./utils/settings');
 
 /**
  * Generate SHA-256 hash for text content
@@ -24,59 +29,39 @@ const semanticSearch = async (queryEmbedding, topK = 3, options = {}) => {
     
     const {
       fileId = null,
+      filter = null,
       minScore = 0.02,  // Realistic threshold for MiniLM cosine similarity
       includeMetadata = true,
       filterText = null
     } = options;
     
-    // Build the vector search pipeline with enhanced filtering
-    const pipeline = [
-      {
-        $vectorSearch: {
-          index: 'vector_index',
-          path: 'embedding',
-          queryVector: queryEmbedding,
-          numCandidates: 150,  // Increased for better recall
-          limit: topK * 2,    // Get more candidates for filtering
-          ...(fileId && { filter: { fileId } })
-        }
-      }
-    ];
-
-    // Add text filtering if specified
-    if (filterText) {
-      pipeline.push({
-        $match: {
-          content: { $regex: filterText, $options: 'i' }
-        }
-      });
-    }
+    // Search through the active vector store (Atlas or the local HNSW fallback)
+    const { results: hits, store } = await searchVectors(queryEmbedding, {
+      limit: topK * 2,    // Get more candidates for filtering
+      numCandidates: 150,  // Increased for better recall
+      fileId,
+      filter
+    });
+    console.log(`🔍 Using ${store} vector store`);
 
-    // Project the results with enhanced metadata
-    pipeline.push({
-      $project: {
-        _id: 0,
-        chunkId: 1,
-        chunkText: '$content',
-        documentId: '$fileId',
-        fileName: '$fileName',
-        filePath: 1,
-        chunkIndex: { $toInt: { $substr: [{ $arrayElemAt: [{ $split: ['$chunkId', '_'] }, 1] }, 0, -1] } },
-        score: { $meta: 'vectorSearchScore' },
+    const filterRegex = filterText ? new RegExp(filterText, 'i') : null;
+    const results = hits
+      .filter(hit => !filterRegex || filterRegex.test(hit.content))
+      .map(hit => ({
+        chunkId: hit.chunkId,
+        chunkText: hit.content,
+        documentId: hit.fileId,
+        fileName: hit.fileName,
+        filePath: hit.filePath,
+        chunkIndex: parseInt(String(hit.chunkId).split('_')[1], 10),
+        score: hit.score,
         ...(includeMetadata && {
-          pages: '$pages',
-          hash: 1,
-          createdAt: 1
+          pages: hit.pages,
+          hash: hit.hash,
+          createdAt: hit.createdAt
         })
-      }
-    });
-
-    // Sort by score (no filtering - let LLM decide relevance)
-    pipeline.push(
-      { $sort: { score: -1 } }
-    );
-
-    const results = await DocumentChunk.aggregate(pipeline);
+      }))
+      .sort((a, b) => b.score - a.score);
     console.log(`🔍 Vector search returned ${results.length} results`);
     if (results.length > 0) {
       console.log(`🔍 First result score: ${results[0].score}`);
@@ -113,105 +98,74 @@ const semanticSearch = async (queryEmbedding, topK = 3, options = {}) => {
 };
 
 /**
- * Hybrid search combining vector similarity and text search
+ * Hybrid search combining vector similarity and BM25 keyword search
  * @param {Array} queryEmbedding - The query embedding vector
- * @param {String} queryText - The original query text for text search
+ * @param {String} queryText - The original query text for keyword search
  * @param {Number} topK - Number of results to return (default: 3)
  * @param {Object} options - Additional search options
+ * @param {String} options.fusion - Fusion method: 'rrf' (default) or 'weighted'
+ * @param {Number} options.rrfK - RRF smoothing constant (default: 60)
+ * @param {Object} options.filter - Metadata filter (see searchFilterService)
  * @returns {Promise<Array>} - Array of matching document chunks with combined scores
  */
 const hybridSearch = async (queryEmbedding, queryText, topK = 3, options = {}) => {
   try {
     console.log(`Performing hybrid search with topK=${topK}`);
     
-    const { fileId = null, vectorWeight = 0.7, textWeight = 0.3 } = options;
+    const {
+      fileId = null,
+      vectorWeight = 0.7,
+      textWeight = 0.3,
+      fusion = process.env.HYBRID_FUSION || 'rrf',
+      rrfK = readCount(process.env.HYBRID_RRF_K, 60)
+    } = options;
     
+    // Resolve file-name globs once for both retrievers
+    const filter = await searchFilterService.resolve(options.filter, { fileId });
+
     // 1. Perform vector search
     const vectorResults = await semanticSearch(queryEmbedding, topK * 2, { 
-      fileId, 
+      filter, 
       minScore: 0,  // No threshold - let LLM decide relevance
       includeMetadata: false 
     });
     
-    // 2. Perform text search
-    const textPipeline = [
-      {
-        $match: {
-          content: { $regex: queryText, $options: 'i' },
-          ...(fileId && { fileId })
-        }
-      },
-      {
-        $addFields: {
-          textScore: { $cond: {
-            if: { $regexMatch: { input: '$content', regex: queryText, options: 'i' } },
-            then: { $divide: [
-              { $strLenCP: { $arrayElemAt: [{ $split: ['$content', queryText] }, 0] } },
-              { $strLenCP: '$content' }
-            ]},
-            else: 0
-          }}
-        }
-      },
-      {
-        $project: {
-          _id: 0,
-          chunkId: 1,
-          chunkText: '$content',
-          documentId: '$fileId',
-          fileName: '$fileName',
-          filePath: 1,
-          chunkIndex: { $toInt: { $substr: [{ $arrayElemAt: [{ $split: ['$chunkId', '_'] }, 1] }, 0, -1] } },
-          textScore: 1,
-          score: 0
-        }
-      },
-      { $sort: { textScore: 1 } },
-      { $limit: topK * 2 }
-    ];
-    
-    const textResults = await DocumentChunk.aggregate(textPipeline);
-    
-    // 3. Combine and re-score results
-    const combinedResults = [];
-    const resultMap = new Map();
+    // 2. Perform BM25 keyword search
+    const keywordHits = await keywordIndexService.search(queryText, { limit: topK * 2, filter });
+    const textResults = keywordHits.map(hit => ({
+      chunkId: hit.chunkId,
+      chunkText: hit.content,
+      documentId: hit.fileId,
+      fileName: hit.fileName,
+      filePath: hit.filePath,
+      chunkIndex: parseInt(String(hit.chunkId).split('_')[1], 10),
+      score: hit.score
+    }));
     
-    // Add vector results
-    vectorResults.forEach(result => {
-      resultMap.set(result.chunkId, {
-        ...result,
-        vectorScore: result.score,
-        textScore: 0,
-        combinedScore: result.score * vectorWeight
-      });
-    });
-    
-    // Add text results and combine scores
-    textResults.forEach(result => {
-      const existing = resultMap.get(result.chunkId);
-      if (existing) {
-        existing.textScore = result.textScore;
-        existing.combinedScore += result.textScore * textWeight;
-      } else {
-        resultMap.set(result.chunkId, {
-          ...result,
-          vectorScore: 0,
-          textScore: result.textScore,
-          combinedScore: result.textScore * textWeight
-        });
-      }
-    });
+    // 3. Fuse the two rankings
+    const fused = fuseResults([
+      { name: 'vector', results: vectorResults, weight: vectorWeight, scoreField: 'score' },
+      { name: 'text', results: textResults, weight: textWeight, scoreField: 'score' }
+    ], { method: fusion, rrfK });
+
+    const vectorScores = new Map(vectorResults.map(r => [getChunkKey(r), r.score]));
+    const textScores = new Map(textResults.map(r => [getChunkKey(r), r.score]));
     
-    // Convert to array, sort by combined score, and limit
-    const finalResults = Array.from(resultMap.values())
-      .sort((a, b) => b.combinedScore - a.combinedScore)
+    const finalResults = fused
       .slice(0, topK)
-      .map(result => ({
-        ...result,
-        score: result.combinedScore
-      }));
+      .map(result => {
+        const key = getChunkKey(result);
+        const { fusedScore, ranks, ...chunk } = result;
+        return {
+          ...chunk,
+          vectorScore: vectorScores.get(key) || 0,
+          textScore: textScores.get(key) || 0,
+          combinedScore: fusedScore,
+          score: fusedScore
+        };
+      });
     
-    console.log(`Hybrid search: ${vectorResults.length} vector results, ${textResults.length} text results, ${finalResults.length} combined results`);
+    console.log(`Hybrid search (${fusion}): ${vectorResults.length} vector results, ${textResults.length} text results, ${finalResults.length} combined results`);
     
     return finalResults;
   } catch (error) {
@@ -339,37 +293,19 @@ const saveDocumentChunksWithCitations = async (fileId, filePath, fileName, chunk
  */
 const findSimilarChunks = async (embedding, limit = 5, fileId = null) => {
   try {
-    const query = {};
-    if (fileId) {
-      query.fileId = fileId;
-    }
-
-    // Using MongoDB's vector search with the vector index
-    const pipeline = [
-      {
-        $vectorSearch: {
-          index: 'vector_index',
-          path: 'embedding',
-          queryVector: embedding,
-          numCandidates: 100,
-          limit: limit,
-          ...(fileId ? { filter: { fileId } } : {})
-        }
-      },
-      {
-        $project: {
-          _id: 0,
-          chunkId: 1,
-          content: 1,
-          fileId: 1,
-          filePath: 1,
-          score: { $meta: 'vectorSearchScore' }
-        }
-      },
-      { $sort: { score: -1 } }
-    ];
+    const { results: hits } = await searchVectors(embedding, {
+      limit,
+      numCandidates: 100,
+      fileId
+    });
 
-    const results = await DocumentChunk.aggregate(pipeline);
+    const results = hits.map(hit => ({
+      chunkId: hit.chunkId,
+      content: hit.content,
+      fileId: hit.fileId,
+      filePath: hit.filePath,
+      score: hit.score
+    }));
 
     return results;
   } catch (error) {
@@ -385,7 +321,7 @@ const findSimilarChunks = async (embedding, limit = 5, fileId = null) => {
  */
 const getChunksByFileId = async (fileId) => {
   try {
-    return await DocumentChunk.find({ fileId }, { _id: 0, embedding: 0 }).sort({ chunkId: 1 });
+    return await DocumentChunk.find({ fileId }, { _id: 0, embedding: 0, embeddings: 0 }).sort({ chunkId: 1 });
   } catch (error) {
     console.error('Error getting chunks by file ID:', error);
     throw new Error('Failed to retrieve document chunks');
@@ -0,0 +1,218 @@
+const Document = require('../models/Document');
+const DocumentChunk = require('../models/DocumentChunk');
+const { statusError } = require('./utils/errors');
+
+/**
+ * Document Version Service - version chains of documents. Uploading a file
+ * as a new version of a document adds it to the document's chain; once its
+ * chunks are stored it becomes the current version and the previous one is
+ * superseded. Superseded versions keep their chunks but are excluded from
+ * retrieval unless a filter asks for them, and any stored version can be made
+ * current again.
+ */
+class DocumentVersionService {
+  /**
+   * Chain position for a new upload of an existing document
+   * @param {string} versionOf - fileId of any version of the document
+   * @returns {Promise<Object>} { seriesId, version, tags } for the new version
+   * @throws {Error} Status 404 if the document does not exist
+   */
+  async nextVersion(versionOf) {
+    const base = await Document.findOne({ fileId: versionOf }).select('seriesId').lean();
+    if (!base) {
+      throw statusError(`Document ${versionOf} not found`, 404);
+    }
+
+    const [latest] = await Document.find({ seriesId: base.seriesId })
+      .sort({ version: -1 })
+      .limit(1)
+      .select('version tags')
+      .lean();
+    const current = await Document.findOne({ seriesId: base.seriesId, isCurrent: true }).select('tags').lean();
+
+    return {
+      seriesId: base.seriesId,
+      version: (latest?.version || 1) + 1,
+      // Tags carry over from the version being replaced
+      tags: (current || latest)?.tags || []
+    };
+  }
+
+  /**
+   * All versions of a document, newest first
+   * @param {string} fileId - fileId of any version
+   * @returns {Promise<Array>} Documents (lean, uploadedBy populated)
+   * @throws {Error} Status 404 if the document does not exist
+   */
+  async getHistory(fileId) {
+    const doc = await Document.findOne({ fileId }).select('seriesId').lean();
+    if (!doc) {
+      throw statusError(`Document ${fileId} not found`, 404);
+    }
+    return Document.find({ seriesId: doc.seriesId })
+      .sort({ version: -1 })
+      .populate('uploadedBy', 'name email')
+      .lean();
+  }
+
+  /**
+   * fileIds of stored versions that retrieval leaves out
+   * @returns {Promise<Array<string>>} Superseded fileIds
+   */
+  async getSupersededFileIds() {
+    return Document.distinct('fileId', { isCurrent: false });
+  }
+
+  /**
+   * Version stamped onto a document's chunks. Documents that were never
+   * re-uploaded have no version, so their citations stay unchanged.
+   * @param {Object} doc - Document with fileId, seriesId, version and uploadedAt
+   * @returns {Promise<Object|undefined>} { number, uploadedAt }
+   */
+  async getChunkVersion(doc) {
+    const chained = doc.version > 1 ||
+      await Document.exists({ seriesId: doc.seriesId, fileId: { $ne: doc.fileId } });
+    return chained ? { number: doc.version, uploadedAt: doc.uploadedAt } : undefined;
+  }
+
+  /**
+   * Make a version the current one of its chain, superseding the others
+   * @param {string} fileId - Version to make current
+   * @returns {Promise<Object>} The version made current (lean)
+   * @throws {Error} Status 404 if the document does not exist
+   */
+  async makeCurrent(fileId) {
+    const doc = await Document.findOne({ fileId }).lean();
+    if (!doc) {
+      throw statusError(`Document ${fileId} not found`, 404);
+    }
+
+    const now = new Date();
+    await Document.updateMany(
+      { seriesId: doc.seriesId, fileId: { $ne: fileId }, isCurrent: true },
+      { $set: { isCurrent: false, supersededAt: now, supersededBy: fileId } }
+    );
+    await Document.updateOne(
+      { fileId },
+      { $set: { isCurrent: true }, $unset: { supersededAt: 1, supersededBy: 1 } }
+    );
+
+    // The first version's chunks were stored before the chain existed
+    const versions = await Document.find({ seriesId: doc.seriesId })
+      .select('fileId seriesId version uploadedAt')
+      .lean();
+    if (versions.length > 1) {
+      for (const version of versions) {
+        await DocumentChunk.updateMany(
+          { fileId: version.fileId, version: { $exists: false } },
+          { $set: { version: { number: version.version, uploadedAt: version.uploadedAt } } }
+        );
+      }
+    }
+
+    DocumentChunk.events.emit('versionsChanged', doc.seriesId);
+    console.log(`🗂️ Version ${doc.version} of ${doc.fileName} is now current`);
+    return { ...doc, isCurrent: true, supersededAt: undefined, supersededBy: undefined };
+  }
+
+  /**
+   * A version finished ingesting. A new upload replaces the current version
+   * unless a later version is already current; re-indexing an older version
+   * never makes it current.
+   * @param {Object} job - Completed IngestionJob
+   * @returns {Promise<void>}
+   */
+  async handleIngested(job) {
+    if (job.type !== 'upload') return;
+
+    const doc = await Document.findOne({ fileId: job.fileId })
+      .select('seriesId version isCurrent supersededAt')
+      .lean();
+    if (!doc || doc.isCurrent || doc.supersededAt) return;
+
+    const newer = await Document.findOne({ seriesId: doc.seriesId, isCurrent: true, version: { $gt: doc.version } })
+      .select('fileId')
+      .lean();
+    if (newer) {
+      await Document.updateOne(
+        { fileId: job.fileId },
+        { $set: { supersededAt: new Date(), supersededBy: newer.fileId } }
+      );
+      return;
+    }
+    await this.makeCurrent(job.fileId);
+  }
+
+  /**
+   * Roll a document back (or forward) to one of its stored versions
+   * @param {string} fileId - Version to restore
+   * @returns {Promise<Object>} The restored version (lean)
+   * @throws {Error} Status 404 if not found, 409 if already current or not ingested
+   */
+  async rollback(fileId) {
+    const doc = await Document.findOne({ fileId }).select('isCurrent status version').lean();
+    if (!doc) {
+      throw statusError(`Document ${fileId} not found`, 404);
+    }
+    if (doc.isCurrent) {
+      throw statusError(`Version ${doc.version} is already current`, 409);
+    }
+    if (doc.status !== 'ready') {
+      throw statusError(`Version ${doc.version} has no stored chunks (${doc.status})`, 409);
+    }
+    return this.makeCurrent(fileId);
+  }
+
+  /**
+   * Move a stand-alone document into another document's chain as its newest
+   * version, making it current
+   * @param {string} fileId - Document to move
+   * @param {string} versionOf - fileId of any version of the target document
+   * @returns {Promise<Object>} The moved version (lean)
+   * @throws {Error} Status 404 if either is not found, 409 if already chained or not ingested
+   */
+  async attach(fileId, versionOf) {
+    const doc = await Document.findOne({ fileId }).select('fileName seriesId status').lean();
+    if (!doc) {
+      throw statusError(`Document ${fileId} not found`, 404);
+    }
+    const target = await Document.findOne({ fileId: versionOf }).select('seriesId').lean();
+    if (!target) {
+      throw statusError(`Document ${versionOf} not found`, 404);
+    }
+    if (doc.seriesId === target.seriesId) {
+      throw statusError(`${doc.fileName} is already a version of this document`, 409);
+    }
+    if (await Document.exists({ seriesId: doc.seriesId, fileId: { $ne: fileId } })) {
+      throw statusError(`${doc.fileName} has versions of its own`, 409);
+    }
+    if (doc.status !== 'ready') {
+      throw statusError(`${doc.fileName} has no stored chunks (${doc.status})`, 409);
+    }
+
+    const { seriesId, version } = await this.nextVersion(versionOf);
+    await Document.updateOne(
+      { fileId },
+      { $set: { seriesId, version, nearDuplicates: [] } }
+    );
+    return this.makeCurrent(fileId);
+  }
+
+  /**
+   * After the current version is deleted, fall back to the newest stored one
+   * @param {Object} deleted - Deleted Document
+   * @returns {Promise<Object|null>} The version made current, if any
+   */
+  async handleDeleted(deleted) {
+    if (!deleted.isCurrent) return null;
+
+    const [fallback] = await Document.find({ seriesId: deleted.seriesId, status: 'ready' })
+      .sort({ version: -1 })
+      .limit(1)
+      .select('fileId')
+      .lean();
+    return fallback ? this.makeCurrent(fallback.fileId) : null;
+  }
+}
+
+module.exports = new DocumentVersionService();
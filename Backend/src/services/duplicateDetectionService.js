@@ -0,0 +1,122 @@
+const Document = require('../models/Document');
+const DocumentChunk = require('../models/DocumentChunk');
+const { computeSignature, estimateSimilarity } = require('./utils/minHash');
+const { readNumber } = require('./utils/settings');
+
+// Estimated share of word shingles two documents must have in common to be reported
+const NEAR_DUPLICATE_THRESHOLD = Math.min(readNumber(process.env.NEAR_DUPLICATE_THRESHOLD, 0.9), 1);
+// Similar documents reported per upload
+const MAX_NEAR_DUPLICATES = 5;
+
+/**
+ * Duplicate Detection Service - file-level duplicates at upload.
+ * Identical files are caught by their SHA-256 checksum before anything is
+ * processed. Near-duplicates (a re-exported PDF, a lightly edited copy) are
+ * found after extraction by comparing MinHash signatures of the text.
+ */
+class DuplicateDetectionService {
+  /**
+   * Stored document with the same file contents. Failed uploads have no
+   * chunks and do not count.
+   * @param {string} checksum - SHA-256 of the file
+   * @returns {Promise<Object|null>} Matching document (lean)
+   */
+  async findExactDuplicate(checksum) {
+    if (!checksum) return null;
+    return Document.findOne({ checksum, status: { $in: ['processing', 'ready'] } })
+      .select('fileId fileName version uploadedAt status')
+      .lean();
+  }
+
+  /**
+   * Message telling the uploader which document a file duplicates
+   * @param {Object} doc - Existing document
+   * @returns {string} Description
+   */
+  describeDuplicate(doc) {
+    const version = doc.version > 1 ? ` (version ${doc.version})` : '';
+    return `This file is identical to "${doc.fileName}"${version} uploaded on ${new Date(doc.uploadedAt).toISOString().slice(0, 10)}`;
+  }
+
+  /**
+   * Compute and store the MinHash signature of a document's extracted text
+   * @param {string} fileId - Stored file ID
+   * @param {Array<Object>} chunks - Chunks with content
+   * @returns {Promise<Array<number>|null>} Signature
+   */
+  async storeSignature(fileId, chunks) {
+    const signature = computeSignature(chunks.map(chunk => chunk.content).join('\n'));
+    if (signature) {
+      await Document.updateOne({ fileId }, { $set: { minhash: signature } });
+    }
+    return signature;
+  }
+
+  /**
+   * Current documents of other version chains whose text closely matches this one
+   * @param {string} fileId - Stored file ID with a signature
+   * @returns {Promise<Array<Object>>} { fileId, fileName, similarity }, most similar first
+   */
+  async findNearDuplicates(fileId) {
+    const doc = await Document.findOne({ fileId }).select('+minhash seriesId').lean();
+    if (!doc?.minhash?.length) return [];
+
+    const candidates = await Document.find({
+      fileId: { $ne: fileId },
+      seriesId: { $ne: doc.seriesId },
+      isCurrent: true,
+      status: 'ready',
+      minhash: { $exists: true }
+    })
+      .select('+minhash fileId fileName')
+      .lean();
+
+    return candidates
+      .map(candidate => ({
+        fileId: candidate.fileId,
+        fileName: candidate.fileName,
+        similarity: Math.round(estimateSimilarity(doc.minhash, candidate.minhash) * 100) / 100
+      }))
+      .filter(match => match.similarity >= NEAR_DUPLICATE_THRESHOLD)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, MAX_NEAR_DUPLICATES);
+  }
+
+  /**
+   * Find near-duplicates of a freshly ingested upload and record them on it
+   * @param {string} fileId - Stored file ID
+   * @returns {Promise<Array<Object>>} Near-duplicates found
+   */
+  async checkUpload(fileId) {
+    const nearDuplicates = await this.findNearDuplicates(fileId);
+    await Document.updateOne({ fileId }, { $set: { nearDuplicates } });
+    if (nearDuplicates.length > 0) {
+      const [closest] = nearDuplicates;
+      console.log(`👯 ${fileId} is ${Math.round(closest.similarity * 100)}% similar to ${closest.fileName}`);
+    }
+    return nearDuplicates;
+  }
+
+  /**
+   * Compute signatures for documents ingested before near-duplicate detection
+   * existed, from their stored chunks
+   * @returns {Promise<number>} Documents updated
+   */
+  async backfillSignatures() {
+    const missing = await Document.find({ status: 'ready', minhash: { $exists: false } })
+      .select('fileId')
+      .lean();
+
+    let updated = 0;
+    for (const { fileId } of missing) {
+      const chunks = await DocumentChunk.find({ fileId }).sort({ _id: 1 }).select('content').lean();
+      if (await this.storeSignature(fileId, chunks)) updated++;
+    }
+    if (updated > 0) {
+      console.log(`👯 Computed near-duplicate signatures for ${updated} existing documents`);
+    }
+    return updated;
+  }
+}
+
+module.exports = new DuplicateDetectionService();
@@ -1,55 +1,126 @@
-const { pipeline } = require("@xenova/transformers");
+const { LRUCache } = require('./utils/lruCache');
+const { getEmbeddingModel } = require('../config/embeddingModels');
+const embeddingSpaceService = require('./embeddingSpaceService');
+const embeddingPool = require('./embeddingPool');
+const { readCount } = require('./utils/settings');
 
-let embedder;
+// Query embeddings keyed by model and normalized text; repeated questions skip the model
+const embeddingCache = new LRUCache({
+  maxSize: readCount(process.env.EMBEDDING_CACHE_SIZE, 1000)
+});
 
 /**
- * Initialize the embedding model - call this at server startup
+ * Initialize an embedding model - call this at server startup
+ * @param {string} [modelId] - Registry ID (default: the active model)
  * @returns {Promise<void>}
  */
-async function initializeEmbedder() {
-  if (!embedder) {
-    console.log('Initializing MiniLM embedding model at startup...');
-    embedder = await pipeline(
-      "feature-extraction",
-      "Xenova/all-MiniLM-L6-v2"
-    );
-    console.log('MiniLM model loaded successfully at startup');
+async function initializeEmbedder(modelId) {
+  const definition = getEmbeddingModel(modelId || await embeddingSpaceService.getActiveModel());
+  if (definition.provider === 'xenova') {
+    await embeddingPool.warmUp(definition);
   }
 }
 
 /**
- * Generate embeddings for text using MiniLM model
+ * Cache key for a text. The local models lowercase their input, so case and
+ * whitespace differences produce the same embedding.
+ * @param {string} text - Input text
+ * @returns {string} Normalized text
+ */
+function normalizeForCache(text) {
+  return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Reject vectors that do not match the registered dimensions
+ * @param {Array<number>} embedding - Model output
+ * @param {Object} definition - Registry entry
+ * @returns {Array<number>} The same vector
+ */
+function checkDimensions(embedding, definition) {
+  if (embedding.length !== definition.dimensions) {
+    throw new Error(`${definition.id} returned ${embedding.length} dimensions, expected ${definition.dimensions}`);
+  }
+  return embedding;
+}
+
+/**
+ * Run a registered model on several texts
+ * Local models run batched on the embedding worker pool; Google calls stay
+ * on the main thread since they only wait on the network.
+ * @param {string[]} texts - The texts to embed (prefix already applied)
+ * @param {Object} definition - Registry entry
+ * @param {string} priority - 'query' or 'ingest'
+ * @param {Function} [onProgress] - Called with the number of texts embedded so far
+ * @returns {Promise<Array<Array<number>>>} - One embedding vector per text
+ */
+async function computeEmbeddings(texts, definition, priority, onProgress) {
+  let embeddings;
+
+  if (definition.provider === 'google') {
+    // Required lazily: the Google client needs EMBEDDING_API_KEY at load time
+    const { getEmbedding } = require('./embeddingService');
+    embeddings = [];
+    for (const text of texts) {
+      embeddings.push(await getEmbedding(text, definition.model));
+      if (onProgress) onProgress(embeddings.length);
+    }
+  } else {
+    embeddings = await embeddingPool.embed(definition, texts, { priority, onProgress });
+  }
+
+  return embeddings.map(embedding => checkDimensions(embedding, definition));
+}
+
+/**
+ * Generate a query embedding
+ * Results are cached (LRU) by model and normalized text
  * @param {string} text - The text to embed
+ * @param {Object} [options] - Embedding options
+ * @param {string} [options.model] - Registry ID (default: the active model)
  * @returns {Promise<Array<number>>} - The embedding vector
  */
-async function embedText(text) {
-  if (!embedder) {
-    throw new Error('Embedding model not initialized. Call initializeEmbedder() first.');
+async function embedText(text, options = {}) {
+  const definition = getEmbeddingModel(options.model || await embeddingSpaceService.getActiveModel());
+  const key = `${definition.id}:${normalizeForCache(text)}`;
+  const cached = embeddingCache.get(key);
+  if (cached) {
+    return cached.slice();
   }
 
-  const output = await embedder(text, {
-    pooling: "mean",
-    normalize: true,
-  });
+  const [embedding] = await computeEmbeddings([definition.queryPrefix + text], definition, 'query');
+  embeddingCache.set(key, embedding);
+  return embedding.slice();
+}
 
-  const embedding = Array.from(output.data);
-  console.log(`Generated embedding with ${embedding.length} dimensions for text length ${text.length}`);
-  
-  return embedding;
+/**
+ * Embedding cache statistics
+ * @returns {{size: number, hits: number, misses: number}} Cache statistics
+ */
+function getEmbeddingCacheStats() {
+  return embeddingCache.stats();
 }
 
 /**
- * Generate embeddings for multiple texts in batch
+ * Generate document embeddings for multiple texts in batch
+ * Document chunks are embedded once, so they bypass the query cache. Batches
+ * queue behind chat queries on the worker pool and wait when the pool is saturated.
  * @param {string[]} texts - Array of texts to embed
+ * @param {Object} [options] - Embedding options
+ * @param {string} [options.model] - Registry ID (default: the active model)
+ * @param {Function} [options.onProgress] - Called with the number of texts embedded so far
  * @returns {Promise<Array<Array<number>>>} - Array of embedding vectors
  */
-async function embedBatch(texts) {
-  const embeddings = [];
-  for (const text of texts) {
-    const embedding = await embedText(text);
-    embeddings.push(embedding);
-  }
+async function embedBatch(texts, options = {}) {
+  const definition = getEmbeddingModel(options.model || await embeddingSpaceService.getActiveModel());
+  const embeddings = await computeEmbeddings(
+    texts.map(text => definition.documentPrefix + text),
+    definition,
+    'ingest',
+    options.onProgress
+  );
+  console.log(`Generated ${embeddings.length} ${definition.id} embeddings`);
   return embeddings;
 }
 
-module.exports = { initializeEmbedder, embedText, embedBatch };
+module.exports = { initializeEmbedder, embedText, embedBatch, getEmbeddingCacheStats };
@@ -0,0 +1,355 @@
+const mongoose = require('mongoose');
+const DocumentChunk = require('../models/DocumentChunk');
+const EmbeddingMigration = require('../models/EmbeddingMigration');
+const embeddingSpaceService = require('./embeddingSpaceService');
+const { embedBatch } = require('./embedding');
+const { getEmbeddingModel } = require('../config/embeddingModels');
+const { readCount } = require('./utils/settings');
+
+const UNFINISHED_STATUSES = ['running', 'paused', 'ready'];
+
+/**
+ * Error for a request that conflicts with the current migration state
+ * @param {string} message - Error message
+ * @returns {Error} Error with status 409
+ */
+function conflict(message) {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+}
+
+/**
+ * Embedding Migration Service - re-embeds every chunk into a new embedding
+ * space in the background.
+ * Batches are throttled and checkpointed, so a migration survives restarts
+ * and can be paused. Queries keep using the active space until cutover, which
+ * flips the active model in a single atomic write.
+ */
+class EmbeddingMigrationService {
+  constructor() {
+    this.defaultBatchSize = readCount(process.env.EMBEDDING_MIGRATION_BATCH_SIZE, 16);
+    this.defaultDelayMs = readCount(process.env.EMBEDDING_MIGRATION_DELAY_MS, 250, 0);
+    // Migration ID -> { stop: null | 'paused' | 'cancelled', completion }
+    this.running = new Map();
+  }
+
+  /**
+   * Startup work: record the space of legacy chunks and resume migrations
+   * that were running when the server stopped
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (mongoose.connection.readyState !== 1) return;
+
+    try {
+      await embeddingSpaceService.backfillLegacySpace();
+
+      const interrupted = await EmbeddingMigration.find({ status: 'running' });
+      for (const migration of interrupted) {
+        console.log(`🧬 Resuming embedding migration ${migration._id} to ${migration.targetModel} (${migration.processed}/${migration.total})`);
+        this.launch(migration);
+      }
+    } catch (error) {
+      console.error('Failed to initialize embedding migrations:', error);
+    }
+  }
+
+  /**
+   * Chunks that do not have a vector in a space yet
+   * @param {string} model - Registry ID
+   * @returns {Object} MongoDB query
+   */
+  missingQuery(model) {
+    return { 'embeddingSpaces.model': { $ne: model } };
+  }
+
+  /**
+   * Start re-embedding every chunk into a target space
+   * @param {string} targetModel - Registry ID to migrate to
+   * @param {Object} [options] - Migration options
+   * @param {number} [options.batchSize] - Chunks per batch (default: EMBEDDING_MIGRATION_BATCH_SIZE)
+   * @param {number} [options.delayMs] - Pause between batches (default: EMBEDDING_MIGRATION_DELAY_MS)
+   * @param {boolean} [options.autoCutover=false] - Activate the model once every chunk is embedded
+   * @param {string} [options.createdBy] - Admin user ID
+   * @returns {Promise<{migration: Object, completion: Promise<Object>}>} Created migration and a promise for its outcome
+   */
+  async start(targetModel, options = {}) {
+    getEmbeddingModel(targetModel);
+
+    const sourceModel = await embeddingSpaceService.getActiveModel();
+    if (targetModel === sourceModel) {
+      throw conflict(`${targetModel} is already the active embedding model`);
+    }
+
+    const unfinished = await EmbeddingMigration.findOne({ status: { $in: UNFINISHED_STATUSES } });
+    if (unfinished) {
+      throw conflict(`Embedding migration ${unfinished._id} to ${unfinished.targetModel} is still ${unfinished.status}`);
+    }
+
+    const migration = await EmbeddingMigration.create({
+      targetModel,
+      sourceModel,
+      total: await DocumentChunk.countDocuments(this.missingQuery(targetModel)),
+      batchSize: options.batchSize || this.defaultBatchSize,
+      delayMs: options.delayMs ?? this.defaultDelayMs,
+      autoCutover: Boolean(options.autoCutover),
+      createdBy: options.createdBy || null
+    });
+
+    console.log(`🧬 Embedding migration ${migration._id} started: ${migration.total} chunks from ${sourceModel} to ${targetModel}`);
+    return { migration, completion: this.launch(migration) };
+  }
+
+  /**
+   * Run a migration's loop in the background unless it is already running here
+   * @param {Object} migration - EmbeddingMigration document
+   * @returns {Promise<Object>} Migration after the loop stops
+   */
+  launch(migration) {
+    const id = migration._id.toString();
+    if (this.running.has(id)) {
+      return this.running.get(id).completion;
+    }
+
+    const control = { stop: null };
+    control.completion = this.run(migration, control).finally(() => {
+      this.running.delete(id);
+    });
+    this.running.set(id, control);
+    return control.completion;
+  }
+
+  /**
+   * Embed batches after the checkpoint until no chunk is missing the target space
+   * @param {Object} migration - EmbeddingMigration document
+   * @param {Object} control - Stop flag set by pause/cancel
+   * @returns {Promise<Object>} Migration in its final state for this run
+   */
+  async run(migration, control) {
+    const target = migration.targetModel;
+    let passFailures = 0;
+
+    try {
+      while (!control.stop) {
+        const query = this.missingQuery(target);
+        if (migration.lastChunkId) {
+          query._id = { $gt: migration.lastChunkId };
+        }
+
+        const batch = await DocumentChunk.find(query)
+          .select('chunkId content fileId tags pages.page uploadedAt')
+          .sort({ _id: 1 })
+          .limit(migration.batchSize)
+          .lean();
+
+        if (batch.length === 0) {
+          // End of this pass; chunks skipped by failures are retried on resume
+          const missing = await DocumentChunk.countDocuments(this.missingQuery(target));
+          if (missing === 0) {
+            migration.status = 'ready';
+            break;
+          }
+          if (passFailures > 0) {
+            migration.status = 'failed';
+            migration.error = `${missing} chunks could not be embedded with ${target}`;
+            break;
+          }
+          // Chunks behind the checkpoint appeared without the target vector; sweep again
+          migration.lastChunkId = null;
+          continue;
+        }
+
+        let embedded = [];
+        try {
+          const vectors = await embedBatch(batch.map(chunk => chunk.content), { model: target });
+          embedded = batch.map((chunk, index) => ({ ...chunk, vector: vectors[index] }));
+        } catch (error) {
+          // Retry one by one so a single bad chunk does not fail the whole batch
+          for (const chunk of batch) {
+            try {
+              const [vector] = await embedBatch([chunk.content], { model: target });
+              embedded.push({ ...chunk, vector });
+            } catch (chunkError) {
+              passFailures++;
+              migration.failed++;
+              console.warn(`⚠️ Could not embed chunk ${chunk.chunkId} of ${chunk.fileId} with ${target}: ${chunkError.message}`);
+            }
+          }
+        }
+
+        if (embedded.length > 0) {
+          await DocumentChunk.bulkWrite(embedded.map(chunk => ({
+            updateOne: {
+              filter: { _id: chunk._id, ...this.missingQuery(target) },
+              update: embeddingSpaceService.buildEmbeddingUpdate(target, chunk.vector)
+            }
+          })));
+          DocumentChunk.events.emit('chunksEmbedded', { model: target, chunks: embedded });
+        }
+
+        // Checkpoint after every batch
+        migration.processed += embedded.length;
+        migration.lastChunkId = batch[batch.length - 1]._id;
+        await migration.save();
+
+        if (migration.delayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, migration.delayMs));
+        }
+      }
+
+      if (control.stop) {
+        migration.status = control.stop;
+      }
+    } catch (error) {
+      console.error(`❌ Embedding migration ${migration._id} failed:`, error);
+      migration.status = 'failed';
+      migration.error = error.message;
+    }
+
+    if (migration.status !== 'paused') {
+      migration.completedAt = new Date();
+    }
+    await migration.save();
+    console.log(`🧬 Embedding migration ${migration._id} ${migration.status}: ${migration.processed}/${migration.total} chunks embedded with ${target}`);
+
+    if (migration.status === 'ready' && migration.autoCutover) {
+      try {
+        return await this.cutover(migration._id);
+      } catch (error) {
+        console.error(`❌ Automatic cutover of migration ${migration._id} failed:`, error.message);
+      }
+    }
+
+    return migration;
+  }
+
+  /**
+   * Find a migration or throw a 404-style error
+   * @param {string} id - Migration ID
+   * @returns {Promise<Object>} EmbeddingMigration document
+   */
+  async get(id) {
+    const migration = mongoose.Types.ObjectId.isValid(id)
+      ? await EmbeddingMigration.findById(id)
+      : null;
+
+    if (!migration) {
+      const error = new Error('Embedding migration not found');
+      error.status = 404;
+      throw error;
+    }
+    return migration;
+  }
+
+  /**
+   * Recent migrations, newest first
+   * @param {number} [limit=10] - Maximum migrations
+   * @returns {Promise<Array>} Migrations
+   */
+  async list(limit = 10) {
+    return EmbeddingMigration.find({}).sort({ createdAt: -1 }).limit(limit).lean();
+  }
+
+  /**
+   * Stop a migration after its current batch
+   * @param {string} id - Migration ID
+   * @param {string} status - 'paused' or 'cancelled'
+   * @returns {Promise<Object>} Migration once it has stopped
+   */
+  async stop(id, status) {
+    const migration = await this.get(id);
+    const control = this.running.get(migration._id.toString());
+
+    if (control) {
+      control.stop = status;
+      return control.completion;
+    }
+
+    const allowed = status === 'paused' ? ['running'] : UNFINISHED_STATUSES.concat('failed');
+    if (!allowed.includes(migration.status)) {
+      throw conflict(`Cannot ${status === 'paused' ? 'pause' : 'cancel'} a ${migration.status} migration`);
+    }
+
+    // Running status left behind by another instance or a crash
+    migration.status = status;
+    if (status === 'cancelled') migration.completedAt = new Date();
+    await migration.save();
+    return migration;
+  }
+
+  /**
+   * Pause a running migration
+   * @param {string} id - Migration ID
+   * @returns {Promise<Object>} Paused migration
+   */
+  pause(id) {
+    return this.stop(id, 'paused');
+  }
+
+  /**
+   * Cancel a migration. Vectors already written stay until the space is dropped.
+   * @param {string} id - Migration ID
+   * @returns {Promise<Object>} Cancelled migration
+   */
+  cancel(id) {
+    return this.stop(id, 'cancelled');
+  }
+
+  /**
+   * Continue a paused or failed migration from its checkpoint
+   * @param {string} id - Migration ID
+   * @returns {Promise<{migration: Object, completion: Promise<Object>}>} Migration and a promise for its outcome
+   */
+  async resume(id) {
+    const migration = await this.get(id);
+    if (!['paused', 'failed'].includes(migration.status)) {
+      throw conflict(`Cannot resume a ${migration.status} migration`);
+    }
+
+    // A failed pass is retried from the start; only chunks still missing are embedded
+    if (migration.status === 'failed') {
+      migration.lastChunkId = null;
+    }
+    migration.status = 'running';
+    migration.error = undefined;
+    migration.completedAt = undefined;
+    await migration.save();
+
+    return { migration, completion: this.launch(migration) };
+  }
+
+  /**
+   * Make the migrated model the active one. Only succeeds when every chunk has
+   * a vector in the target space and the source model is still active, so
+   * queries switch spaces all at once.
+   * @param {string} id - Migration ID
+   * @returns {Promise<Object>} Completed migration
+   */
+  async cutover(id) {
+    const migration = await this.get(id);
+    if (migration.status !== 'ready') {
+      throw conflict(`Migration is ${migration.status}; only a ready migration can be cut over`);
+    }
+
+    const missing = await DocumentChunk.countDocuments(this.missingQuery(migration.targetModel));
+    if (missing > 0) {
+      migration.status = 'paused';
+      migration.lastChunkId = null;
+      await migration.save();
+      throw conflict(`${missing} chunks are not embedded with ${migration.targetModel} yet; resume the migration first`);
+    }
+
+    const switched = await embeddingSpaceService.activateModel(migration.targetModel, migration.sourceModel);
+    if (!switched) {
+      throw conflict(`The active embedding model is no longer ${migration.sourceModel}; start a new migration`);
+    }
+
+    migration.status = 'completed';
+    migration.cutoverAt = new Date();
+    await migration.save();
+    return migration;
+  }
+}
+
+module.exports = new EmbeddingMigrationService();
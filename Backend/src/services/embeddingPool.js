@@ -0,0 +1,283 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { getEmbedder, extractFeatures } = require('./utils/featureExtraction');
+const { readCount } = require('./utils/settings');
+
+const WORKER_PATH = path.join(__dirname, 'workers', 'embeddingWorker.js');
+
+/**
+ * Embedding Pool - batched transformers inference on worker threads
+ * Two queues feed the workers: chat queries go first and are coalesced into
+ * one forward pass per model, while bulk ingestion is split into batches.
+ * With two or more workers, ingestion never takes the last idle worker, so a
+ * query waits for at most the batch already running on it. Ingestion callers
+ * are held back once EMBEDDING_MAX_QUEUED_BATCHES batches are waiting.
+ */
+class EmbeddingPool {
+  constructor() {
+    // EMBEDDING_WORKERS=0 embeds on the main thread
+    this.size = readCount(process.env.EMBEDDING_WORKERS, Math.max(1, Math.min(2, os.cpus().length - 1)), 0);
+    this.batchSize = readCount(process.env.EMBEDDING_BATCH_SIZE, 16);
+    this.maxQueuedBatches = readCount(process.env.EMBEDDING_MAX_QUEUED_BATCHES, 8);
+    this.workerPath = WORKER_PATH;
+
+    this.workers = [];
+    this.queues = { query: [], ingest: [] };
+    this.roomWaiters = [];
+    this.nextJobId = 1;
+    this.started = false;
+  }
+
+  /**
+   * Spawn the workers on first use
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    for (let i = 0; i < this.size; i++) {
+      this.workers.push(this.spawn());
+    }
+    if (this.size > 0) {
+      console.log(`🧵 Embedding pool started with ${this.size} worker(s), batch size ${this.batchSize}`);
+    }
+  }
+
+  /**
+   * Start a worker and wire up its result and failure handlers
+   * @returns {Object} Slot { worker, job }
+   */
+  spawn() {
+    const slot = { worker: new Worker(this.workerPath), job: null };
+    // Idle workers must not keep scripts from exiting
+    slot.worker.unref();
+
+    slot.worker.on('message', message => this.handleResult(slot, message));
+    slot.worker.on('error', error => this.handleFailure(slot, error));
+    slot.worker.on('exit', code => {
+      if (code !== 0) this.handleFailure(slot, new Error(`Embedding worker exited with code ${code}`));
+    });
+
+    return slot;
+  }
+
+  /**
+   * Replace a crashed worker, failing the job it was running
+   * @param {Object} slot - Worker slot
+   * @param {Error} error - Failure
+   */
+  handleFailure(slot, error) {
+    const index = this.workers.indexOf(slot);
+    if (index === -1) return;
+
+    console.error('❌ Embedding worker failed:', error.message);
+    const { job } = slot;
+    slot.job = null;
+    slot.worker.removeAllListeners();
+    slot.worker.terminate().catch(() => {});
+    this.workers[index] = this.spawn();
+
+    if (job) {
+      job.parts.forEach(({ task }) => task.reject(error));
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Hand a finished job's vectors back to the tasks it was built from
+   * @param {Object} slot - Worker slot
+   * @param {Object} message - { id, embeddings } or { id, error }
+   */
+  handleResult(slot, message) {
+    const { job } = slot;
+    if (!job || job.id !== message.id) return;
+
+    slot.job = null;
+    slot.worker.unref();
+
+    for (const { task, offset, count } of job.parts) {
+      if (message.error) {
+        task.reject(new Error(message.error));
+      } else {
+        task.resolve(message.embeddings.slice(offset, offset + count));
+      }
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Send a job to an idle worker
+   * @param {Object} slot - Idle worker slot
+   * @param {string} type - 'embed' or 'load'
+   * @param {Object} definition - Registry entry
+   * @param {Array<Object>} parts - Tasks in the job: { task, offset, count }
+   */
+  send(slot, type, definition, parts) {
+    const id = this.nextJobId++;
+    const texts = parts.flatMap(({ task }) => task.texts);
+    const { id: modelId, model, pooling, normalize } = definition;
+
+    slot.job = { id, parts };
+    slot.worker.ref();
+    slot.worker.postMessage({ id, type, model: { id: modelId, model, pooling, normalize }, texts });
+  }
+
+  /**
+   * Assign queued work to idle workers, queries first
+   */
+  dispatch() {
+    for (const slot of this.workers) {
+      if (slot.job) continue;
+
+      if (this.queues.query.length > 0) {
+        // Coalesce waiting queries for the same model into one batch
+        const first = this.queues.query.shift();
+        const parts = [{ task: first, offset: 0, count: first.texts.length }];
+        let total = first.texts.length;
+
+        for (let i = 0; i < this.queues.query.length && total < this.batchSize;) {
+          const task = this.queues.query[i];
+          if (task.definition.id === first.definition.id && total + task.texts.length <= this.batchSize) {
+            this.queues.query.splice(i, 1);
+            parts.push({ task, offset: total, count: task.texts.length });
+            total += task.texts.length;
+          } else {
+            i++;
+          }
+        }
+
+        this.send(slot, 'embed', first.definition, parts);
+        continue;
+      }
+
+      if (this.queues.ingest.length > 0) {
+        // Keep one worker free for queries when there is more than one
+        const idle = this.workers.filter(w => !w.job).length;
+        if (this.workers.length > 1 && idle < 2) break;
+
+        const task = this.queues.ingest.shift();
+        this.send(slot, 'embed', task.definition, [{ task, offset: 0, count: task.texts.length }]);
+        this.releaseRoom();
+      }
+    }
+  }
+
+  /**
+   * Let waiting ingestion callers queue more batches
+   */
+  releaseRoom() {
+    while (this.roomWaiters.length > 0 && this.queues.ingest.length < this.maxQueuedBatches) {
+      this.roomWaiters.shift()();
+    }
+  }
+
+  /**
+   * Wait until the ingestion queue has room for another batch
+   * @returns {Promise<void>}
+   */
+  waitForRoom() {
+    if (this.queues.ingest.length < this.maxQueuedBatches) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.roomWaiters.push(resolve));
+  }
+
+  /**
+   * Queue texts for a worker
+   * @param {string} priority - 'query' or 'ingest'
+   * @param {Object} definition - Registry entry
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} One vector per text
+   */
+  enqueue(priority, definition, texts) {
+    return new Promise((resolve, reject) => {
+      this.queues[priority].push({ definition, texts, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Embed texts with a local model
+   * @param {Object} definition - Registry entry
+   * @param {string[]} texts - Texts to embed (prefixes already applied)
+   * @param {Object} [options] - Scheduling options
+   * @param {string} [options.priority='ingest'] - 'query' jumps ahead of ingestion batches
+   * @param {Function} [options.onProgress] - Called with the number of texts embedded so far as batches finish
+   * @returns {Promise<Array<Array<number>>>} One vector per text
+   */
+  async embed(definition, texts, options = {}) {
+    const { priority = 'ingest', onProgress } = options;
+    if (texts.length === 0) return [];
+
+    // EMBEDDING_WORKERS=0 runs inference on the main thread
+    if (this.size === 0) {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += this.batchSize) {
+        vectors.push(...await extractFeatures(definition, texts.slice(i, i + this.batchSize)));
+        if (onProgress) onProgress(vectors.length);
+      }
+      return vectors;
+    }
+
+    this.start();
+
+    if (priority === 'query') {
+      return this.enqueue('query', definition, texts);
+    }
+
+    const batches = [];
+    let failed = null;
+    let done = 0;
+    for (let i = 0; i < texts.length && !failed; i += this.batchSize) {
+      await this.waitForRoom();
+      const batch = this.enqueue('ingest', definition, texts.slice(i, i + this.batchSize));
+      // Stop queueing the rest of the document once a batch fails
+      batch.then(vectors => {
+        done += vectors.length;
+        if (onProgress) onProgress(done);
+      }, error => {
+        failed = error;
+      });
+      batches.push(batch);
+    }
+
+    return (await Promise.all(batches)).flat();
+  }
+
+  /**
+   * Load a model in every idle worker ahead of the first request
+   * @param {Object} definition - Registry entry
+   * @returns {Promise<void>}
+   */
+  async warmUp(definition) {
+    if (this.size === 0) {
+      await getEmbedder(definition);
+      return;
+    }
+
+    this.start();
+    await Promise.all(this.workers
+      .filter(slot => !slot.job)
+      .map(slot => new Promise((resolve, reject) => {
+        this.send(slot, 'load', definition, [{ task: { texts: [], resolve, reject }, offset: 0, count: 0 }]);
+      })));
+  }
+
+  /**
+   * Queue and worker state for monitoring
+   * @returns {Object} Pool statistics
+   */
+  stats() {
+    return {
+      workers: this.size,
+      busyWorkers: this.workers.filter(slot => slot.job).length,
+      batchSize: this.batchSize,
+      queuedQueries: this.queues.query.length,
+      queuedIngestBatches: this.queues.ingest.length,
+      maxQueuedBatches: this.maxQueuedBatches
+    };
+  }
+}
+
+module.exports = new EmbeddingPool();
@@ -8,16 +8,20 @@ if (!apiKey) {
 }
 
 const genAI = new GoogleGenerativeAI(apiKey);
-const model = genAI.getGenerativeModel({ model: modelName });
+const models = new Map();
 
 /**
  * Generates an embedding vector for the given text using Google AI.
  * @param {string} text - The text to embed.
+ * @param {string} [name] - Google embedding model (default: EMBEDDING_MODEL).
  * @returns {Promise<number[]>} The embedding vector.
  */
-async function getEmbedding(text) {
+async function getEmbedding(text, name = modelName) {
   try {
-    const result = await model.embedContent(text);
+    if (!models.has(name)) {
+      models.set(name, genAI.getGenerativeModel({ model: name }));
+    }
+    const result = await models.get(name).embedContent(text);
     return result.embedding.values;
   } catch (error) {
     throw new Error(`Error generating embedding: ${error.message}`);
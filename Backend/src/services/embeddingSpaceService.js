@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const DocumentChunk = require('../models/DocumentChunk');
+const EmbeddingMigration = require('../models/EmbeddingMigration');
+const Setting = require('../models/Setting');
+const { DEFAULT_EMBEDDING_MODEL, getEmbeddingModel, listEmbeddingModels } = require('../config/embeddingModels');
+
+const ACTIVE_MODEL_KEY = 'embedding.activeModel';
+
+// How long an instance trusts its cached active model before re-reading it
+const ACTIVE_MODEL_TTL_MS = 30 * 1000;
+
+/**
+ * Embedding Space Service - which embedding model serves queries, and where
+ * each chunk's vectors live.
+ * The active model is a single Setting document, so switching it (cutover)
+ * is one atomic write that every instance picks up within ACTIVE_MODEL_TTL_MS.
+ */
+class EmbeddingSpaceService {
+  constructor() {
+    this.activeModel = null;
+    this.activeModelLoadedAt = 0;
+  }
+
+  /**
+   * Registry ID of the model that embeds queries and new uploads
+   * @returns {Promise<string>} Active model ID
+   */
+  async getActiveModel() {
+    if (this.activeModel && Date.now() - this.activeModelLoadedAt < ACTIVE_MODEL_TTL_MS) {
+      return this.activeModel;
+    }
+
+    // Without a connection, reads would buffer until one appears
+    if (mongoose.connection.readyState !== 1) {
+      return this.activeModel || DEFAULT_EMBEDDING_MODEL;
+    }
+
+    try {
+      const setting = await Setting.findOne({ key: ACTIVE_MODEL_KEY }).lean();
+      const model = setting?.value || DEFAULT_EMBEDDING_MODEL;
+      getEmbeddingModel(model);
+
+      if (this.activeModel && model !== this.activeModel) {
+        console.log(`🧬 Active embedding model changed to ${model}`);
+        DocumentChunk.events.emit('embeddingModelActivated', model);
+      }
+      this.activeModel = model;
+      this.activeModelLoadedAt = Date.now();
+    } catch (error) {
+      console.error('Failed to read active embedding model:', error.message);
+      if (!this.activeModel) this.activeModel = DEFAULT_EMBEDDING_MODEL;
+    }
+
+    return this.activeModel;
+  }
+
+  /**
+   * Atomically switch the active model, only if it is still `expectedModel`
+   * @param {string} model - Model to activate
+   * @param {string} expectedModel - Model that must currently be active
+   * @returns {Promise<boolean>} False if another switch happened first
+   */
+  async activateModel(model, expectedModel) {
+    getEmbeddingModel(model);
+
+    let switched = await Setting.findOneAndUpdate(
+      { key: ACTIVE_MODEL_KEY, value: expectedModel },
+      { $set: { value: model } },
+      { new: true }
+    );
+
+    // No setting stored yet: the default is active implicitly
+    if (!switched && expectedModel === DEFAULT_EMBEDDING_MODEL) {
+      try {
+        switched = await Setting.create({ key: ACTIVE_MODEL_KEY, value: model });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    if (!switched) return false;
+
+    this.activeModel = model;
+    this.activeModelLoadedAt = Date.now();
+    console.log(`🧬 Active embedding model switched from ${expectedModel} to ${model}`);
+    DocumentChunk.events.emit('embeddingModelActivated', model);
+    return true;
+  }
+
+  /**
+   * Models new chunks must be embedded with: the active model plus the
+   * target of any unfinished migration, so cutover never misses an upload
+   * @returns {Promise<Array<string>>} Model IDs, active model first
+   */
+  async getWriteModels() {
+    const active = await this.getActiveModel();
+    if (mongoose.connection.readyState !== 1) return [active];
+
+    const migrations = await EmbeddingMigration.find({ status: { $in: ['running', 'paused', 'ready'] } })
+      .select('targetModel')
+      .lean();
+
+    return [...new Set([active, ...migrations.map(migration => migration.targetModel)])];
+  }
+
+  /**
+   * A chunk's vector in one embedding space
+   * @param {Object} chunk - Chunk document or plain object
+   * @param {string} modelId - Registry ID
+   * @returns {Array<number>|null} Vector, or null if the chunk has none in that space
+   */
+  getVector(chunk, modelId) {
+    const { path } = getEmbeddingModel(modelId);
+    let vector;
+
+    if (path === 'embedding') {
+      vector = chunk.embedding;
+    } else {
+      const embeddings = chunk.embeddings;
+      vector = embeddings instanceof Map ? embeddings.get(modelId) : embeddings?.[modelId];
+    }
+
+    return Array.isArray(vector) && vector.length > 0 ? Array.from(vector) : null;
+  }
+
+  /**
+   * Chunk fields holding vectors for several spaces
+   * @param {Object} vectorsByModel - Model ID -> vector
+   * @returns {Object} `embedding`, `embeddings` and `embeddingSpaces` fields
+   */
+  buildEmbeddingFields(vectorsByModel) {
+    const fields = { embeddings: {}, embeddingSpaces: [] };
+
+    for (const [modelId, vector] of Object.entries(vectorsByModel)) {
+      const { path, dimensions } = getEmbeddingModel(modelId);
+      if (path === 'embedding') {
+        fields.embedding = vector;
+      } else {
+        fields.embeddings[modelId] = vector;
+      }
+      fields.embeddingSpaces.push({ model: modelId, dimensions, embeddedAt: new Date() });
+    }
+
+    return fields;
+  }
+
+  /**
+   * Update adding a vector in one space to an existing chunk. Pair it with
+   * `{ 'embeddingSpaces.model': { $ne: modelId } }` in the filter so it is idempotent.
+   * @param {string} modelId - Registry ID
+   * @param {Array<number>} vector - Chunk vector
+   * @returns {Object} MongoDB update document
+   */
+  buildEmbeddingUpdate(modelId, vector) {
+    const { path, dimensions } = getEmbeddingModel(modelId);
+    return {
+      $set: { [path]: vector },
+      $push: { embeddingSpaces: { model: modelId, dimensions, embeddedAt: new Date() } }
+    };
+  }
+
+  /**
+   * Load vectors for specific chunks in one space
+   * @param {Array} ids - Chunk _ids
+   * @param {string} modelId - Registry ID
+   * @returns {Promise<Map<string, Array<number>>>} Chunk ID -> vector
+   */
+  async loadVectors(ids, modelId) {
+    const { path } = getEmbeddingModel(modelId);
+    const objectIds = ids.map(id => new mongoose.Types.ObjectId(String(id)));
+
+    const rows = await DocumentChunk.aggregate([
+      { $match: { _id: { $in: objectIds } } },
+      { $project: { vector: `$${path}` } }
+    ]);
+
+    return new Map(rows
+      .filter(row => Array.isArray(row.vector) && row.vector.length > 0)
+      .map(row => [row._id.toString(), row.vector]));
+  }
+
+  /**
+   * Record the embedding space of chunks created before the registry existed
+   * (MiniLM vectors in `embedding` without an `embeddingSpaces` entry)
+   * @returns {Promise<number>} Number of chunks updated
+   */
+  async backfillLegacySpace() {
+    const legacy = listEmbeddingModels().find(model => model.path === 'embedding');
+
+    const { modifiedCount } = await DocumentChunk.updateMany(
+      {
+        'embedding.0': { $exists: true },
+        'embeddingSpaces.model': { $ne: legacy.id },
+        $expr: { $eq: [{ $size: '$embedding' }, legacy.dimensions] }
+      },
+      { $push: { embeddingSpaces: { model: legacy.id, dimensions: legacy.dimensions, embeddedAt: new Date() } } }
+    );
+
+    if (modifiedCount > 0) {
+      console.log(`🧬 Recorded ${legacy.id} embedding space on ${modifiedCount} existing chunks`);
+    }
+    return modifiedCount;
+  }
+
+  /**
+   * Chunk counts per embedding space
+   * @returns {Promise<Object>} { totalChunks, spaces: [{ model, dimensions, chunks, active }] }
+   */
+  async getSpaceStats() {
+    const [activeModel, totalChunks, counts] = await Promise.all([
+      this.getActiveModel(),
+      DocumentChunk.estimatedDocumentCount(),
+      DocumentChunk.aggregate([
+        { $unwind: '$embeddingSpaces' },
+        { $group: { _id: '$embeddingSpaces.model', chunks: { $sum: 1 } } }
+      ])
+    ]);
+
+    const chunksByModel = new Map(counts.map(row => [row._id, row.chunks]));
+    return {
+      activeModel,
+      totalChunks,
+      spaces: listEmbeddingModels().map(model => ({
+        model: model.id,
+        name: model.model,
+        provider: model.provider,
+        dimensions: model.dimensions,
+        chunks: chunksByModel.get(model.id) || 0,
+        active: model.id === activeModel
+      }))
+    };
+  }
+
+  /**
+   * Remove every vector of an embedding space that no longer serves queries
+   * @param {string} modelId - Registry ID
+   * @returns {Promise<number>} Number of chunks updated
+   * @throws {Error} If the space is active or an unfinished migration targets it
+   */
+  async dropSpace(modelId) {
+    const { path } = getEmbeddingModel(modelId);
+
+    if (modelId === await this.getActiveModel()) {
+      const error = new Error(`Cannot drop the active embedding space ${modelId}`);
+      error.status = 409;
+      throw error;
+    }
+    const migrating = await EmbeddingMigration.exists({
+      targetModel: modelId,
+      status: { $in: ['running', 'paused', 'ready'] }
+    });
+    if (migrating) {
+      const error = new Error(`A migration into ${modelId} is still in progress`);
+      error.status = 409;
+      throw error;
+    }
+
+    const { modifiedCount } = await DocumentChunk.updateMany(
+      { 'embeddingSpaces.model': modelId },
+      { $unset: { [path]: '' }, $pull: { embeddingSpaces: { model: modelId } } }
+    );
+
+    DocumentChunk.events.emit('embeddingSpaceDropped', modelId);
+    console.log(`🧬 Dropped ${modelId} vectors from ${modifiedCount} chunks`);
+    return modifiedCount;
+  }
+}
+
+module.exports = new EmbeddingSpaceService();
@@ -0,0 +1,411 @@
+const mongoose = require('mongoose');
+const DocumentChunk = require('../models/DocumentChunk');
+const EvaluationSet = require('../models/EvaluationSet');
+const EvaluationRun = require('../models/EvaluationRun');
+const vectorSearchService = require('./vectorSearchService');
+const searchFilterService = require('./searchFilterService');
+const embeddingSpaceService = require('./embeddingSpaceService');
+const { getEmbeddingModel } = require('../config/embeddingModels');
+const { getVectorStore } = require('./vectorStores');
+const { scoreQuestion, averageScores } = require('./utils/retrievalMetrics');
+
+// Named retrieval configurations runs can refer to
+const PRESET_CONFIGS = {
+  vector: { method: 'vector' },
+  'vector-strict': { method: 'vector', minScore: 0.3 },
+  'hybrid-rrf': { method: 'hybrid', fusion: 'rrf' },
+  'hybrid-weighted': { method: 'hybrid', fusion: 'weighted', vectorWeight: 0.7, keywordWeight: 0.3 }
+};
+
+const DEFAULT_CUTOFFS = [1, 3, 5, 10];
+const MAX_CUTOFF = 100;
+
+/**
+ * Evaluation Service - offline retrieval evaluation against golden sets
+ * Runs each golden question through vectorSearchService under one or more
+ * named configurations and stores recall@k, MRR and nDCG@k per config so
+ * runs can be compared over time.
+ */
+class EvaluationService {
+  /**
+   * Preset configurations available by name
+   * @returns {Object} Config name -> retrieval options
+   */
+  listConfigs() {
+    return PRESET_CONFIGS;
+  }
+
+  /**
+   * Validate an uploaded golden set
+   * @param {Object} data - { name, description, questions: [{ question, expected }] }
+   * @returns {Object} Normalized set
+   * @throws {Error} If the set is malformed
+   */
+  normalizeSet(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Evaluation set must be an object');
+    }
+    if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+      throw new Error('Evaluation set name is required');
+    }
+    if (!Array.isArray(data.questions) || data.questions.length === 0) {
+      throw new Error('Evaluation set must contain at least one question');
+    }
+
+    const questions = data.questions.map((item, index) => {
+      const label = `Question ${index + 1}`;
+      if (!item || typeof item.question !== 'string' || item.question.trim().length === 0) {
+        throw new Error(`${label}: question text is required`);
+      }
+
+      const expected = (Array.isArray(item.expected) ? item.expected : [item.expected]).filter(Boolean);
+      if (expected.length === 0) {
+        throw new Error(`${label}: at least one expected document is required`);
+      }
+
+      return {
+        question: item.question.trim(),
+        expected: expected.map(entry => {
+          if (!entry.fileId && !entry.fileName) {
+            throw new Error(`${label}: expected entries need a fileId or fileName`);
+          }
+          if (entry.page !== undefined && entry.page !== null &&
+            (!Number.isInteger(entry.page) || entry.page < 1)) {
+            throw new Error(`${label}: page must be a positive integer`);
+          }
+          return {
+            ...(entry.fileId && { fileId: String(entry.fileId) }),
+            ...(entry.fileName && { fileName: String(entry.fileName) }),
+            ...(entry.page && { page: entry.page })
+          };
+        })
+      };
+    });
+
+    return {
+      name: data.name.trim(),
+      description: typeof data.description === 'string' ? data.description : '',
+      questions
+    };
+  }
+
+  /**
+   * Create a golden set, or replace the questions of an existing set with the same name
+   * @param {Object} data - Uploaded set
+   * @param {string} [userId] - Uploading admin
+   * @returns {Promise<Object>} Saved set
+   */
+  async saveSet(data, userId = null) {
+    const set = this.normalizeSet(data);
+
+    return EvaluationSet.findOneAndUpdate(
+      { name: set.name },
+      {
+        $set: { description: set.description, questions: set.questions },
+        $setOnInsert: { createdBy: userId }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Find a golden set by ID or name
+   * @param {string} ref - Set ID or name
+   * @returns {Promise<Object|null>} Set document
+   */
+  async getSet(ref) {
+    if (mongoose.Types.ObjectId.isValid(ref)) {
+      const set = await EvaluationSet.findById(ref);
+      if (set) return set;
+    }
+    return EvaluationSet.findOne({ name: ref });
+  }
+
+  /**
+   * Turn config names and inline configs into validated configurations
+   * @param {Array<string|Object>} [configs] - Preset names or { name, method, ...options }
+   * @returns {Array<{name: string, config: Object}>} Configurations to run
+   * @throws {Error} On unknown presets or invalid options
+   */
+  resolveConfigs(configs) {
+    const requested = configs && configs.length > 0 ? configs : Object.keys(PRESET_CONFIGS);
+
+    const resolved = requested.map(entry => {
+      if (typeof entry === 'string') {
+        if (!PRESET_CONFIGS[entry]) {
+          throw new Error(`Unknown evaluation config "${entry}". Available: ${Object.keys(PRESET_CONFIGS).join(', ')}`);
+        }
+        return { name: entry, config: { ...PRESET_CONFIGS[entry] } };
+      }
+
+      const { name, ...config } = entry || {};
+      if (typeof name !== 'string' || name.trim().length === 0) {
+        throw new Error('Inline evaluation configs need a name');
+      }
+      if (!['vector', 'hybrid'].includes(config.method)) {
+        throw new Error(`Config "${name}": method must be "vector" or "hybrid"`);
+      }
+      if (config.minScore !== undefined && !(config.minScore >= 0 && config.minScore <= 1)) {
+        throw new Error(`Config "${name}": minScore must be between 0 and 1`);
+      }
+      if (config.fusion !== undefined && !['rrf', 'weighted'].includes(config.fusion)) {
+        throw new Error(`Config "${name}": fusion must be "rrf" or "weighted"`);
+      }
+      if (config.filter !== undefined) {
+        searchFilterService.normalize(config.filter);
+      }
+      if (config.embeddingModel !== undefined) {
+        getEmbeddingModel(config.embeddingModel);
+      }
+      return { name: name.trim(), config };
+    });
+
+    const names = resolved.map(item => item.name);
+    if (new Set(names).size !== names.length) {
+      throw new Error('Evaluation config names must be unique');
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Validate recall/nDCG cutoffs
+   * @param {Array<number>} [cutoffs] - Values of k
+   * @returns {Array<number>} Sorted, de-duplicated cutoffs
+   */
+  resolveCutoffs(cutoffs) {
+    const values = cutoffs && cutoffs.length > 0 ? cutoffs.map(Number) : DEFAULT_CUTOFFS;
+    if (values.some(k => !Number.isInteger(k) || k < 1 || k > MAX_CUTOFF)) {
+      throw new Error(`Cutoffs must be integers between 1 and ${MAX_CUTOFF}`);
+    }
+    return [...new Set(values)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Snapshot of the index a run is measured against
+   * @returns {Promise<Object>} Embedding model, vector store and corpus size
+   */
+  async getEnvironment() {
+    const [embeddingModel, store, chunkCount, fileIds] = await Promise.all([
+      embeddingSpaceService.getActiveModel(),
+      getVectorStore(),
+      DocumentChunk.estimatedDocumentCount(),
+      DocumentChunk.distinct('fileId')
+    ]);
+
+    return {
+      embeddingModel,
+      vectorStore: store.name,
+      chunkCount,
+      fileCount: fileIds.length
+    };
+  }
+
+  /**
+   * Retrieve results for one question under one configuration
+   * @param {string} question - Question text
+   * @param {Object} config - Retrieval configuration
+   * @param {number} limit - Number of results to fetch
+   * @returns {Promise<Array>} Ranked chunks
+   */
+  async retrieve(question, config, limit) {
+    const { method, ...options } = config;
+    const searchOptions = { ...options, limit };
+
+    return method === 'hybrid'
+      ? vectorSearchService.hybridSearch(question, searchOptions)
+      : vectorSearchService.search(question, searchOptions);
+  }
+
+  /**
+   * Start an evaluation run. The run document is created immediately and
+   * completed in the background.
+   * @param {string} setRef - Golden set ID or name
+   * @param {Object} [options] - Run options
+   * @param {Array<string|Object>} [options.configs] - Configs to compare (default: all presets)
+   * @param {Array<number>} [options.cutoffs] - Values of k (default: 1, 3, 5, 10)
+   * @param {string} [options.triggeredBy='api'] - 'api' or 'cli'
+   * @param {string} [options.createdBy] - Admin user ID
+   * @returns {Promise<{run: Object, completion: Promise<Object>}>} Created run and a promise for the finished run
+   */
+  async startRun(setRef, options = {}) {
+    const set = await this.getSet(setRef);
+    if (!set) {
+      const error = new Error(`Evaluation set "${setRef}" not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    const configs = this.resolveConfigs(options.configs);
+    const cutoffs = this.resolveCutoffs(options.cutoffs);
+
+    const run = await EvaluationRun.create({
+      setId: set._id,
+      setName: set.name,
+      cutoffs,
+      environment: await this.getEnvironment(),
+      triggeredBy: options.triggeredBy || 'api',
+      createdBy: options.createdBy || null
+    });
+
+    console.log(`🧪 Evaluation run ${run._id} started: ${set.questions.length} questions × ${configs.length} configs`);
+    const completion = this.executeRun(run, set, configs, cutoffs);
+    return { run, completion };
+  }
+
+  /**
+   * Execute every question under every configuration and store the metrics
+   * @param {Object} run - EvaluationRun document
+   * @param {Object} set - EvaluationSet document
+   * @param {Array<{name: string, config: Object}>} configs - Configurations
+   * @param {Array<number>} cutoffs - Values of k
+   * @returns {Promise<Object>} Finished run (never rejects; failures are stored on the run)
+   */
+  async executeRun(run, set, configs, cutoffs) {
+    const limit = cutoffs[cutoffs.length - 1];
+    const startTime = Date.now();
+
+    try {
+      const results = [];
+
+      for (const { name, config } of configs) {
+        const questions = [];
+        let totalLatency = 0;
+        let errorCount = 0;
+
+        for (const { question, expected } of set.questions) {
+          const questionStart = Date.now();
+          let retrieved = [];
+          let error = null;
+
+          try {
+            retrieved = await this.retrieve(question, config, limit);
+          } catch (searchError) {
+            error = searchError.message;
+            errorCount++;
+          }
+          totalLatency += Date.now() - questionStart;
+
+          const score = scoreQuestion(retrieved, expected, cutoffs);
+          questions.push({
+            question,
+            ...score,
+            retrieved: retrieved.map(chunk => ({
+              fileId: chunk.fileId,
+              fileName: chunk.fileName,
+              chunkId: chunk.chunkId,
+              pages: chunk.pageReferences || [],
+              score: chunk.relevanceScore
+            })),
+            ...(error && { error })
+          });
+        }
+
+        const metrics = averageScores(questions, cutoffs);
+        results.push({
+          name,
+          config,
+          metrics,
+          avgLatencyMs: Math.round(totalLatency / set.questions.length),
+          errorCount,
+          questions
+        });
+        console.log(`🧪 ${name}: MRR ${metrics.mrr.toFixed(3)}, recall@${limit} ${metrics.recall[limit].toFixed(3)}, nDCG@${limit} ${metrics.ndcg[limit].toFixed(3)}`);
+      }
+
+      run.results = results;
+      run.status = 'completed';
+    } catch (error) {
+      console.error(`❌ Evaluation run ${run._id} failed:`, error);
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.completedAt = new Date();
+    await run.save();
+    console.log(`🧪 Evaluation run ${run._id} ${run.status} (took ${Date.now() - startTime}ms)`);
+    return run;
+  }
+
+  /**
+   * Recent runs without per-question detail
+   * @param {Object} [options] - Listing options
+   * @param {string} [options.set] - Golden set ID or name
+   * @param {number} [options.limit=20] - Maximum runs
+   * @returns {Promise<Array>} Run summaries, newest first
+   */
+  async listRuns(options = {}) {
+    const { set: setRef, limit = 20 } = options;
+    const query = {};
+
+    if (setRef) {
+      const set = await this.getSet(setRef);
+      if (!set) return [];
+      query.setId = set._id;
+    }
+
+    return EvaluationRun.find(query)
+      .select('-results.questions')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Line up the metrics of several runs per config, with the change from the
+   * oldest run to each later one
+   * @param {Array<string>} runIds - Run IDs
+   * @returns {Promise<Object>} { runs: [summary], configs: { name: [{ runId, metrics, delta }] } }
+   */
+  async compareRuns(runIds) {
+    const runs = await EvaluationRun.find({ _id: { $in: runIds }, status: 'completed' })
+      .select('-results.questions')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const configs = {};
+    for (const run of runs) {
+      for (const result of run.results) {
+        if (!configs[result.name]) configs[result.name] = [];
+        const baseline = configs[result.name][0]?.metrics;
+        configs[result.name].push({
+          runId: run._id,
+          createdAt: run.createdAt,
+          metrics: result.metrics,
+          delta: baseline ? this.diffMetrics(baseline, result.metrics) : null
+        });
+      }
+    }
+
+    return {
+      runs: runs.map(run => ({
+        _id: run._id,
+        setName: run.setName,
+        createdAt: run.createdAt,
+        environment: run.environment,
+        cutoffs: run.cutoffs
+      })),
+      configs
+    };
+  }
+
+  /**
+   * Metric-by-metric difference between two results
+   * @param {Object} before - Earlier metrics
+   * @param {Object} after - Later metrics
+   * @returns {Object} after - before, for cutoffs present in both
+   */
+  diffMetrics(before, after) {
+    const diff = { recall: {}, ndcg: {}, mrr: after.mrr - before.mrr };
+    for (const key of ['recall', 'ndcg']) {
+      for (const k of Object.keys(after[key] || {})) {
+        if (before[key] && before[key][k] !== undefined) {
+          diff[key][k] = after[key][k] - before[key][k];
+        }
+      }
+    }
+    return diff;
+  }
+}
+
+module.exports = new EvaluationService();
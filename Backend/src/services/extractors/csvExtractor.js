@@ -0,0 +1,110 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { readCount } = require('../utils/settings');
+
+// Data rows grouped into one section; each section is cited as "Rows a-b"
+const ROWS_PER_SECTION = readCount(process.env.CSV_ROWS_PER_SECTION, 50);
+
+/**
+ * Parse delimited text (RFC 4180: quoted fields, doubled quotes, newlines in quotes)
+ * @param {string} text - File content
+ * @param {string} delimiter - Field separator
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Pick the delimiter used in the header line
+ * @param {string} text - File content
+ * @param {string} fileName - Original file name (.tsv means tabs)
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(text, fileName) {
+  if (path.extname(fileName || '').toLowerCase() === '.tsv') return '\t';
+
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [',', ';', '\t', '|'].map(delimiter => [delimiter, header.split(delimiter).length - 1]);
+  const [best] = counts.sort((a, b) => b[1] - a[1]);
+  return best[1] > 0 ? best[0] : ',';
+}
+
+/**
+ * CSV extractor. The first row is the header; every data row is written as
+ * "Column: value; Column: value" so a chunk stays readable without its header.
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.fileName] - Original file name
+ * @returns {Promise<Array<{section: string, text: string}>>} One section per group of rows
+ */
+async function extract(filePath, options = {}) {
+  const text = (await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+  const rows = parseDelimited(text, detectDelimiter(text, options.fileName))
+    .filter(row => row.some(field => field.trim() !== ''));
+  if (rows.length === 0) return [];
+
+  const [header, ...dataRows] = rows;
+  const columns = header.map((name, index) => name.trim() || `Column ${index + 1}`);
+
+  const sections = [];
+  for (let start = 0; start < dataRows.length; start += ROWS_PER_SECTION) {
+    const group = dataRows.slice(start, start + ROWS_PER_SECTION);
+    const lines = group.map(row => row
+      .map((value, index) => (value.trim() ? `${columns[index] || `Column ${index + 1}`}: ${value.trim()}` : null))
+      .filter(Boolean)
+      .join('; '));
+
+    sections.push({
+      section: `Rows ${start + 1}-${start + group.length}`,
+      text: lines.join('\n')
+    });
+  }
+  return sections;
+}
+
+module.exports = {
+  name: 'csv',
+  label: 'CSV',
+  extensions: ['.csv', '.tsv'],
+  mimeTypes: ['text/csv', 'text/tab-separated-values', 'application/csv'],
+  extract,
+  parseDelimited
+};
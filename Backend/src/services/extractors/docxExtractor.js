@@ -0,0 +1,62 @@
+const fs = require('fs').promises;
+const JSZip = require('jszip');
+const mammoth = require('mammoth');
+const { extractSections, decodeEntities } = require('./htmlExtractor');
+
+/**
+ * DOCX extractor - Word heading styles become section boundaries
+ * The document is converted to HTML (Heading 1-6 map to h1-h6) and split
+ * like an HTML page. Images are dropped.
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Array<{section: string|null, level?: number, text: string}>>} Section segments
+ */
+async function extract(filePath) {
+  const { value: html, messages } = await mammoth.convertToHtml(
+    { path: filePath },
+    { convertImage: mammoth.images.imgElement(() => Promise.resolve({ src: '' })) }
+  );
+
+  const errors = messages.filter(message => message.type === 'error');
+  if (errors.length > 0) {
+    console.warn(`⚠️ DOCX conversion of ${filePath} reported ${errors.length} error(s): ${errors[0].message}`);
+  }
+
+  return extractSections(html);
+}
+
+/**
+ * Document properties from the package's docProps/core.xml (File > Info in Word)
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<{title?: string, author?: string, subject?: string, keywords?: string, language?: string, createdAt?: string, modifiedAt?: string}>} Raw document properties
+ */
+async function readProperties(filePath) {
+  const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+  const core = zip.file('docProps/core.xml');
+  if (!core) return {};
+
+  const xml = await core.async('string');
+  const read = (tag) => {
+    const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeEntities(match[1]) : undefined;
+  };
+  return {
+    title: read('dc:title'),
+    author: read('dc:creator'),
+    subject: read('dc:subject') || read('dc:description'),
+    keywords: read('cp:keywords'),
+    language: read('dc:language'),
+    createdAt: read('dcterms:created'),
+    modifiedAt: read('dcterms:modified')
+  };
+}
+
+module.exports = {
+  name: 'docx',
+  label: 'Word (DOCX)',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  // DOCX is a ZIP package; other ZIP-based files are rejected by the registry
+  signature: head => head.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])),
+  extract,
+  readProperties
+};
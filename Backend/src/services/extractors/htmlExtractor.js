@@ -0,0 +1,243 @@
+const fs = require('fs').promises;
+const { normalizeRows, isDataTable, findCaption } = require('../utils/tableFormatter');
+
+// Elements whose content is never document text
+const SKIPPED_ELEMENTS = /<(script|style|noscript|template|svg|head)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+// Elements that end a line of text
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption',
+  'figure', 'footer', 'form', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'table', 'td', 'th', 'tr', 'ul'
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', deg: '°'
+};
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Collects the rows of one <table> while it is being tokenized
+ */
+class TableBuilder {
+  constructor() {
+    this.rows = [];
+    this.row = null;
+    this.cell = null;
+    // Empty cells added after the open cell for its colspan
+    this.padding = 0;
+    this.caption = null;
+    this.inCaption = false;
+    // Depth of tables nested inside this one; their text goes into the current cell
+    this.nested = 0;
+  }
+
+  /**
+   * Add text to the open cell or caption
+   * @param {string} text - Decoded text
+   */
+  addText(text) {
+    if (this.inCaption) this.caption += text;
+    else if (this.cell !== null) this.cell += text;
+  }
+
+  /**
+   * Handle a tag inside the table
+   * @param {string} tag - Lower-case tag name
+   * @param {boolean} closing - Whether it is a closing tag
+   * @param {string} attributes - Raw attribute text
+   */
+  addTag(tag, closing, attributes) {
+    if (this.nested > 0 || (tag !== 'tr' && tag !== 'td' && tag !== 'th' && tag !== 'caption')) {
+      if (this.cell !== null && BLOCK_ELEMENTS.has(tag)) this.cell += ' ';
+      return;
+    }
+
+    if (tag === 'caption') {
+      this.inCaption = !closing;
+      if (!closing) this.caption = '';
+    } else if (tag === 'tr') {
+      this.endRow();
+      if (!closing) this.row = [];
+    } else if (!closing) {
+      this.endCell();
+      if (!this.row) this.row = [];
+      this.cell = '';
+      // Cells spanning several columns keep the columns aligned with empty cells
+      const span = Number((attributes.match(/colspan\s*=\s*["']?(\d+)/i) || [])[1]) || 1;
+      this.padding = Math.min(span, 50) - 1;
+    } else {
+      this.endCell();
+    }
+  }
+
+  /** Close the open cell */
+  endCell() {
+    if (this.cell === null) return;
+    this.row.push(this.cell, ...Array(this.padding).fill(''));
+    this.cell = null;
+  }
+
+  /** Close the open row */
+  endRow() {
+    this.endCell();
+    if (this.row && this.row.length > 0) this.rows.push(this.row);
+    this.row = null;
+  }
+}
+
+/**
+ * Split an HTML document into sections at its h1-h6 headings
+ * Text before the first heading becomes an untitled section. Data tables
+ * are returned as their own segments right after the section that contains
+ * them; layout tables (one column or one row) stay in the section text.
+ * @param {string} html - HTML markup
+ * @returns {Array<{section: string|null, level?: number, text?: string, table?: Object}>} Section and table segments in document order
+ */
+function extractSections(html) {
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<[!?][^>]*>/g, '')
+    .replace(SKIPPED_ELEMENTS, ' ');
+
+  const sections = [];
+  let current = { section: null, text: '', tables: [] };
+  let heading = null;
+  let table = null;
+
+  const tokens = /<(\/?)([a-zA-Z][\w-]*)([^>]*)>|([^<]+)/g;
+  let match;
+  while ((match = tokens.exec(body)) !== null) {
+    const [, closing, tagName, attributes, rawText] = match;
+
+    if (rawText !== undefined) {
+      const text = decodeEntities(rawText);
+      if (table) {
+        table.addText(text);
+        continue;
+      }
+      if (heading !== null) heading += text;
+      current.text += text;
+      continue;
+    }
+
+    const tag = tagName.toLowerCase();
+    if (tag === 'table') {
+      if (!closing) {
+        if (table) table.nested++;
+        else table = new TableBuilder();
+        continue;
+      }
+      if (table?.nested > 0) {
+        table.nested--;
+        continue;
+      }
+      if (table) {
+        table.endRow();
+        const rows = normalizeRows(table.rows);
+        if (isDataTable(rows)) {
+          const caption = table.caption?.replace(/\s+/g, ' ').trim() || findCaption(current.text);
+          current.tables.push({ caption, rows });
+        } else {
+          current.text += `\n${rows.map(row => row.filter(Boolean).join(' ')).join('\n')}\n`;
+        }
+        table = null;
+      }
+      continue;
+    }
+    if (table) {
+      table.addTag(tag, Boolean(closing), attributes);
+      continue;
+    }
+
+    if (/^h[1-6]$/.test(tag)) {
+      if (!closing) {
+        // A heading starts a new section
+        sections.push(current);
+        current = { section: null, level: Number(tag[1]), text: '', tables: [] };
+        heading = '';
+      } else if (heading !== null) {
+        current.section = heading.replace(/\s+/g, ' ').trim() || null;
+        current.text += '\n';
+        heading = null;
+      }
+    } else if (BLOCK_ELEMENTS.has(tag)) {
+      current.text += '\n';
+    }
+  }
+  sections.push(current);
+
+  return sections.flatMap(({ tables, ...section }) => [
+    ...(section.text.trim().length > 0 ? [section] : []),
+    ...tables.map(tableData => ({ section: section.section, table: tableData }))
+  ]);
+}
+
+/**
+ * Document properties from the page's <title>, author, description and
+ * keywords <meta> tags and the lang attribute of <html>
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<{title?: string, author?: string, subject?: string, keywords?: string, language?: string}>} Raw document properties
+ */
+async function readProperties(filePath) {
+  const html = await fs.readFile(filePath, 'utf8');
+  const bodyStart = html.search(/<body\b/i);
+  const head = bodyStart === -1 ? html : html.slice(0, bodyStart);
+  const meta = (name) => {
+    for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+      if (new RegExp(`\\bname\\s*=\\s*["']?${name}["'\\s/>]`, 'i').test(tag)) {
+        const content = tag.match(/\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+        return content ? decodeEntities(content[1] ?? content[2]) : undefined;
+      }
+    }
+    return undefined;
+  };
+
+  const title = head.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  return {
+    title: title ? decodeEntities(title[1]) : undefined,
+    author: meta('author'),
+    subject: meta('description'),
+    keywords: meta('keywords'),
+    language: head.match(/<html\b[^>]*\blang\s*=\s*["']?([\w-]+)/i)?.[1]
+  };
+}
+
+/**
+ * HTML extractor - one section per heading, plus its data tables
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Array<{section: string|null, level?: number, text?: string, table?: Object}>>} Section and table segments
+ */
+async function extract(filePath) {
+  return extractSections(await fs.readFile(filePath, 'utf8'));
+}
+
+module.exports = {
+  name: 'html',
+  label: 'HTML',
+  extensions: ['.html', '.htm', '.xhtml'],
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  sniff: head => /^\s*(<\?xml[^>]*>\s*)?<(!doctype\s+html|html)\b/i.test(head.toString('utf8', 0, 1024).replace(/^\uFEFF/, '')),
+  extract,
+  readProperties,
+  extractSections,
+  decodeEntities
+};
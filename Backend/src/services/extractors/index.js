@@ -0,0 +1,315 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { chunkSegments, chunkTables } = require('../chunkers');
+const chunkingSettingsService = require('../chunkingSettingsService');
+const ocrService = require('../ocrService');
+const pdfExtractor = require('./pdfExtractor');
+const docxExtractor = require('./docxExtractor');
+const htmlExtractor = require('./htmlExtractor');
+const markdownExtractor = require('./markdownExtractor');
+const csvExtractor = require('./csvExtractor');
+const textExtractor = require('./textExtractor');
+
+const extractors = [pdfExtractor, docxExtractor, htmlExtractor, markdownExtractor, csvExtractor, textExtractor];
+
+const byMimeType = new Map(extractors.flatMap(extractor => extractor.mimeTypes.map(type => [type, extractor])));
+const byExtension = new Map(extractors.flatMap(extractor => extractor.extensions.map(ext => [ext, extractor])));
+
+// MIME types that say nothing about the format; the extension decides instead
+const GENERIC_MIME_TYPES = new Set(['', 'application/octet-stream', 'binary/octet-stream', 'text/plain']);
+
+// Bytes read to check signatures and tell text from binary
+const HEAD_BYTES = 8192;
+
+// Longest title, author or subject kept from a file's properties
+const MAX_PROPERTY_LENGTH = 300;
+
+/**
+ * Error for a file no extractor can read
+ * @param {string} message - Error message
+ * @returns {Error} Error with status 415
+ */
+function unsupported(message) {
+  const error = new Error(message);
+  error.status = 415;
+  return error;
+}
+
+/**
+ * Extractor the uploader claims, from the MIME type or, when that is generic,
+ * the file extension
+ * @param {string} fileName - Original file name
+ * @param {string} [mimeType] - MIME type sent with the upload
+ * @returns {Object|null} Extractor
+ */
+function getClaimedExtractor(fileName, mimeType = '') {
+  const type = mimeType.split(';')[0].trim().toLowerCase();
+  const ext = path.extname(fileName || '').toLowerCase();
+
+  if (!GENERIC_MIME_TYPES.has(type) && byMimeType.has(type)) {
+    return byMimeType.get(type);
+  }
+  return byExtension.get(ext) || byMimeType.get(type) || null;
+}
+
+/**
+ * Whether an upload looks like a supported format before its content is read
+ * @param {string} fileName - Original file name
+ * @param {string} [mimeType] - MIME type sent with the upload
+ * @returns {boolean} True if an extractor claims it
+ */
+function isSupported(fileName, mimeType) {
+  return getClaimedExtractor(fileName, mimeType) !== null;
+}
+
+/**
+ * Supported file extensions, for upload pickers and error messages
+ * @returns {Array<string>} Extensions including the dot
+ */
+function getSupportedExtensions() {
+  return [...byExtension.keys()];
+}
+
+/**
+ * Pick the extractor for a stored file. Binary signatures (PDF, ZIP/DOCX)
+ * win over the claimed type; text formats go by MIME type, then extension.
+ * @param {string} filePath - Path to the stored file
+ * @param {Object} [options] - Upload metadata
+ * @param {string} [options.fileName] - Original file name
+ * @param {string} [options.mimeType] - MIME type sent with the upload
+ * @returns {Promise<Object>} Extractor
+ * @throws {Error} Status 415 when the content matches no supported format
+ */
+async function detectExtractor(filePath, options = {}) {
+  const { fileName = path.basename(filePath), mimeType } = options;
+
+  const handle = await fs.open(filePath, 'r');
+  let head;
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEAD_BYTES), 0, HEAD_BYTES, 0);
+    head = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  const claimed = getClaimedExtractor(fileName, mimeType);
+  const signed = extractors.find(extractor => extractor.signature && extractor.signature(head));
+
+  if (signed === docxExtractor && claimed !== docxExtractor) {
+    throw unsupported(`${fileName} is a ZIP archive, not a Word document`);
+  }
+  if (signed) return signed;
+
+  if (claimed?.signature) {
+    throw unsupported(`${fileName} is not a valid ${claimed.label} file`);
+  }
+  if (head.includes(0)) {
+    throw unsupported(`${fileName} is a binary file in an unsupported format`);
+  }
+  if (htmlExtractor.sniff(head) && (!claimed || claimed === textExtractor)) {
+    return htmlExtractor;
+  }
+  if (!claimed) {
+    throw unsupported(`Unsupported file type for ${fileName}. Supported: ${getSupportedExtensions().join(', ')}`);
+  }
+  return claimed;
+}
+
+/**
+ * Normalize extracted text: runs of spaces and tabs collapse, line breaks
+ * and single blank lines stay so chunkers can see paragraphs and list items
+ * @param {string} text - Raw segment text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Clean the properties an extractor read from a file: strings are trimmed
+ * and capped, keywords split into a list, languages reduced to their ISO
+ * 639-1 code ("en-US" -> "en") and unparsable dates dropped
+ * @param {Object} raw - Properties as read
+ * @returns {{title?: string, author?: string, subject?: string, keywords?: Array<string>, language?: string, createdAt?: Date, modifiedAt?: Date}} Non-empty properties
+ */
+function normalizeProperties(raw) {
+  const text = value => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_PROPERTY_LENGTH) : '');
+  const date = value => {
+    const parsed = value ? new Date(value) : null;
+    return parsed && !isNaN(parsed.getTime()) ? parsed : null;
+  };
+
+  const properties = {};
+  for (const field of ['title', 'author', 'subject']) {
+    if (text(raw[field])) properties[field] = text(raw[field]);
+  }
+  const keywords = text(raw.keywords).split(/[,;]/).map(keyword => keyword.trim().toLowerCase()).filter(Boolean);
+  if (keywords.length) properties.keywords = [...new Set(keywords)];
+  const language = text(raw.language).toLowerCase().match(/^([a-z]{2})(?:[-_]|$)/);
+  if (language) properties.language = language[1];
+  for (const field of ['createdAt', 'modifiedAt']) {
+    if (date(raw[field])) properties[field] = date(raw[field]);
+  }
+  return properties;
+}
+
+/**
+ * Document properties stored in a file (PDF info dictionary, DOCX core
+ * properties, HTML <title> and <meta> tags). A file whose properties cannot
+ * be read still ingests, without them.
+ * @param {Object} extractor - Extractor that reads the file
+ * @param {string} filePath - Path to the stored file
+ * @param {string} fileName - Original file name, for warnings
+ * @returns {Promise<Object>} Normalized properties (see normalizeProperties)
+ */
+async function readProperties(extractor, filePath, fileName) {
+  if (!extractor.readProperties) return {};
+  try {
+    return normalizeProperties(await extractor.readProperties(filePath) || {});
+  } catch (error) {
+    console.warn(`⚠️ Could not read the document properties of ${fileName}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Extract a file into segments: `{ page, text }` for paged formats and
+ * `{ page, section, sectionPath, text }` for the rest, where `page` is the
+ * section's position in the document, `section` its heading and
+ * `sectionPath` the headings from the top level down to it. Untitled
+ * sections are named after the file. Tables are returned separately with
+ * the location of the page or section they appear in. OCRed pages keep
+ * their confidence, and every OCRed page is listed in `ocr`. The file's own
+ * document properties are returned as `properties`.
+ * @param {string} filePath - Path to the stored file
+ * @param {Object} [options] - Upload metadata
+ * @param {string} [options.fileName] - Original file name
+ * @param {string} [options.mimeType] - MIME type sent with the upload
+ * @returns {Promise<{format: string, segments: Array<{page: number, section?: string, sectionPath?: Array<string>, ocrConfidence?: number, text: string}>, tables: Array<{page: number, section?: string, sectionPath: Array<string>, caption: string|null, rows: Array<Array<string>>}>, ocr: Array<{page: number, confidence: number}>, properties: Object}>} Format, non-empty segments, tables, OCRed pages and document properties
+ */
+async function extractSegments(filePath, options = {}) {
+  const fileName = options.fileName || path.basename(filePath);
+  const extractor = await detectExtractor(filePath, { ...options, fileName });
+  const raw = await extractor.extract(filePath, { fileName });
+  const untitled = path.basename(fileName, path.extname(fileName));
+
+  const segments = [];
+  const tables = [];
+  const ocr = [];
+  // Open headings, outermost first: { level, title }
+  const headings = [];
+  // Section the next table belongs to: { page, section, sectionPath }
+  let location = null;
+  let sectionCount = 0;
+
+  for (const segment of raw) {
+    if (segment.table) {
+      if (segment.page !== undefined) {
+        tables.push({ page: segment.page, sectionPath: [], ...segment.table });
+        continue;
+      }
+      if (!location || location.section !== (segment.section || untitled)) {
+        location = { page: ++sectionCount, section: segment.section || untitled, sectionPath: segment.section ? [segment.section] : [] };
+      }
+      tables.push({ ...location, ...segment.table });
+      continue;
+    }
+
+    if (segment.section && segment.level) {
+      while (headings.length > 0 && headings[headings.length - 1].level >= segment.level) headings.pop();
+      headings.push({ level: segment.level, title: segment.section });
+    }
+
+    const text = normalizeText(segment.text);
+    if (segment.page !== undefined) {
+      if (segment.ocrConfidence !== undefined) {
+        ocr.push({ page: segment.page, confidence: segment.ocrConfidence });
+        if (text) segments.push({ page: segment.page, ocrConfidence: segment.ocrConfidence, text });
+      } else if (text) {
+        segments.push({ page: segment.page, text });
+      }
+      continue;
+    }
+
+    const sectionPath = segment.level
+      ? headings.map(heading => heading.title)
+      : (segment.section ? [segment.section] : []);
+    location = { page: ++sectionCount, section: segment.section || untitled, sectionPath };
+    if (text) segments.push({ ...location, text });
+  }
+
+  const properties = await readProperties(extractor, filePath, fileName);
+  return { format: extractor.name, segments, tables, ocr, properties };
+}
+
+/**
+ * Document properties of a stored file without extracting its text
+ * @param {string} filePath - Path to the stored file
+ * @param {Object} [options] - Upload metadata
+ * @param {string} [options.fileName] - Original file name
+ * @param {string} [options.mimeType] - MIME type sent with the upload
+ * @returns {Promise<Object>} Normalized properties (see normalizeProperties)
+ */
+async function readDocumentProperties(filePath, options = {}) {
+  const fileName = options.fileName || path.basename(filePath);
+  const extractor = await detectExtractor(filePath, { ...options, fileName });
+  return readProperties(extractor, filePath, fileName);
+}
+
+/**
+ * Summarize the OCRed pages of a document for the job result
+ * @param {Array<{page: number, confidence: number}>} ocr - OCRed pages
+ * @returns {Object|null} { pages, averageConfidence, minConfidence, lowConfidencePages }, or null without OCR
+ */
+function summarizeOcr(ocr) {
+  if (ocr.length === 0) return null;
+  return {
+    pages: ocr.map(({ page }) => page),
+    averageConfidence: Math.round(ocr.reduce((sum, { confidence }) => sum + confidence, 0) / ocr.length),
+    minConfidence: ocrService.minConfidence,
+    lowConfidencePages: ocr.filter(({ confidence }) => confidence < ocrService.minConfidence)
+  };
+}
+
+/**
+ * Extract and chunk a file for ingestion. Text is chunked with the resolved
+ * strategy; each table becomes its own chunk.
+ * @param {string} filePath - Path to the stored file
+ * @param {Object} [options] - Upload metadata
+ * @param {string} [options.fileName] - Original file name
+ * @param {string} [options.mimeType] - MIME type sent with the upload
+ * @param {Object} [options.chunking] - { strategy?, size?, overlap? } overriding the defaults for the format
+ * @param {Function} [options.onExtracted] - Called with { format, segments, tables } (counts) before chunking starts
+ * @returns {Promise<{format: string, chunks: Array, chunking: Object, ocr: Object|null, properties: Object}>} Format, chunks with page/section metadata, the settings used, the OCR summary and the file's document properties
+ */
+async function processDocument(filePath, options = {}) {
+  const { format, segments, tables, ocr, properties } = await extractSegments(filePath, options);
+  if (options.onExtracted) {
+    await options.onExtracted({ format, segments: segments.length, tables: tables.length });
+  }
+  const chunking = await chunkingSettingsService.resolve(format, options.chunking);
+  const chunks = [...await chunkSegments(segments, chunking), ...chunkTables(tables)];
+  return { format, chunks, chunking, ocr: summarizeOcr(ocr), properties };
+}
+
+/**
+ * Names of the supported formats, as used in per-format chunking defaults
+ * @returns {Array<string>} Extractor names
+ */
+function getFormats() {
+  return extractors.map(extractor => extractor.name);
+}
+
+module.exports = {
+  detectExtractor,
+  extractSegments,
+  processDocument,
+  readDocumentProperties,
+  isSupported,
+  getSupportedExtensions,
+  getFormats
+};
@@ -0,0 +1,142 @@
+const fs = require('fs').promises;
+const { normalizeRows, isDataTable, findCaption } = require('../utils/tableFormatter');
+
+// Header separator of a pipe table, e.g. |---|:---:|
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Strip inline Markdown syntax, keeping the readable text
+ * @param {string} text - Markdown line(s)
+ * @returns {string} Plain text
+ */
+function stripInline(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images -> alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links -> link text
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1') // reference links
+    .replace(/<[^>]+>/g, ' ') // inline HTML
+    .replace(/`+([^`]*)`+/g, '$1') // inline code
+    .replace(/(\*\*|__)(.+?)\1/g, '$2') // bold
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2') // italics
+    .replace(/~~(.+?)~~/g, '$1'); // strikethrough
+}
+
+/**
+ * Split a pipe table row into cells
+ * @param {string} line - Table row
+ * @returns {Array<string>} Cell texts
+ */
+function splitRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => stripInline(cell.replace(/\\\|/g, '|')));
+}
+
+/**
+ * Split Markdown into sections at its ATX (`# Title`) and setext
+ * (`Title` underlined with === or ---) headings. Headings inside fenced code
+ * blocks are ignored, and YAML front matter is dropped. Pipe tables are
+ * returned as their own segments right after the section that contains them.
+ * @param {string} markdown - Markdown source
+ * @returns {Array<{section: string|null, level?: number, text?: string, table?: Object}>} Section and table segments in document order
+ */
+function extractSections(markdown) {
+  const lines = markdown
+    .replace(/^\uFEFF/, '')
+    .replace(/^---\r?\n[\s\S]*?\r?\n(---|\.\.\.)\r?\n/, '')
+    .split(/\r?\n/);
+
+  const sections = [];
+  let current = { section: null, lines: [], tables: [] };
+  let fence = null;
+
+  /**
+   * Close the current section and start one titled `title`
+   * @param {string} title - Heading text
+   * @param {number} level - Heading level (1-6)
+   */
+  const startSection = (title, level) => {
+    sections.push(current);
+    const section = stripInline(title).trim() || null;
+    current = { section, level, lines: section ? [section] : [], tables: [] };
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1][0];
+      } else if (fenceMatch[1][0] === fence) {
+        fence = null;
+      }
+      continue;
+    }
+    if (fence) {
+      current.lines.push(line);
+      continue;
+    }
+
+    const atx = line.match(/^\s{0,3}#{1,6}\s+(.*?)(\s+#+)?\s*$/);
+    if (atx) {
+      startSection(atx[1], line.trim().match(/^#+/)[0].length);
+      continue;
+    }
+
+    const next = lines[i + 1];
+    if (line.includes('|') && next !== undefined && next.includes('|') && TABLE_DELIMITER.test(next)) {
+      const rawRows = [splitRow(line)];
+      i++;
+      while (i + 1 < lines.length && lines[i + 1].trim() && lines[i + 1].includes('|')) {
+        rawRows.push(splitRow(lines[++i]));
+      }
+
+      const rows = normalizeRows(rawRows);
+      if (isDataTable(rows)) {
+        current.tables.push({ caption: findCaption(current.lines.join('\n')), rows });
+      } else {
+        current.lines.push(...rows.map(row => row.filter(Boolean).join(' ')));
+      }
+      continue;
+    }
+
+    if (line.trim() && next !== undefined && /^\s{0,3}(=+|-+)\s*$/.test(next) && !/^\s*([-*+]|\d+\.)\s/.test(line)) {
+      startSection(line, next.trim()[0] === '=' ? 1 : 2);
+      i++;
+      continue;
+    }
+
+    current.lines.push(stripInline(line.replace(/^\s*>\s?/, '')));
+  }
+  sections.push(current);
+
+  return sections.flatMap(({ section, level, lines: sectionLines, tables }) => {
+    const text = sectionLines.join('\n');
+    return [
+      ...(text.trim().length > 0 ? [{ section, level, text }] : []),
+      ...tables.map(table => ({ section, table }))
+    ];
+  });
+}
+
+/**
+ * Markdown extractor - one section per heading, plus its pipe tables
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Array<{section: string|null, level?: number, text?: string, table?: Object}>>} Section and table segments
+ */
+async function extract(filePath) {
+  return extractSections(await fs.readFile(filePath, 'utf8'));
+}
+
+module.exports = {
+  name: 'markdown',
+  label: 'Markdown',
+  extensions: ['.md', '.markdown', '.mdown', '.mkd'],
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extract,
+  extractSections
+};
@@ -0,0 +1,28 @@
+const { parsePdfWithTables, readPdfInfo } = require('../utils/pdfParser');
+
+/**
+ * PDF extractor - one segment per page, numbered as in the PDF, followed by
+ * the ruled tables found on that page. OCRed pages carry their confidence,
+ * including those where OCR found no text.
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Array<{page: number, text?: string, ocrConfidence?: number, table?: Object}>>} Page and table segments
+ */
+async function extract(filePath) {
+  const { pages, tables, ocr } = await parsePdfWithTables(filePath);
+  const textPages = new Set(pages.map(({ page }) => page));
+  return pages
+    .map(({ page, text, ocrConfidence }) => ({ page, text, ...(ocrConfidence !== undefined && { ocrConfidence }) }))
+    .concat(ocr.filter(({ page }) => !textPages.has(page)).map(({ page, confidence }) => ({ page, text: '', ocrConfidence: confidence })))
+    .concat(tables.map(({ page, caption, rows }) => ({ page, table: { caption, rows } })))
+    .sort((a, b) => a.page - b.page);
+}
+
+module.exports = {
+  name: 'pdf',
+  label: 'PDF',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  signature: head => head.subarray(0, 1024).includes('%PDF-'),
+  extract,
+  readProperties: readPdfInfo
+};
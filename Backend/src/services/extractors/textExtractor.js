@@ -0,0 +1,28 @@
+const fs = require('fs').promises;
+
+/**
+ * Plain text extractor. Form feeds (as written by `pr`, man pages and many
+ * report exporters) are treated as page breaks; otherwise the file is a
+ * single untitled section.
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Array<{page?: number, section?: null, text: string}>>} Segments
+ */
+async function extract(filePath) {
+  const text = (await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+  const pages = text.split('\f');
+
+  if (pages.length > 1) {
+    return pages
+      .map((pageText, index) => ({ page: index + 1, text: pageText }))
+      .filter(page => page.text.trim().length > 0);
+  }
+  return [{ section: null, text }];
+}
+
+module.exports = {
+  name: 'text',
+  label: 'plain text',
+  extensions: ['.txt', '.text', '.log'],
+  mimeTypes: ['text/plain'],
+  extract
+};
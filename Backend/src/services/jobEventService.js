@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const IngestionJob = require('../models/IngestionJob');
+const { readCount } = require('./utils/settings');
+
+// How often streams look for jobs changed by other servers
+const POLL_MS = readCount(process.env.JOB_EVENTS_POLL_MS, 2000);
+// Comment lines sent this often keep proxies from closing idle streams
+const HEARTBEAT_MS = 15000;
+// Minimum gap between embedding progress events of one job
+const PROGRESS_THROTTLE_MS = 250;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Job Event Service - live ingestion progress for Server-Sent Event
+ * streams. The job worker publishes `status` events (the job as
+ * GET /api/upload-status/:jobId returns it) when a job changes state, and
+ * `progress` events for the parse, chunk, embed and store stages, with
+ * chunks embedded so far and an ETA. Events travel on IngestionJob.events,
+ * so they only reach streams on the server running the job; while any
+ * stream is open, jobs changed elsewhere are picked up from the database
+ * and sent as `status` events.
+ */
+class JobEventService {
+  constructor() {
+    // Job ID -> time of the last event published here
+    this.published = new Map();
+    // Job ID -> time of the last progress event, for throttling
+    this.lastProgress = new Map();
+    // One model listener fans events out to every open stream, so the
+    // number of streams is not limited by the emitter's listener warning
+    this.subscribers = new Set();
+    this.pollTimer = null;
+    this.pollSince = null;
+
+    this.dispatch = this.dispatch.bind(this);
+  }
+
+  /**
+   * Pass a job event to every subscriber
+   * @param {Object} event - { event, data }
+   */
+  dispatch(event) {
+    for (const listener of this.subscribers) {
+      listener(event);
+    }
+  }
+
+  /**
+   * Send an event to the streams on this server
+   * @param {string} event - 'status' or 'progress'
+   * @param {Object} data - Event data with `id` (status) or `jobId` (progress)
+   */
+  emit(event, data) {
+    const jobId = data.id || data.jobId;
+    this.published.set(jobId, Date.now());
+    IngestionJob.events.emit('jobEvent', { event, data });
+  }
+
+  /**
+   * Publish a job's current state
+   * @param {Object} status - Job status (backgroundJobService's public view of the job)
+   */
+  publishStatus(status) {
+    if (FINISHED_STATUSES.includes(status.status)) {
+      this.lastProgress.delete(status.id);
+    }
+    this.emit('status', status);
+  }
+
+  /**
+   * Publish a job's progress within a stage
+   * @param {Object} job - IngestionJob document
+   * @param {string} stage - parse, chunk, embed, store or finish
+   * @param {Object} [details] - { done, total, etaSeconds } while embedding; progress and message override the job's
+   * @param {Object} [options] - Publish options
+   * @param {boolean} [options.throttle=false] - Drop the event if the job published progress very recently
+   */
+  publishProgress(job, stage, details = {}, options = {}) {
+    const jobId = job._id.toString();
+    const now = Date.now();
+    if (options.throttle && now - (this.lastProgress.get(jobId) || 0) < PROGRESS_THROTTLE_MS) return;
+    this.lastProgress.set(jobId, now);
+
+    this.emit('progress', {
+      jobId,
+      fileId: job.fileId,
+      fileName: job.fileName,
+      batchId: job.batchId ? job.batchId.toString() : null,
+      status: job.status,
+      stage,
+      progress: job.progress,
+      message: job.message,
+      ...details,
+      at: new Date(now).toISOString()
+    });
+  }
+
+  /**
+   * Send `status` events for jobs another server changed since the last poll
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (mongoose.connection.readyState !== 1) return;
+    // Required lazily: backgroundJobService publishes through this module
+    const { toStatus } = require('./backgroundJobService');
+    const since = this.pollSince;
+    this.pollSince = new Date();
+
+    const jobs = await IngestionJob.find({ updatedAt: { $gt: since } }).lean();
+    for (const job of jobs) {
+      const jobId = job._id.toString();
+      // Changes made here were already published, with finer progress
+      if ((this.published.get(jobId) || 0) >= job.updatedAt.getTime()) continue;
+      IngestionJob.events.emit('jobEvent', { event: 'status', data: toStatus(job) });
+    }
+
+    // Forget jobs nobody can still be waiting on
+    const cutoff = Date.now() - 10 * 60 * 1000;
+    for (const [jobId, at] of this.published) {
+      if (at < cutoff) {
+        this.published.delete(jobId);
+        this.lastProgress.delete(jobId);
+      }
+    }
+  }
+
+  /**
+   * Listen for job events; the database poll runs while anyone listens
+   * @param {Function} listener - Called with { event, data }
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    // Wrapped so the same function can subscribe twice and unsubscribe once
+    const subscriber = event => listener(event);
+    this.subscribers.add(subscriber);
+    if (this.subscribers.size === 1) {
+      IngestionJob.events.on('jobEvent', this.dispatch);
+      this.pollSince = new Date();
+      this.pollTimer = setInterval(() => {
+        this.poll().catch(error => console.error('Job event poll failed:', error.message));
+      }, POLL_MS);
+      this.pollTimer.unref();
+    }
+
+    let subscribed = true;
+    return () => {
+      if (!subscribed) return;
+      subscribed = false;
+      this.subscribers.delete(subscriber);
+      if (this.subscribers.size === 0) {
+        IngestionJob.events.off('jobEvent', this.dispatch);
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+      }
+    };
+  }
+
+  /**
+   * Stream job events to a client as Server-Sent Events
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} [options] - Stream options
+   * @param {string} [options.jobId] - Only this job; the stream ends when it finishes
+   * @param {string} [options.batchId] - Only jobs of this batch upload
+   * @param {Function} [options.initial] - Resolves to the { event, data } sent before live events
+   * @returns {Promise<void>}
+   */
+  async stream(req, res, options = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Tell nginx-style proxies not to buffer the stream
+      'X-Accel-Buffering': 'no'
+    });
+
+    let open = true;
+    let heartbeat = null;
+    let unsubscribe = () => {};
+    const close = () => {
+      open = false;
+      unsubscribe();
+      clearInterval(heartbeat);
+    };
+    const send = (event, data) => {
+      if (!open) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      if (options.jobId && event === 'status' && FINISHED_STATUSES.includes(data.status)) {
+        close();
+        res.end();
+      }
+    };
+    req.on('close', close);
+
+    // Subscribe before reading the initial state so nothing in between is missed
+    const pending = [];
+    let live = false;
+    unsubscribe = this.subscribe(({ event, data }) => {
+      if (options.jobId && (data.id || data.jobId) !== options.jobId) return;
+      if (options.batchId && data.batchId !== options.batchId) return;
+      if (live) send(event, data);
+      else pending.push({ event, data });
+    });
+
+    try {
+      for (const { event, data } of options.initial ? await options.initial() : []) {
+        send(event, data);
+      }
+    } catch (error) {
+      console.error('Failed to load job events:', error);
+      send('error', { message: 'Failed to load job status' });
+    }
+    pending.forEach(({ event, data }) => send(event, data));
+    live = true;
+
+    if (open) {
+      heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+      heartbeat.unref();
+    }
+  }
+}
+
+module.exports = new JobEventService();
@@ -0,0 +1,197 @@
+const DocumentChunk = require('../models/DocumentChunk');
+const searchFilterService = require('./searchFilterService');
+const { BM25Index } = require('./utils/bm25Index');
+const { readNumber } = require('./utils/settings');
+
+/**
+ * Keyword Index Service - BM25 inverted index over DocumentChunk content
+ * Built lazily from the database and kept in sync through DocumentChunk.events
+ */
+class KeywordIndexService {
+  constructor() {
+    this.index = null;
+    this.chunkFields = new Map(); // chunk _id -> filterable fields
+    this.loadingPromise = null;
+    this.pending = null; // chunk events received while the index is built
+    this.listening = false;
+
+    this.handleInserted = this.handleInserted.bind(this);
+    this.handleDeleted = this.handleDeleted.bind(this);
+    this.handleUpdated = this.handleUpdated.bind(this);
+  }
+
+  /**
+   * Text indexed for a chunk: title and file name carry exact terms too
+   * @param {Object} chunk - Document chunk
+   * @returns {string} Indexable text
+   */
+  getIndexText(chunk) {
+    return [chunk.metadata?.title, chunk.fileName, chunk.content].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Build the index on first use
+   * @returns {Promise<void>}
+   */
+  async ensureLoaded() {
+    if (this.index) return;
+    if (!this.loadingPromise) {
+      this.loadingPromise = this.load().finally(() => {
+        this.loadingPromise = null;
+      });
+    }
+    await this.loadingPromise;
+  }
+
+  /**
+   * Load every chunk into a fresh index and subscribe to model events
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const startTime = Date.now();
+    console.log('🔤 Building BM25 keyword index from DocumentChunk content...');
+
+    if (!this.listening) {
+      DocumentChunk.events.on('chunksInserted', this.handleInserted);
+      DocumentChunk.events.on('chunksDeleted', this.handleDeleted);
+      DocumentChunk.events.on('chunksUpdated', this.handleUpdated);
+      this.listening = true;
+    }
+
+    const index = new BM25Index({
+      k1: readNumber(process.env.BM25_K1, 1.2, 0),
+      b: readNumber(process.env.BM25_B, 0.75, 0)
+    });
+    const chunkFields = new Map();
+    const pending = [];
+    this.pending = pending;
+    try {
+      await this.build(index, chunkFields);
+
+      // The cursor may have missed chunks changed while it was read; replay
+      // those events on the new index before it replaces the current one
+      for (const apply of pending) apply({ index, chunkFields });
+      this.index = index;
+      this.chunkFields = chunkFields;
+    } finally {
+      this.pending = null;
+    }
+    console.log(`✅ BM25 keyword index ready: ${chunkFields.size} chunks (took ${Date.now() - startTime}ms)`);
+  }
+
+  /**
+   * Read every chunk into an index
+   * @param {BM25Index} index - Index to fill
+   * @param {Map} chunkFields - Filter fields by chunk ID to fill
+   * @returns {Promise<void>}
+   */
+  async build(index, chunkFields) {
+    const cursor = DocumentChunk.find({})
+      .select('content fileId fileName metadata tags pages.page uploadedAt')
+      .lean()
+      .cursor();
+
+    let count = 0;
+    for await (const chunk of cursor) {
+      index.add(chunk._id.toString(), this.getIndexText(chunk));
+      chunkFields.set(chunk._id.toString(), searchFilterService.getFilterFields(chunk));
+
+      // Yield periodically so a large build does not starve the event loop
+      if (++count % 500 === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+  }
+
+  /**
+   * Apply a chunk event to the loaded index, and queue it while an index is
+   * being built so it is replayed before that index is used
+   * @param {Function} apply - ({ index, chunkFields }) => void
+   */
+  dispatch(apply) {
+    if (this.index) {
+      apply({ index: this.index, chunkFields: this.chunkFields });
+    }
+    if (this.pending) {
+      this.pending.push(apply);
+    }
+  }
+
+  /**
+   * Keep the index in sync with newly inserted chunks
+   * @param {Array<Object>} docs - Inserted chunk documents
+   */
+  handleInserted(docs) {
+    const chunks = docs.map(doc => (typeof doc.toObject === 'function' ? doc.toObject() : doc));
+    this.dispatch(({ index, chunkFields }) => {
+      for (const chunk of chunks) {
+        index.add(chunk._id.toString(), this.getIndexText(chunk));
+        chunkFields.set(chunk._id.toString(), searchFilterService.getFilterFields(chunk));
+      }
+    });
+  }
+
+  /**
+   * Keep the index in sync with deleted chunks
+   * @param {Array<string>} ids - Deleted chunk IDs
+   */
+  handleDeleted(ids) {
+    this.dispatch(({ index, chunkFields }) => {
+      for (const id of ids) {
+        index.remove(id);
+        chunkFields.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Re-index chunks whose file name or tags were edited
+   * @param {Array<Object>} chunks - Updated chunks
+   */
+  handleUpdated(chunks) {
+    this.handleDeleted(chunks.map(chunk => chunk._id.toString()));
+    this.handleInserted(chunks);
+  }
+
+  /**
+   * BM25 search over chunk content
+   * @param {string} query - Query text
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit=10] - Maximum results
+   * @param {string} [options.fileId] - Restrict to a single file
+   * @param {Object} [options.filter] - Metadata filter (see searchFilterService)
+   * @returns {Promise<Array>} Chunks with `score` (BM25) and `matchedTerms`, best first
+   */
+  async search(query, options = {}) {
+    const { limit = 10, fileId = null } = options;
+
+    const filter = await searchFilterService.resolve(options.filter, { fileId });
+    if (searchFilterService.isEmpty(filter)) {
+      return [];
+    }
+
+    await this.ensureLoaded();
+
+    const predicate = filter
+      ? id => searchFilterService.matches(this.chunkFields.get(id) || {}, filter)
+      : null;
+    const hits = this.index.search(query, limit, { filter: predicate });
+
+    if (hits.length === 0) {
+      return [];
+    }
+
+    const chunks = await DocumentChunk.find({ _id: { $in: hits.map(hit => hit.id) } }).lean();
+    const chunksById = new Map(chunks.map(chunk => [chunk._id.toString(), chunk]));
+
+    return hits
+      .filter(hit => chunksById.has(hit.id))
+      .map(hit => ({
+        ...chunksById.get(hit.id),
+        score: hit.score,
+        matchedTerms: hit.matchedTerms
+      }));
+  }
+}
+
+module.exports = new KeywordIndexService();
@@ -77,6 +77,43 @@ class LangChainService {
         }
     }
 
+    /**
+     * Run a single-turn completion with no retrieved context
+     * @param {string} systemPrompt - Instructions for the model
+     * @param {string} userPrompt - The user message
+     * @param {Object} [options] - Generation options
+     * @param {number} [options.temperature=0] - Sampling temperature
+     * @param {number} [options.maxTokens=256] - Maximum tokens to generate
+     * @returns {Promise<string>} - The generated text
+     */
+    async generateCompletion(systemPrompt, userPrompt, options = {}) {
+        const { temperature = 0, maxTokens = 256 } = options;
+
+        try {
+            const response = await this.groq.chat.completions.create({
+                model: this.modelName,
+                messages: [
+                    { role: 'system', content: systemPrompt },
+                    { role: 'user', content: userPrompt }
+                ],
+                temperature,
+                max_tokens: maxTokens,
+            });
+
+            const content = response.choices?.[0]?.message?.content;
+            if (!content) {
+                throw new Error('Unexpected response format from Groq API');
+            }
+
+            return content.trim();
+        } catch (error) {
+            console.error('Error in generateCompletion:', error);
+            const wrapped = new Error(`Failed to generate completion: ${error.message}`);
+            wrapped.status = error.status;
+            throw wrapped;
+        }
+    }
+
     /**
      * Generate embeddings for a given text using Xenova MiniLM
      * @param {string} text - The text to generate embeddings for
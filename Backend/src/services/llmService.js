@@ -1,9 +1,11 @@
 const { embedText } = require('./embedding');
 const langchainService = require('./langchainService');
+const tokenBudgetService = require('./tokenBudgetService');
 
 class LLMService {
     constructor() {
         // Use embedding service for embeddings
+        this.errorResponse = 'I apologize, but I encountered an error generating the response.';
     }
 
     /**
@@ -29,7 +31,7 @@ class LLMService {
             // Split into individual documents
             const documentSections = contextText.split(/---\n/).filter(section => section.trim());
             const chunks = documentSections.map(section => ({ 
-                text: section.replace(/DOCUMENT \d+:\nSource: [^\n]+\nPages: [^\n]+\nContent: /, '').trim()
+                text: section.replace(/DOCUMENT \d+:\nSource: [^\n]+\n(?:Pages|Section): [^\n]*\nContent: /, '').trim()
             })).filter(chunk => chunk.text.length > 0);
             
             // Extract user question
@@ -43,30 +45,32 @@ class LLMService {
         }
     }
 
+    /**
+     * Name of the chat model, used for token budgeting
+     * @returns {string} - Model identifier
+     */
+    getModelName() {
+        return langchainService.modelName;
+    }
+
     /**
      * Generate a streaming response using the provided prompts
-     * @param {string} systemPrompt - The system prompt with context and instructions
-     * @param {string} userPrompt - The user question
+     * The prompts are sent as-is, so the token budget computed by
+     * promptService matches what the model receives
+     * @param {string} systemPrompt - The system prompt with instructions
+     * @param {string} userPrompt - The user prompt with context, history and question
+     * @param {Object} [options] - Generation options
+     * @param {number} [options.maxTokens=2048] - Tokens reserved for the answer
      * @returns {Promise<AsyncIterable>} - Streaming response chunks
      */
-    async* generateStreamingResponse(systemPrompt, userPrompt) {
+    async* generateStreamingResponse(systemPrompt, userPrompt, options = {}) {
+        const { maxTokens = 2048 } = options;
+
         try {
-            // Extract context chunks from the combined prompt
-            // The promptService creates a format like "Available Document Context:\nDOCUMENT 1:..."
-            const contextMatch = userPrompt.match(/Available Document Context:\n([\s\S]*?)\n\nUser Question:/);
-            const contextText = contextMatch ? contextMatch[1] : '';
-            
-            // Split into individual documents
-            const documentSections = contextText.split(/---\n/).filter(section => section.trim());
-            const chunks = documentSections.map(section => ({ 
-                text: section.replace(/DOCUMENT \d+:\nSource: [^\n]+\nPages: [^\n]+\nContent: /, '').trim()
-            })).filter(chunk => chunk.text.length > 0);
-            
-            console.log(`🔍 Extracted ${chunks.length} context chunks from prompt`);
-            
-            // Use the full user prompt for the LLM
-            const response = await langchainService.generateResponseWithCitations(userPrompt, chunks, []);
-            const content = response.content || response;
+            const content = await langchainService.generateCompletion(systemPrompt, userPrompt, {
+                temperature: 0.7,
+                maxTokens
+            });
             
             console.log(`🤖 LLM Response: "${content}"`);
             
@@ -86,7 +90,11 @@ class LLMService {
             
         } catch (error) {
             console.error('Error generating streaming response:', error);
-            yield { content: 'I apologize, but I encountered an error generating the response.' };
+            // Let the caller tell the user the request was too large
+            if (tokenBudgetService.isContextLimitError(error)) {
+                throw error;
+            }
+            yield { content: this.errorResponse };
         }
     }
 }
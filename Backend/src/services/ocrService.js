@@ -0,0 +1,137 @@
+const path = require('path');
+const { readNumber } = require('./utils/settings');
+
+// Shut the OCR worker down after this long without work; it holds the language models in memory
+const IDLE_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Directory holding <lang>.traineddata.gz files. Defaults to the English
+ * data bundled with the @tesseract.js-data/eng package, so nothing is
+ * downloaded at runtime.
+ * @returns {string|null} Language data directory, or null if none is installed
+ */
+function resolveLangPath() {
+  if (process.env.OCR_LANG_PATH) return path.resolve(process.env.OCR_LANG_PATH);
+  try {
+    return path.join(path.dirname(require.resolve('@tesseract.js-data/eng')), '4.0.0_best_int');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * OCR Service - offline text recognition for pages without a text layer
+ * A single tesseract.js worker is started on first use, reads its language
+ * data from local files only and is stopped again when idle.
+ */
+class OcrService {
+  constructor() {
+    this.enabled = process.env.OCR_ENABLED !== 'false';
+    this.languages = (process.env.OCR_LANGUAGES || 'eng').split(/[+,\s]+/).filter(Boolean).join('+');
+    this.langPath = resolveLangPath();
+    // Pages with fewer non-whitespace characters than this are treated as having no text layer
+    this.minTextChars = readNumber(process.env.OCR_MIN_TEXT_CHARS, 20);
+    // Mean word confidence (0-100) below which a page is flagged for review
+    this.minConfidence = readNumber(process.env.OCR_MIN_CONFIDENCE, 70);
+    // Render scale for page images (1 = 72 dpi)
+    this.scale = readNumber(process.env.OCR_SCALE, 2);
+
+    this.workerPromise = null;
+    this.idleTimer = null;
+    this.pending = 0;
+  }
+
+  /**
+   * Whether OCR can run: enabled and language data installed
+   * @returns {boolean} True if available
+   */
+  isAvailable() {
+    return this.enabled && this.langPath !== null;
+  }
+
+  /**
+   * Whether a page's extracted text is too thin to be a real text layer
+   * @param {string} text - Extracted page text
+   * @returns {boolean} True if the page should be OCRed
+   */
+  needsOcr(text) {
+    return text.replace(/\s+/g, '').length < this.minTextChars;
+  }
+
+  /**
+   * Start the tesseract worker on first use
+   * @returns {Promise<Object>} tesseract.js worker
+   */
+  getWorker() {
+    if (!this.workerPromise) {
+      const { createWorker, OEM } = require('tesseract.js');
+      this.workerPromise = createWorker(this.languages, OEM.LSTM_ONLY, {
+        langPath: this.langPath,
+        gzip: true,
+        // Read the bundled data directly instead of caching a copy in the working directory
+        cacheMethod: 'none'
+      }).then(worker => {
+        console.log(`🔍 OCR worker started (${this.languages})`);
+        return worker;
+      }).catch(error => {
+        this.workerPromise = null;
+        throw new Error(`OCR unavailable: could not load ${this.languages} language data from ${this.langPath} (${error.message || error})`);
+      });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * Recognize the text in a page image
+   * @param {Buffer|Uint8Array} image - PNG image of the page
+   * @returns {Promise<{text: string, confidence: number}>} Recognized text and mean confidence (0-100)
+   */
+  async recognize(image) {
+    if (!this.isAvailable()) {
+      throw new Error('OCR is disabled or no language data is installed');
+    }
+
+    clearTimeout(this.idleTimer);
+    this.pending++;
+    try {
+      const worker = await this.getWorker();
+      const { data } = await worker.recognize(Buffer.from(image));
+      return {
+        text: data.text || '',
+        confidence: Math.round(data.confidence || 0)
+      };
+    } finally {
+      this.pending--;
+      if (this.pending === 0) this.scheduleShutdown();
+    }
+  }
+
+  /**
+   * Stop the worker once it has been idle for a while
+   */
+  scheduleShutdown() {
+    this.idleTimer = setTimeout(() => this.shutdown(), IDLE_TIMEOUT_MS);
+    this.idleTimer.unref();
+  }
+
+  /**
+   * Stop the worker if it is running
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    clearTimeout(this.idleTimer);
+    if (!this.workerPromise || this.pending > 0) return;
+
+    const workerPromise = this.workerPromise;
+    this.workerPromise = null;
+    try {
+      const worker = await workerPromise;
+      await worker.terminate();
+      console.log('🔍 OCR worker stopped');
+    } catch (error) {
+      // The worker never started; nothing to stop
+    }
+  }
+}
+
+module.exports = new OcrService();
@@ -1,3 +0,0 @@
-const { processPDF } = require('./utils/pdfParser');
-
-module.exports = { processPDF };
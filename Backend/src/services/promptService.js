@@ -1,3 +1,10 @@
+const tokenBudgetService = require('./tokenBudgetService');
+const citationService = require('./citationService');
+
+// Tokens the chat API adds around each message (role header and end marker)
+const MESSAGE_OVERHEAD_TOKENS = 8;
+const CONTEXT_SEPARATOR = '\n---\n';
+
 /**
  * Prompt Engineering Service
  * Handles prompt templates, system prompts, and response formatting
@@ -18,7 +25,7 @@ class PromptService {
 
 CORE PRINCIPLES:
 1. ACCURACY: Only use information from provided chunks
-2. TRANSPARENCY: Cite sources using [Source: filename.pdf, Page X]
+2. TRANSPARENCY: Cite sources using [Source: filename.pdf, Page X], or [Source: filename, Section: Name] for documents listed with a section
 3. HELPFULNESS: Be concise and direct
 4. HONESTY: State when information isn't found
 5. RESPONSE: Direct answers with bullets, include citations
@@ -28,6 +35,8 @@ RESPONSE GUIDELINES:
 - Use bullet points for complex info
 - Include citations after factual statements
 - Never invent information
+- Documents marked as tables have a caption and a header row (Markdown or CSV); read each value by its row and column
+- Documents listed with a Version come from a document that has been updated; say which version a fact comes from, e.g. "as of version 3 (uploaded 2026-05-01)"
 - If insufficient docs: "Based on available documents, I cannot find specific information about [topic]."
 
 CONTEXT:
@@ -54,15 +63,69 @@ If you believe the information should be available, please:
 Is there anything else I can help you with?`;
   }
 
+  /**
+   * Create the prompt that condenses a follow-up question into a standalone search query
+   * @param {string} userQuery - Latest user turn
+   * @param {Array} previousMessages - Earlier messages in the session, oldest first
+   * @returns {Object} System and user prompts
+   */
+  createQueryRewritePrompt(userQuery, previousMessages = []) {
+    const systemPrompt = `You rewrite follow-up questions into standalone search queries for a document search engine.
+
+RULES:
+- Resolve pronouns and vague references ("it", "that", "what about...") using the conversation
+- Keep exact terms such as form numbers, acronyms, names and dates
+- Do not answer the question or add facts that are not in the conversation
+- If the question is already standalone, return it unchanged
+- Reply with the rewritten query only, on a single line, without quotes`;
+
+    // Long assistant answers add little for resolving references; keep the gist
+    const history = this.formatConversationHistory(previousMessages.map(msg => ({
+      ...msg,
+      content: msg.content.length > 500 ? `${msg.content.substring(0, 500)}...` : msg.content
+    })));
+    const userPrompt = `Conversation:\n${history}\n\nFollow-up question: ${userQuery}\n\nStandalone search query:`;
+
+    return { systemPrompt, userPrompt };
+  }
+
+  /**
+   * Create the prompt that summarizes an ingested document for the library
+   * @param {string} text - Start of the document's text
+   * @param {Object} [options] - What is known about the document
+   * @param {string} [options.title] - Document title
+   * @param {string} [options.language] - ISO 639-1 code of the text
+   * @returns {Object} System and user prompts
+   */
+  createDocumentSummaryPrompt(text, options = {}) {
+    const { title, language } = options;
+    const systemPrompt = `You write short summaries of company documents for a document library.
+
+RULES:
+- Two or three sentences, at most 80 words
+- Say what the document is and what it covers; use only facts from the text
+- Write in the document's own language${language ? ` (ISO 639-1 code: ${language})` : ''}
+- Reply with the summary only, without a heading or quotes`;
+
+    const userPrompt = `${title ? `Title: ${title}\n\n` : ''}Document text:\n${text}\n\nSummary:`;
+
+    return { systemPrompt, userPrompt };
+  }
+
   /**
    * Create chat prompt with context and user query
-   * @param {Array} relevantChunks - Relevant document chunks
+   * The prompt is packed into the model's token budget: the system prompt and
+   * question are always kept, recent history gets a capped share, and the
+   * retrieved chunks fill the rest in rank order, lowest-ranked dropped first.
+   * @param {Array} relevantChunks - Relevant document chunks, best first
    * @param {string} userQuery - User's question
    * @param {Object} options - Additional options
-   * @returns {Object} Formatted prompt with metadata
+   * @param {Array} [options.previousMessages] - Earlier messages, oldest first
+   * @param {string} [options.modelName] - Chat model, used to pick token limits
+   * @returns {Object} Formatted prompt with metadata, `usedChunks` and `budget`
    */
   createChatPrompt(relevantChunks, userQuery, options = {}) {
-    const { sessionId, previousMessages = [] } = options;
+    const { previousMessages = [], modelName } = options;
 
     // Check if we have relevant chunks
     if (!relevantChunks || relevantChunks.length === 0) {
@@ -74,44 +137,101 @@ Is there anything else I can help you with?`;
       };
     }
 
+    const limits = tokenBudgetService.getLimits(modelName);
+    const promptBudget = limits.contextWindow - limits.answerTokens;
+
+    // Fixed cost: system prompt, question and instructions, plus chat message framing
+    const systemTokens = tokenBudgetService.countTokens(this.systemPrompt) + MESSAGE_OVERHEAD_TOKENS;
+    const skeletonTokens = tokenBudgetService.countTokens(this.buildUserPrompt(userQuery, '', '')) + MESSAGE_OVERHEAD_TOKENS;
+    let remaining = promptBudget - systemTokens - skeletonTokens;
+
+    // History gets at most a quarter of what is left, newest messages first
+    const historyBudget = Math.min(limits.historyTokens, Math.floor(Math.max(remaining, 0) / 4));
+    const historyMessages = tokenBudgetService.fitHistory(
+      previousMessages.slice(-3), // Reduced from 6 to 3 for token efficiency
+      historyBudget,
+      msg => this.formatConversationHistory([msg])
+    );
+    const conversationHistory = this.formatConversationHistory(historyMessages);
+    remaining -= tokenBudgetService.countTokens(conversationHistory ? `Previous Conversation:\n${conversationHistory}\n\n` : '');
+
+    // Retrieved context fills the rest
+    const packed = tokenBudgetService.packChunks(
+      relevantChunks,
+      remaining,
+      (chunk, index) => this.formatContextSection(chunk, index),
+      { separatorTokens: tokenBudgetService.countTokens(CONTEXT_SEPARATOR) }
+    );
+    const usedChunks = packed.included;
+
+    if (packed.dropped.length > 0 || packed.truncated.length > 0) {
+      console.log(`✂️ Context budget ${remaining} tokens: kept ${usedChunks.length}, truncated ${packed.truncated.length}, dropped ${packed.dropped.length} chunks`);
+    }
+
     // Format context from chunks
-    const context = this.formatContext(relevantChunks);
-    
-    // Build conversation history
-    const conversationHistory = this.formatConversationHistory(previousMessages);
+    const context = this.formatContext(usedChunks);
 
     // Create the complete prompt
     const userPrompt = this.buildUserPrompt(userQuery, context, conversationHistory);
+    const describe = chunk => ({ chunkId: chunk.chunkId, fileName: chunk.fileName });
 
     return {
       systemPrompt: this.systemPrompt,
       userPrompt,
-      hasContext: true,
+      hasContext: usedChunks.length > 0,
+      ...(usedChunks.length === 0 && { fallbackResponse: this.fallbackPrompt }),
+      usedChunks,
       contextMetadata: {
-        chunkCount: relevantChunks.length,
-        sources: [...new Set(relevantChunks.map(c => c.fileName))],
-        pages: [...new Set(relevantChunks.flatMap(c => c.pageReferences))]
+        chunkCount: usedChunks.length,
+        sources: [...new Set(usedChunks.map(c => c.fileName))],
+        pages: [...new Set(usedChunks.flatMap(c => c.pageReferences || []))]
+      },
+      budget: {
+        tokenizer: tokenBudgetService.tokenizer ? tokenBudgetService.tokenizerName : 'estimate',
+        contextWindow: limits.contextWindow,
+        answerTokens: limits.answerTokens,
+        promptTokens: tokenBudgetService.countTokens(this.systemPrompt) + tokenBudgetService.countTokens(userPrompt),
+        historyMessages: historyMessages.length,
+        contextTokens: packed.tokens,
+        droppedChunks: packed.dropped.map(describe),
+        truncatedChunks: packed.truncated.map(describe)
       }
     };
   }
 
+  /**
+   * Format a single document chunk as a context section
+   * @param {Object} chunk - Document chunk
+   * @param {number} index - Position in the context
+   * @returns {string} Formatted section
+   */
+  formatContextSection(chunk, index) {
+    const pageReferences = chunk.pageReferences || [];
+    const sections = citationService.getSections(chunk);
+    const citation = this.createCitation({ ...chunk, pageReferences }, index);
+    const location = sections.length > 0
+      ? `Section: ${sections.join('; ')}`
+      : `Pages: ${pageReferences.join(', ')}`;
+    // Tables start on their own line so the header row stays intact
+    const content = chunk.table ? `Content (table):\n${chunk.content}` : `Content: ${chunk.content}`;
+    const version = citationService.getVersionLabel(chunk);
+    return `DOCUMENT ${index + 1}:
+Source: ${chunk.fileName}
+${version ? `Version: ${version}\n` : ''}${location}
+${content}
+
+${citation}`;
+  }
+
   /**
    * Format document chunks into context
    * @param {Array} chunks - Document chunks
    * @returns {string} Formatted context
    */
   formatContext(chunks) {
-    const contextSections = chunks.map((chunk, index) => {
-      const citation = this.createCitation(chunk, index);
-      return `DOCUMENT ${index + 1}:
-Source: ${chunk.fileName}
-Pages: ${chunk.pageReferences.join(', ')}
-Content: ${chunk.content}
-
-${citation}`;
-    });
+    const contextSections = chunks.map((chunk, index) => this.formatContextSection(chunk, index));
 
-    return contextSections.join('\n---\n');
+    return contextSections.join(CONTEXT_SEPARATOR);
   }
 
   /**
@@ -121,6 +241,11 @@ ${citation}`;
    * @returns {string} Citation string
    */
   createCitation(chunk, index) {
+    const sections = citationService.getSections(chunk);
+    if (sections.length > 0) {
+      return `Citation ${index + 1}: [Source: ${chunk.fileName}, Section: ${sections.join('; ')}]`;
+    }
+
     const pages = chunk.pageReferences.length > 1 
       ? `Pages ${Math.min(...chunk.pageReferences)}-${Math.max(...chunk.pageReferences)}`
       : `Page ${chunk.pageReferences[0]}`;
@@ -173,7 +298,7 @@ ${citation}`;
    * @returns {Array} Array of citations
    */
   extractCitations(response) {
-    const citationRegex = /\[Source:\s*([^,]+),\s*(Page\s*\d+(?:-\d+)?)/gi;
+    const citationRegex = /\[Source:\s*([^,]+),\s*(Pages?\s*\d+(?:-\d+)?|Section:\s*[^\]]+)/gi;
     const citations = [];
     let match;
 
@@ -0,0 +1,76 @@
+const promptService = require('./promptService');
+const langchainService = require('./langchainService');
+
+/**
+ * Query Rewrite Service - condenses follow-up questions into standalone
+ * search queries using the session history, so retrieval keeps the subject
+ * of the conversation ("what about for contractors?" -> "leave policy for contractors")
+ */
+class QueryRewriteService {
+  /**
+   * Whether query rewriting is turned on
+   * @returns {boolean} False only when QUERY_REWRITE_ENABLED is "false"
+   */
+  isEnabled() {
+    return process.env.QUERY_REWRITE_ENABLED !== 'false';
+  }
+
+  /**
+   * Rewrite the latest user turn into a standalone search query
+   * @param {string} query - Latest user turn
+   * @param {Array} previousMessages - Earlier messages in the session, oldest first
+   * @returns {Promise<{originalQuery: string, searchQuery: string, rewritten: boolean}>} Query to embed
+   */
+  async rewrite(query, previousMessages = []) {
+    const originalQuery = query.trim();
+    const unchanged = { originalQuery, searchQuery: originalQuery, rewritten: false };
+
+    // First turns have nothing to resolve against
+    if (!this.isEnabled() || !previousMessages.some(msg => msg.role === 'user')) {
+      return unchanged;
+    }
+
+    try {
+      const { systemPrompt, userPrompt } = promptService.createQueryRewritePrompt(originalQuery, previousMessages);
+      const completion = await langchainService.generateCompletion(systemPrompt, userPrompt, {
+        temperature: 0,
+        maxTokens: 100
+      });
+
+      const searchQuery = this.cleanRewrite(completion);
+      if (!searchQuery) {
+        return unchanged;
+      }
+
+      const rewritten = searchQuery.toLowerCase() !== originalQuery.toLowerCase();
+      if (rewritten) {
+        console.log(`✏️ Rewrote query "${originalQuery}" -> "${searchQuery}"`);
+      }
+
+      return { originalQuery, searchQuery, rewritten };
+    } catch (error) {
+      // Retrieval still works with the raw question; never fail the chat over this
+      console.error('Query rewrite failed, using original query:', error.message);
+      return unchanged;
+    }
+  }
+
+  /**
+   * Strip labels, quotes and extra lines the model may add around the query
+   * @param {string} completion - Raw model output
+   * @returns {string} Cleaned query, or empty string if unusable
+   */
+  cleanRewrite(completion) {
+    const firstLine = (completion || '').split('\n').map(line => line.trim()).find(Boolean) || '';
+
+    const cleaned = firstLine
+      .replace(/^(standalone (search )?query|rewritten query|query)\s*:\s*/i, '')
+      .replace(/^["'`]+|["'`]+$/g, '')
+      .trim();
+
+    // Guard against the model answering instead of rewriting
+    return cleaned.length > 0 && cleaned.length <= 300 ? cleaned : '';
+  }
+}
+
+module.exports = new QueryRewriteService();
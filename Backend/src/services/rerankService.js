@@ -0,0 +1,106 @@
+const { AutoTokenizer, AutoModelForSequenceClassification } = require('@xenova/transformers');
+const { readCount } = require('./utils/settings');
+
+/**
+ * Rerank Service - reorders retrieved chunks with a local cross-encoder
+ * Runs through ONNX on CPU via @xenova/transformers; no GPU required
+ */
+class RerankService {
+  constructor() {
+    this.modelName = process.env.RERANK_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2';
+    this.batchSize = readCount(process.env.RERANK_BATCH_SIZE, 8);
+    this.tokenizer = null;
+    this.model = null;
+    this.loadingPromise = null;
+  }
+
+  /**
+   * Whether reranking is turned on for the chat pipeline
+   * @returns {boolean} True if RERANK_ENABLED is set to "true"
+   */
+  isEnabled() {
+    return process.env.RERANK_ENABLED === 'true';
+  }
+
+  /**
+   * Load the cross-encoder tokenizer and model on first use
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.model) return;
+    if (!this.loadingPromise) {
+      this.loadingPromise = (async () => {
+        console.log(`Loading cross-encoder reranker ${this.modelName}...`);
+        const [tokenizer, model] = await Promise.all([
+          AutoTokenizer.from_pretrained(this.modelName),
+          AutoModelForSequenceClassification.from_pretrained(this.modelName, { quantized: true })
+        ]);
+        this.tokenizer = tokenizer;
+        this.model = model;
+        console.log('Cross-encoder reranker loaded successfully');
+      })().finally(() => {
+        this.loadingPromise = null;
+      });
+    }
+    await this.loadingPromise;
+  }
+
+  /**
+   * Score (query, passage) pairs with the cross-encoder
+   * @param {string} query - User query
+   * @param {Array<string>} passages - Candidate passages
+   * @returns {Promise<Array<number>>} Relevance probabilities (0-1), one per passage
+   */
+  async score(query, passages) {
+    await this.initialize();
+
+    const scores = [];
+    for (let i = 0; i < passages.length; i += this.batchSize) {
+      const batch = passages.slice(i, i + this.batchSize);
+      const inputs = this.tokenizer(new Array(batch.length).fill(query), {
+        text_pair: batch,
+        padding: true,
+        truncation: true
+      });
+
+      const { logits } = await this.model(inputs);
+      // One logit per pair; squash to a probability
+      for (const logit of logits.data) {
+        scores.push(1 / (1 + Math.exp(-logit)));
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Reorder chunks by cross-encoder relevance
+   * @param {string} query - User query
+   * @param {Array<Object>} chunks - Retrieved chunks with `content`
+   * @param {Object} [options] - Rerank options
+   * @param {number} [options.topK] - Number of chunks to keep (default: all)
+   * @param {number} [options.minScore=0] - Drop chunks scoring below this
+   * @returns {Promise<Array<Object>>} Chunks with `rerankScore`, best first
+   */
+  async rerank(query, chunks, options = {}) {
+    const { topK = chunks.length, minScore = 0 } = options;
+
+    if (!chunks || chunks.length === 0) {
+      return [];
+    }
+
+    const startTime = Date.now();
+    const scores = await this.score(query, chunks.map(chunk => chunk.content || chunk.text || ''));
+
+    const reranked = chunks
+      .map((chunk, index) => ({ ...chunk, rerankScore: scores[index] }))
+      .filter(chunk => chunk.rerankScore >= minScore)
+      .sort((a, b) => b.rerankScore - a.rerankScore)
+      .slice(0, topK);
+
+    console.log(`🔀 Reranked ${chunks.length} candidates to ${reranked.length} (took ${Date.now() - startTime}ms)`);
+    return reranked;
+  }
+}
+
+module.exports = new RerankService();
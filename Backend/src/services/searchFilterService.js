@@ -0,0 +1,392 @@
+const DocumentChunk = require('../models/DocumentChunk');
+const Document = require('../models/Document');
+const { escapeRegex } = require('./utils/textAnalyzer');
+const documentVersionService = require('./documentVersionService');
+
+const FILTER_KEYS = [
+  'fileIds', 'fileNames', 'uploadedAfter', 'uploadedBefore', 'pages', 'tags',
+  'languages', 'authors', 'keywords', 'includeSuperseded'
+];
+const MAX_LIST_LENGTH = 100;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Search Filter Service - structured metadata filters for retrieval
+ *
+ * Filter shape (all fields optional, combined with AND):
+ * {
+ *   fileIds: ['1718000000000-travel.pdf'],      // any of these files
+ *   fileNames: ['*travel*2025*', 'Expense*'],    // any file whose name matches a glob (* and ?)
+ *   uploadedAfter: '2025-01-01',                 // documents uploaded on/after this date
+ *   uploadedBefore: '2025-12-31',                // documents uploaded on/before this date
+ *   pages: { from: 3, to: 10 },                  // chunks overlapping this page range
+ *   tags: ['finance', 'policy'],                 // chunks carrying any of these tags (exact case)
+ *   languages: ['en', 'de'],                     // documents detected in any of these languages
+ *   authors: ['Jane Doe'],                       // documents by any of these authors
+ *   keywords: ['expense report'],                // documents with any of these keyword tags
+ *   includeSuperseded: true                      // also search superseded document versions
+ * }
+ *
+ * Superseded versions are excluded unless `includeSuperseded` is set or the
+ * filter names files by `fileIds`. Languages, authors and keywords are read
+ * from document metadata and resolved to file IDs.
+ *
+ * Filters are translated to $vectorSearch.filter on Atlas where the index
+ * supports it, and applied as a post-filter everywhere else.
+ */
+class SearchFilterService {
+  /**
+   * Coerce a string or array of strings into a de-duplicated list
+   * @param {*} value - Raw value
+   * @param {string} field - Field name for error messages
+   * @returns {Array<string>} List of strings
+   */
+  toStringList(value, field) {
+    const list = Array.isArray(value) ? value : [value];
+
+    if (list.length === 0 || list.length > MAX_LIST_LENGTH) {
+      throw new Error(`filter.${field} must contain between 1 and ${MAX_LIST_LENGTH} values`);
+    }
+    if (!list.every(item => typeof item === 'string' && item.trim().length > 0)) {
+      throw new Error(`filter.${field} must contain only non-empty strings`);
+    }
+
+    return [...new Set(list.map(item => item.trim()))];
+  }
+
+  /**
+   * Parse a date filter value
+   * @param {*} value - ISO date string or timestamp
+   * @param {string} field - Field name for error messages
+   * @param {Object} [options] - Parse options
+   * @param {boolean} [options.endOfDay=false] - Read a date without a time ("2025-12-31")
+   *   as the last millisecond of that day (UTC) instead of its start
+   * @returns {Date} Parsed date
+   */
+  toDate(value, field, options = {}) {
+    const date = new Date(value);
+    if (value === null || typeof value === 'boolean' || isNaN(date.getTime())) {
+      throw new Error(`filter.${field} must be a valid date`);
+    }
+    if (options.endOfDay && typeof value === 'string' && DATE_ONLY_REGEX.test(value.trim())) {
+      return new Date(date.getTime() + DAY_MS - 1);
+    }
+    return date;
+  }
+
+  /**
+   * Validate and normalize a raw filter object
+   * @param {Object} filter - Raw filter from a request body or caller
+   * @returns {Object|null} Normalized filter, or null if empty
+   * @throws {Error} When the filter is malformed
+   */
+  normalize(filter) {
+    if (filter === undefined || filter === null) {
+      return null;
+    }
+    if (typeof filter !== 'object' || Array.isArray(filter)) {
+      throw new Error('filter must be an object');
+    }
+
+    const unknownKeys = Object.keys(filter).filter(key => !FILTER_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`Unknown filter field(s): ${unknownKeys.join(', ')}`);
+    }
+
+    const normalized = {};
+
+    if (filter.fileIds !== undefined) {
+      normalized.fileIds = this.toStringList(filter.fileIds, 'fileIds');
+    }
+    if (filter.fileNames !== undefined) {
+      normalized.fileNames = this.toStringList(filter.fileNames, 'fileNames');
+    }
+    if (filter.tags !== undefined) {
+      // Tags keep their case: Atlas and MongoDB match them exactly
+      normalized.tags = this.toStringList(filter.tags, 'tags');
+    }
+    if (filter.languages !== undefined) {
+      normalized.languages = this.toStringList(filter.languages, 'languages').map(language => language.toLowerCase());
+    }
+    if (filter.authors !== undefined) {
+      normalized.authors = this.toStringList(filter.authors, 'authors');
+    }
+    if (filter.keywords !== undefined) {
+      // Keywords are stored lowercase except acronyms, so they are matched as given, like tags
+      normalized.keywords = this.toStringList(filter.keywords, 'keywords');
+    }
+    if (filter.uploadedAfter !== undefined) {
+      normalized.uploadedAfter = this.toDate(filter.uploadedAfter, 'uploadedAfter');
+    }
+    if (filter.uploadedBefore !== undefined) {
+      // "on/before 2025-12-31" includes chunks stored during that day
+      normalized.uploadedBefore = this.toDate(filter.uploadedBefore, 'uploadedBefore', { endOfDay: true });
+    }
+    if (normalized.uploadedAfter && normalized.uploadedBefore && normalized.uploadedAfter > normalized.uploadedBefore) {
+      throw new Error('filter.uploadedAfter must be before filter.uploadedBefore');
+    }
+
+    if (filter.includeSuperseded !== undefined) {
+      if (typeof filter.includeSuperseded !== 'boolean') {
+        throw new Error('filter.includeSuperseded must be a boolean');
+      }
+      normalized.includeSuperseded = filter.includeSuperseded;
+    }
+
+    if (filter.pages !== undefined) {
+      const { from, to } = filter.pages || {};
+      const isPage = value => value === undefined || (Number.isInteger(value) && value >= 1);
+
+      if (typeof filter.pages !== 'object' || (from === undefined && to === undefined) || !isPage(from) || !isPage(to)) {
+        throw new Error('filter.pages must be { from, to } with positive integer page numbers');
+      }
+      if (from !== undefined && to !== undefined && from > to) {
+        throw new Error('filter.pages.from must not be greater than filter.pages.to');
+      }
+      normalized.pages = { from: from ?? 1, to: to ?? Infinity };
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  /**
+   * Convert a file-name glob into an anchored, case-insensitive regex
+   * @param {string} glob - Pattern using * and ?
+   * @returns {RegExp} Equivalent regular expression
+   */
+  globToRegex(glob) {
+    const pattern = glob
+      .split('')
+      .map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return escapeRegex(char);
+      })
+      .join('');
+    return new RegExp(`^${pattern}$`, 'i');
+  }
+
+  /**
+   * Validate a filter and resolve file-name globs to concrete file IDs.
+   * Accepts the legacy single `fileId` option and merges it in. Superseded
+   * document versions become `excludeFileIds` unless files were named by ID.
+   * @param {Object} filter - Raw or already resolved filter
+   * @param {Object} [options] - Extra constraints
+   * @param {string} [options.fileId] - Legacy single-file restriction
+   * @returns {Promise<Object|null>} Resolved filter (marked `resolved: true`) or null if unrestricted
+   */
+  async resolve(filter, options = {}) {
+    const { fileId = null } = options;
+
+    if (filter?.resolved && !fileId) {
+      return filter;
+    }
+
+    const normalized = filter?.resolved ? { ...filter } : (this.normalize(filter) || {});
+    let fileIds = normalized.fileIds || null;
+
+    if (fileId) {
+      fileIds = fileIds ? fileIds.filter(id => id === fileId) : [fileId];
+    }
+
+    if (normalized.fileNames) {
+      const regexes = normalized.fileNames.map(glob => this.globToRegex(glob));
+      const matchingIds = await DocumentChunk.distinct('fileId', {
+        $or: regexes.map(regex => ({ fileName: { $regex: regex } }))
+      });
+      fileIds = fileIds ? fileIds.filter(id => matchingIds.includes(id)) : matchingIds;
+    }
+
+    if (normalized.languages || normalized.authors || normalized.keywords) {
+      const matchingIds = await Document.distinct('fileId', {
+        ...(normalized.languages && { 'metadata.language': { $in: normalized.languages } }),
+        ...(normalized.authors && {
+          'metadata.author': { $in: normalized.authors.map(author => new RegExp(`^${escapeRegex(author)}$`, 'i')) }
+        }),
+        ...(normalized.keywords && { 'metadata.keywords': { $in: normalized.keywords } })
+      });
+      fileIds = fileIds ? fileIds.filter(id => matchingIds.includes(id)) : matchingIds;
+    }
+
+    let excludeFileIds = null;
+    const namedById = Boolean(normalized.fileIds || fileId);
+    if (!normalized.includeSuperseded && !namedById) {
+      const superseded = await documentVersionService.getSupersededFileIds();
+      if (fileIds) {
+        fileIds = fileIds.filter(id => !superseded.includes(id));
+      } else if (superseded.length > 0) {
+        excludeFileIds = superseded;
+      }
+    }
+
+    const resolved = {
+      ...normalized,
+      fileIds,
+      ...(excludeFileIds && { excludeFileIds }),
+      resolved: true
+    };
+    delete resolved.fileNames;
+    delete resolved.languages;
+    delete resolved.authors;
+    delete resolved.keywords;
+    delete resolved.includeSuperseded;
+
+    const hasConstraints = resolved.fileIds || resolved.excludeFileIds || resolved.uploadedAfter ||
+      resolved.uploadedBefore || resolved.pages || resolved.tags;
+    return hasConstraints ? resolved : null;
+  }
+
+  /**
+   * Whether a resolved filter can never match (e.g. a glob matched no files)
+   * @param {Object|null} filter - Resolved filter
+   * @returns {boolean} True if no chunk can match
+   */
+  isEmpty(filter) {
+    return Boolean(filter?.fileIds && filter.fileIds.length === 0);
+  }
+
+  /**
+   * MongoDB query matching chunks with a page inside a range; one page must
+   * satisfy both bounds, as in matches()
+   * @param {Object} pages - { from, to } page range (to may be Infinity)
+   * @returns {Object} MongoDB query on `pages`
+   */
+  toPageQuery(pages) {
+    return {
+      pages: {
+        $elemMatch: {
+          page: {
+            $gte: pages.from,
+            ...(pages.to !== Infinity && { $lte: pages.to })
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * MongoDB query equivalent of a resolved filter, for find()/$match
+   * Page ranges are matched with $elemMatch on `pages` (see toPageQuery).
+   * @param {Object|null} filter - Resolved filter
+   * @returns {Object} MongoDB query
+   */
+  toMongoQuery(filter) {
+    if (!filter) return {};
+
+    const query = {};
+    if (filter.fileIds || filter.excludeFileIds) {
+      query.fileId = {
+        ...(filter.fileIds && { $in: filter.fileIds }),
+        ...(filter.excludeFileIds && { $nin: filter.excludeFileIds })
+      };
+    }
+    if (filter.uploadedAfter || filter.uploadedBefore) {
+      query.uploadedAt = {
+        ...(filter.uploadedAfter && { $gte: filter.uploadedAfter }),
+        ...(filter.uploadedBefore && { $lte: filter.uploadedBefore })
+      };
+    }
+    if (filter.tags) {
+      query.tags = { $in: filter.tags };
+    }
+    if (filter.pages) {
+      Object.assign(query, this.toPageQuery(filter.pages));
+    }
+    return query;
+  }
+
+  /**
+   * Atlas $vectorSearch pre-filter for a resolved filter.
+   * Only fields declared as "filter" in the search index (fileId, uploadedAt,
+   * tags) are pushed down; page ranges must be post-filtered.
+   * @param {Object|null} filter - Resolved filter
+   * @returns {Object|undefined} $vectorSearch filter expression
+   */
+  toAtlasFilter(filter) {
+    if (!filter) return undefined;
+
+    const clauses = [];
+    if (filter.fileIds) {
+      clauses.push({ fileId: { $in: filter.fileIds } });
+    }
+    if (filter.excludeFileIds) {
+      clauses.push({ fileId: { $nin: filter.excludeFileIds } });
+    }
+    if (filter.uploadedAfter) {
+      clauses.push({ uploadedAt: { $gte: filter.uploadedAfter } });
+    }
+    if (filter.uploadedBefore) {
+      clauses.push({ uploadedAt: { $lte: filter.uploadedBefore } });
+    }
+    if (filter.tags) {
+      clauses.push({ tags: { $in: filter.tags } });
+    }
+
+    if (clauses.length === 0) return undefined;
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+  }
+
+  /**
+   * Whether a filter needs checks that Atlas cannot pre-filter
+   * @param {Object|null} filter - Resolved filter
+   * @returns {boolean} True if results must be post-filtered
+   */
+  needsPostFilter(filter) {
+    return Boolean(filter?.pages);
+  }
+
+  /**
+   * Compact copy of the fields filters look at, for in-memory indexes
+   * @param {Object} chunk - Document chunk
+   * @returns {Object} { fileId, uploadedAt, tags, pages } with pages as page numbers
+   */
+  getFilterFields(chunk) {
+    return {
+      fileId: chunk.fileId,
+      uploadedAt: chunk.uploadedAt || null,
+      tags: chunk.tags?.length ? Array.from(chunk.tags) : undefined,
+      pages: (chunk.pages || []).map(p => p.page)
+    };
+  }
+
+  /**
+   * Test a chunk against a resolved filter (post-filter for non-Atlas backends)
+   * @param {Object} chunk - Chunk with fileId, uploadedAt, tags and pages
+   * @param {Object|null} filter - Resolved filter
+   * @returns {boolean} True if the chunk satisfies every constraint
+   */
+  matches(chunk, filter) {
+    if (!filter) return true;
+
+    if (filter.fileIds && !filter.fileIds.includes(chunk.fileId)) {
+      return false;
+    }
+    if (filter.excludeFileIds && filter.excludeFileIds.includes(chunk.fileId)) {
+      return false;
+    }
+
+    const uploadedAt = chunk.uploadedAt ? new Date(chunk.uploadedAt) : null;
+    if (filter.uploadedAfter && (!uploadedAt || uploadedAt < filter.uploadedAfter)) {
+      return false;
+    }
+    if (filter.uploadedBefore && (!uploadedAt || uploadedAt > filter.uploadedBefore)) {
+      return false;
+    }
+
+    if (filter.tags && !(chunk.tags || []).some(tag => filter.tags.includes(tag))) {
+      return false;
+    }
+
+    if (filter.pages) {
+      const pageNumbers = (chunk.pages || []).map(p => (typeof p === 'number' ? p : p.page));
+      if (!pageNumbers.some(page => page >= filter.pages.from && page <= filter.pages.to)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+}
+
+module.exports = new SearchFilterService();
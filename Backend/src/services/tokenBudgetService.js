@@ -0,0 +1,225 @@
+const { AutoTokenizer } = require('@xenova/transformers');
+const { readCount } = require('./utils/settings');
+
+// Context windows of the Groq models this app has used
+const MODEL_CONTEXT_WINDOWS = {
+  'llama-3.1-8b-instant': 131072,
+  'llama-3.3-70b-versatile': 131072,
+  'llama3-8b-8192': 8192,
+  'llama3-70b-8192': 8192
+};
+
+/**
+ * Token Budget Service - tokenizer-based token counting and prompt budgeting
+ * Counts with the Llama 3 tokenizer (via @xenova/transformers) and falls back
+ * to a character heuristic when the tokenizer cannot be loaded
+ */
+class TokenBudgetService {
+  constructor() {
+    this.tokenizerName = process.env.TOKENIZER_MODEL || 'Xenova/Meta-Llama-3.1-Tokenizer';
+    this.tokenizer = null;
+    this.loadingPromise = null;
+    this.loadFailed = false;
+  }
+
+  /**
+   * Load the tokenizer on first use. Failures are remembered so an offline
+   * deployment does not retry the download on every request.
+   * @returns {Promise<boolean>} True if the real tokenizer is available
+   */
+  async initialize() {
+    if (this.tokenizer) return true;
+    if (this.loadFailed) return false;
+
+    if (!this.loadingPromise) {
+      this.loadingPromise = (async () => {
+        try {
+          console.log(`Loading tokenizer ${this.tokenizerName}...`);
+          this.tokenizer = await AutoTokenizer.from_pretrained(this.tokenizerName);
+          console.log('Tokenizer loaded successfully');
+        } catch (error) {
+          this.loadFailed = true;
+          console.warn(`⚠️ Could not load tokenizer ${this.tokenizerName}, estimating tokens from characters: ${error.message}`);
+        }
+      })().finally(() => {
+        this.loadingPromise = null;
+      });
+    }
+
+    await this.loadingPromise;
+    return Boolean(this.tokenizer);
+  }
+
+  /**
+   * Token limits for the configured model
+   * @param {string} modelName - Model identifier
+   * @returns {{contextWindow: number, answerTokens: number, historyTokens: number}} Budget limits
+   */
+  getLimits(modelName) {
+    // Groq's on-demand tier rejects requests well below the model's window,
+    // so the default stays conservative; raise LLM_CONTEXT_TOKENS on paid plans
+    const defaultWindow = Math.min(MODEL_CONTEXT_WINDOWS[modelName] || 8192, 8192);
+    const contextWindow = readCount(process.env.LLM_CONTEXT_TOKENS, defaultWindow);
+
+    return {
+      contextWindow,
+      answerTokens: readCount(process.env.LLM_ANSWER_TOKENS, 2048),
+      historyTokens: readCount(process.env.LLM_HISTORY_TOKENS, 1000)
+    };
+  }
+
+  /**
+   * Encode text without special tokens
+   * @param {string} text - Input text
+   * @returns {Array<number>} Token IDs
+   */
+  encode(text) {
+    return this.tokenizer.encode(text || '', null, { add_special_tokens: false });
+  }
+
+  /**
+   * Count tokens in a string
+   * @param {string} text - Input text
+   * @returns {number} Token count (heuristic if the tokenizer is not loaded)
+   */
+  countTokens(text) {
+    if (!text) return 0;
+    if (this.tokenizer) {
+      return this.encode(text).length;
+    }
+    // Roughly 4 characters per token for English text
+    return Math.ceil(text.length / 4);
+  }
+
+  /**
+   * Cut text down to at most maxTokens tokens
+   * @param {string} text - Input text
+   * @param {number} maxTokens - Token limit
+   * @returns {string} Truncated text (unchanged if it already fits)
+   */
+  truncateToTokens(text, maxTokens) {
+    if (maxTokens <= 0) return '';
+
+    if (this.tokenizer) {
+      const ids = this.encode(text);
+      if (ids.length <= maxTokens) return text;
+      return this.tokenizer.decode(ids.slice(0, maxTokens), { skip_special_tokens: true });
+    }
+
+    const maxChars = maxTokens * 4;
+    return text.length <= maxChars ? text : text.substring(0, maxChars);
+  }
+
+  /**
+   * Keep the most recent messages that fit in the history budget
+   * @param {Array} messages - Messages, oldest first
+   * @param {number} budget - Token budget
+   * @param {Function} format - message -> text as it appears in the prompt
+   * @returns {Array} Messages that fit, oldest first
+   */
+  fitHistory(messages, budget, format) {
+    const kept = [];
+    let used = 0;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const tokens = this.countTokens(format(messages[i])) + 1; // joining newline
+      if (used + tokens > budget) break;
+      kept.unshift(messages[i]);
+      used += tokens;
+    }
+
+    return kept;
+  }
+
+  /**
+   * Pack ranked chunks into a token budget, best first.
+   * The chunk that crosses the limit is truncated if a useful amount still
+   * fits (dropped otherwise), and every lower-ranked chunk is dropped.
+   * Table chunks are only cut between rows.
+   * @param {Array} chunks - Ranked chunks, best first
+   * @param {number} budget - Token budget for the context block
+   * @param {Function} format - (chunk, index) -> section text as it appears in the prompt
+   * @param {Object} [options] - Packing options
+   * @param {number} [options.separatorTokens=0] - Tokens used between sections
+   * @param {number} [options.minChunkTokens=150] - Smallest truncated chunk worth keeping
+   * @returns {{included: Array, dropped: Array, truncated: Array, tokens: number}} Packing result
+   */
+  packChunks(chunks, budget, format, options = {}) {
+    const { separatorTokens = 0, minChunkTokens = 150 } = options;
+    const included = [];
+    const dropped = [];
+    const truncated = [];
+    let used = 0;
+    let full = false;
+
+    for (const chunk of chunks) {
+      // Once the budget is spent, everything ranked lower is dropped
+      if (full) {
+        dropped.push(chunk);
+        continue;
+      }
+
+      const index = included.length;
+      const separator = index > 0 ? separatorTokens : 0;
+      const sectionTokens = this.countTokens(format(chunk, index)) + separator;
+
+      if (used + sectionTokens <= budget) {
+        included.push(chunk);
+        used += sectionTokens;
+        continue;
+      }
+
+      full = true;
+
+      // Room left for the chunk's content once the section's framing is paid for
+      const framingTokens = this.countTokens(format({ ...chunk, content: '' }, index)) + separator;
+      const contentBudget = budget - used - framingTokens;
+
+      // The top-ranked chunk is always kept, however short (a table needs one whole data row)
+      let content = contentBudget >= (index === 0 ? 1 : minChunkTokens)
+        ? this.truncateToTokens(chunk.content, contentBudget - 1)
+        : '';
+      if (chunk.table) {
+        content = content.slice(0, Math.max(0, content.lastIndexOf('\n')));
+        if (content.split('\n').length < (chunk.table.format === 'csv' ? 4 : 5)) content = '';
+      }
+
+      if (content) {
+        // Pages whose text was cut off no longer back this chunk
+        const pages = chunk.pages?.filter(p => typeof p.startChar !== 'number' || p.startChar < content.length);
+        const shortened = {
+          ...chunk,
+          content: chunk.table ? `${content}\n…` : `${content}…`,
+          ...(pages && {
+            pages,
+            pageReferences: [...new Set(pages.map(p => p.page))]
+          }),
+          truncated: true
+        };
+        included.push(shortened);
+        truncated.push(shortened);
+        used += this.countTokens(format(shortened, index)) + separator;
+      } else {
+        dropped.push(chunk);
+      }
+    }
+
+    return { included, dropped, truncated, tokens: used };
+  }
+
+  /**
+   * Whether an LLM error was caused by the request exceeding the model's limits
+   * @param {Error} error - Error thrown by the LLM client
+   * @returns {boolean} True for context-length / request-too-large errors
+   */
+  isContextLimitError(error) {
+    const message = String(error?.message || '').toLowerCase();
+    return error?.status === 413 ||
+      message.includes('context_length_exceeded') ||
+      message.includes('context length') ||
+      message.includes('request too large') ||
+      message.includes('reduce the length');
+  }
+}
+
+module.exports = new TokenBudgetService();
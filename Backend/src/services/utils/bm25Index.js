@@ -0,0 +1,135 @@
+const { analyze } = require('./textAnalyzer');
+
+/**
+ * In-memory inverted index with Okapi BM25 scoring
+ */
+class BM25Index {
+  /**
+   * @param {Object} options - Scoring parameters
+   * @param {number} [options.k1=1.2] - Term frequency saturation
+   * @param {number} [options.b=0.75] - Document length normalization
+   */
+  constructor(options = {}) {
+    const { k1 = 1.2, b = 0.75 } = options;
+
+    this.k1 = k1;
+    this.b = b;
+    this.postings = new Map(); // term -> Map(docId -> term frequency)
+    this.docLengths = new Map(); // docId -> number of terms
+    this.docTerms = new Map(); // docId -> Set of terms, used for removal
+    this.totalLength = 0;
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {number} Document count
+   */
+  get size() {
+    return this.docLengths.size;
+  }
+
+  /**
+   * Index a document. Re-adding an existing ID replaces it.
+   * @param {string} id - Document identifier
+   * @param {string} text - Text to index
+   */
+  add(id, text) {
+    if (this.docLengths.has(id)) {
+      this.remove(id);
+    }
+
+    const terms = analyze(text);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+
+    for (const [term, tf] of frequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, tf);
+    }
+
+    this.docLengths.set(id, terms.length);
+    this.docTerms.set(id, new Set(frequencies.keys()));
+    this.totalLength += terms.length;
+  }
+
+  /**
+   * Remove a document from the index
+   * @param {string} id - Document identifier
+   * @returns {boolean} True if the document was indexed
+   */
+  remove(id) {
+    const terms = this.docTerms.get(id);
+    if (!terms) return false;
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= this.docLengths.get(id);
+    this.docLengths.delete(id);
+    this.docTerms.delete(id);
+    return true;
+  }
+
+  /**
+   * Inverse document frequency (BM25+ style, never negative)
+   * @param {string} term - Index term
+   * @returns {number} IDF weight
+   */
+  idf(term) {
+    const df = this.postings.get(term)?.size || 0;
+    return Math.log(1 + (this.size - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Score documents against a query
+   * @param {string} query - Query text
+   * @param {number} [k=10] - Number of results
+   * @param {Object} [options] - Search options
+   * @param {Function} [options.filter] - Predicate on document ID
+   * @returns {Array<{id: string, score: number, matchedTerms: Array<string>}>} Ranked documents
+   */
+  search(query, k = 10, options = {}) {
+    const { filter = null } = options;
+    const queryTerms = [...new Set(analyze(query))];
+
+    if (queryTerms.length === 0 || this.size === 0) {
+      return [];
+    }
+
+    const avgLength = this.totalLength / this.size;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = this.idf(term);
+      for (const [docId, tf] of posting) {
+        if (filter && !filter(docId)) continue;
+
+        const lengthNorm = 1 - this.b + this.b * (this.docLengths.get(docId) / avgLength);
+        const termScore = idf * (tf * (this.k1 + 1)) / (tf + this.k1 * lengthNorm);
+
+        const entry = scores.get(docId) || { id: docId, score: 0, matchedTerms: [] };
+        entry.score += termScore;
+        entry.matchedTerms.push(term);
+        scores.set(docId, entry);
+      }
+    }
+
+    return Array.from(scores.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+}
+
+module.exports = { BM25Index };
@@ -0,0 +1,18 @@
+/**
+ * Errors thrown by services for routes to turn into HTTP responses: routes
+ * send `error.status` with the message, and 500 for errors without one.
+ */
+
+/**
+ * Error carrying an HTTP status for routes
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with status
+ */
+function statusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = { statusError };
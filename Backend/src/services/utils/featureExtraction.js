@@ -0,0 +1,47 @@
+const { pipeline } = require('@xenova/transformers');
+
+// Loaded feature-extraction pipelines by registry ID (one set per thread)
+const embedders = new Map();
+
+/**
+ * Load (once) the local pipeline for a registered model
+ * @param {Object} definition - Registry entry (id, model)
+ * @returns {Promise<Function>} Feature-extraction pipeline
+ */
+function getEmbedder(definition) {
+  if (!embedders.has(definition.id)) {
+    console.log(`Initializing ${definition.model} embedding model...`);
+    const loading = pipeline('feature-extraction', definition.model)
+      .then(embedder => {
+        console.log(`${definition.model} model loaded successfully`);
+        return embedder;
+      })
+      .catch(error => {
+        embedders.delete(definition.id);
+        throw error;
+      });
+    embedders.set(definition.id, loading);
+  }
+  return embedders.get(definition.id);
+}
+
+/**
+ * Embed several texts in one forward pass
+ * @param {Object} definition - Registry entry (id, model, pooling, normalize)
+ * @param {string[]} texts - Texts to embed (prefixes already applied)
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ */
+async function extractFeatures(definition, texts) {
+  const embedder = await getEmbedder(definition);
+  const output = await embedder(texts, {
+    pooling: definition.pooling,
+    normalize: definition.normalize
+  });
+
+  // Pooled output is a [texts, dimensions] tensor
+  const dimensions = output.dims[output.dims.length - 1];
+  return texts.map((text, index) =>
+    Array.from(output.data.subarray(index * dimensions, (index + 1) * dimensions)));
+}
+
+module.exports = { getEmbedder, extractFeatures };
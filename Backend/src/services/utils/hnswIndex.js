@@ -0,0 +1,366 @@
+/**
+ * In-process HNSW (Hierarchical Navigable Small World) index
+ * Approximate nearest neighbour search over normalized embedding vectors
+ */
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity in [-1, 1]
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Dot product of two equal-length vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Dot product
+ */
+function dotProduct(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+}
+
+/**
+ * Scale a vector to unit length so dot product equals cosine similarity
+ * @param {Array<number>} vector - Input vector
+ * @returns {Array<number>} Unit-length copy
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(dotProduct(vector, vector));
+  return norm === 0 ? vector.slice() : vector.map(value => value / norm);
+}
+
+/**
+ * Insert an item into an already sorted array, keeping it sorted
+ * @param {Array} array - Sorted array
+ * @param {*} item - Item to insert
+ * @param {Function} compare - Comparator used to sort the array
+ */
+function insertSorted(array, item, compare) {
+  let low = 0;
+  let high = array.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (compare(array[mid], item) <= 0) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  array.splice(low, 0, item);
+}
+
+class HNSWIndex {
+  /**
+   * @param {Object} options - Index options
+   * @param {number} [options.M=16] - Max neighbours per node on upper layers
+   * @param {number} [options.efConstruction=100] - Candidate list size while inserting
+   * @param {number} [options.efSearch=64] - Candidate list size while searching
+   */
+  constructor(options = {}) {
+    const { M = 16, efConstruction = 100, efSearch = 64 } = options;
+
+    this.M = M;
+    this.maxM0 = M * 2; // Layer 0 keeps twice as many links
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(M);
+
+    this.nodes = new Map(); // id -> { id, vector, level, neighbours: Array<Set>, deleted }
+    this.entryPoint = null;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+    this.dimensions = null;
+  }
+
+  /**
+   * Number of live (non-deleted) vectors in the index
+   * @returns {number} Live node count
+   */
+  get size() {
+    return this.nodes.size - this.deletedCount;
+  }
+
+  /**
+   * Draw a random level for a new node
+   * @returns {number} Level
+   */
+  randomLevel() {
+    return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+  }
+
+  /**
+   * Greedy beam search on a single layer
+   * @param {Array<number>} query - Query vector
+   * @param {Array<string>} entryIds - Node IDs to start from
+   * @param {number} ef - Beam width
+   * @param {number} level - Layer to search
+   * @returns {Array<{id: string, score: number}>} Closest nodes, best first
+   */
+  searchLayer(query, entryIds, ef, level) {
+    const visited = new Set(entryIds);
+    // candidates: ascending by score (best at the end); results: descending (worst at the end)
+    const candidates = [];
+    const results = [];
+
+    for (const id of entryIds) {
+      const entry = { id, score: dotProduct(query, this.nodes.get(id).vector) };
+      insertSorted(candidates, entry, (a, b) => a.score - b.score);
+      insertSorted(results, entry, (a, b) => b.score - a.score);
+    }
+
+    while (candidates.length > 0) {
+      const current = candidates.pop();
+      const worst = results[results.length - 1];
+      if (results.length >= ef && current.score < worst.score) {
+        break;
+      }
+
+      const neighbours = this.nodes.get(current.id).neighbours[level];
+      if (!neighbours) continue;
+
+      for (const neighbourId of neighbours) {
+        if (visited.has(neighbourId)) continue;
+        visited.add(neighbourId);
+
+        const score = dotProduct(query, this.nodes.get(neighbourId).vector);
+        if (results.length < ef || score > results[results.length - 1].score) {
+          const entry = { id: neighbourId, score };
+          insertSorted(candidates, entry, (a, b) => a.score - b.score);
+          insertSorted(results, entry, (a, b) => b.score - a.score);
+          if (results.length > ef) {
+            results.pop();
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Trim a node's neighbour list on a layer down to the allowed size
+   * @param {Object} node - Node to prune
+   * @param {number} level - Layer
+   */
+  pruneNeighbours(node, level) {
+    const maxLinks = level === 0 ? this.maxM0 : this.M;
+    const links = node.neighbours[level];
+    if (links.size <= maxLinks) return;
+
+    const kept = [...links]
+      .map(id => ({ id, score: dotProduct(node.vector, this.nodes.get(id).vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxLinks)
+      .map(entry => entry.id);
+
+    node.neighbours[level] = new Set(kept);
+  }
+
+  /**
+   * Add a vector to the index. Re-adding an existing ID replaces its vector.
+   * @param {string} id - Unique identifier
+   * @param {Array<number>} vector - Embedding vector
+   */
+  add(id, vector) {
+    if (!Array.isArray(vector) || vector.length === 0) {
+      throw new Error('Vector must be a non-empty array');
+    }
+    if (this.dimensions === null) {
+      this.dimensions = vector.length;
+    } else if (vector.length !== this.dimensions) {
+      throw new Error(`Vector dimension mismatch: expected ${this.dimensions}, got ${vector.length}`);
+    }
+
+    if (this.nodes.has(id)) {
+      this.remove(id);
+      this.purge(id);
+    }
+
+    vector = normalize(vector);
+    const level = this.randomLevel();
+    const node = {
+      id,
+      vector,
+      level,
+      neighbours: Array.from({ length: level + 1 }, () => new Set()),
+      deleted: false
+    };
+    this.nodes.set(id, node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return;
+    }
+
+    // Descend greedily through the layers above the new node's level
+    let entryIds = [this.entryPoint];
+    for (let l = this.maxLevel; l > level; l--) {
+      entryIds = [this.searchLayer(vector, entryIds, 1, l)[0].id];
+    }
+
+    // Connect the node on every layer it lives on
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const nearest = this.searchLayer(vector, entryIds, this.efConstruction, l);
+      const maxLinks = l === 0 ? this.maxM0 : this.M;
+
+      for (const { id: neighbourId } of nearest.slice(0, maxLinks)) {
+        if (neighbourId === id) continue;
+        const neighbour = this.nodes.get(neighbourId);
+        node.neighbours[l].add(neighbourId);
+        neighbour.neighbours[l].add(id);
+        this.pruneNeighbours(neighbour, l);
+      }
+
+      entryIds = nearest.map(entry => entry.id);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = id;
+    }
+  }
+
+  /**
+   * Mark a vector as deleted. Deleted nodes stay in the graph for
+   * navigation but are never returned from searches.
+   * @param {string} id - Identifier to remove
+   * @returns {boolean} True if a live node was removed
+   */
+  remove(id) {
+    const node = this.nodes.get(id);
+    if (!node || node.deleted) return false;
+
+    node.deleted = true;
+    this.deletedCount++;
+    return true;
+  }
+
+  /**
+   * Physically drop a deleted node and unlink it from the graph
+   * @param {string} id - Identifier to purge
+   */
+  purge(id) {
+    const node = this.nodes.get(id);
+    if (!node) return;
+
+    for (let l = 0; l < node.neighbours.length; l++) {
+      for (const neighbourId of node.neighbours[l]) {
+        this.nodes.get(neighbourId)?.neighbours[l]?.delete(id);
+      }
+    }
+
+    if (node.deleted) {
+      this.deletedCount--;
+    }
+    this.nodes.delete(id);
+
+    if (this.entryPoint === id) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      for (const candidate of this.nodes.values()) {
+        if (candidate.level > this.maxLevel) {
+          this.maxLevel = candidate.level;
+          this.entryPoint = candidate.id;
+        }
+      }
+    }
+  }
+
+  /**
+   * Find the k nearest live vectors to a query
+   * @param {Array<number>} query - Query vector
+   * @param {number} k - Number of results
+   * @param {Object} [options] - Search options
+   * @param {Function} [options.filter] - Predicate on node ID; non-matching nodes are skipped
+   * @returns {Array<{id: string, score: number}>} Nearest neighbours, best first
+   */
+  search(query, k = 10, options = {}) {
+    const { filter = null } = options;
+
+    if (this.entryPoint === null || this.size === 0) {
+      return [];
+    }
+    if (query.length !== this.dimensions) {
+      throw new Error(`Query dimension mismatch: expected ${this.dimensions}, got ${query.length}`);
+    }
+
+    query = normalize(query);
+    let entryIds = [this.entryPoint];
+    for (let l = this.maxLevel; l > 0; l--) {
+      entryIds = [this.searchLayer(query, entryIds, 1, l)[0].id];
+    }
+
+    // Widen the beam when filtering or when many nodes are tombstoned
+    const ef = Math.max(this.efSearch, k) * (filter || this.deletedCount > 0 ? 4 : 1);
+    const candidates = this.searchLayer(query, entryIds, ef, 0);
+
+    return candidates
+      .filter(({ id }) => {
+        const node = this.nodes.get(id);
+        return !node.deleted && (!filter || filter(id));
+      })
+      .slice(0, k);
+  }
+
+  /**
+   * Brute-force k nearest live vectors, used when a filter is too selective
+   * for the graph walk to find enough matches
+   * @param {Array<number>} query - Query vector
+   * @param {number} k - Number of results
+   * @param {Object} [options] - Search options
+   * @param {Function} [options.filter] - Predicate on node ID
+   * @returns {Array<{id: string, score: number}>} Nearest neighbours, best first
+   */
+  exactSearch(query, k = 10, options = {}) {
+    const { filter = null } = options;
+    const normalizedQuery = normalize(query);
+    const results = [];
+
+    for (const node of this.nodes.values()) {
+      if (node.deleted || (filter && !filter(node.id))) continue;
+
+      const score = dotProduct(normalizedQuery, node.vector);
+      if (results.length < k || score > results[results.length - 1].score) {
+        insertSorted(results, { id: node.id, score }, (a, b) => b.score - a.score);
+        if (results.length > k) {
+          results.pop();
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Ratio of deleted nodes still held in the graph
+   * @returns {number} Value between 0 and 1
+   */
+  deletedRatio() {
+    return this.nodes.size === 0 ? 0 : this.deletedCount / this.nodes.size;
+  }
+}
+
+module.exports = { HNSWIndex, cosineSimilarity };
@@ -0,0 +1,98 @@
+/**
+ * Language detection for extracted document text
+ * Scripts used by a single language (kana, Hangul, Greek...) decide at once;
+ * Latin-script text is scored against short lists of each language's most
+ * common function words. Returns ISO 639-1 codes.
+ */
+
+// Most frequent function words; words shared by several languages are kept
+// because the distinctive ones still decide
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'that', 'for', 'it', 'with', 'as', 'was', 'on', 'are', 'be',
+    'this', 'by', 'not', 'or', 'have', 'from', 'at', 'which', 'an', 'but', 'they', 'you', 'were', 'their', 'has',
+    'will', 'would', 'there', 'been', 'if', 'its', 'all', 'can', 'should', 'must'],
+  es: ['de', 'la', 'que', 'el', 'en', 'y', 'los', 'del', 'se', 'las', 'por', 'un', 'para', 'con', 'no',
+    'una', 'su', 'al', 'es', 'lo', 'como', 'más', 'pero', 'sus', 'le', 'ya', 'o', 'este', 'sí', 'porque',
+    'esta', 'entre', 'cuando', 'muy', 'sin', 'sobre', 'también', 'ser', 'son', 'debe'],
+  fr: ['de', 'la', 'le', 'et', 'les', 'des', 'en', 'un', 'du', 'une', 'que', 'est', 'pour', 'qui', 'dans',
+    'par', 'pas', 'au', 'sur', 'plus', 'ne', 'se', 'ce', 'il', 'sont', 'avec', 'mais', 'nous', 'vous', 'aux',
+    'cette', 'ou', 'être', 'leur', 'été', 'ont', 'sa', 'son', 'ses', 'doit'],
+  de: ['der', 'die', 'und', 'in', 'den', 'von', 'zu', 'das', 'mit', 'sich', 'des', 'auf', 'für', 'ist', 'im',
+    'dem', 'nicht', 'ein', 'eine', 'als', 'auch', 'es', 'an', 'werden', 'aus', 'er', 'hat', 'dass', 'sie', 'nach',
+    'wird', 'bei', 'einer', 'um', 'am', 'sind', 'noch', 'wie', 'einem', 'muss'],
+  it: ['di', 'e', 'il', 'la', 'che', 'in', 'a', 'per', 'un', 'del', 'non', 'è', 'una', 'le', 'della',
+    'con', 'i', 'si', 'da', 'al', 'sono', 'gli', 'dei', 'nel', 'alla', 'più', 'ma', 'come', 'anche', 'delle',
+    'questo', 'essere', 'lo', 'ha', 'dal', 'nella', 'o', 'tra', 'sul', 'deve'],
+  pt: ['de', 'a', 'o', 'que', 'e', 'do', 'da', 'em', 'um', 'para', 'é', 'com', 'não', 'uma', 'os',
+    'no', 'se', 'na', 'por', 'mais', 'as', 'dos', 'como', 'mas', 'ao', 'das', 'à', 'seu', 'sua', 'ou',
+    'ser', 'quando', 'muito', 'nos', 'já', 'também', 'pelo', 'pela', 'são', 'deve'],
+  nl: ['de', 'en', 'van', 'het', 'een', 'in', 'is', 'dat', 'op', 'te', 'zijn', 'met', 'voor', 'niet', 'aan',
+    'er', 'om', 'ook', 'als', 'bij', 'of', 'door', 'maar', 'uit', 'wordt', 'worden', 'naar', 'dan', 'nog', 'kan',
+    'deze', 'die', 'wel', 'zo', 'hun', 'tot', 'heeft', 'was', 'ze', 'moet']
+};
+
+const FUNCTION_WORD_SETS = Object.fromEntries(
+  Object.entries(FUNCTION_WORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+// Scripts that identify a language on their own, checked in order (kana
+// before Han so Japanese with kanji is not taken for Chinese)
+const SCRIPTS = [
+  { language: 'ja', regex: /[\u3040-\u30ff]/gu },
+  { language: 'ko', regex: /[\uac00-\ud7af\u1100-\u11ff]/gu },
+  { language: 'zh', regex: /\p{Script=Han}/gu },
+  { language: 'ru', regex: /\p{Script=Cyrillic}/gu },
+  { language: 'el', regex: /\p{Script=Greek}/gu },
+  { language: 'ar', regex: /\p{Script=Arabic}/gu },
+  { language: 'he', regex: /\p{Script=Hebrew}/gu },
+  { language: 'hi', regex: /\p{Script=Devanagari}/gu },
+  { language: 'th', regex: /\p{Script=Thai}/gu }
+];
+
+// Characters examined; the start of a document is enough to tell its language
+const SAMPLE_CHARS = 20000;
+// Fewer words than this cannot be told apart reliably
+const MIN_WORDS = 20;
+
+/**
+ * Detect the language of a text
+ * @param {string} text - Text to examine
+ * @returns {{language: string|null, confidence: number}} ISO 639-1 code (null if undetermined) and a 0-1 confidence
+ */
+function detectLanguage(text) {
+  const sample = String(text || '').slice(0, SAMPLE_CHARS);
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  if (letters === 0) {
+    return { language: null, confidence: 0 };
+  }
+
+  for (const { language, regex } of SCRIPTS) {
+    const count = (sample.match(regex) || []).length;
+    // Kana is a small share even of Japanese text written mostly in kanji
+    const share = language === 'ja' ? count * 4 / letters : count / letters;
+    if (share >= 0.3) {
+      return { language, confidence: Math.round(Math.min(1, share) * 100) / 100 };
+    }
+  }
+
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < MIN_WORDS) {
+    return { language: null, confidence: 0 };
+  }
+
+  const scores = Object.entries(FUNCTION_WORD_SETS)
+    .map(([language, set]) => ({ language, hits: words.filter(word => set.has(word)).length }))
+    .sort((a, b) => b.hits - a.hits);
+  const [best, second] = scores;
+
+  // Real prose is at least a tenth function words; lists and tables may not be
+  if (best.hits < words.length * 0.1) {
+    return { language: null, confidence: 0 };
+  }
+  return {
+    language: best.language,
+    confidence: Math.round((best.hits - second.hits) / best.hits * 100) / 100
+  };
+}
+
+module.exports = { detectLanguage, FUNCTION_WORDS };
@@ -0,0 +1,120 @@
+/**
+ * Least-recently-used cache on top of Map insertion order, with optional TTL
+ */
+class LRUCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} [options.maxSize=1000] - Maximum number of entries
+   * @param {number} [options.ttlMs=0] - Entry lifetime in milliseconds (0 = no expiry)
+   */
+  constructor(options = {}) {
+    const { maxSize = 1000, ttlMs = 0 } = options;
+
+    this.maxSize = maxSize;
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Number of cached entries (including expired ones not yet evicted)
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Look up a value and mark it as most recently used
+   * @param {string} key - Cache key
+   * @returns {*} Cached value, or undefined on a miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) {
+      if (entry) this.entries.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    // Re-insert to move the key to the most recent end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   */
+  set(key, value) {
+    if (this.maxSize <= 0) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: this.ttlMs > 0 ? Date.now() + this.ttlMs : 0
+    });
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the entry existed
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry whose value matches a predicate
+   * @param {Function} predicate - (value, key) -> boolean
+   * @returns {number} Number of entries removed
+   */
+  deleteWhere(predicate) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (predicate(entry.value, key)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Iterate over live values, least recently used first (does not touch recency)
+   * @returns {Array<[string, *]>} Key/value pairs
+   */
+  liveEntries() {
+    const now = Date.now();
+    return Array.from(this.entries)
+      .filter(([, entry]) => !entry.expiresAt || entry.expiresAt > now)
+      .map(([key, entry]) => [key, entry.value]);
+  }
+
+  /**
+   * Drop every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Hit/miss counters for monitoring
+   * @returns {{size: number, hits: number, misses: number}} Cache statistics
+   */
+  stats() {
+    return { size: this.entries.size, hits: this.hits, misses: this.misses };
+  }
+}
+
+module.exports = { LRUCache };
@@ -0,0 +1,123 @@
+/**
+ * MinHash signatures for estimating how much text two documents share.
+ * A document becomes the set of its overlapping word shingles; the share of
+ * equal signature slots estimates the Jaccard similarity of two such sets.
+ * Seeds are fixed so stored signatures stay comparable across restarts.
+ */
+
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Seeds of the hash functions, one per signature slot
+ * @param {number} count - Number of hash functions
+ * @returns {Uint32Array} Seeds
+ */
+function makeSeeds(count) {
+  const seeds = new Uint32Array(count);
+  let state = 0x9e3779b9;
+  for (let i = 0; i < count; i++) {
+    // xorshift32
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    seeds[i] = state >>> 0;
+  }
+  return seeds;
+}
+
+const seedCache = new Map();
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * MurmurHash3 finalizer, used to derive independent hashes from one base hash
+ * @param {number} value - 32-bit value
+ * @returns {number} Unsigned 32-bit mixed value
+ */
+function mix(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Overlapping word shingles of a text, lowercased
+ * @param {string} text - Document text
+ * @param {number} [size=5] - Words per shingle
+ * @returns {Set<string>} Shingles; texts shorter than `size` words give one shingle
+ */
+function shingle(text, size = 5) {
+  const words = String(text || '').toLowerCase().match(WORD_REGEX) || [];
+  const shingles = new Set();
+  if (words.length === 0) return shingles;
+  if (words.length <= size) {
+    shingles.add(words.join(' '));
+    return shingles;
+  }
+  for (let i = 0; i + size <= words.length; i++) {
+    shingles.add(words.slice(i, i + size).join(' '));
+  }
+  return shingles;
+}
+
+/**
+ * MinHash signature of a text
+ * @param {string} text - Document text
+ * @param {Object} [options] - Signature options
+ * @param {number} [options.numHashes=128] - Signature length
+ * @param {number} [options.shingleSize=5] - Words per shingle
+ * @returns {Array<number>|null} Signature, or null for text without words
+ */
+function computeSignature(text, options = {}) {
+  const { numHashes = 128, shingleSize = 5 } = options;
+  const shingles = shingle(text, shingleSize);
+  if (shingles.size === 0) return null;
+
+  if (!seedCache.has(numHashes)) {
+    seedCache.set(numHashes, makeSeeds(numHashes));
+  }
+  const seeds = seedCache.get(numHashes);
+  const signature = new Array(numHashes).fill(0xffffffff);
+
+  for (const value of shingles) {
+    const base = fnv1a(value);
+    for (let i = 0; i < numHashes; i++) {
+      const hash = mix(base ^ seeds[i]);
+      if (hash < signature[i]) signature[i] = hash;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Estimated Jaccard similarity of the texts behind two signatures
+ * @param {Array<number>} a - Signature
+ * @param {Array<number>} b - Signature of the same length
+ * @returns {number} Similarity from 0 to 1 (0 if the signatures are not comparable)
+ */
+function estimateSimilarity(a, b) {
+  if (!a?.length || !b?.length || a.length !== b.length) return 0;
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / a.length;
+}
+
+module.exports = { shingle, computeSignature, estimateSimilarity };
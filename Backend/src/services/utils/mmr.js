@@ -0,0 +1,83 @@
+const { cosineSimilarity } = require('./hnswIndex');
+
+/**
+ * Maximal Marginal Relevance (Carbonell & Goldstein, 1998)
+ * Greedily picks the candidate maximising
+ *   lambda * relevance - (1 - lambda) * max similarity to already selected
+ * Relevance scores are min-max normalized so fused, BM25 and rerank scores
+ * are on the same 0-1 scale as cosine similarity.
+ * @param {Array<Object>} candidates - Ranked candidates, best first
+ * @param {Object} options - Selection options
+ * @param {number} options.k - Number of candidates to select
+ * @param {number} [options.lambda=0.7] - 1 = pure relevance, 0 = pure diversity
+ * @param {number} [options.maxPerGroup=0] - Maximum picks per group (0 = unlimited)
+ * @param {Function} options.getScore - candidate -> relevance score
+ * @param {Function} options.getVector - candidate -> embedding, or null if unknown
+ * @param {Function} [options.getGroup] - candidate -> group key (e.g. fileId)
+ * @returns {Array<Object>} Selected candidates in pick order, with `mmrScore`
+ */
+function selectMMR(candidates, options) {
+  const {
+    k,
+    lambda = 0.7,
+    maxPerGroup = 0,
+    getScore,
+    getVector,
+    getGroup = () => null
+  } = options;
+
+  const scores = candidates.map(candidate => getScore(candidate) || 0);
+  const min = Math.min(...scores);
+  const range = Math.max(...scores) - min;
+  const relevance = scores.map(score => (range > 0 ? (score - min) / range : 1));
+
+  const remaining = candidates.map((candidate, index) => index);
+  const maxSimilarity = new Array(candidates.length).fill(0);
+  const groupCounts = new Map();
+  const selected = [];
+
+  while (selected.length < k && remaining.length > 0) {
+    let bestPosition = -1;
+    let bestScore = -Infinity;
+
+    remaining.forEach((index, position) => {
+      const group = getGroup(candidates[index]);
+      if (maxPerGroup > 0 && group !== null && (groupCounts.get(group) || 0) >= maxPerGroup) {
+        return;
+      }
+
+      const score = lambda * relevance[index] - (1 - lambda) * maxSimilarity[index];
+      if (score > bestScore) {
+        bestScore = score;
+        bestPosition = position;
+      }
+    });
+
+    // Every remaining candidate belongs to a group that is already full
+    if (bestPosition === -1) break;
+
+    const [pickedIndex] = remaining.splice(bestPosition, 1);
+    const picked = candidates[pickedIndex];
+    selected.push({ ...picked, mmrScore: bestScore });
+
+    const group = getGroup(picked);
+    if (group !== null) {
+      groupCounts.set(group, (groupCounts.get(group) || 0) + 1);
+    }
+
+    // Track each remaining candidate's closest selected neighbour
+    const pickedVector = getVector(picked);
+    if (pickedVector) {
+      for (const index of remaining) {
+        const vector = getVector(candidates[index]);
+        if (vector && vector.length === pickedVector.length) {
+          maxSimilarity[index] = Math.max(maxSimilarity[index], cosineSimilarity(vector, pickedVector));
+        }
+      }
+    }
+  }
+
+  return selected;
+}
+
+module.exports = { selectMMR };
@@ -7,6 +7,10 @@ try {
   console.error('Error importing pdf-parse:', error);
   throw new Error('Failed to load pdf-parse. Make sure it is installed.');
 }
+const { joinSegments, buildChunks } = require('../chunkers');
+const fixedChunker = require('../chunkers/fixedChunker');
+const { normalizeRows, isDataTable, findCaption } = require('./tableFormatter');
+const ocrService = require('../ocrService');
 
 /**
  * Parses a PDF file and extracts the full text content.
@@ -17,55 +21,211 @@ try {
 async function parsePdf(filePath) {
   try {
     const pages = await parsePdfWithPages(filePath);
-    return pages.map(p => p.text).join(' ');
+    return joinSegments(pages).text;
   } catch (error) {
     throw new Error(`Error parsing PDF: ${error.message}`);
   }
 }
 
 /**
- * Parses a PDF file and extracts text content with page numbers.
+ * Collapses newlines and runs of whitespace into single spaces.
+ * @param {string} text - Raw page text.
+ * @returns {string} Cleaned text.
+ */
+function cleanPageText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Removes the lines holding a table's rows from page text, so the table is
+ * not indexed twice. Rows are matched as one run of consecutive lines; if
+ * the text order differs (e.g. cells wrapped over several lines), the text
+ * is left as it is.
+ * @param {Array<string>} lines - Page text lines.
+ * @param {Array<Array<string>>} rows - Table rows.
+ * @returns {{lines: Array<string>, index: number}} Remaining lines and where the table was (-1 if not found).
+ */
+function removeTableLines(lines, rows) {
+  const normalize = text => text.replace(/\s+/g, ' ').trim();
+  const target = normalize(rows.flat().join(' '));
+
+  for (let i = 0; i < lines.length; i++) {
+    const first = normalize(lines[i]);
+    if (!first || !target.startsWith(first)) continue;
+
+    let joined = first;
+    let j = i;
+    while (joined.length < target.length && j + 1 < lines.length) {
+      j++;
+      joined = normalize(`${joined} ${lines[j]}`);
+    }
+    if (joined === target) {
+      return { lines: [...lines.slice(0, i), ...lines.slice(j + 1)], index: i };
+    }
+  }
+
+  return { lines, index: -1 };
+}
+
+/**
+ * Recognizes the text of pages that have no text layer (scans).
+ * OCR stops at the first failure, e.g. missing language data; the
+ * remaining pages are left without text.
+ * @param {Object} parser - Open PDFParse instance.
+ * @param {Array<number>} pageNumbers - Pages to recognize.
+ * @param {string} filePath - Path to the PDF file, for logging.
+ * @returns {Promise<Map<number, {text: string, confidence: number}>>} Recognized text and confidence by page.
+ */
+async function ocrPages(parser, pageNumbers, filePath) {
+  const recognized = new Map();
+  if (pageNumbers.length === 0) return recognized;
+  if (!ocrService.isAvailable()) {
+    console.warn(`⚠️ ${pageNumbers.length} page(s) of ${filePath} have no text layer and OCR is not available`);
+    return recognized;
+  }
+
+  console.log(`🔍 Running OCR on ${pageNumbers.length} page(s) of ${filePath} without a text layer`);
+  // One page at a time keeps a single rendered image in memory
+  for (const pageNumber of pageNumbers) {
+    try {
+      const { pages } = await parser.getScreenshot({
+        partial: [pageNumber],
+        scale: ocrService.scale,
+        imageDataUrl: false,
+        imageBuffer: true
+      });
+      recognized.set(pageNumber, await ocrService.recognize(pages[0].data));
+    } catch (error) {
+      console.warn(`⚠️ OCR failed on page ${pageNumber} of ${filePath}, skipping the remaining pages: ${error.message}`);
+      break;
+    }
+  }
+
+  return recognized;
+}
+
+/**
+ * Reads a PDF page by page, optionally with its ruled tables. Pages with no
+ * text layer are OCRed; their text carries the OCR confidence.
  * @param {string} filePath - Path to the PDF file.
- * @returns {Promise<Array<{page: number, text: string}>>} Array of page objects with text.
+ * @param {boolean} withTables - Whether to detect tables.
+ * @returns {Promise<{pages: Array<{page: number, text: string, ocrConfidence?: number}>, tables: Array<{page: number, caption: string|null, rows: Array<Array<string>>}>, ocr: Array<{page: number, confidence: number}>}>} Non-empty pages, tables and every OCRed page.
  */
-async function parsePdfWithPages(filePath) {
+async function readPdf(filePath, withTables) {
+  const parser = new PDFParse({ data: fs.readFileSync(filePath) });
   try {
-    const dataBuffer = fs.readFileSync(filePath);
-    const parser = new PDFParse({ 
-      data: dataBuffer,
-      // Enable page parsing
-      normalizeWhitespace: false,
-      disableCombineTextItems: false
-    });
-    const data = await parser.getText();
-    await parser.destroy();
-    
-    // Split text by pages and track page numbers
+    const result = await parser.getText();
+
+    // Tables are found from their ruling lines; borderless tables stay in the text
+    const tablesByPage = new Map();
+    if (withTables) {
+      try {
+        const tableResult = await parser.getTable();
+        for (const page of tableResult.pages) {
+          tablesByPage.set(page.num, page.tables.map(normalizeRows).filter(isDataTable));
+        }
+      } catch (error) {
+        console.warn(`⚠️ Table detection failed for ${filePath}, indexing text only: ${error.message}`);
+      }
+    }
+
+    const recognized = await ocrPages(
+      parser,
+      result.pages.filter(page => ocrService.needsOcr(page.text)).map(page => page.num),
+      filePath
+    );
+
     const pages = [];
-    const pageTexts = data.text.split('\n\n'); // Simple page split
-    
-    for (let i = 0; i < pageTexts.length; i++) {
-      let text = pageTexts[i];
-      
-      // Clean up text: remove excessive newlines and spaces
-      text = text.replace(/\n+/g, ' '); // Replace multiple newlines with space
-      text = text.replace(/\s+/g, ' '); // Replace multiple spaces with single space
-      text = text.trim(); // Trim leading/trailing whitespace
-      
-      if (text.length > 0) {
-        pages.push({
-          page: i + 1,
-          text: text
-        });
+    const tables = [];
+    const ocr = [];
+    for (const page of result.pages) {
+      if (recognized.has(page.num)) {
+        const { text, confidence } = recognized.get(page.num);
+        ocr.push({ page: page.num, confidence });
+        const cleaned = cleanPageText(text);
+        if (cleaned.length > 0) pages.push({ page: page.num, text: cleaned, ocrConfidence: confidence });
+        continue;
+      }
+
+      let lines = page.text.split('\n');
+      for (const rows of tablesByPage.get(page.num) || []) {
+        const removed = removeTableLines(lines, rows);
+        lines = removed.lines;
+        const caption = removed.index > 0 ? findCaption(lines.slice(0, removed.index).join('\n')) : null;
+        tables.push({ page: page.num, caption, rows });
       }
+
+      const text = cleanPageText(lines.join('\n'));
+      if (text.length > 0) pages.push({ page: page.num, text });
     }
 
-    return pages;
+    return { pages, tables, ocr };
   } catch (error) {
     throw new Error(`Error parsing PDF: ${error.message}`);
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Reads the document information dictionary of a PDF (title, author,
+ * subject, keywords, creation and modification dates), the XMP title when
+ * the dictionary has none, and the catalog language.
+ * @param {string} filePath - Path to the PDF file.
+ * @returns {Promise<{title?: string, author?: string, subject?: string, keywords?: string, language?: string, createdAt?: Date, modifiedAt?: Date}>} Raw document properties.
+ */
+async function readPdfInfo(filePath) {
+  const parser = new PDFParse({ data: fs.readFileSync(filePath) });
+  try {
+    const result = await parser.getInfo();
+    const info = result.info || {};
+    const dates = result.getDateNode();
+    return {
+      title: info.Title || result.metadata?.get?.('dc:title'),
+      author: info.Author,
+      subject: info.Subject,
+      keywords: info.Keywords,
+      language: info.Language,
+      createdAt: dates.CreationDate || dates.XmpCreateDate,
+      modifiedAt: dates.ModDate || dates.XmpModifyDate
+    };
+  } catch (error) {
+    throw new Error(`Error reading PDF info: ${error.message}`);
+  } finally {
+    await parser.destroy();
   }
 }
 
+/**
+ * Parses a PDF file and extracts the text of each page, using the page
+ * boundaries stored in the PDF itself.
+ * Pages without a text layer are OCRed; pages that still have no text are
+ * omitted, so page numbers may have gaps.
+ * @param {string} filePath - Path to the PDF file.
+ * @returns {Promise<Array<{page: number, text: string, startChar: number, endChar: number}>>} Pages with their character offsets in the joined document text.
+ */
+async function parsePdfWithPages(filePath) {
+  const { pages } = await readPdf(filePath, false);
+  return joinSegments(pages).segments.map(({ page, text, startChar, endChar, ocrConfidence }) => ({
+    page,
+    text,
+    startChar,
+    endChar,
+    ...(ocrConfidence !== undefined && { ocrConfidence })
+  }));
+}
+
+/**
+ * Parses a PDF file into page text and the ruled tables on each page. Table
+ * rows are removed from the page text; a caption is taken from the line
+ * just above the table when it looks like one. Scanned pages are OCRed.
+ * @param {string} filePath - Path to the PDF file.
+ * @returns {Promise<{pages: Array<{page: number, text: string, ocrConfidence?: number}>, tables: Array<{page: number, caption: string|null, rows: Array<Array<string>>}>, ocr: Array<{page: number, confidence: number}>}>} Pages, tables (rows header first) and OCRed pages.
+ */
+async function parsePdfWithTables(filePath) {
+  return readPdf(filePath, true);
+}
+
 /**
  * Splits text into chunks of approximately chunkSize characters with overlap.
  * @param {string} text - The full text to chunk.
@@ -81,87 +241,39 @@ function chunkText(text, chunkSize = 1600, overlap = 200) {
 }
 
 /**
- * Splits text into chunks of approximately chunkSize characters with overlap and page tracking.
- * @param {Array<{page: number, text: string}>} pages - Array of page objects.
+ * Splits text into chunks of approximately chunkSize characters with overlap and page tracking,
+ * using the fixed chunking strategy. Page startChar/endChar are offsets into each chunk's content.
+ * @param {Array<{page: number, section?: string, text: string}>} pages - Array of page (or section) objects.
  * @param {number} chunkSize - Approximate size of each chunk (default 1600).
  * @param {number} overlap - Number of characters to overlap between chunks (default 200).
- * @returns {Array<{chunkId: string, content: string, pages: Array<{page: number, startChar: number, endChar: number}>}>} Array of chunk objects with page metadata.
+ * @returns {Array<{chunkId: string, content: string, pages: Array<{page: number, section?: string, startChar: number, endChar: number}>}>} Array of chunk objects with page metadata.
  */
 function chunkTextWithPages(pages, chunkSize = 1600, overlap = 200) {
-  const chunks = [];
-  let fullText = '';
-  let pageMap = [];
-  
-  // Combine all text and create character-to-page mapping
-  pages.forEach(page => {
-    const startChar = fullText.length;
-    fullText += page.text + ' ';
-    const endChar = fullText.length;
-    pageMap.push({
-      page: page.page,
-      startChar,
-      endChar
-    });
-  });
-  
-  // Create chunks with page tracking
-  for (let i = 0; ; i++) {
-    const start = i * (chunkSize - overlap);
-    if (start >= fullText.length) break;
-    const end = Math.min(start + chunkSize, fullText.length);
-    const content = fullText.slice(start, end).trim();
-    
-    // Find which pages this chunk spans
-    const chunkPages = [];
-    for (const pageInfo of pageMap) {
-      if (pageInfo.startChar < end && pageInfo.endChar > start) {
-        const chunkStart = Math.max(start, pageInfo.startChar);
-        const chunkEnd = Math.min(end, pageInfo.endChar);
-        chunkPages.push({
-          page: pageInfo.page,
-          startChar: chunkStart - start,
-          endChar: chunkEnd - start
-        });
-      }
-    }
-    
-    chunks.push({
-      chunkId: `chunk_${i + 1}`,
-      content: content,
-      pages: chunkPages
-    });
-  }
-  return chunks;
+  const document = joinSegments(pages);
+  return buildChunks(document, fixedChunker.split(document, { size: chunkSize, overlap }));
 }
 
 /**
- * Processes a PDF file: parses it and chunks the text.
+ * Processes a PDF file: parses it page by page and chunks the text with page tracking.
  * @param {string} filePath - Path to the PDF file.
- * @returns {Promise<Array<{chunkId: string, content: string}>>} Array of text chunks.
+ * @returns {Promise<Array<{chunkId: string, content: string, pages: Array<{page: number, startChar: number, endChar: number}>}>>} Array of text chunks with page metadata.
  */
 async function processPDF(filePath) {
   try {
-    const text = await parsePdf(filePath);
-    const chunks = chunkText(text);
-    return chunks;
+    const pages = await parsePdfWithPages(filePath);
+    return chunkTextWithPages(pages);
   } catch (error) {
     throw new Error(`Error processing PDF: ${error.message}`);
   }
 }
 
 /**
- * Processes a PDF file: parses it and chunks the text with page tracking.
+ * Processes a PDF file with page tracking. Kept for existing callers; same as processPDF.
  * @param {string} filePath - Path to the PDF file.
  * @returns {Promise<Array<{chunkId: string, content: string, pages: Array<{page: number, startChar: number, endChar: number}>}>>} Array of text chunks with page metadata.
  */
 async function processPDFWithCitations(filePath) {
-  try {
-    const pages = await parsePdfWithPages(filePath);
-    const chunks = chunkTextWithPages(pages);
-    return chunks;
-  } catch (error) {
-    throw new Error(`Error processing PDF: ${error.message}`);
-  }
+  return processPDF(filePath);
 }
 
-module.exports = { parsePdf, parsePdfWithPages, chunkText, chunkTextWithPages, processPDF, processPDFWithCitations };
\ No newline at end of file
+module.exports = { parsePdf, parsePdfWithPages, parsePdfWithTables, readPdfInfo, chunkText, chunkTextWithPages, processPDF, processPDFWithCitations };
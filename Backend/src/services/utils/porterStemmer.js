@@ -0,0 +1,149 @@
+/**
+ * Porter stemming algorithm (M.F. Porter, 1980)
+ * Reduces English words to their stems, e.g. "reimbursements" -> "reimburs"
+ */
+
+const step2Suffixes = {
+  ational: 'ate',
+  tional: 'tion',
+  enci: 'ence',
+  anci: 'ance',
+  izer: 'ize',
+  bli: 'ble',
+  alli: 'al',
+  entli: 'ent',
+  eli: 'e',
+  ousli: 'ous',
+  ization: 'ize',
+  ation: 'ate',
+  ator: 'ate',
+  alism: 'al',
+  iveness: 'ive',
+  fulness: 'ful',
+  ousness: 'ous',
+  aliti: 'al',
+  iviti: 'ive',
+  biliti: 'ble',
+  logi: 'log'
+};
+
+const step3Suffixes = {
+  icate: 'ic',
+  ative: '',
+  alize: 'al',
+  iciti: 'ic',
+  ical: 'ic',
+  ful: '',
+  ness: ''
+};
+
+const step4Suffixes = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+  'ent', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+const consonant = '[^aeiou]';
+const vowel = '[aeiouy]';
+const consonantSeq = `${consonant}[^aeiouy]*`;
+const vowelSeq = `${vowel}[aeiou]*`;
+
+const mGt0 = new RegExp(`^(${consonantSeq})?${vowelSeq}${consonantSeq}`);
+const mEq1 = new RegExp(`^(${consonantSeq})?${vowelSeq}${consonantSeq}(${vowelSeq})?$`);
+const mGt1 = new RegExp(`^(${consonantSeq})?${vowelSeq}${consonantSeq}${vowelSeq}${consonantSeq}`);
+const hasVowel = new RegExp(`^(${consonantSeq})?${vowel}`);
+const endsCvc = new RegExp(`^${consonantSeq}${vowel}[^aeiouwxy]$`);
+
+/**
+ * Stem a single lowercase English word
+ * @param {string} word - Lowercase word
+ * @returns {string} Stemmed word
+ */
+function stem(word) {
+  if (word.length < 3) {
+    return word;
+  }
+
+  let w = word;
+  const firstIsY = w[0] === 'y';
+  if (firstIsY) {
+    w = 'Y' + w.slice(1);
+  }
+
+  // Step 1a
+  if (/sses$/.test(w) || /ies$/.test(w)) {
+    w = w.slice(0, -2);
+  } else if (/([^s])s$/.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  // Step 1b
+  let match = /^(.+?)eed$/.exec(w);
+  if (match) {
+    if (mGt0.test(match[1])) {
+      w = w.slice(0, -1);
+    }
+  } else {
+    match = /^(.+?)(ed|ing)$/.exec(w);
+    if (match && hasVowel.test(match[1])) {
+      w = match[1];
+      if (/(at|bl|iz)$/.test(w)) {
+        w += 'e';
+      } else if (/([^aeiouylsz])\1$/.test(w)) {
+        w = w.slice(0, -1);
+      } else if (endsCvc.test(w)) {
+        w += 'e';
+      }
+    }
+  }
+
+  // Step 1c
+  match = /^(.+?)y$/.exec(w);
+  if (match && hasVowel.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2
+  match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (match && mGt0.test(match[1])) {
+    w = match[1] + step2Suffixes[match[2]];
+  }
+
+  // Step 3
+  match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (match && mGt0.test(match[1])) {
+    w = match[1] + step3Suffixes[match[2]];
+  }
+
+  // Step 4
+  match = new RegExp(`^(.+?)(${step4Suffixes.join('|')})$`).exec(w);
+  if (match) {
+    if (mGt1.test(match[1])) {
+      w = match[1];
+    }
+  } else {
+    match = /^(.+?)(s|t)(ion)$/.exec(w);
+    if (match && mGt1.test(match[1] + match[2])) {
+      w = match[1] + match[2];
+    }
+  }
+
+  // Step 5
+  match = /^(.+?)e$/.exec(w);
+  if (match) {
+    const base = match[1];
+    if (mGt1.test(base) || (mEq1.test(base) && !endsCvc.test(base))) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && mGt1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  if (firstIsY) {
+    w = 'y' + w.slice(1);
+  }
+
+  return w;
+}
+
+module.exports = { stem };
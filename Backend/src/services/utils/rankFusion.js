@@ -0,0 +1,101 @@
+/**
+ * Rank fusion helpers for combining result lists from different retrievers
+ */
+
+/**
+ * Stable identity for a chunk across retrievers.
+ * chunkId alone repeats across files ("chunk_1"), so it is qualified by fileId.
+ * @param {Object} chunk - Search result
+ * @returns {string} Chunk key
+ */
+function getChunkKey(chunk) {
+  if (chunk.fileId && chunk.chunkId) {
+    return `${chunk.fileId}:${chunk.chunkId}`;
+  }
+  if (chunk.documentId && chunk.chunkId) {
+    return `${chunk.documentId}:${chunk.chunkId}`;
+  }
+  return String(chunk._id || chunk.chunkId);
+}
+
+/**
+ * Reciprocal Rank Fusion (Cormack et al., 2009)
+ * score(d) = sum over lists of weight / (k + rank(d)); normalized to 0-1 so
+ * a chunk ranked first by every retriever scores 1.
+ * @param {Array<{name: string, results: Array, weight?: number}>} lists - Ranked result lists
+ * @param {Object} [options] - Fusion options
+ * @param {number} [options.k=60] - Rank smoothing constant
+ * @returns {Array<Object>} Fused results, best first, with `fusedScore` and per-list `ranks`
+ */
+function reciprocalRankFusion(lists, options = {}) {
+  const { k = 60 } = options;
+  const fused = new Map();
+  let maxPossible = 0;
+
+  for (const { name, results, weight = 1 } of lists) {
+    maxPossible += weight / (k + 1);
+
+    results.forEach((result, index) => {
+      const key = getChunkKey(result);
+      const entry = fused.get(key) || { ...result, fusedScore: 0, ranks: {} };
+      entry.fusedScore += weight / (k + index + 1);
+      entry.ranks[name] = index + 1;
+      fused.set(key, entry);
+    });
+  }
+
+  return Array.from(fused.values())
+    .map(entry => ({
+      ...entry,
+      fusedScore: maxPossible > 0 ? entry.fusedScore / maxPossible : 0
+    }))
+    .sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+/**
+ * Weighted score fusion with per-list min-max normalization, so BM25 scores
+ * (unbounded) and cosine similarities (0-1) can be mixed meaningfully
+ * @param {Array<{name: string, results: Array, weight?: number, scoreField?: string}>} lists - Scored result lists
+ * @returns {Array<Object>} Fused results, best first, with `fusedScore`
+ */
+function weightedFusion(lists) {
+  const fused = new Map();
+  const totalWeight = lists.reduce((sum, list) => sum + (list.weight ?? 1), 0) || 1;
+
+  for (const { name, results, weight = 1, scoreField = 'relevanceScore' } of lists) {
+    const scores = results.map(result => result[scoreField] || 0);
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+    const range = max - min;
+
+    results.forEach((result, index) => {
+      const key = getChunkKey(result);
+      const normalized = range > 0 ? (scores[index] - min) / range : 1;
+      const entry = fused.get(key) || { ...result, fusedScore: 0, ranks: {} };
+      entry.fusedScore += (weight / totalWeight) * normalized;
+      entry.ranks[name] = index + 1;
+      fused.set(key, entry);
+    });
+  }
+
+  return Array.from(fused.values()).sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+/**
+ * Fuse ranked lists with the requested method
+ * @param {Array} lists - Result lists (see reciprocalRankFusion / weightedFusion)
+ * @param {Object} [options] - Fusion options
+ * @param {string} [options.method='rrf'] - 'rrf' or 'weighted'
+ * @param {number} [options.rrfK=60] - RRF smoothing constant
+ * @returns {Array<Object>} Fused results
+ */
+function fuseResults(lists, options = {}) {
+  const { method = 'rrf', rrfK = 60 } = options;
+
+  if (method === 'weighted') {
+    return weightedFusion(lists);
+  }
+  return reciprocalRankFusion(lists, { k: rrfK });
+}
+
+module.exports = { getChunkKey, reciprocalRankFusion, weightedFusion, fuseResults };
@@ -0,0 +1,138 @@
+/**
+ * Retrieval metrics for golden-set evaluation
+ * Relevance is binary: a result is relevant when it comes from an expected
+ * document and, if the expectation names a page, covers that page. Each
+ * expectation is credited at most once, so repeated chunks from the same
+ * document do not inflate scores.
+ */
+
+/**
+ * Whether a retrieved chunk satisfies one expected document/page pair
+ * @param {Object} result - Retrieved chunk (fileId, fileName, pageReferences or pages)
+ * @param {Object} expected - Expectation ({fileId} or {fileName}, optional page)
+ * @returns {boolean} True if the chunk matches
+ */
+function matchesExpected(result, expected) {
+  const sameFile = expected.fileId
+    ? result.fileId === expected.fileId
+    : String(result.fileName || '').toLowerCase() === String(expected.fileName || '').toLowerCase();
+  if (!sameFile) return false;
+  if (expected.page === undefined || expected.page === null) return true;
+
+  const pages = result.pageReferences || (result.pages || []).map(p => p.page ?? p);
+  return pages.includes(expected.page);
+}
+
+/**
+ * Mark which ranked results are relevant, crediting each expectation once
+ * @param {Array<Object>} results - Ranked results, best first
+ * @param {Array<Object>} expected - Expected document/page pairs
+ * @returns {Array<number>} Index of the expectation each result satisfied, or -1
+ */
+function judgeResults(results, expected) {
+  const credited = new Set();
+
+  return results.map(result => {
+    const match = expected.findIndex((item, index) => !credited.has(index) && matchesExpected(result, item));
+    if (match !== -1) credited.add(match);
+    return match;
+  });
+}
+
+/**
+ * Fraction of expectations found in the top k results
+ * @param {Array<number>} judgements - Output of judgeResults
+ * @param {number} expectedCount - Number of expectations
+ * @param {number} k - Cutoff
+ * @returns {number} Recall@k in [0, 1]
+ */
+function recallAtK(judgements, expectedCount, k) {
+  if (expectedCount === 0) return 0;
+  const found = judgements.slice(0, k).filter(match => match !== -1).length;
+  return found / expectedCount;
+}
+
+/**
+ * Reciprocal rank of the first relevant result
+ * @param {Array<number>} judgements - Output of judgeResults
+ * @returns {number} 1/rank, or 0 if nothing relevant was retrieved
+ */
+function reciprocalRank(judgements) {
+  const index = judgements.findIndex(match => match !== -1);
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+/**
+ * Normalized discounted cumulative gain at k with binary gains
+ * @param {Array<number>} judgements - Output of judgeResults
+ * @param {number} expectedCount - Number of expectations
+ * @param {number} k - Cutoff
+ * @returns {number} nDCG@k in [0, 1]
+ */
+function ndcgAtK(judgements, expectedCount, k) {
+  const dcg = judgements
+    .slice(0, k)
+    .reduce((sum, match, index) => sum + (match !== -1 ? 1 / Math.log2(index + 2) : 0), 0);
+
+  let idcg = 0;
+  for (let index = 0; index < Math.min(expectedCount, k); index++) {
+    idcg += 1 / Math.log2(index + 2);
+  }
+
+  return idcg > 0 ? dcg / idcg : 0;
+}
+
+/**
+ * Score one question's ranked results
+ * @param {Array<Object>} results - Ranked results, best first
+ * @param {Array<Object>} expected - Expected document/page pairs
+ * @param {Array<number>} cutoffs - Values of k to report recall and nDCG at
+ * @returns {Object} { recall: {k: value}, ndcg: {k: value}, mrr, firstRelevantRank }
+ */
+function scoreQuestion(results, expected, cutoffs) {
+  const judgements = judgeResults(results, expected);
+  const recall = {};
+  const ndcg = {};
+
+  for (const k of cutoffs) {
+    recall[k] = recallAtK(judgements, expected.length, k);
+    ndcg[k] = ndcgAtK(judgements, expected.length, k);
+  }
+
+  const firstRelevant = judgements.findIndex(match => match !== -1);
+  return {
+    recall,
+    ndcg,
+    mrr: reciprocalRank(judgements),
+    firstRelevantRank: firstRelevant === -1 ? null : firstRelevant + 1
+  };
+}
+
+/**
+ * Average per-question scores into run-level metrics
+ * @param {Array<Object>} scores - Outputs of scoreQuestion
+ * @param {Array<number>} cutoffs - Values of k reported
+ * @returns {Object} { recall: {k: mean}, ndcg: {k: mean}, mrr }
+ */
+function averageScores(scores, cutoffs) {
+  const mean = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+  const recall = {};
+  const ndcg = {};
+
+  for (const k of cutoffs) {
+    recall[k] = mean(scores.map(score => score.recall[k]));
+    ndcg[k] = mean(scores.map(score => score.ndcg[k]));
+  }
+
+  return { recall, ndcg, mrr: mean(scores.map(score => score.mrr)) };
+}
+
+module.exports = {
+  matchesExpected,
+  judgeResults,
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  scoreQuestion,
+  averageScores
+};
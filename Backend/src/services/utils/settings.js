@@ -0,0 +1,31 @@
+/**
+ * Parsers for numeric settings read from environment variables. An unset,
+ * malformed or out-of-range value falls back to the default.
+ */
+
+/**
+ * Parse a positive integer setting
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Default when unset or invalid
+ * @param {number} [min=1] - Smallest valid value; 0 for settings where zero turns something off
+ * @returns {number} Parsed value
+ */
+function readCount(value, fallback, min = 1) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= min ? parsed : fallback;
+}
+
+/**
+ * Parse a positive number setting
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Default when unset or invalid
+ * @param {number} [min] - Smallest valid value; without it any number above zero
+ * @returns {number} Parsed value
+ */
+function readNumber(value, fallback, min) {
+  const parsed = parseFloat(value);
+  const inRange = min === undefined ? parsed > 0 : parsed >= min;
+  return Number.isFinite(parsed) && inRange ? parsed : fallback;
+}
+
+module.exports = { readCount, readNumber };
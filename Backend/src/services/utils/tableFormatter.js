@@ -0,0 +1,107 @@
+/**
+ * Clean extracted table rows: cells become single-line trimmed strings,
+ * empty rows are dropped and short rows are padded to the widest one
+ * @param {Array<Array<string>>} rows - Raw rows, header first
+ * @returns {Array<Array<string>>} Rectangular rows
+ */
+function normalizeRows(rows) {
+  const cleaned = rows
+    .map(row => row.map(cell => String(cell ?? '').replace(/\s+/g, ' ').trim()))
+    .filter(row => row.some(cell => cell.length > 0));
+
+  const width = Math.max(0, ...cleaned.map(row => row.length));
+  return cleaned.map(row => [...row, ...Array(width - row.length).fill('')]);
+}
+
+/**
+ * Whether rows hold tabular data rather than layout (a boxed paragraph, a
+ * single column list): at least a header and one data row, two columns
+ * @param {Array<Array<string>>} rows - Normalized rows
+ * @returns {boolean} True for a data table
+ */
+function isDataTable(rows) {
+  return rows.length >= 2 && rows[0].length >= 2;
+}
+
+/**
+ * Pick a caption from the text just before a table: a "Table 3: ..." line, a
+ * lead-in ending in a colon, or a short title-like line
+ * @param {string} precedingText - Text before the table
+ * @returns {string|null} Caption
+ */
+function findCaption(precedingText) {
+  const line = precedingText.split('\n').map(l => l.trim()).filter(Boolean).pop();
+  if (!line || line.length > 120) return null;
+
+  if (/^(table|tab\.)\s*[\w.-]*\s*[:.\-–]/i.test(line) || line.endsWith(':')) {
+    return line.replace(/:$/, '');
+  }
+  return line.length <= 80 && !/[.!?;,]$/.test(line) ? line : null;
+}
+
+/**
+ * Render rows as a Markdown pipe table, first row as the header
+ * @param {Array<Array<string>>} rows - Normalized rows
+ * @returns {string} Markdown table
+ */
+function toMarkdown(rows) {
+  const line = cells => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+  return [
+    line(rows[0]),
+    line(rows[0].map(() => '---')),
+    ...rows.slice(1).map(line)
+  ].join('\n');
+}
+
+/**
+ * Render rows as RFC 4180 CSV, first row as the header
+ * @param {Array<Array<string>>} rows - Normalized rows
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+  const quote = cell => (/[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+  return rows.map(row => row.map(quote).join(',')).join('\n');
+}
+
+/**
+ * Render a table in the configured format
+ * @param {Array<Array<string>>} rows - Normalized rows, header first
+ * @param {string} format - 'markdown' or 'csv'
+ * @returns {string} Rendered table
+ */
+function renderTable(rows, format) {
+  return format === 'csv' ? toCsv(rows) : toMarkdown(rows);
+}
+
+/**
+ * Split a table whose rendering is longer than `maxChars` into parts of
+ * consecutive data rows, each repeating the header row
+ * @param {Array<Array<string>>} rows - Normalized rows, header first
+ * @param {string} format - 'markdown' or 'csv'
+ * @param {number} maxChars - Longest rendering per part
+ * @returns {Array<Array<Array<string>>>} Row sets, header first in each
+ */
+function splitTable(rows, format, maxChars) {
+  const [header, ...body] = rows;
+  const parts = [];
+  let current = [];
+
+  for (const row of body) {
+    if (current.length > 0 && renderTable([header, ...current, row], format).length > maxChars) {
+      parts.push([header, ...current]);
+      current = [];
+    }
+    current.push(row);
+  }
+  if (current.length > 0) parts.push([header, ...current]);
+
+  return parts;
+}
+
+module.exports = {
+  normalizeRows,
+  isDataTable,
+  findCaption,
+  renderTable,
+  splitTable
+};
@@ -0,0 +1,84 @@
+const { stem } = require('./porterStemmer');
+
+/**
+ * Text analysis for keyword retrieval
+ * Tokenizes, removes stopwords and stems English text while keeping exact
+ * identifiers such as form numbers ("W-4", "HR-102") and acronyms intact
+ */
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself',
+  'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves',
+  'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their',
+  'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+  'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+  'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself', 'yourselves'
+]);
+
+// Words joined by internal hyphens, slashes, dots or underscores stay one token ("w-4", "iso/iec", "v2.1")
+const TOKEN_REGEX = /[\p{L}\p{N}]+(?:[-/._][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalize a single word token into an index term
+ * @param {string} token - Lowercase token
+ * @returns {string} Index term
+ */
+function normalizeToken(token) {
+  // Identifiers containing digits are matched exactly, never stemmed
+  if (/\d/.test(token)) {
+    return token;
+  }
+  return stem(token);
+}
+
+/**
+ * Split text into index terms
+ * Compound identifiers emit both the whole token and their parts, so
+ * "Form W-4" matches queries for "W-4" as well as "W4"-style partial terms.
+ * @param {string} text - Text to analyze
+ * @returns {Array<string>} Terms in document order
+ */
+function analyze(text) {
+  if (!text) return [];
+
+  const terms = [];
+  const tokens = String(text).toLowerCase().match(TOKEN_REGEX) || [];
+
+  for (const token of tokens) {
+    const isCompound = /[-/._]/.test(token);
+
+    if (isCompound) {
+      terms.push(token);
+      terms.push(token.replace(/[-/._]/g, ''));
+      for (const part of token.split(/[-/._]/)) {
+        if (part && !STOPWORDS.has(part)) {
+          terms.push(normalizeToken(part));
+        }
+      }
+      continue;
+    }
+
+    if (STOPWORDS.has(token)) continue;
+    // Single letters carry no meaning on their own outside identifiers
+    if (token.length < 2 && !/\d/.test(token)) continue;
+
+    terms.push(normalizeToken(token));
+  }
+
+  return terms;
+}
+
+module.exports = { analyze, escapeRegex, STOPWORDS };
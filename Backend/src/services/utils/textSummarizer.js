@@ -0,0 +1,194 @@
+const { stem } = require('./porterStemmer');
+const { STOPWORDS } = require('./textAnalyzer');
+const { FUNCTION_WORDS } = require('./languageDetector');
+
+/**
+ * Extractive summaries and keywords for a document's text, without a model:
+ * words are weighted by how often the document uses them, sentences by the
+ * weight of their words, and keywords are the most frequent phrases of one
+ * to three content words.
+ */
+
+// Words frequent in any document that say nothing about its subject
+const GENERIC_WORDS = new Set([
+  'also', 'may', 'might', 'shall', 'one', 'two', 'three', 'use', 'used', 'using', 'within', 'without',
+  'per', 'etc', 'new', 'page', 'pages', 'section', 'table', 'figure', 'see', 'following', 'include',
+  'includes', 'including', 'must', 'need', 'needs', 'get', 'make', 'well', 'many', 'much', 'however'
+]);
+
+// Words joined by internal hyphens or apostrophes stay one word ("follow-up", "employee's")
+const WORD_REGEX = /\p{L}[\p{L}\p{N}]*(?:['’-][\p{L}\p{N}]+)*/gu;
+
+const MAX_PHRASE_WORDS = 3;
+
+/**
+ * Words to skip for a language: its function words plus generic ones
+ * @param {string|null} language - ISO 639-1 code
+ * @returns {Set<string>} Lowercase stopwords
+ */
+function getStopwords(language) {
+  const words = [...GENERIC_WORDS, ...(FUNCTION_WORDS[language] || [])];
+  return new Set(language === 'en' || !language ? [...words, ...STOPWORDS] : words);
+}
+
+/**
+ * Key grouping the inflections of a word ("policy", "policies")
+ * @param {string} word - Lowercase word
+ * @param {string|null} language - ISO 639-1 code; only English is stemmed
+ * @returns {string} Grouping key
+ */
+function wordKey(word, language) {
+  return language === 'en' || !language ? stem(word) : word;
+}
+
+/**
+ * Phrases of one to three content words: every word sequence of that length
+ * inside the runs left between stopwords and punctuation
+ * @param {string} text - Text to scan
+ * @param {Set<string>} stopwords - Words that end a run
+ * @returns {Array<Array<string>>} Phrases as lists of words, with original casing
+ */
+function findPhrases(text, stopwords) {
+  const phrases = [];
+  // Punctuation other than in-word hyphens and apostrophes ends a run
+  for (const fragment of String(text).split(/[^\p{L}\p{N}\s'’-]+|\s[-–—]\s/u)) {
+    let run = [];
+    const flush = () => {
+      for (let start = 0; start < run.length; start++) {
+        for (let length = 1; length <= MAX_PHRASE_WORDS && start + length <= run.length; length++) {
+          phrases.push(run.slice(start, start + length));
+        }
+      }
+      run = [];
+    };
+    for (const word of fragment.match(WORD_REGEX) || []) {
+      if (stopwords.has(word.toLowerCase()) || word.length < 2) flush();
+      else run.push(word);
+    }
+    flush();
+  }
+  return phrases;
+}
+
+/**
+ * Most characteristic keywords of a text
+ * @param {string} text - Document text
+ * @param {Object} [options] - Extraction options
+ * @param {string|null} [options.language] - ISO 639-1 code of the text
+ * @param {number} [options.limit=8] - Keywords to return
+ * @param {number} [options.maxLength=50] - Longest keyword kept
+ * @returns {Array<string>} Lowercase keywords, best first (acronyms keep their case)
+ */
+function extractKeywords(text, options = {}) {
+  const { language = null, limit = 8, maxLength = 50 } = options;
+  const stopwords = getStopwords(language);
+
+  // Phrase key -> { count, words, forms: surface form -> count }
+  const candidates = new Map();
+  for (const words of findPhrases(text, stopwords)) {
+    // Single words need three letters to say anything on their own
+    if (words.length === 1 && words[0].length < 3) continue;
+    const key = words.map(word => wordKey(word.toLowerCase(), language)).join(' ');
+    const form = words.map(word => (/^\p{Lu}{2,}$/u.test(word) ? word : word.toLowerCase())).join(' ');
+    const candidate = candidates.get(key) || { count: 0, words: words.length, forms: new Map() };
+    candidate.count++;
+    candidate.forms.set(form, (candidate.forms.get(form) || 0) + 1);
+    candidates.set(key, candidate);
+  }
+
+  // A recurring phrase is more specific than the words in it
+  const ranked = [...candidates.entries()]
+    .filter(([, candidate]) => candidate.count >= 2)
+    .map(([key, candidate]) => ({
+      key,
+      score: candidate.count * candidate.words,
+      form: [...candidate.forms.entries()].sort((a, b) => b[1] - a[1])[0][0]
+    }))
+    .filter(({ form }) => form.length <= maxLength)
+    .sort((a, b) => b.score - a.score);
+
+  const selected = [];
+  for (const candidate of ranked) {
+    if (selected.length >= limit) break;
+    // Skip a phrase already covered by, or covering, a better-ranked one
+    const overlaps = selected.some(chosen => ` ${chosen.key} `.includes(` ${candidate.key} `) ||
+      ` ${candidate.key} `.includes(` ${chosen.key} `));
+    if (!overlaps) selected.push(candidate);
+  }
+  return selected.map(({ form }) => form);
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Sentences in document order
+ */
+function splitSentences(text) {
+  return String(text)
+    .split(/(?<=[.!?])\s+(?=[\p{Lu}\p{N}"'“(])|\n{2,}/u)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Short extractive summary: the sentences whose words the document uses
+ * most, favouring early ones, in their original order
+ * @param {string} text - Document text
+ * @param {Object} [options] - Summary options
+ * @param {string|null} [options.language] - ISO 639-1 code of the text
+ * @param {number} [options.maxSentences=3] - Sentences to pick
+ * @param {number} [options.maxLength=600] - Longest summary in characters
+ * @returns {string} Summary, empty when the text has no usable sentences
+ */
+function summarize(text, options = {}) {
+  const { language = null, maxSentences = 3, maxLength = 600 } = options;
+  const stopwords = getStopwords(language);
+
+  const seen = new Set();
+  const sentences = splitSentences(text).filter(sentence => {
+    const words = sentence.match(WORD_REGEX) || [];
+    // Headings, list fragments and number-heavy lines make poor summaries
+    if (words.length < 6 || sentence.length > 400 || seen.has(sentence)) return false;
+    seen.add(sentence);
+    return true;
+  });
+  if (sentences.length === 0) return '';
+
+  const contentKeys = sentence => (sentence.toLowerCase().match(WORD_REGEX) || [])
+    .filter(word => !stopwords.has(word) && word.length > 2)
+    .map(word => wordKey(word, language));
+
+  const frequency = new Map();
+  for (const sentence of sentences) {
+    for (const key of contentKeys(sentence)) frequency.set(key, (frequency.get(key) || 0) + 1);
+  }
+  const maxFrequency = Math.max(1, ...frequency.values());
+
+  const scored = sentences.map((sentence, index) => {
+    const keys = contentKeys(sentence);
+    const weight = keys.reduce((sum, key) => sum + frequency.get(key) / maxFrequency, 0);
+    return {
+      index,
+      sentence,
+      score: (keys.length ? weight / Math.sqrt(keys.length) : 0) + 0.3 * (1 - index / sentences.length)
+    };
+  });
+
+  const picked = scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxSentences)
+    .sort((a, b) => a.index - b.index);
+
+  let summary = '';
+  for (const { sentence } of picked) {
+    const next = summary ? `${summary} ${sentence}` : sentence;
+    if (next.length > maxLength) {
+      if (!summary) summary = `${sentence.slice(0, maxLength - 1).replace(/\s+\S*$/, '')}…`;
+      break;
+    }
+    summary = next;
+  }
+  return summary;
+}
+
+module.exports = { extractKeywords, summarize };
@@ -1,15 +1,27 @@
 const DocumentChunk = require('../models/DocumentChunk');
 const { embedText } = require('./embedding');
+const { searchVectors } = require('./vectorStores');
+const keywordIndexService = require('./keywordIndexService');
+const searchFilterService = require('./searchFilterService');
+const embeddingSpaceService = require('./embeddingSpaceService');
+const { fuseResults, getChunkKey } = require('./utils/rankFusion');
+const { escapeRegex } = require('./utils/textAnalyzer');
+const { selectMMR } = require('./utils/mmr');
+const { readCount } = require('./utils/settings');
 
 /**
- * Vector Search Service for MongoDB Atlas Vector Search
- * Provides semantic search capabilities with relevance scoring
+ * Vector Search Service
+ * Provides semantic search capabilities with relevance scoring on top of the
+ * pluggable vector store (Atlas Vector Search or the local HNSW index)
  */
 class VectorSearchService {
   /**
    * Perform semantic search on document chunks
    * @param {string} query - User query
    * @param {Object} options - Search options
+   * @param {string} [options.fileId] - Restrict to a single file
+   * @param {Object} [options.filter] - Metadata filter (see searchFilterService)
+   * @param {string} [options.embeddingModel] - Embedding space to search (default: the active model)
    * @returns {Promise<Array>} Array of relevant chunks with scores
    */
   async search(query, options = {}) {
@@ -21,8 +33,7 @@ class VectorSearchService {
     const {
       limit = 10,
       minScore = 0.02,  // Realistic threshold for MiniLM cosine similarity
-      fileId = null,
-      includeMetadata = true
+      fileId = null
     } = options;
 
     // Validate options
@@ -33,31 +44,22 @@ class VectorSearchService {
       throw new Error('Minimum score must be between 0 and 1');
     }
 
+    const filter = await searchFilterService.resolve(options.filter, { fileId });
+    if (searchFilterService.isEmpty(filter)) {
+      console.log('🔎 Metadata filter matches no files, skipping vector search');
+      return [];
+    }
+
     const startTime = Date.now();
 
     try {
-      // Debug: Check if collection has documents
-      const totalDocs = await DocumentChunk.countDocuments();
-      console.log(`📊 Total documents in DocumentChunk: ${totalDocs}`);
-      
-      if (totalDocs === 0) {
-        console.warn('⚠️ No documents found in DocumentChunk collection');
-        return [];
-      }
-      
-      // Debug: Check if documents have embeddings
-      const docsWithEmbeddings = await DocumentChunk.countDocuments({ embedding: { $exists: true, $ne: null } });
-      console.log(`📊 Documents with embeddings: ${docsWithEmbeddings}`);
-      
-      if (docsWithEmbeddings === 0) {
-        console.warn('⚠️ No documents with embeddings found');
-        return [];
-      }
-      
+      // Embed the query in the same space as the chunks it is compared with
+      const embeddingModel = options.embeddingModel || await embeddingSpaceService.getActiveModel();
+
       // Generate embedding for query with error handling
       let queryEmbedding;
       try {
-        queryEmbedding = await embedText(query.trim());
+        queryEmbedding = await embedText(query.trim(), { model: embeddingModel });
         console.log(`🔍 Query embedding generated: ${queryEmbedding.length} dimensions`);
       } catch (embeddingError) {
         console.error('❌ Failed to generate query embedding:', embeddingError);
@@ -69,128 +71,17 @@ class VectorSearchService {
         throw new Error('Invalid embedding generated');
       }
       
-      // Debug: List available search indexes
-      let availableIndexes = [];
-      try {
-        const indexes = await DocumentChunk.aggregate([{ $listSearchIndexes: {} }]);
-        availableIndexes = indexes.map(idx => idx.name);
-        console.log('📋 Available search indexes:', availableIndexes);
-        
-        // Try to get index details and validate dimensions
-        for (const index of indexes) {
-          console.log(`🔍 Index details for "${index.name}":`, JSON.stringify(index, null, 2));
-          
-          // Check if this index has the right dimensions
-          if (index.latestDefinition && index.latestDefinition.fields) {
-            const vectorField = index.latestDefinition.fields.find(f => f.type === 'vector');
-            if (vectorField) {
-              console.log(`📏 Index "${index.name}" dimensions: ${vectorField.numDimensions}`);
-              console.log(`📏 Query dimensions: ${queryEmbedding.length}`);
-              
-              if (vectorField.numDimensions !== queryEmbedding.length) {
-                console.log(`⚠️ Dimension mismatch for index "${index.name}": ${vectorField.numDimensions} vs ${queryEmbedding.length}`);
-              } else {
-                console.log(`✅ Dimensions match for index "${index.name}"`);
-              }
-            }
-          }
-        }
-      } catch (indexError) {
-        console.log('⚠️ Could not list search indexes:', indexError.message);
-      }
-      
-      // Try different index names with fallback
-      const indexNames = ['vector_index', 'default', 'vectorSearch'];
-      let results = [];
-      let lastError = null;
-      
-      for (const indexName of indexNames) {
-        // Skip if index is not available
-        if (availableIndexes.length > 0 && !availableIndexes.includes(indexName)) {
-          console.log(`⏭️ Skipping unavailable index: ${indexName}`);
-          continue;
-        }
-        
-        try {
-          console.log(`🔍 Trying index: ${indexName}`);
-          
-          // Use $vectorSearch for vector_index, $search for others
-          const searchStage = indexName === 'vector_index' ? {
-            $vectorSearch: {
-              index: indexName,
-              path: 'embedding',
-              queryVector: queryEmbedding,
-              numCandidates: Math.min(300, totalDocs),
-              limit: limit,
-              ...(fileId && { filter: { fileId } })
-            }
-          } : {
-            $search: {
-              index: indexName,
-              knnBeta: {
-                vector: queryEmbedding,
-                path: 'embedding',
-                k: limit,
-                filter: fileId ? { fileId } : undefined
-              }
-            }
-          };
-          
-          const pipeline = [
-            searchStage,
-            {
-              $addFields: {
-                score: indexName === 'vector_index' ? { $meta: 'vectorSearchScore' } : { $meta: 'searchScore' }
-              }
-            },
-            {
-              $match: {
-                score: { $gte: minScore }
-              }
-            },
-            {
-              $sort: { score: -1 }
-            },
-            {
-              $limit: limit
-            }
-          ];
-
-          // Add metadata fields if requested
-          if (includeMetadata) {
-            pipeline.push({
-              $project: {
-                chunkId: 1,
-                content: 1,
-                fileId: 1,
-                fileName: 1,
-                pages: 1,
-                score: 1,
-                metadata: 1
-              }
-            });
-          }
+      // Search through the active vector store (Atlas or the local HNSW fallback)
+      const { results, store } = await searchVectors(queryEmbedding, {
+        limit,
+        numCandidates: Math.min(300, Math.max(limit * 10, 150)),
+        minScore,
+        filter,
+        embeddingModel
+      });
+      console.log(`✅ ${store} vector store returned ${results.length} results`);
 
-          console.log(`🔍 Executing vector search pipeline with index: ${indexName}...`);
-          
-          results = await DocumentChunk.aggregate(pipeline);
-          console.log(`✅ Success with index ${indexName}: Found ${results.length} results`);
-          
-          if (results.length > 0) {
-            break; // Success, exit loop
-          }
-          
-        } catch (error) {
-          console.log(`❌ Failed with index ${indexName}: ${error.message}`);
-          lastError = error;
-          continue; // Try next index
-        }
-      }
-      
       if (results.length === 0) {
-        if (lastError) {
-          throw lastError;
-        }
         console.warn(`⚠️ No results found for query: "${query}"`);
         return [];
       }
@@ -232,36 +123,59 @@ class VectorSearchService {
   }
 
   /**
-   * Hybrid search combining vector and keyword search
+   * Hybrid search combining vector and BM25 keyword search
    * @param {string} query - User query
    * @param {Object} options - Search options
+   * @param {string} [options.fusion='rrf'] - Fusion method: 'rrf' or 'weighted'
+   * @param {number} [options.rrfK=60] - RRF smoothing constant
+   * @param {number} [options.vectorWeight=0.7] - Weight of the vector ranking
+   * @param {number} [options.keywordWeight=0.3] - Weight of the keyword ranking
+   * @param {Object} [options.filter] - Metadata filter applied to both retrievers
    * @returns {Promise<Array>} Combined search results
    */
   async hybridSearch(query, options = {}) {
-    const { vectorWeight = 0.7, keywordWeight = 0.3 } = options;
+    const {
+      limit = 10,
+      fileId = null,
+      fusion = process.env.HYBRID_FUSION || 'rrf',
+      rrfK = readCount(process.env.HYBRID_RRF_K, 60),
+      vectorWeight = 0.7,
+      keywordWeight = 0.3
+    } = options;
+    const candidateLimit = Math.min(Math.ceil(limit * 1.5), 100);
+
+    // Resolve file-name globs once for both retrievers
+    const filter = await searchFilterService.resolve(options.filter, { fileId });
+    const retrieverOptions = { ...options, fileId: null, filter, limit: candidateLimit };
 
     try {
-      // Get vector search results
-      const vectorResults = await this.search(query, {
-        ...options,
-        limit: Math.ceil(options.limit * 1.5) || 15
-      });
+      // Run both retrievers in parallel; one failing still leaves the other's ranking
+      const [vectorOutcome, keywordOutcome] = await Promise.allSettled([
+        this.search(query, retrieverOptions),
+        this.keywordSearch(query, retrieverOptions)
+      ]);
 
-      // Get keyword search results
-      const keywordResults = await this.keywordSearch(query, {
-        ...options,
-        limit: Math.ceil(options.limit * 1.5) || 15
-      });
+      if (vectorOutcome.status === 'rejected' && keywordOutcome.status === 'rejected') {
+        throw vectorOutcome.reason;
+      }
+      if (vectorOutcome.status === 'rejected') {
+        console.warn('⚠️ Vector retrieval failed, using keyword results only:', vectorOutcome.reason.message);
+      }
+      if (keywordOutcome.status === 'rejected') {
+        console.warn('⚠️ Keyword retrieval failed, using vector results only:', keywordOutcome.reason.message);
+      }
 
-      // Combine and deduplicate results
-      const combinedResults = this.combineResults(
-        vectorResults,
-        keywordResults,
+      const vectorResults = vectorOutcome.status === 'fulfilled' ? vectorOutcome.value : [];
+      const keywordResults = keywordOutcome.status === 'fulfilled' ? keywordOutcome.value : [];
+
+      const fusedResults = this.combineResults(vectorResults, keywordResults, {
+        fusion,
+        rrfK,
         vectorWeight,
         keywordWeight
-      );
+      });
 
-      return combinedResults.slice(0, options.limit || 10);
+      return fusedResults.slice(0, limit);
 
     } catch (error) {
       console.error('Hybrid search error:', error);
@@ -270,37 +184,20 @@ class VectorSearchService {
   }
 
   /**
-   * Keyword-based search fallback
+   * BM25 keyword search over the inverted index
    * @param {string} query - User query
    * @param {Object} options - Search options
    * @returns {Promise<Array>} Keyword search results
    */
   async keywordSearch(query, options = {}) {
-    const { limit = 10, fileId = null } = options;
+    const { limit = 10, fileId = null, filter = null } = options;
 
     try {
-      const searchRegex = new RegExp(query.split(' ').join('|'), 'i');
-      
-      const matchStage = {
-        $or: [
-          { content: { $regex: searchRegex } },
-          { 'metadata.title': { $regex: searchRegex } },
-          { fileName: { $regex: searchRegex } }
-        ]
-      };
-
-      if (fileId) {
-        matchStage.fileId = fileId;
-      }
-
-      const results = await DocumentChunk.find(matchStage)
-        .select('chunkId content fileId fileName pages metadata')
-        .limit(limit)
-        .lean();
+      const results = await keywordIndexService.search(query, { limit, fileId, filter });
 
       return results.map(chunk => ({
         ...chunk,
-        relevanceScore: this.calculateKeywordScore(chunk.content, query),
+        relevanceScore: chunk.score,
         pageReferences: chunk.pages?.map(p => p.page) || []
       }));
 
@@ -311,70 +208,68 @@ class VectorSearchService {
   }
 
   /**
-   * Calculate keyword relevance score
-   * @param {string} content - Document content
-   * @param {string} query - Search query
-   * @returns {number} Relevance score (0-1)
-   */
-  calculateKeywordScore(content, query) {
-    const queryTerms = query.toLowerCase().split(' ');
-    const contentLower = content.toLowerCase();
-    
-    let matches = 0;
-    let totalTerms = queryTerms.length;
-
-    queryTerms.forEach(term => {
-      const regex = new RegExp(term, 'g');
-      const termMatches = (contentLower.match(regex) || []).length;
-      matches += Math.min(termMatches, 3); // Cap at 3 matches per term
-    });
-
-    return Math.min(matches / (totalTerms * 2), 1);
-  }
-
-  /**
-   * Combine vector and keyword search results
+   * Fuse vector and keyword rankings
    * @param {Array} vectorResults - Vector search results
    * @param {Array} keywordResults - Keyword search results
-   * @param {number} vectorWeight - Weight for vector results
-   * @param {number} keywordWeight - Weight for keyword results
+   * @param {Object} options - Fusion options (fusion, rrfK, vectorWeight, keywordWeight)
    * @returns {Array} Combined and ranked results
    */
-  combineResults(vectorResults, keywordResults, vectorWeight, keywordWeight) {
-    const combinedMap = new Map();
+  combineResults(vectorResults, keywordResults, options = {}) {
+    const { fusion = 'rrf', rrfK = 60, vectorWeight = 0.7, keywordWeight = 0.3 } = options;
+
+    const fused = fuseResults([
+      { name: 'vector', results: vectorResults, weight: vectorWeight },
+      { name: 'keyword', results: keywordResults, weight: keywordWeight }
+    ], { method: fusion, rrfK });
 
-    // Add vector results
-    vectorResults.forEach(result => {
-      const key = result.chunkId;
-      combinedMap.set(key, {
+    const vectorScores = new Map(vectorResults.map(r => [getChunkKey(r), r.relevanceScore]));
+    const keywordScores = new Map(keywordResults.map(r => [getChunkKey(r), r.relevanceScore]));
+
+    return fused.map(result => {
+      const key = getChunkKey(result);
+      return {
         ...result,
-        combinedScore: result.relevanceScore * vectorWeight
-      });
+        vectorScore: vectorScores.get(key) || 0,
+        keywordScore: keywordScores.get(key) || 0,
+        combinedScore: result.fusedScore,
+        relevanceScore: result.fusedScore
+      };
     });
+  }
 
-    // Add or update with keyword results
-    keywordResults.forEach(result => {
-      const key = result.chunkId;
-      const keywordScore = result.relevanceScore * keywordWeight;
-      
-      if (combinedMap.has(key)) {
-        const existing = combinedMap.get(key);
-        existing.combinedScore += keywordScore;
-      } else {
-        combinedMap.set(key, {
-          ...result,
-          combinedScore: keywordScore
-        });
-      }
+  /**
+   * Pick a diverse subset of ranked chunks with maximal marginal relevance,
+   * using the stored chunk embeddings to penalise near-duplicate passages
+   * @param {Array} chunks - Ranked chunks, best first
+   * @param {Object} options - Selection options
+   * @param {number} options.limit - Number of chunks to keep
+   * @param {number} [options.lambda=0.7] - 1 = pure relevance, 0 = pure diversity
+   * @param {number} [options.maxPerDocument=0] - Cap on chunks from one file (0 = unlimited)
+   * @param {string} [options.embeddingModel] - Space to compare chunks in (default: the active model)
+   * @returns {Promise<Array>} Selected chunks with `mmrScore`
+   */
+  async diversify(chunks, options) {
+    const { limit, lambda = 0.7, maxPerDocument = 0 } = options;
+
+    if (!chunks || chunks.length === 0) {
+      return [];
+    }
+
+    const ids = chunks.map(chunk => chunk._id).filter(Boolean);
+    const embeddingModel = options.embeddingModel || await embeddingSpaceService.getActiveModel();
+    const embeddings = await embeddingSpaceService.loadVectors(ids, embeddingModel);
+
+    const selected = selectMMR(chunks, {
+      k: limit,
+      lambda,
+      maxPerGroup: maxPerDocument,
+      getScore: chunk => chunk.rerankScore ?? chunk.relevanceScore,
+      getVector: chunk => (chunk._id ? embeddings.get(chunk._id.toString()) : null) || null,
+      getGroup: chunk => chunk.fileId || null
     });
 
-    // Convert to array and sort by combined score
-    return Array.from(combinedMap.values())
-      .sort((a, b) => b.combinedScore - a.combinedScore)
-      .map(result => ({
-        ...result,
-        relevanceScore: result.combinedScore
-      }));
+    console.log(`🎯 MMR selected ${selected.length} of ${chunks.length} chunks (lambda=${lambda}, maxPerDocument=${maxPerDocument || 'none'})`);
+    return selected;
   }
 
   /**
@@ -385,7 +280,7 @@ class VectorSearchService {
    */
   async getSuggestions(partialQuery, limit = 5) {
     try {
-      const searchRegex = new RegExp(partialQuery, 'i');
+      const searchRegex = new RegExp(escapeRegex(partialQuery), 'i');
       
       const results = await DocumentChunk.aggregate([
         {
@@ -0,0 +1,186 @@
+const DocumentChunk = require('../../models/DocumentChunk');
+const searchFilterService = require('../searchFilterService');
+
+// Search index names tried in order of preference
+const INDEX_NAMES = ['vector_index', 'default', 'vectorSearch'];
+
+// Over-fetch factor when results still have to be post-filtered
+const POST_FILTER_OVERFETCH = 4;
+
+/**
+ * Atlas Vector Store - nearest neighbour search through MongoDB Atlas search indexes
+ */
+class AtlasVectorStore {
+  constructor() {
+    this.name = 'atlas';
+    this.availableIndexes = [];
+  }
+
+  /**
+   * Check whether Atlas search indexes can be used on this deployment.
+   * Vanilla mongod rejects $listSearchIndexes, which makes this return false.
+   * @returns {Promise<boolean>} True if at least one usable search index exists
+   */
+  async isAvailable() {
+    try {
+      const indexes = await DocumentChunk.aggregate([{ $listSearchIndexes: {} }]);
+      this.availableIndexes = indexes.map(idx => idx.name);
+      console.log('📋 Available search indexes:', this.availableIndexes);
+
+      return INDEX_NAMES.some(name => this.availableIndexes.includes(name));
+    } catch (error) {
+      console.log('⚠️ Could not list search indexes:', error.message);
+      this.availableIndexes = [];
+      return false;
+    }
+  }
+
+  /**
+   * Search indexes to try for an embedding space. The MiniLM space keeps the
+   * legacy fallbacks; other spaces have exactly one index over their path.
+   * @param {Object} space - Embedding model registry entry
+   * @returns {Array<string>} Index names in order of preference
+   */
+  getIndexNames(space) {
+    return space.path === 'embedding' ? INDEX_NAMES : [space.atlasIndex];
+  }
+
+  /**
+   * Whether an index is queried with $vectorSearch (rather than $search knnBeta)
+   * @param {string} indexName - Search index name
+   * @param {Object} space - Embedding model registry entry
+   * @returns {boolean} True for vector search indexes
+   */
+  isVectorIndex(indexName, space) {
+    return indexName === space.atlasIndex;
+  }
+
+  /**
+   * Build the search stage for a given index
+   * @param {string} indexName - Search index name
+   * @param {Array<number>} queryEmbedding - Query vector
+   * @param {Object} options - Search options
+   * @returns {Object} Aggregation stage
+   */
+  buildSearchStage(indexName, queryEmbedding, { limit, numCandidates, filter, space }) {
+    // Use $vectorSearch for the space's vector index, $search for others
+    if (this.isVectorIndex(indexName, space)) {
+      // fileId, uploadedAt and tags must be declared as "filter" fields in the index
+      const atlasFilter = searchFilterService.toAtlasFilter(filter);
+      return {
+        $vectorSearch: {
+          index: indexName,
+          path: space.path,
+          queryVector: queryEmbedding,
+          numCandidates,
+          limit,
+          ...(atlasFilter && { filter: atlasFilter })
+        }
+      };
+    }
+
+    return {
+      $search: {
+        index: indexName,
+        knnBeta: {
+          vector: queryEmbedding,
+          path: space.path,
+          k: limit
+        }
+      }
+    };
+  }
+
+  /**
+   * Post-filter stage for constraints the search stage could not apply
+   * @param {string} indexName - Search index name
+   * @param {Object|null} filter - Resolved metadata filter
+   * @param {Object} space - Embedding model registry entry
+   * @returns {Object|null} $match stage, or null if nothing is left to filter
+   */
+  buildPostFilterStage(indexName, filter, space) {
+    if (!filter) return null;
+
+    if (this.isVectorIndex(indexName, space)) {
+      if (!searchFilterService.needsPostFilter(filter)) return null;
+      return { $match: searchFilterService.toPageQuery(filter.pages) };
+    }
+
+    return { $match: searchFilterService.toMongoQuery(filter) };
+  }
+
+  /**
+   * Search for the chunks nearest to a query embedding
+   * @param {Array<number>} queryEmbedding - Query vector
+   * @param {Object} options - Search options
+   * @param {number} [options.limit=10] - Maximum results
+   * @param {number} [options.numCandidates=150] - ANN candidate pool size
+   * @param {number} [options.minScore=0] - Minimum similarity score
+   * @param {Object} [options.filter] - Resolved metadata filter (see searchFilterService)
+   * @param {Object} options.space - Embedding model registry entry of the query
+   * @returns {Promise<Array>} Chunks with a `score` field, best first
+   */
+  async search(queryEmbedding, options = {}) {
+    const { limit = 10, numCandidates = 150, minScore = 0, filter = null, space } = options;
+
+    let results = [];
+    let lastError = null;
+    const indexNames = this.getIndexNames(space);
+
+    if (!indexNames.some(name => this.availableIndexes.length === 0 || this.availableIndexes.includes(name))) {
+      throw new Error(`No Atlas search index for the ${space.id} embedding space (expected ${space.atlasIndex} on ${space.path})`);
+    }
+
+    for (const indexName of indexNames) {
+      // Skip if index is not available
+      if (this.availableIndexes.length > 0 && !this.availableIndexes.includes(indexName)) {
+        console.log(`⏭️ Skipping unavailable index: ${indexName}`);
+        continue;
+      }
+
+      try {
+        console.log(`🔍 Trying index: ${indexName}`);
+
+        const postFilterStage = this.buildPostFilterStage(indexName, filter, space);
+        const searchLimit = postFilterStage ? limit * POST_FILTER_OVERFETCH : limit;
+
+        const pipeline = [
+          this.buildSearchStage(indexName, queryEmbedding, {
+            limit: searchLimit,
+            numCandidates: Math.max(numCandidates, searchLimit),
+            filter,
+            space
+          }),
+          ...(postFilterStage ? [postFilterStage] : []),
+          {
+            $addFields: {
+              score: this.isVectorIndex(indexName, space) ? { $meta: 'vectorSearchScore' } : { $meta: 'searchScore' }
+            }
+          },
+          { $match: { score: { $gte: minScore } } },
+          { $sort: { score: -1 } },
+          { $limit: limit },
+          { $project: { embedding: 0, embeddings: 0 } }
+        ];
+
+        results = await DocumentChunk.aggregate(pipeline);
+        console.log(`✅ Success with index ${indexName}: Found ${results.length} results`);
+
+        if (results.length > 0) {
+          break; // Success, exit loop
+        }
+      } catch (error) {
+        console.log(`❌ Failed with index ${indexName}: ${error.message}`);
+        lastError = error;
+      }
+    }
+
+    if (results.length === 0 && lastError) {
+      throw lastError;
+    }
+
+    return results;
+  }
+}
+
+module.exports = new AtlasVectorStore();
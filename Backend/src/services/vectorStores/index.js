@@ -0,0 +1,112 @@
+const searchFilterService = require('../searchFilterService');
+const embeddingSpaceService = require('../embeddingSpaceService');
+const { getEmbeddingModel } = require('../../config/embeddingModels');
+const atlasVectorStore = require('./atlasVectorStore');
+const localVectorStore = require('./localVectorStore');
+
+const stores = {
+  atlas: atlasVectorStore,
+  local: localVectorStore
+};
+
+// How long an automatic backend choice is trusted before re-probing Atlas
+const SELECTION_TTL_MS = 10 * 60 * 1000;
+
+let selectedStore = null;
+let selectedAt = 0;
+
+/**
+ * Backend forced through VECTOR_STORE, or null for automatic selection
+ * @returns {Object|null} Forced vector store
+ */
+function getConfiguredStore() {
+  const configured = (process.env.VECTOR_STORE || 'auto').toLowerCase();
+  return stores[configured] || null;
+}
+
+/**
+ * Resolve the vector store backend to use.
+ * VECTOR_STORE=atlas|local forces a backend; the default "auto" probes
+ * $listSearchIndexes and falls back to the local HNSW index when it fails.
+ * @returns {Promise<Object>} Vector store exposing search(queryEmbedding, options)
+ */
+async function getVectorStore() {
+  const configuredStore = getConfiguredStore();
+  if (configuredStore) {
+    return configuredStore;
+  }
+
+  if (selectedStore && Date.now() - selectedAt < SELECTION_TTL_MS) {
+    return selectedStore;
+  }
+
+  const atlasAvailable = await atlasVectorStore.isAvailable();
+  const store = atlasAvailable ? atlasVectorStore : localVectorStore;
+
+  if (store !== selectedStore) {
+    console.log(`🧭 Using ${store.name} vector store${atlasAvailable ? '' : ' (Atlas search indexes unavailable)'}`);
+  }
+
+  selectedStore = store;
+  selectedAt = Date.now();
+  return store;
+}
+
+/**
+ * Forget the cached backend choice so the next search re-probes Atlas
+ */
+function resetVectorStore() {
+  selectedStore = null;
+  selectedAt = 0;
+}
+
+/**
+ * Search the active vector store, falling back to the local index if Atlas errors.
+ * Only chunks embedded in the query's embedding space are searched.
+ * @param {Array<number>} queryEmbedding - Query vector
+ * @param {Object} options - Search options passed to the store
+ * @param {string} [options.fileId] - Restrict to a single file
+ * @param {Object} [options.filter] - Metadata filter (see searchFilterService)
+ * @param {string} [options.embeddingModel] - Space the query was embedded in (default: the active model)
+ * @returns {Promise<{results: Array, store: string}>} Ranked chunks and the backend that served them
+ */
+async function searchVectors(queryEmbedding, options = {}) {
+  const { fileId, filter: rawFilter, embeddingModel, ...rest } = options;
+  const filter = await searchFilterService.resolve(rawFilter, { fileId });
+  const store = await getVectorStore();
+
+  if (searchFilterService.isEmpty(filter)) {
+    return { results: [], store: store.name };
+  }
+
+  const space = getEmbeddingModel(embeddingModel || await embeddingSpaceService.getActiveModel());
+  if (queryEmbedding.length !== space.dimensions) {
+    throw new Error(`Query embedding has ${queryEmbedding.length} dimensions but the ${space.id} space has ${space.dimensions}`);
+  }
+
+  const storeOptions = { ...rest, filter, space };
+
+  try {
+    const results = await store.search(queryEmbedding, storeOptions);
+    return { results, store: store.name };
+  } catch (error) {
+    if (store === localVectorStore || getConfiguredStore()) {
+      throw error;
+    }
+
+    console.warn(`⚠️ Atlas vector search failed (${error.message}), falling back to local vector store`);
+    selectedStore = localVectorStore;
+    selectedAt = Date.now();
+
+    const results = await localVectorStore.search(queryEmbedding, storeOptions);
+    return { results, store: localVectorStore.name };
+  }
+}
+
+module.exports = {
+  getVectorStore,
+  resetVectorStore,
+  searchVectors,
+  atlasVectorStore,
+  localVectorStore
+};
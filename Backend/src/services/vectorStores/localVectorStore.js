@@ -0,0 +1,308 @@
+const DocumentChunk = require('../../models/DocumentChunk');
+const searchFilterService = require('../searchFilterService');
+const embeddingSpaceService = require('../embeddingSpaceService');
+const { HNSWIndex } = require('../utils/hnswIndex');
+const { getEmbeddingModel } = require('../../config/embeddingModels');
+const { readCount } = require('../utils/settings');
+
+// Rebuild the graph once this share of nodes are tombstones
+const REBUILD_DELETED_RATIO = 0.3;
+
+/**
+ * Local Vector Store - in-process HNSW indexes built from chunk embeddings,
+ * one per embedding space, loaded when that space is first searched.
+ * Used when MongoDB Atlas search indexes are unavailable (e.g. vanilla mongod)
+ */
+class LocalVectorStore {
+  constructor() {
+    this.name = 'local';
+    this.spaces = new Map(); // model ID -> { index, chunkFields }
+    this.loading = new Map(); // model ID -> load promise
+    this.pending = new Map(); // model ID -> chunk events received while it loads
+    this.listening = false;
+
+    this.handleInserted = this.handleInserted.bind(this);
+    this.handleDeleted = this.handleDeleted.bind(this);
+    this.handleEmbedded = this.handleEmbedded.bind(this);
+    this.handleUpdated = this.handleUpdated.bind(this);
+    this.handleSpaceDropped = this.handleSpaceDropped.bind(this);
+  }
+
+  /**
+   * Create an empty HNSW index using environment tuning
+   * @returns {HNSWIndex} New index
+   */
+  createIndex() {
+    return new HNSWIndex({
+      M: readCount(process.env.LOCAL_VECTOR_M, 16),
+      efConstruction: readCount(process.env.LOCAL_VECTOR_EF_CONSTRUCTION, 100),
+      efSearch: readCount(process.env.LOCAL_VECTOR_EF_SEARCH, 64)
+    });
+  }
+
+  /**
+   * Build a space's index from the database on first use
+   * @param {Object} space - Embedding model registry entry
+   * @returns {Promise<Object>} { index, chunkFields } for the space
+   */
+  async ensureLoaded(space) {
+    if (this.spaces.has(space.id)) return this.spaces.get(space.id);
+    if (!this.loading.has(space.id)) {
+      this.loading.set(space.id, this.load(space).finally(() => {
+        this.loading.delete(space.id);
+      }));
+    }
+    await this.loading.get(space.id);
+    return this.spaces.get(space.id);
+  }
+
+  /**
+   * Subscribe to model events once, before the first index is built
+   */
+  listen() {
+    if (this.listening) return;
+    DocumentChunk.events.on('chunksInserted', this.handleInserted);
+    DocumentChunk.events.on('chunksDeleted', this.handleDeleted);
+    DocumentChunk.events.on('chunksEmbedded', this.handleEmbedded);
+    DocumentChunk.events.on('chunksUpdated', this.handleUpdated);
+    DocumentChunk.events.on('embeddingSpaceDropped', this.handleSpaceDropped);
+    this.listening = true;
+  }
+
+  /**
+   * Load every chunk with a vector in the space into a fresh index
+   * @param {Object} space - Embedding model registry entry
+   * @returns {Promise<void>}
+   */
+  async load(space) {
+    const startTime = Date.now();
+    console.log(`🧭 Building local vector index for the ${space.id} embedding space...`);
+    this.listen();
+
+    const index = this.createIndex();
+    const chunkFields = new Map();
+    const pending = [];
+    this.pending.set(space.id, pending);
+    try {
+      await this.build(space, index, chunkFields);
+
+      // The cursor may have missed chunks changed while it was read; replay
+      // those events on the new index before it replaces the current one
+      const built = { index, chunkFields };
+      for (const apply of pending) apply(space.id, built);
+      this.spaces.set(space.id, built);
+    } finally {
+      this.pending.delete(space.id);
+    }
+    console.log(`✅ Local vector index ready for ${space.id}: ${index.size} vectors (took ${Date.now() - startTime}ms)`);
+  }
+
+  /**
+   * Read every chunk with a vector in the space into an index
+   * @param {Object} space - Embedding model registry entry
+   * @param {HNSWIndex} index - Index to fill
+   * @param {Map} chunkFields - Filter fields by chunk ID to fill
+   * @returns {Promise<void>}
+   */
+  async build(space, index, chunkFields) {
+    // Project only this space's vector so other spaces are never read
+    const cursor = DocumentChunk.aggregate([
+      { $match: { [`${space.path}.0`]: { $exists: true } } },
+      {
+        $project: {
+          chunkId: 1,
+          fileId: 1,
+          tags: 1,
+          'pages.page': 1,
+          uploadedAt: 1,
+          vector: `$${space.path}`
+        }
+      }
+    ]).cursor();
+
+    let scanned = 0;
+    for await (const chunk of cursor) {
+      if (this.addToIndex(index, chunk, chunk.vector)) {
+        chunkFields.set(chunk._id.toString(), searchFilterService.getFilterFields(chunk));
+      }
+
+      // Yield periodically so a large build does not starve the event loop
+      if (++scanned % 200 === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+  }
+
+  /**
+   * Add a chunk to an index, skipping ones with unusable embeddings
+   * @param {HNSWIndex} index - Target index
+   * @param {Object} chunk - Chunk with _id
+   * @param {Array<number>|null} vector - Chunk vector in the index's space
+   * @returns {boolean} True if added
+   */
+  addToIndex(index, chunk, vector) {
+    if (!Array.isArray(vector) || vector.length === 0) {
+      return false;
+    }
+
+    try {
+      index.add(chunk._id.toString(), Array.from(vector));
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Skipping chunk ${chunk.chunkId || chunk._id} in local index: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Apply a chunk event to every loaded index, and queue it for indexes
+   * being built so it is replayed before they are swapped in
+   * @param {Function} apply - (modelId, { index, chunkFields }) => void
+   */
+  dispatch(apply) {
+    for (const [modelId, space] of this.spaces) {
+      apply(modelId, space);
+    }
+    for (const queue of this.pending.values()) {
+      queue.push(apply);
+    }
+  }
+
+  /**
+   * Keep indexes in sync with newly inserted chunks
+   * @param {Array<Object>} docs - Inserted chunk documents
+   */
+  handleInserted(docs) {
+    const chunks = docs.map(doc => (typeof doc.toObject === 'function' ? doc.toObject() : doc));
+    this.dispatch((modelId, { index, chunkFields }) => {
+      for (const chunk of chunks) {
+        if (this.addToIndex(index, chunk, embeddingSpaceService.getVector(chunk, modelId))) {
+          chunkFields.set(chunk._id.toString(), searchFilterService.getFilterFields(chunk));
+        }
+      }
+    });
+  }
+
+  /**
+   * Add vectors written by a re-embedding migration to the space's index
+   * @param {{model: string, chunks: Array<Object>}} event - Space and chunks with `vector`
+   */
+  handleEmbedded({ model, chunks }) {
+    this.dispatch((modelId, { index, chunkFields }) => {
+      if (modelId !== model) return;
+      for (const chunk of chunks) {
+        if (this.addToIndex(index, chunk, chunk.vector)) {
+          chunkFields.set(chunk._id.toString(), searchFilterService.getFilterFields(chunk));
+        }
+      }
+    });
+  }
+
+  /**
+   * Refresh the filter fields of chunks whose tags were edited; their vectors are unchanged
+   * @param {Array<Object>} chunks - Updated chunks
+   */
+  handleUpdated(chunks) {
+    this.dispatch((modelId, { chunkFields }) => {
+      for (const chunk of chunks) {
+        const id = chunk._id.toString();
+        if (chunkFields.has(id)) {
+          chunkFields.set(id, searchFilterService.getFilterFields(chunk));
+        }
+      }
+    });
+  }
+
+  /**
+   * Forget the index of a space whose vectors were removed
+   * @param {string} model - Registry ID
+   */
+  handleSpaceDropped(model) {
+    this.spaces.delete(model);
+  }
+
+  /**
+   * Keep indexes in sync with deleted chunks
+   * @param {Array<string>} ids - Deleted chunk IDs
+   */
+  handleDeleted(ids) {
+    this.dispatch((modelId, { index, chunkFields }) => {
+      for (const id of ids) {
+        index.remove(id);
+        chunkFields.delete(id);
+      }
+    });
+
+    for (const [modelId, { index }] of this.spaces) {
+      if (index.deletedRatio() > REBUILD_DELETED_RATIO && !this.loading.has(modelId)) {
+        console.log(`♻️ Local vector index for ${modelId} has too many deleted entries, rebuilding...`);
+        // The current index keeps serving searches until the new one is swapped in
+        this.loading.set(modelId, this.load(getEmbeddingModel(modelId))
+          .catch(error => {
+            console.error('Failed to rebuild local vector index:', error);
+          })
+          .finally(() => {
+            this.loading.delete(modelId);
+          }));
+      }
+    }
+  }
+
+  /**
+   * Local store is always usable once the database is reachable
+   * @returns {Promise<boolean>} True
+   */
+  async isAvailable() {
+    return true;
+  }
+
+  /**
+   * Search for the chunks nearest to a query embedding
+   * @param {Array<number>} queryEmbedding - Query vector
+   * @param {Object} options - Search options
+   * @param {number} [options.limit=10] - Maximum results
+   * @param {number} [options.minScore=0] - Minimum cosine similarity
+   * @param {Object} [options.filter] - Resolved metadata filter (see searchFilterService)
+   * @param {Object} options.space - Embedding model registry entry of the query
+   * @returns {Promise<Array>} Chunks with a `score` field, best first
+   */
+  async search(queryEmbedding, options = {}) {
+    const { limit = 10, minScore = 0, filter = null, space } = options;
+
+    const { index, chunkFields } = await this.ensureLoaded(space);
+
+    if (index.size === 0) {
+      return [];
+    }
+    if (queryEmbedding.length !== index.dimensions) {
+      console.warn(`⚠️ Query has ${queryEmbedding.length} dimensions but local index has ${index.dimensions}`);
+      return [];
+    }
+
+    const predicate = filter
+      ? id => searchFilterService.matches(chunkFields.get(id) || {}, filter)
+      : null;
+    let hits = index.search(queryEmbedding, limit, { filter: predicate });
+
+    // A selective filter can starve the graph walk; fall back to an exact scan
+    if (predicate && hits.length < limit) {
+      hits = index.exactSearch(queryEmbedding, limit, { filter: predicate });
+    }
+
+    hits = hits.filter(hit => hit.score >= minScore);
+
+    if (hits.length === 0) {
+      return [];
+    }
+
+    const chunks = await DocumentChunk.find({ _id: { $in: hits.map(hit => hit.id) } }).lean();
+    const chunksById = new Map(chunks.map(chunk => [chunk._id.toString(), chunk]));
+
+    // Preserve ranking order; ids deleted since the search are dropped
+    return hits
+      .filter(hit => chunksById.has(hit.id))
+      .map(hit => ({ ...chunksById.get(hit.id), score: hit.score }));
+  }
+}
+
+module.exports = new LocalVectorStore();
@@ -0,0 +1,22 @@
+const { parentPort } = require('worker_threads');
+const { getEmbedder, extractFeatures } = require('../utils/featureExtraction');
+
+/**
+ * Embedding worker - runs transformers inference off the main event loop.
+ * Receives { id, type: 'load' | 'embed', model, texts } from embeddingPool
+ * and answers { id, embeddings } or { id, error }.
+ */
+parentPort.on('message', async ({ id, type, model, texts }) => {
+  try {
+    if (type === 'load') {
+      await getEmbedder(model);
+      parentPort.postMessage({ id, embeddings: [] });
+      return;
+    }
+
+    const embeddings = await extractFeatures(model, texts);
+    parentPort.postMessage({ id, embeddings });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
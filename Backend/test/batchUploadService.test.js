@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+
+// Small limits, read when the service is loaded
+process.env.ZIP_MAX_ENTRIES = '5';
+process.env.ZIP_MAX_FILE_MB = '1';
+process.env.ZIP_MAX_TOTAL_MB = '2';
+process.env.ZIP_MAX_RATIO = '100';
+const batchUploadService = require('../src/services/batchUploadService');
+
+const MB = 1024 * 1024;
+
+// Entries are unpacked into uploads/ under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-upload-test-'));
+const originalDir = process.cwd();
+process.chdir(workDir);
+fs.mkdirSync('uploads');
+test.after(() => {
+  process.chdir(originalDir);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Write a ZIP archive and describe it as multer would
+ * @param {string} name - Archive file name
+ * @param {Object} entries - Entry name -> content
+ * @param {Object} [options] - JSZip generate options
+ * @returns {Promise<Object>} Uploaded archive with path and originalname
+ */
+async function makeArchive(name, entries, options = { compression: 'STORE' }) {
+  const zip = new JSZip();
+  for (const [entryName, content] of Object.entries(entries)) {
+    zip.file(entryName, content, { createFolders: false });
+  }
+  const archivePath = path.join(workDir, name);
+  fs.writeFileSync(archivePath, await zip.generateAsync({ type: 'nodebuffer', ...options }));
+  return { path: archivePath, originalname: name };
+}
+
+/**
+ * Files left in uploads/
+ * @returns {Array<string>} File names
+ */
+function unpackedFiles() {
+  return fs.readdirSync('uploads');
+}
+
+/**
+ * Remove everything unpacked by a test
+ */
+function clearUploads() {
+  for (const file of unpackedFiles()) fs.unlinkSync(path.join('uploads', file));
+}
+
+test('entries are unpacked under flat names with their folders as tags', async () => {
+  const archive = await makeArchive('docs.zip', {
+    'Policies/HR/handbook.txt': 'Leave policy',
+    'readme.md': '# Read me',
+    '__MACOSX/Policies/._handbook.txt': 'resource fork',
+    '.DS_Store': 'finder'
+  });
+  const { files, skipped } = await batchUploadService.extractArchive(archive);
+
+  assert.deepEqual(files.map(file => [file.entryName, file.originalname, file.tags]), [
+    ['Policies/HR/handbook.txt', 'handbook.txt', ['Policies', 'Policies/HR']],
+    ['readme.md', 'readme.md', []]
+  ]);
+  assert.deepEqual(skipped, []);
+  for (const file of files) {
+    assert.equal(path.dirname(file.path), 'uploads');
+    assert.equal(fs.readFileSync(file.path, 'utf8').length, file.size);
+  }
+  clearUploads();
+});
+
+test('entries leaving the archive are skipped', async () => {
+  const archive = await makeArchive('slip.zip', {
+    '../evil.txt': 'outside',
+    'docs/../../escape.txt': 'outside',
+    'safe.txt': 'inside'
+  });
+  const { files, skipped } = await batchUploadService.extractArchive(archive);
+
+  assert.deepEqual(files.map(file => file.entryName), ['safe.txt']);
+  assert.deepEqual(skipped, [
+    { name: '../evil.txt', error: 'Entry path leaves the archive (..)' },
+    { name: 'docs/../../escape.txt', error: 'Entry path leaves the archive (..)' }
+  ]);
+  assert.equal(fs.existsSync(path.join(workDir, 'evil.txt')), false);
+  assert.equal(fs.existsSync(path.join(workDir, 'escape.txt')), false);
+  clearUploads();
+});
+
+test('entries with absolute paths are skipped', async () => {
+  const archive = await makeArchive('absolute.zip', {
+    '/etc/evil.txt': 'root',
+    'C:/Windows/evil.txt': 'drive',
+    'C:\\Windows\\evil.txt': 'drive'
+  });
+  const { files, skipped } = await batchUploadService.extractArchive(archive);
+
+  assert.deepEqual(files, []);
+  assert.deepEqual(skipped.map(entry => entry.error), [
+    'Entry has an absolute path',
+    'Entry has an absolute path',
+    'Entry has an absolute path'
+  ]);
+  assert.deepEqual(unpackedFiles(), []);
+});
+
+test('nested archives and unsupported files are skipped', async () => {
+  const archive = await makeArchive('nested.zip', {
+    'inner.zip': await new JSZip().file('a.txt', 'a').generateAsync({ type: 'nodebuffer' }),
+    'tool.exe': 'binary',
+    'notes.txt': 'notes'
+  });
+  const { files, skipped } = await batchUploadService.extractArchive(archive);
+
+  assert.deepEqual(files.map(file => file.entryName), ['notes.txt']);
+  assert.equal(skipped[0].name, 'inner.zip');
+  assert.equal(skipped[0].error, 'Nested archives are not unpacked');
+  assert.equal(skipped[1].name, 'tool.exe');
+  assert.match(skipped[1].error, /^Unsupported file type/);
+  clearUploads();
+});
+
+test('archives with too many entries are rejected', async () => {
+  const entries = Object.fromEntries(Array.from({ length: 6 }, (_, i) => [`file${i}.txt`, 'text']));
+  const archive = await makeArchive('many.zip', entries);
+
+  await assert.rejects(batchUploadService.extractArchive(archive), { status: 413, message: /has 6 entries \(limit 5\)/ });
+  assert.deepEqual(unpackedFiles(), []);
+});
+
+test('an entry over the per-file limit aborts the archive', async () => {
+  const archive = await makeArchive('large.zip', {
+    'small.txt': 'small',
+    'large.txt': crypto.randomBytes(0.9 * MB).toString('base64')
+  });
+
+  await assert.rejects(batchUploadService.extractArchive(archive), { status: 413, message: /more data than allowed/ });
+  assert.deepEqual(unpackedFiles(), []);
+});
+
+test('entries over the total limit abort the archive', async () => {
+  const entries = Object.fromEntries(
+    Array.from({ length: 3 }, (_, i) => [`part${i}.txt`, crypto.randomBytes(0.6 * MB).toString('base64')])
+  );
+  const archive = await makeArchive('total.zip', entries);
+
+  await assert.rejects(batchUploadService.extractArchive(archive), { status: 413, message: /more data than allowed/ });
+  assert.deepEqual(unpackedFiles(), []);
+});
+
+test('archives that expand far beyond their size are rejected as zip bombs', async () => {
+  const archive = await makeArchive('bomb.zip', { 'zeros.txt': '0'.repeat(0.5 * MB) }, { compression: 'DEFLATE' });
+  assert.ok(fs.statSync(archive.path).size * 100 < 0.5 * MB);
+
+  await assert.rejects(batchUploadService.extractArchive(archive), { status: 413, message: /possible zip bomb/ });
+  assert.deepEqual(unpackedFiles(), []);
+});
+
+test('files that are not ZIP archives are rejected', async () => {
+  const archivePath = path.join(workDir, 'fake.zip');
+  fs.writeFileSync(archivePath, 'not a zip');
+
+  await assert.rejects(
+    batchUploadService.extractArchive({ path: archivePath, originalname: 'fake.zip' }),
+    { status: 400, message: /fake\.zip is not a readable ZIP archive/ }
+  );
+});
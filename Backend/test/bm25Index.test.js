@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BM25Index } = require('../src/services/utils/bm25Index');
+const { analyze } = require('../src/services/utils/textAnalyzer');
+const { stem } = require('../src/services/utils/porterStemmer');
+
+/**
+ * Assert two scores are equal up to rounding
+ * @param {number} actual - Computed score
+ * @param {number} expected - Expected score
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+/**
+ * Index over a small fixed corpus
+ * @returns {BM25Index} Filled index
+ */
+function buildIndex() {
+  const index = new BM25Index();
+  index.add('policy', 'Travel expenses policy');
+  index.add('booking', 'Travel travel booking');
+  index.add('form', 'Form W-4 withholding');
+  return index;
+}
+
+test('the Porter stemmer reduces inflections to one stem', () => {
+  assert.deepEqual(
+    ['caresses', 'ponies', 'running', 'runs', 'relational', 'generalization', 'happiness', 'agreed'].map(stem),
+    ['caress', 'poni', 'run', 'run', 'relat', 'gener', 'happi', 'agre']
+  );
+});
+
+test('analysis drops stopwords and single letters and stems words', () => {
+  assert.deepEqual(analyze('The employees were running to a meeting'), ['employe', 'run', 'meet']);
+  assert.deepEqual(analyze(''), []);
+  assert.deepEqual(analyze(null), []);
+});
+
+test('identifiers stay whole and also emit their parts', () => {
+  assert.deepEqual(analyze('Form W-4'), ['form', 'w-4', 'w4', 'w', '4']);
+  assert.deepEqual(analyze('ISO/IEC 27001 v2.1'), ['iso/iec', 'isoiec', 'iso', 'iec', '27001', 'v2.1', 'v21', 'v2', '1']);
+});
+
+test('scores follow Okapi BM25', () => {
+  const index = buildIndex();
+  // 3 documents of 3, 3 and 6 terms; "travel" is in two of them
+  const idf = Math.log(1 + (3 - 2 + 0.5) / (2 + 0.5));
+  const lengthNorm = 1 - 0.75 + 0.75 * (3 / 4);
+
+  const hits = index.search('travel', 10);
+  assert.deepEqual(hits.map(hit => hit.id), ['booking', 'policy']);
+  assertClose(hits[0].score, idf * (2 * 2.2) / (2 + 1.2 * lengthNorm));
+  assertClose(hits[1].score, idf * (1 * 2.2) / (1 + 1.2 * lengthNorm));
+  assert.deepEqual(hits[0].matchedTerms, ['travel']);
+});
+
+test('rarer terms weigh more and scores add up across terms', () => {
+  const index = buildIndex();
+  const hits = index.search('travel policies', 10);
+
+  assert.deepEqual(hits.map(hit => hit.id), ['policy', 'booking']);
+  assert.deepEqual(hits[0].matchedTerms, ['travel', 'polici']);
+  assert.ok(index.idf('polici') > index.idf('travel'));
+});
+
+test('identifier queries match with or without punctuation', () => {
+  const index = buildIndex();
+  assert.deepEqual(index.search('W-4', 10).map(hit => hit.id), ['form']);
+  assert.deepEqual(index.search('w4', 10).map(hit => hit.id), ['form']);
+});
+
+test('removing or re-adding a document updates scores', () => {
+  const index = buildIndex();
+  assert.equal(index.remove('booking'), true);
+  assert.equal(index.remove('booking'), false);
+  assert.equal(index.size, 2);
+  assert.deepEqual(index.search('booking', 10), []);
+
+  index.add('policy', 'Booking rules');
+  assert.equal(index.size, 2);
+  assert.deepEqual(index.search('booking', 10).map(hit => hit.id), ['policy']);
+  assert.deepEqual(index.search('expenses', 10), []);
+});
+
+test('filters and limits restrict results', () => {
+  const index = buildIndex();
+  assert.deepEqual(index.search('travel', 10, { filter: id => id !== 'booking' }).map(hit => hit.id), ['policy']);
+  assert.equal(index.search('travel', 1).length, 1);
+  assert.deepEqual(index.search('the and of', 10), []);
+  assert.deepEqual(new BM25Index().search('travel', 10), []);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HNSWIndex, cosineSimilarity } = require('../src/services/utils/hnswIndex');
+
+/**
+ * Deterministic pseudo-random numbers (mulberry32) so the vector set is fixed
+ * @param {number} seed - Seed
+ * @returns {Function} Generator of numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const random = seededRandom(42);
+const randomVector = dimensions => Array.from({ length: dimensions }, () => random() * 2 - 1);
+
+const vectors = Array.from({ length: 500 }, () => randomVector(16));
+const queries = Array.from({ length: 20 }, () => randomVector(16));
+
+/**
+ * Index holding the fixed vector set under IDs v0..v499
+ * @returns {HNSWIndex} Filled index
+ */
+function buildIndex() {
+  const index = new HNSWIndex({ M: 8, efConstruction: 64, efSearch: 32 });
+  vectors.forEach((vector, i) => index.add(`v${i}`, vector));
+  return index;
+}
+
+/**
+ * Assert two scores are equal up to rounding
+ * @param {number} actual - Computed score
+ * @param {number} expected - Expected score
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('cosine similarity ignores vector length', () => {
+  assertClose(cosineSimilarity([1, 0], [5, 0]), 1);
+  assertClose(cosineSimilarity([1, 0], [0, 3]), 0);
+  assertClose(cosineSimilarity([1, 1], [-2, -2]), -1);
+  assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+});
+
+test('graph search recalls the exact nearest neighbours', () => {
+  const index = buildIndex();
+  assert.equal(index.size, 500);
+
+  let found = 0;
+  for (const query of queries) {
+    const exact = new Set(index.exactSearch(query, 10).map(hit => hit.id));
+    found += index.search(query, 10).filter(hit => exact.has(hit.id)).length;
+  }
+  assert.ok(found / (queries.length * 10) >= 0.9, `recall@10 was ${found / (queries.length * 10)}`);
+});
+
+test('exact search ranks by cosine similarity', () => {
+  const index = buildIndex();
+  const query = queries[0];
+  const expected = vectors
+    .map((vector, i) => ({ id: `v${i}`, score: cosineSimilarity(query, vector) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 5);
+
+  const hits = index.exactSearch(query, 5);
+  assert.deepEqual(hits.map(hit => hit.id), expected.map(hit => hit.id));
+  hits.forEach((hit, i) => assertClose(hit.score, expected[i].score));
+});
+
+test('a vector is its own nearest neighbour', () => {
+  const index = buildIndex();
+  for (const i of [0, 123, 499]) {
+    const [best] = index.search(vectors[i], 1);
+    assert.equal(best.id, `v${i}`);
+    assertClose(best.score, 1);
+  }
+});
+
+test('removed vectors are never returned', () => {
+  const index = buildIndex();
+  const removed = index.exactSearch(queries[1], 5).map(hit => hit.id);
+  for (const id of removed) assert.equal(index.remove(id), true);
+  assert.equal(index.remove(removed[0]), false);
+
+  assert.equal(index.size, 495);
+  assert.equal(index.deletedRatio(), 5 / 500);
+  const ids = index.search(queries[1], 10).map(hit => hit.id);
+  assert.equal(ids.some(id => removed.includes(id)), false);
+});
+
+test('re-adding an ID replaces its vector', () => {
+  const index = buildIndex();
+  index.add('v0', queries[2]);
+
+  assert.equal(index.size, 500);
+  assert.equal(index.search(queries[2], 1)[0].id, 'v0');
+});
+
+test('filters restrict results to matching IDs', () => {
+  const index = buildIndex();
+  const even = id => Number(id.slice(1)) % 2 === 0;
+
+  const hits = index.search(queries[3], 10, { filter: even });
+  assert.ok(hits.length > 0);
+  assert.ok(hits.every(hit => even(hit.id)));
+  assert.deepEqual(
+    index.exactSearch(queries[3], 3, { filter: id => id === 'v7' }).map(hit => hit.id),
+    ['v7']
+  );
+});
+
+test('vectors of another dimension are rejected', () => {
+  const index = buildIndex();
+  assert.throws(() => index.add('bad', [1, 2, 3]), /dimension mismatch: expected 16, got 3/);
+  assert.throws(() => index.search([1, 2, 3], 1), /Query dimension mismatch/);
+  assert.throws(() => index.add('empty', []), /non-empty array/);
+  assert.deepEqual(new HNSWIndex().search([1, 2], 5), []);
+});
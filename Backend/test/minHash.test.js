@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { shingle, computeSignature, estimateSimilarity } = require('../src/services/utils/minHash');
+
+const WORDS = [
+  'employee', 'travel', 'expense', 'approval', 'manager', 'receipt', 'policy', 'hotel', 'flight', 'meal',
+  'allowance', 'budget', 'report', 'deadline', 'reimbursement', 'department', 'finance', 'review', 'limit', 'claim'
+];
+
+/**
+ * Deterministic text of the given length drawn from a small vocabulary
+ * @param {number} length - Number of words
+ * @param {number} seed - Seed selecting the word sequence
+ * @returns {Array<string>} Words
+ */
+function makeWords(length, seed) {
+  let state = seed;
+  return Array.from({ length }, () => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return WORDS[(state >>> 16) % WORDS.length];
+  });
+}
+
+/**
+ * Exact Jaccard similarity of the shingle sets of two texts
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity from 0 to 1
+ */
+function jaccard(a, b) {
+  const setA = shingle(a);
+  const setB = shingle(b);
+  const shared = [...setA].filter(value => setB.has(value)).length;
+  return shared / (setA.size + setB.size - shared);
+}
+
+const original = makeWords(400, 7);
+
+/**
+ * Copy of the original text with some words replaced
+ * @param {number} every - Replace every n-th word
+ * @returns {string} Edited text
+ */
+function editEvery(every) {
+  return original.map((word, i) => (i % every === 0 ? 'changed' : word)).join(' ');
+}
+
+test('texts become sets of lowercased overlapping word shingles', () => {
+  assert.deepEqual([...shingle('One two three four five six', 5)], ['one two three four five', 'two three four five six']);
+  assert.deepEqual([...shingle('Short TEXT', 5)], ['short text']);
+  assert.deepEqual([...shingle('a b a b a b', 2)], ['a b', 'b a']);
+  assert.equal(shingle('...').size, 0);
+});
+
+test('signatures are deterministic and ignore case and punctuation', () => {
+  const text = original.join(' ');
+  const signature = computeSignature(text);
+  assert.equal(signature.length, 128);
+  assert.deepEqual(computeSignature(text), signature);
+  assert.deepEqual(computeSignature(text.toUpperCase().replace(/ /g, ', ')), signature);
+  assert.equal(computeSignature(text, { numHashes: 32 }).length, 32);
+  assert.equal(computeSignature('   '), null);
+});
+
+test('identical texts are estimated as identical', () => {
+  const signature = computeSignature(original.join(' '));
+  assert.equal(estimateSimilarity(signature, computeSignature(original.join('\n'))), 1);
+});
+
+test('the estimate tracks the Jaccard similarity of near-duplicate pairs', () => {
+  const text = original.join(' ');
+  for (const every of [200, 50, 20, 8]) {
+    const edited = editEvery(every);
+    const exact = jaccard(text, edited);
+    const estimate = estimateSimilarity(computeSignature(text), computeSignature(edited));
+    assert.ok(Math.abs(estimate - exact) <= 0.12, `every ${every}: estimated ${estimate}, exact ${exact}`);
+  }
+});
+
+test('light edits stay above the near-duplicate threshold and unrelated texts fall well below', () => {
+  const signature = computeSignature(original.join(' '));
+  assert.ok(estimateSimilarity(signature, computeSignature(editEvery(200))) >= 0.9);
+  assert.ok(estimateSimilarity(signature, computeSignature(makeWords(400, 99).join(' '))) < 0.2);
+});
+
+test('signatures of different lengths are not comparable', () => {
+  const text = original.join(' ');
+  assert.equal(estimateSimilarity(computeSignature(text), computeSignature(text, { numHashes: 64 })), 0);
+  assert.equal(estimateSimilarity(null, computeSignature(text)), 0);
+});
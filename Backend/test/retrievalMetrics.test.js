@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  matchesExpected,
+  judgeResults,
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  scoreQuestion,
+  averageScores
+} = require('../src/services/utils/retrievalMetrics');
+
+/**
+ * Assert two metric values are equal up to rounding
+ * @param {number} actual - Computed value
+ * @param {number} expected - Expected value
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+// Ranked results for "how many vacation days": two chunks of the handbook, then others
+const results = [
+  { fileId: 'faq', fileName: 'FAQ.pdf', pages: [{ page: 1 }] },
+  { fileId: 'handbook', fileName: 'Handbook.pdf', pages: [{ page: 4 }] },
+  { fileId: 'handbook', fileName: 'Handbook.pdf', pages: [{ page: 5 }] },
+  { fileId: 'travel', fileName: 'Travel.pdf', pageReferences: [2, 3] }
+];
+const expected = [{ fileId: 'handbook' }, { fileName: 'travel.PDF', page: 3 }];
+
+test('expectations match by file ID or case-insensitive file name, and page', () => {
+  assert.equal(matchesExpected(results[1], { fileId: 'handbook' }), true);
+  assert.equal(matchesExpected(results[1], { fileId: 'handbook', page: 4 }), true);
+  assert.equal(matchesExpected(results[1], { fileId: 'handbook', page: 5 }), false);
+  assert.equal(matchesExpected(results[3], { fileName: 'TRAVEL.pdf', page: 2 }), true);
+  assert.equal(matchesExpected(results[3], { fileName: 'travel.pdf', page: 9 }), false);
+  assert.equal(matchesExpected(results[0], { fileId: 'handbook' }), false);
+});
+
+test('each expectation is credited once', () => {
+  assert.deepEqual(judgeResults(results, expected), [-1, 0, -1, 1]);
+});
+
+test('recall, reciprocal rank and nDCG of one question', () => {
+  const judgements = judgeResults(results, expected);
+
+  assert.equal(recallAtK(judgements, 2, 1), 0);
+  assert.equal(recallAtK(judgements, 2, 3), 0.5);
+  assert.equal(recallAtK(judgements, 2, 10), 1);
+  assert.equal(recallAtK([], 0, 5), 0);
+
+  assert.equal(reciprocalRank(judgements), 1 / 2);
+  assert.equal(reciprocalRank([-1, -1]), 0);
+
+  // Relevant results at ranks 2 and 4; the ideal ranking has them at 1 and 2
+  const dcg = 1 / Math.log2(3) + 1 / Math.log2(5);
+  const idcg = 1 + 1 / Math.log2(3);
+  assertClose(ndcgAtK(judgements, 2, 10), dcg / idcg);
+  assertClose(ndcgAtK(judgements, 2, 3), (1 / Math.log2(3)) / idcg);
+  assert.equal(ndcgAtK([0, 1], 2, 2), 1);
+  assert.equal(ndcgAtK([], 0, 5), 0);
+});
+
+test('question scores report every cutoff and the first relevant rank', () => {
+  const score = scoreQuestion(results, expected, [1, 3]);
+  assert.deepEqual(score.recall, { 1: 0, 3: 0.5 });
+  assert.deepEqual(Object.keys(score.ndcg), ['1', '3']);
+  assert.equal(score.mrr, 0.5);
+  assert.equal(score.firstRelevantRank, 2);
+
+  assert.equal(scoreQuestion(results, [{ fileId: 'missing' }], [1]).firstRelevantRank, null);
+});
+
+test('run metrics average the question scores', () => {
+  const scores = [
+    scoreQuestion(results, expected, [1, 3]),
+    scoreQuestion(results, [{ fileId: 'faq' }], [1, 3])
+  ];
+  const average = averageScores(scores, [1, 3]);
+
+  assert.deepEqual(average.recall, { 1: 0.5, 3: 0.75 });
+  assert.equal(average.mrr, 0.75);
+  assertClose(average.ndcg[1], 0.5);
+  assert.deepEqual(averageScores([], [1]), { recall: { 1: 0 }, ndcg: { 1: 0 }, mrr: 0 });
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const searchFilterService = require('../src/services/searchFilterService');
+
+/**
+ * Values at a dotted path, descending into arrays as MongoDB does
+ * @param {*} value - Document or sub-document
+ * @param {Array<string>} keys - Remaining path segments
+ * @returns {Array} Values found
+ */
+function valuesAt(value, keys) {
+  if (Array.isArray(value)) return value.flatMap(item => valuesAt(item, keys));
+  if (keys.length === 0) return [value];
+  if (value === null || typeof value !== 'object') return [];
+  return valuesAt(value[keys[0]], keys.slice(1));
+}
+
+const OPERATORS = {
+  $in: (value, list) => list.some(item => item === value),
+  $gte: (value, bound) => value >= bound,
+  $lte: (value, bound) => value <= bound
+};
+
+/**
+ * Evaluate the subset of MongoDB queries the filter service produces, with
+ * MongoDB's array semantics: on an array field each operator may be met by a
+ * different element, unless $elemMatch asks for one element meeting all
+ * @param {Object} doc - Chunk
+ * @param {Object} query - Query from toMongoQuery or toAtlasFilter
+ * @returns {boolean} True if the chunk matches
+ */
+function mongoMatches(doc, query) {
+  return Object.entries(query).every(([field, condition]) => {
+    if (field === '$and') return condition.every(clause => mongoMatches(doc, clause));
+    const values = valuesAt(doc, field.split('.'));
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (operator === '$elemMatch') {
+        return (doc[field] || []).some(element => mongoMatches(element, operand));
+      }
+      if (operator === '$nin') return !values.some(value => operand.includes(value));
+      return values.some(value => OPERATORS[operator](value, operand));
+    });
+  });
+}
+
+// Chunk 2 was re-indexed long after its document was uploaded
+const chunks = [
+  { fileId: 'a', uploadedAt: new Date('2025-03-01T10:00:00Z'), tags: ['HR/Policies'], pages: [{ page: 1 }, { page: 20 }] },
+  { fileId: 'a', uploadedAt: new Date('2025-03-01T10:00:00Z'), tags: ['HR'], pages: [{ page: 6 }] },
+  { fileId: 'b', uploadedAt: new Date('2025-12-31T18:30:00Z'), createdAt: new Date('2026-10-01T08:00:00Z'), tags: ['finance'], pages: [{ page: 4 }, { page: 5 }] },
+  { fileId: 'c', uploadedAt: new Date('2026-01-01T00:00:00Z'), pages: [{ page: 12 }] }
+];
+
+/**
+ * Resolve a raw filter naming files by ID, which needs no database
+ * @param {Object} filter - Raw filter
+ * @returns {Promise<Object>} Resolved filter
+ */
+async function resolve(filter) {
+  return searchFilterService.resolve({ fileIds: ['a', 'b', 'c'], ...filter });
+}
+
+/**
+ * Chunks each backend returns for a resolved filter
+ * @param {Object} filter - Resolved filter
+ * @returns {Object} { local, mongo, atlas } lists of chunk indexes
+ */
+function matchedBy(filter) {
+  const indexes = predicate => chunks.map((chunk, index) => (predicate(chunk) ? index : -1)).filter(index => index >= 0);
+  const atlasFilter = searchFilterService.toAtlasFilter(filter);
+  return {
+    local: indexes(chunk => searchFilterService.matches(searchFilterService.getFilterFields(chunk), filter)),
+    mongo: indexes(chunk => mongoMatches(chunk, searchFilterService.toMongoQuery(filter))),
+    // Page ranges are post-filtered on Atlas with the same query as MongoDB
+    atlas: indexes(chunk => (!atlasFilter || mongoMatches(chunk, atlasFilter)) &&
+      (!searchFilterService.needsPostFilter(filter) || mongoMatches(chunk, searchFilterService.toPageQuery(filter.pages))))
+  };
+}
+
+test('page ranges need one page inside both bounds on every backend', async () => {
+  const filter = await resolve({ pages: { from: 5, to: 10 } });
+  const { local, mongo, atlas } = matchedBy(filter);
+  assert.deepEqual(local, [1, 2]);
+  assert.deepEqual(mongo, local);
+  assert.deepEqual(atlas, local);
+});
+
+test('open-ended page ranges have no upper bound', async () => {
+  const filter = await resolve({ pages: { from: 12 } });
+  assert.deepEqual(filter.pages, { from: 12, to: Infinity });
+  assert.deepEqual(searchFilterService.toPageQuery(filter.pages), { pages: { $elemMatch: { page: { $gte: 12 } } } });
+  assert.deepEqual(matchedBy(filter).local, [0, 3]);
+});
+
+test('tags match with their exact case on every backend', async () => {
+  const filter = await resolve({ tags: ['HR'] });
+  assert.deepEqual(filter.tags, ['HR']);
+  const { local, mongo, atlas } = matchedBy(filter);
+  assert.deepEqual(local, [1]);
+  assert.deepEqual(mongo, local);
+  assert.deepEqual(atlas, local);
+
+  assert.deepEqual(matchedBy(await resolve({ tags: ['hr'] })).local, []);
+});
+
+test('a date-only uploadedBefore includes the whole day', async () => {
+  const filter = await resolve({ uploadedAfter: '2025-12-31', uploadedBefore: '2025-12-31' });
+  assert.equal(filter.uploadedBefore.toISOString(), '2025-12-31T23:59:59.999Z');
+  const { local, mongo, atlas } = matchedBy(filter);
+  assert.deepEqual(local, [2]);
+  assert.deepEqual(mongo, local);
+  assert.deepEqual(atlas, local);
+});
+
+test('an uploadedBefore with a time is used as given', () => {
+  const filter = searchFilterService.normalize({ uploadedBefore: '2025-12-31T12:00:00Z' });
+  assert.equal(filter.uploadedBefore.toISOString(), '2025-12-31T12:00:00.000Z');
+});
+
+test('file IDs and the legacy fileId option are intersected', async () => {
+  const filter = await searchFilterService.resolve({ fileIds: ['a', 'b'] }, { fileId: 'b' });
+  assert.deepEqual(filter.fileIds, ['b']);
+  assert.deepEqual(matchedBy(filter).local, [2]);
+  assert.deepEqual(searchFilterService.toAtlasFilter(filter), { fileId: { $in: ['b'] } });
+});
+
+test('combined constraints translate to one Atlas $and', async () => {
+  const filter = await resolve({ tags: ['finance'], uploadedAfter: '2025-06-01' });
+  assert.deepEqual(searchFilterService.toAtlasFilter(filter), {
+    $and: [
+      { fileId: { $in: ['a', 'b', 'c'] } },
+      { uploadedAt: { $gte: new Date('2025-06-01') } },
+      { tags: { $in: ['finance'] } }
+    ]
+  });
+  assert.equal(searchFilterService.needsPostFilter(filter), false);
+});
+
+test('malformed filters are rejected', () => {
+  assert.throws(() => searchFilterService.normalize({ color: 'red' }), /Unknown filter field\(s\): color/);
+  assert.throws(() => searchFilterService.normalize({ tags: [] }), /filter\.tags must contain between 1 and/);
+  assert.throws(() => searchFilterService.normalize({ uploadedBefore: 'soon' }), /filter\.uploadedBefore must be a valid date/);
+  assert.throws(() => searchFilterService.normalize({ pages: { from: 10, to: 5 } }), /must not be greater/);
+  assert.throws(
+    () => searchFilterService.normalize({ uploadedAfter: '2026-01-01', uploadedBefore: '2025-01-01' }),
+    /uploadedAfter must be before/
+  );
+});
+
+test('an empty filter does not restrict retrieval', async () => {
+  assert.equal(searchFilterService.normalize({}), null);
+  assert.deepEqual(searchFilterService.toMongoQuery(null), {});
+  assert.equal(searchFilterService.toAtlasFilter(null), undefined);
+  assert.equal(searchFilterService.matches(chunks[0], null), true);
+});
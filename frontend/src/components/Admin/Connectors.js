@@ -0,0 +1,462 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Chip,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Tooltip,
+  Autocomplete,
+  FormControlLabel,
+  Switch,
+  Checkbox,
+} from '@mui/material';
+import { Add, Edit, Delete, Refresh, Sync } from '@mui/icons-material';
+import api from '../../services/api';
+
+// How often the list refreshes while a connector is syncing
+const POLL_INTERVAL_MS = 3000;
+
+const dialogProps = {
+  maxWidth: 'sm',
+  fullWidth: true,
+  PaperProps: {
+    sx: {
+      backgroundColor: 'background.paper',
+      boxShadow: 24,
+      borderRadius: 2,
+      border: '1px solid rgba(255, 255, 255, 0.12)',
+      zIndex: 1300
+    }
+  },
+  sx: {
+    '& .MuiBackdrop-root': {
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+      backdropFilter: 'blur(4px)'
+    },
+    zIndex: 1300
+  }
+};
+
+const emptyForm = {
+  name: '',
+  type: 'folder',
+  path: '',
+  tags: [],
+  enabled: true,
+  pollIntervalMinutes: 15,
+  watch: false,
+  pull: false
+};
+
+const formatStats = (stats) => {
+  if (!stats) return '';
+  return ['added', 'updated', 'restored', 'deleted', 'skipped']
+    .filter(key => stats[key] > 0)
+    .map(key => `${stats[key]} ${key}`)
+    .join(', ') || 'No changes';
+};
+
+const Connectors = () => {
+  const [connectors, setConnectors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [formDialog, setFormDialog] = useState(false);
+  const [deleteDialog, setDeleteDialog] = useState(false);
+  const [selectedConnector, setSelectedConnector] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [deleteDocuments, setDeleteDocuments] = useState(false);
+
+  const fetchConnectors = useCallback(async () => {
+    try {
+      const response = await api.get('/admin/connectors');
+      setConnectors(response.data.connectors);
+    } catch (err) {
+      setError('Failed to fetch connectors');
+      console.error('Error fetching connectors:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchConnectors();
+  }, [fetchConnectors]);
+
+  // Keep refreshing while any connector is syncing
+  const syncing = connectors.some(connector => connector.syncing);
+  useEffect(() => {
+    if (!syncing) return undefined;
+    const timer = setInterval(fetchConnectors, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [syncing, fetchConnectors]);
+
+  const updateForm = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+  // Create, or save the settings of the selected connector
+  const handleSave = async () => {
+    const settings = {
+      name: form.name,
+      tags: form.tags,
+      enabled: form.enabled,
+      pollIntervalMinutes: Number(form.pollIntervalMinutes),
+      watch: form.watch,
+      pull: form.pull
+    };
+
+    try {
+      if (selectedConnector) {
+        await api.put(`/admin/connectors/${selectedConnector.id}`, settings);
+        setSuccess(`Updated ${form.name}`);
+      } else {
+        await api.post('/admin/connectors', { ...settings, type: form.type, path: form.path });
+        setSuccess(`Added ${form.name}; its first sync has started`);
+      }
+      setFormDialog(false);
+      setSelectedConnector(null);
+      fetchConnectors();
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Failed to save connector');
+    }
+  };
+
+  const handleSync = async (connector) => {
+    setConnectors(current => current.map(c => (c.id === connector.id ? { ...c, syncing: true } : c)));
+    try {
+      const response = await api.post(`/admin/connectors/${connector.id}/sync`);
+      const synced = response.data.connector;
+      if (synced.lastSyncStatus === 'error') {
+        setError(`Sync of ${synced.name} failed: ${synced.lastError}`);
+      } else {
+        setSuccess(`Synced ${synced.name}: ${formatStats(synced.lastSyncStats)}`);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to sync connector');
+    }
+    fetchConnectors();
+  };
+
+  const handleDelete = async () => {
+    if (!selectedConnector) return;
+
+    try {
+      const response = await api.delete(`/admin/connectors/${selectedConnector.id}`, {
+        params: { deleteDocuments }
+      });
+      setSuccess(deleteDocuments
+        ? `Deleted ${selectedConnector.name} and ${response.data.deletedDocuments} documents`
+        : `Deleted ${selectedConnector.name}; its ${response.data.detachedDocuments} documents were kept`);
+      setDeleteDialog(false);
+      setSelectedConnector(null);
+      fetchConnectors();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete connector');
+    }
+  };
+
+  const openCreateDialog = () => {
+    setSelectedConnector(null);
+    setForm(emptyForm);
+    setFormDialog(true);
+  };
+
+  const openEditDialog = (connector) => {
+    setSelectedConnector(connector);
+    setForm({
+      name: connector.name,
+      type: connector.type,
+      path: connector.path,
+      tags: connector.tags,
+      enabled: connector.enabled,
+      pollIntervalMinutes: connector.pollIntervalMinutes,
+      watch: connector.watch,
+      pull: connector.pull
+    });
+    setFormDialog(true);
+  };
+
+  const openDeleteDialog = (connector) => {
+    setSelectedConnector(connector);
+    setDeleteDocuments(false);
+    setDeleteDialog(true);
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" height="400px">
+        <Typography>Loading connectors...</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+        <Typography variant="body2" color="text.secondary">
+          Folders and git repositories on the server, kept in sync with the document library.
+        </Typography>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button variant="outlined" startIcon={<Refresh />} onClick={fetchConnectors}>
+          Refresh
+        </Button>
+        <Button variant="contained" startIcon={<Add />} onClick={openCreateDialog}>
+          Add Connector
+        </Button>
+      </Box>
+
+      {/* Success/Error Messages */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {/* Connectors Table */}
+      <Paper sx={{ p: 2, backgroundColor: 'background.paper', boxShadow: 3 }}>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Source</TableCell>
+                <TableCell>Schedule</TableCell>
+                <TableCell>Documents</TableCell>
+                <TableCell>Last Sync</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {connectors.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">
+                    <Typography color="text.secondary">No connectors yet</Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+              {connectors.map((connector) => (
+                <TableRow key={connector.id}>
+                  <TableCell>
+                    <Typography variant="body2" sx={{ fontWeight: 600 }}>{connector.name}</Typography>
+                    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 0.5 }}>
+                      {connector.tags.map(tag => (
+                        <Chip key={tag} label={tag} size="small" variant="outlined" />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                      <Chip label={connector.type} size="small" color="primary" variant="outlined" />
+                      <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>{connector.path}</Typography>
+                    </Box>
+                    {connector.lastCommit && (
+                      <Typography variant="caption" color="text.secondary">
+                        At commit {connector.lastCommit.slice(0, 7)}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {connector.enabled ? (
+                      <Typography variant="body2">
+                        Every {connector.pollIntervalMinutes} min
+                        {connector.watch ? ' and on change' : ''}
+                        {connector.pull ? ', pulls first' : ''}
+                      </Typography>
+                    ) : (
+                      <Chip label="Paused" size="small" />
+                    )}
+                  </TableCell>
+                  <TableCell>{connector.documentCount}</TableCell>
+                  <TableCell>
+                    {connector.syncing && <Chip label="Syncing" color="info" size="small" />}
+                    {!connector.syncing && connector.lastSyncAt && (
+                      <Tooltip
+                        title={connector.lastSyncStats?.skippedFiles?.map(file => `${file.path}: ${file.error}`).join('\n') || ''}
+                      >
+                        <Box>
+                          <Chip
+                            label={connector.lastSyncStatus}
+                            color={connector.lastSyncStatus === 'ok' ? 'success' : 'error'}
+                            size="small"
+                            sx={{ fontWeight: 600 }}
+                          />
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            {new Date(connector.lastSyncAt).toLocaleString()}
+                          </Typography>
+                          <Typography variant="caption" color={connector.lastError ? 'error' : 'text.secondary'} display="block">
+                            {connector.lastError || formatStats(connector.lastSyncStats)}
+                          </Typography>
+                        </Box>
+                      </Tooltip>
+                    )}
+                    {!connector.syncing && !connector.lastSyncAt && (
+                      <Typography variant="body2" color="text.secondary">Never</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', minWidth: '300px' }}>
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        startIcon={<Sync />}
+                        onClick={() => handleSync(connector)}
+                        disabled={connector.syncing}
+                      >
+                        Sync now
+                      </Button>
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        startIcon={<Edit />}
+                        onClick={() => openEditDialog(connector)}
+                      >
+                        Edit
+                      </Button>
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        color="error"
+                        startIcon={<Delete />}
+                        onClick={() => openDeleteDialog(connector)}
+                        disabled={connector.syncing}
+                      >
+                        Delete
+                      </Button>
+                    </Box>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Create / Edit Dialog */}
+      <Dialog open={formDialog} onClose={() => setFormDialog(false)} {...dialogProps}>
+        <DialogTitle>{selectedConnector ? 'Edit Connector' : 'Add Connector'}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 2, display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <TextField
+              fullWidth
+              label="Name"
+              value={form.name}
+              onChange={(e) => updateForm('name', e.target.value)}
+            />
+            <FormControl fullWidth disabled={Boolean(selectedConnector)}>
+              <InputLabel>Type</InputLabel>
+              <Select value={form.type} label="Type" onChange={(e) => updateForm('type', e.target.value)}>
+                <MenuItem value="folder">Folder</MenuItem>
+                <MenuItem value="git">Git repository</MenuItem>
+              </Select>
+            </FormControl>
+            <TextField
+              fullWidth
+              label="Path on the server"
+              value={form.path}
+              onChange={(e) => updateForm('path', e.target.value)}
+              disabled={Boolean(selectedConnector)}
+              helperText={form.type === 'git'
+                ? 'Absolute path of the working tree root; only tracked files are read'
+                : 'Absolute path; hidden files and node_modules are skipped'}
+            />
+            <Autocomplete
+              multiple
+              freeSolo
+              options={[]}
+              value={form.tags}
+              onChange={(e, value) => updateForm('tags', value)}
+              renderTags={(value, getTagProps) => value.map((tag, index) => (
+                <Chip label={tag} size="small" {...getTagProps({ index })} key={tag} />
+              ))}
+              renderInput={(params) => (
+                <TextField {...params} label="Tags" helperText="Added to every document; folders become tags too" />
+              )}
+            />
+            <TextField
+              type="number"
+              label="Sync every (minutes)"
+              value={form.pollIntervalMinutes}
+              onChange={(e) => updateForm('pollIntervalMinutes', e.target.value)}
+              inputProps={{ min: 1 }}
+            />
+            <FormControlLabel
+              control={<Switch checked={form.enabled} onChange={(e) => updateForm('enabled', e.target.checked)} />}
+              label="Enabled"
+            />
+            <FormControlLabel
+              control={<Switch checked={form.watch} onChange={(e) => updateForm('watch', e.target.checked)} />}
+              label="Also sync when files change"
+            />
+            {form.type === 'git' && (
+              <FormControlLabel
+                control={<Switch checked={form.pull} onChange={(e) => updateForm('pull', e.target.checked)} />}
+                label="Pull from upstream before each sync"
+              />
+            )}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setFormDialog(false)}>Cancel</Button>
+          <Button
+            onClick={handleSave}
+            variant="contained"
+            disabled={!form.name.trim() || !form.path.trim() || !(Number(form.pollIntervalMinutes) >= 1)}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Connector Confirmation Dialog */}
+      <Dialog open={deleteDialog} onClose={() => setDeleteDialog(false)} {...dialogProps}>
+        <DialogTitle>Delete Connector</DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 2 }}>
+            <Typography>
+              Are you sure you want to delete <strong>{selectedConnector?.name}</strong>?
+            </Typography>
+            <FormControlLabel
+              sx={{ mt: 1 }}
+              control={<Checkbox checked={deleteDocuments} onChange={(e) => setDeleteDocuments(e.target.checked)} />}
+              label={`Also delete its ${selectedConnector?.documentCount ?? 0} documents`}
+            />
+            {!deleteDocuments && (
+              <Typography variant="body2" color="text.secondary">
+                Its documents stay in the library but are no longer synced.
+              </Typography>
+            )}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteDialog(false)}>Cancel</Button>
+          <Button onClick={handleDelete} variant="contained" color="error" disabled={!selectedConnector}>
+            Delete Connector
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default Connectors;
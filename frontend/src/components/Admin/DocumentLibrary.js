@@ -0,0 +1,646 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Button,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Chip,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Tooltip,
+  Autocomplete,
+} from '@mui/material';
+import { Edit, Delete, Refresh, Autorenew, Upload, History, Restore } from '@mui/icons-material';
+import api from '../../services/api';
+
+// How often the list refreshes while a document is being processed
+const POLL_INTERVAL_MS = 3000;
+
+const SUPPORTED_UPLOAD_EXTENSIONS = ['.pdf', '.docx', '.md', '.markdown', '.html', '.htm', '.txt', '.csv', '.tsv'];
+
+const dialogProps = {
+  maxWidth: 'sm',
+  fullWidth: true,
+  PaperProps: {
+    sx: {
+      backgroundColor: 'background.paper',
+      boxShadow: 24,
+      borderRadius: 2,
+      border: '1px solid rgba(255, 255, 255, 0.12)',
+      zIndex: 1300
+    }
+  },
+  sx: {
+    '& .MuiBackdrop-root': {
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+      backdropFilter: 'blur(4px)'
+    },
+    zIndex: 1300
+  }
+};
+
+const formatSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case 'ready': return 'success';
+    case 'processing': return 'info';
+    case 'failed': return 'error';
+    default: return 'default';
+  }
+};
+
+const DocumentLibrary = () => {
+  const [documents, setDocuments] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [search, setSearch] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [languageFilter, setLanguageFilter] = useState('');
+  const [keywordFilter, setKeywordFilter] = useState('');
+  const [languages, setLanguages] = useState([]);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [editDialog, setEditDialog] = useState(false);
+  const [deleteDialog, setDeleteDialog] = useState(false);
+  const [selectedDocument, setSelectedDocument] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [editTags, setEditTags] = useState([]);
+  const [historyDialog, setHistoryDialog] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const versionInput = useRef(null);
+  const versionTarget = useRef(null);
+
+  // Fetch one page of documents
+  const fetchDocuments = useCallback(async () => {
+    try {
+      const response = await api.get('/admin/documents', {
+        params: {
+          search: search || undefined,
+          status: statusFilter || undefined,
+          language: languageFilter || undefined,
+          keyword: keywordFilter || undefined,
+          limit: rowsPerPage,
+          skip: page * rowsPerPage
+        }
+      });
+      setDocuments(response.data.documents);
+      setTotal(response.data.total);
+    } catch (err) {
+      setError('Failed to fetch documents');
+      console.error('Error fetching documents:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [search, statusFilter, languageFilter, keywordFilter, page, rowsPerPage]);
+
+  useEffect(() => {
+    fetchDocuments();
+  }, [fetchDocuments]);
+
+  // Languages detected across the library, for the language filter
+  useEffect(() => {
+    api.get('/chat/facets')
+      .then(response => setLanguages(response.data.data.facets.languages))
+      .catch(err => console.error('Error fetching search facets:', err));
+  }, []);
+
+  const filterByKeyword = (keyword) => {
+    setKeywordFilter(keyword);
+    setPage(0);
+  };
+
+  // Keep refreshing while any listed document is still being processed
+  const processing = documents.some(doc => doc.status === 'processing');
+  useEffect(() => {
+    if (!processing) return undefined;
+    const timer = setInterval(fetchDocuments, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [processing, fetchDocuments]);
+
+  // Rename and retag
+  const handleSaveEdit = async () => {
+    if (!selectedDocument || !editName.trim()) return;
+
+    try {
+      await api.patch(`/admin/documents/${encodeURIComponent(selectedDocument.fileId)}`, {
+        fileName: editName,
+        tags: editTags
+      });
+      setSuccess(`Updated ${editName}`);
+      setEditDialog(false);
+      setSelectedDocument(null);
+      fetchDocuments();
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Failed to update document');
+    }
+  };
+
+  // Re-chunk and re-embed with the document's stored settings
+  const handleReindex = async (doc) => {
+    try {
+      await api.post(`/admin/documents/${encodeURIComponent(doc.fileId)}/reindex`);
+      setSuccess(`Re-indexing ${doc.fileName}`);
+      fetchDocuments();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start re-indexing');
+    }
+  };
+
+  // Delete with chunks and uploaded file
+  const handleDelete = async () => {
+    if (!selectedDocument) return;
+
+    try {
+      const response = await api.delete(`/admin/documents/${encodeURIComponent(selectedDocument.fileId)}`);
+      setSuccess(`Deleted ${selectedDocument.fileName} (${response.data.deletedChunks} chunks)`);
+      setDeleteDialog(false);
+      setSelectedDocument(null);
+      fetchDocuments();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete document');
+    }
+  };
+
+  // Upload a file as the next version of a document
+  const handleVersionFile = async (event) => {
+    const file = event.target.files[0];
+    const doc = versionTarget.current;
+    event.target.value = '';
+    if (!file || !doc) return;
+
+    const formData = new FormData();
+    formData.append('pdf', file);
+    formData.append('versionOf', doc.fileId);
+
+    try {
+      const response = await api.post('/upload', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setSuccess(`Uploaded ${file.name} as version ${response.data.version} of ${doc.fileName}`);
+      fetchDocuments();
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.errors?.[0]?.msg || 'Failed to upload version');
+    }
+  };
+
+  const fetchVersions = async (doc) => {
+    try {
+      const response = await api.get(`/admin/documents/${encodeURIComponent(doc.fileId)}/versions`);
+      setVersions(response.data.versions);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to fetch versions');
+    }
+  };
+
+  // Make a stored version current again
+  const handleRollback = async (version) => {
+    try {
+      await api.post(`/admin/documents/${encodeURIComponent(version.fileId)}/rollback`);
+      setSuccess(`Version ${version.version} of ${version.fileName} is now current`);
+      fetchVersions(version);
+      fetchDocuments();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to roll back document');
+    }
+  };
+
+  const openVersionUpload = (doc) => {
+    versionTarget.current = doc;
+    versionInput.current?.click();
+  };
+
+  const openHistoryDialog = (doc) => {
+    setSelectedDocument(doc);
+    setVersions([]);
+    setHistoryDialog(true);
+    fetchVersions(doc);
+  };
+
+  const openEditDialog = (doc) => {
+    setSelectedDocument(doc);
+    setEditName(doc.fileName);
+    setEditTags(doc.tags);
+    setEditDialog(true);
+  };
+
+  const openDeleteDialog = (doc) => {
+    setSelectedDocument(doc);
+    setDeleteDialog(true);
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" height="400px">
+        <Typography>Loading documents...</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2, flexWrap: 'wrap' }}>
+        <TextField
+          size="small"
+          label="Search by name or title"
+          value={search}
+          onChange={(e) => {
+            setSearch(e.target.value);
+            setPage(0);
+          }}
+          sx={{ minWidth: 220 }}
+        />
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Status</InputLabel>
+          <Select
+            value={statusFilter}
+            label="Status"
+            onChange={(e) => {
+              setStatusFilter(e.target.value);
+              setPage(0);
+            }}
+          >
+            <MenuItem value="">All</MenuItem>
+            <MenuItem value="ready">Ready</MenuItem>
+            <MenuItem value="processing">Processing</MenuItem>
+            <MenuItem value="failed">Failed</MenuItem>
+            <MenuItem value="cancelled">Cancelled</MenuItem>
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 140 }}>
+          <InputLabel>Language</InputLabel>
+          <Select
+            value={languageFilter}
+            label="Language"
+            onChange={(e) => {
+              setLanguageFilter(e.target.value);
+              setPage(0);
+            }}
+          >
+            <MenuItem value="">All</MenuItem>
+            {languages.map(({ value, count }) => (
+              <MenuItem key={value} value={value}>{value.toUpperCase()} ({count})</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {keywordFilter && (
+          <Chip
+            label={`Keyword: ${keywordFilter}`}
+            color="secondary"
+            onDelete={() => filterByKeyword('')}
+          />
+        )}
+        <Box sx={{ flexGrow: 1 }} />
+        <Button variant="outlined" startIcon={<Refresh />} onClick={fetchDocuments}>
+          Refresh
+        </Button>
+      </Box>
+
+      {/* Success/Error Messages */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {/* Documents Table */}
+      <Paper sx={{ p: 2, backgroundColor: 'background.paper', boxShadow: 3 }}>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Format</TableCell>
+                <TableCell>Size</TableCell>
+                <TableCell>Pages</TableCell>
+                <TableCell>Chunks</TableCell>
+                <TableCell>Tags &amp; keywords</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Uploaded</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {documents.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={9} align="center">
+                    <Typography color="text.secondary">No documents found</Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+              {documents.map((doc) => (
+                <TableRow key={doc.fileId}>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                      <Typography variant="body2" sx={{ fontWeight: 600 }}>{doc.fileName}</Typography>
+                      {doc.metadata?.language && (
+                        <Chip label={doc.metadata.language.toUpperCase()} size="small" variant="outlined" />
+                      )}
+                      {doc.versionCount > 1 && (
+                        <Chip label={`v${doc.version}`} size="small" color="primary" variant="outlined" />
+                      )}
+                      {doc.nearDuplicates.length > 0 && (
+                        <Tooltip
+                          title={`Very similar to ${doc.nearDuplicates.map(match => `${match.fileName} (${Math.round(match.similarity * 100)}%)`).join(', ')}`}
+                        >
+                          <Chip label="Near-duplicate" size="small" color="warning" variant="outlined" />
+                        </Tooltip>
+                      )}
+                    </Box>
+                    {(doc.metadata?.title || doc.metadata?.author) && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {[doc.metadata.title, doc.metadata.author && `by ${doc.metadata.author}`].filter(Boolean).join(' ')}
+                      </Typography>
+                    )}
+                    {doc.metadata?.summary && (
+                      <Tooltip title={doc.metadata.summary}>
+                        <Typography
+                          variant="caption"
+                          color="text.secondary"
+                          display="block"
+                          sx={{ maxWidth: 360, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                        >
+                          {doc.metadata.summary}
+                        </Typography>
+                      </Tooltip>
+                    )}
+                    {doc.originalName && doc.originalName !== doc.fileName && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        Uploaded as {doc.originalName}
+                      </Typography>
+                    )}
+                    {doc.source && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        Synced from {doc.source.path}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{doc.format ? doc.format.toUpperCase() : '-'}</TableCell>
+                  <TableCell>{formatSize(doc.size)}</TableCell>
+                  <TableCell>
+                    {doc.pageCount ?? '-'}
+                    {doc.pageUnit === 'sections' && doc.pageCount ? ' sections' : ''}
+                  </TableCell>
+                  <TableCell>{doc.chunkCount}</TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                      {doc.tags.map(tag => (
+                        <Chip key={tag} label={tag} size="small" variant="outlined" />
+                      ))}
+                      {(doc.metadata?.keywords || []).map(keyword => (
+                        <Chip
+                          key={`keyword-${keyword}`}
+                          label={keyword}
+                          size="small"
+                          color="secondary"
+                          variant="outlined"
+                          onClick={() => filterByKeyword(keyword)}
+                        />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  <TableCell>
+                    <Tooltip title={doc.error || ''}>
+                      <Chip
+                        label={doc.status}
+                        color={getStatusColor(doc.status)}
+                        size="small"
+                        sx={{ fontWeight: 600 }}
+                      />
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{new Date(doc.uploadedAt).toLocaleDateString()}</Typography>
+                    {doc.uploadedBy && (
+                      <Typography variant="caption" color="text.secondary">
+                        {doc.uploadedBy.name || doc.uploadedBy.email}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', minWidth: '400px' }}>
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        startIcon={<Edit />}
+                        onClick={() => openEditDialog(doc)}
+                      >
+                        Edit
+                      </Button>
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        startIcon={<Autorenew />}
+                        onClick={() => handleReindex(doc)}
+                        disabled={doc.status === 'processing'}
+                      >
+                        Re-index
+                      </Button>
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        startIcon={<Upload />}
+                        onClick={() => openVersionUpload(doc)}
+                      >
+                        New version
+                      </Button>
+                      {doc.versionCount > 1 && (
+                        <Button
+                          size="small"
+                          variant="outlined"
+                          startIcon={<History />}
+                          onClick={() => openHistoryDialog(doc)}
+                        >
+                          History
+                        </Button>
+                      )}
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        color="error"
+                        startIcon={<Delete />}
+                        onClick={() => openDeleteDialog(doc)}
+                      >
+                        Delete
+                      </Button>
+                    </Box>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          rowsPerPage={rowsPerPage}
+          rowsPerPageOptions={[10, 25, 50]}
+          onPageChange={(e, newPage) => setPage(newPage)}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(parseInt(e.target.value, 10));
+            setPage(0);
+          }}
+        />
+      </Paper>
+
+      <input
+        ref={versionInput}
+        type="file"
+        hidden
+        accept={SUPPORTED_UPLOAD_EXTENSIONS.join(',')}
+        onChange={handleVersionFile}
+      />
+
+      {/* Version History Dialog */}
+      <Dialog open={historyDialog} onClose={() => setHistoryDialog(false)} {...dialogProps} maxWidth="md">
+        <DialogTitle>Versions of {selectedDocument?.fileName}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Only the current version is used to answer questions.
+          </Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Version</TableCell>
+                <TableCell>File</TableCell>
+                <TableCell>Uploaded</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>State</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {versions.map((version) => (
+                <TableRow key={version.fileId}>
+                  <TableCell>v{version.version}</TableCell>
+                  <TableCell>{version.originalName || version.fileName}</TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{new Date(version.uploadedAt).toLocaleString()}</Typography>
+                    {version.uploadedBy && (
+                      <Typography variant="caption" color="text.secondary">
+                        {version.uploadedBy.name || version.uploadedBy.email}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Chip label={version.status} color={getStatusColor(version.status)} size="small" />
+                  </TableCell>
+                  <TableCell>
+                    {version.isCurrent && <Chip label="Current" color="success" size="small" variant="outlined" />}
+                    {!version.isCurrent && version.supersededAt && (
+                      <Typography variant="caption" color="text.secondary">
+                        Superseded {new Date(version.supersededAt).toLocaleDateString()}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {!version.isCurrent && (
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        startIcon={<Restore />}
+                        onClick={() => handleRollback(version)}
+                        disabled={version.status !== 'ready'}
+                      >
+                        Roll back
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setHistoryDialog(false)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Rename / Tag Dialog */}
+      <Dialog open={editDialog} onClose={() => setEditDialog(false)} {...dialogProps}>
+        <DialogTitle>Edit Document</DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 2 }}>
+            <TextField
+              fullWidth
+              label="Name"
+              value={editName}
+              onChange={(e) => setEditName(e.target.value)}
+              sx={{ mb: 2 }}
+            />
+            <Autocomplete
+              multiple
+              freeSolo
+              options={[]}
+              value={editTags}
+              onChange={(e, value) => setEditTags(value)}
+              renderTags={(value, getTagProps) => value.map((tag, index) => (
+                <Chip label={tag} size="small" {...getTagProps({ index })} key={tag} />
+              ))}
+              renderInput={(params) => (
+                <TextField {...params} label="Tags" helperText="Press Enter to add a tag" />
+              )}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditDialog(false)}>Cancel</Button>
+          <Button onClick={handleSaveEdit} variant="contained" disabled={!editName.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Document Confirmation Dialog */}
+      <Dialog open={deleteDialog} onClose={() => setDeleteDialog(false)} {...dialogProps}>
+        <DialogTitle>Delete Document</DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 2 }}>
+            <Typography>
+              Are you sure you want to delete <strong>{selectedDocument?.fileName}</strong>?
+            </Typography>
+            <Typography variant="body2" color="error" sx={{ mt: 1 }}>
+              Its {selectedDocument?.chunkCount} chunks and the uploaded file are removed, and it will no longer be cited in answers.
+            </Typography>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteDialog(false)}>Cancel</Button>
+          <Button onClick={handleDelete} variant="contained" color="error" disabled={!selectedDocument}>
+            Delete Document
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default DocumentLibrary;
@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Chip,
+  Alert,
+  LinearProgress,
+} from '@mui/material';
+import { Cancel, Replay, Refresh } from '@mui/icons-material';
+import api from '../../services/api';
+
+// Ingestion stages in the order a job runs them
+export const INGESTION_STAGES = [
+  { id: 'parse', label: 'Parse' },
+  { id: 'chunk', label: 'Chunk' },
+  { id: 'embed', label: 'Embed' },
+  { id: 'store', label: 'Store' }
+];
+
+export const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Jobs kept in the table; new ones push the oldest out
+const MAX_JOBS = 50;
+
+const statusColors = {
+  pending: 'default',
+  processing: 'info',
+  completed: 'success',
+  failed: 'error',
+  cancelled: 'warning'
+};
+
+export const formatEta = (seconds) => {
+  if (seconds < 60) return `${Math.max(1, Math.round(seconds))}s`;
+  return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+};
+
+const JobMonitor = () => {
+  const [jobs, setJobs] = useState([]);
+  // Job ID -> latest progress event (stage, chunks embedded, ETA)
+  const [live, setLive] = useState({});
+  const [connected, setConnected] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  // Bumped to open the stream again
+  const [connection, setConnection] = useState(0);
+
+  const handleEvent = useCallback((event, data) => {
+    if (event === 'jobs') {
+      setJobs(data);
+      setLive({});
+      setLoading(false);
+      setConnected(true);
+    } else if (event === 'status') {
+      setJobs(current => {
+        const known = current.some(job => job.id === data.id);
+        return known
+          ? current.map(job => (job.id === data.id ? data : job))
+          : [data, ...current].slice(0, MAX_JOBS);
+      });
+      if (FINISHED_JOB_STATUSES.includes(data.status) || data.status === 'pending') {
+        setLive(current => {
+          const { [data.id]: finished, ...rest } = current;
+          return rest;
+        });
+      }
+    } else if (event === 'progress') {
+      setLive(current => ({ ...current, [data.jobId]: data }));
+      setJobs(current => current.map(job => (job.id === data.jobId
+        ? { ...job, status: data.status, progress: data.progress, message: data.message, stage: data.stage }
+        : job)));
+    } else if (event === 'error') {
+      setError(data.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    const close = api.streamEvents('/admin/jobs/events', {
+      onEvent: handleEvent,
+      onError: (err) => {
+        console.error('Job event stream error:', err);
+        setError('Live job updates are unavailable');
+        setConnected(false);
+        setLoading(false);
+      },
+      onClose: () => setConnected(false)
+    });
+    return close;
+  }, [handleEvent, connection]);
+
+  const handleCancel = async (job) => {
+    try {
+      await api.post(`/admin/jobs/${job.id}/cancel`);
+      setSuccess(`Cancelling ${job.fileName}`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to cancel job');
+    }
+  };
+
+  const handleRetry = async (job) => {
+    try {
+      await api.post(`/admin/jobs/${job.id}/retry`);
+      setSuccess(`Queued ${job.fileName} again`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to retry job');
+    }
+  };
+
+  const reconnect = () => {
+    setError('');
+    setConnection(current => current + 1);
+  };
+
+  const renderStage = (job) => {
+    const progress = live[job.id];
+    const stage = progress?.stage || job.stage;
+    if (job.status !== 'processing' || !stage) {
+      return <Typography variant="body2" color="text.secondary">-</Typography>;
+    }
+
+    const label = INGESTION_STAGES.find(({ id }) => id === stage)?.label || 'Finish';
+    const done = progress?.done ?? job.embeddedChunks;
+    const total = progress?.total ?? job.totalChunks;
+    return (
+      <Box>
+        <Chip label={label} size="small" color="primary" />
+        {stage === 'embed' && total > 0 && (
+          <Typography variant="caption" color="text.secondary" display="block">
+            {done} of {total} chunks
+            {progress?.etaSeconds !== undefined && `, about ${formatEta(progress.etaSeconds)} left`}
+          </Typography>
+        )}
+      </Box>
+    );
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" height="400px">
+        <Typography>Loading jobs...</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+        <Typography variant="body2" color="text.secondary">
+          Recent ingestion jobs, updated live as they parse, chunk, embed and store.
+        </Typography>
+        <Box sx={{ flexGrow: 1 }} />
+        <Chip
+          label={connected ? 'Live' : 'Disconnected'}
+          color={connected ? 'success' : 'default'}
+          size="small"
+        />
+        <Button variant="outlined" startIcon={<Refresh />} onClick={reconnect}>
+          {connected ? 'Refresh' : 'Reconnect'}
+        </Button>
+      </Box>
+
+      {/* Success/Error Messages */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {/* Jobs Table */}
+      <Paper sx={{ p: 2, backgroundColor: 'background.paper', boxShadow: 3 }}>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>File</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Stage</TableCell>
+                <TableCell>Progress</TableCell>
+                <TableCell>Created</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {jobs.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">
+                    <Typography color="text.secondary">No ingestion jobs yet</Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+              {jobs.map((job) => (
+                <TableRow key={job.id}>
+                  <TableCell>
+                    <Typography variant="body2" sx={{ fontWeight: 600 }}>{job.fileName}</Typography>
+                    {job.attempts > 1 && (
+                      <Typography variant="caption" color="text.secondary">
+                        Attempt {job.attempts} of {job.maxAttempts}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Chip
+                      label={job.cancelRequested && job.status === 'processing' ? 'cancelling' : job.status}
+                      color={statusColors[job.status]}
+                      size="small"
+                      sx={{ fontWeight: 600 }}
+                    />
+                  </TableCell>
+                  <TableCell>{renderStage(job)}</TableCell>
+                  <TableCell sx={{ minWidth: '220px' }}>
+                    <LinearProgress
+                      variant="determinate"
+                      value={job.progress || 0}
+                      color={job.status === 'failed' ? 'error' : 'primary'}
+                    />
+                    <Typography
+                      variant="caption"
+                      color={job.status === 'failed' ? 'error' : 'text.secondary'}
+                      display="block"
+                    >
+                      {job.status === 'failed' ? job.error : job.message}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{new Date(job.createdAt).toLocaleString()}</Typography>
+                  </TableCell>
+                  <TableCell>
+                    {!FINISHED_JOB_STATUSES.includes(job.status) && (
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        color="error"
+                        startIcon={<Cancel />}
+                        onClick={() => handleCancel(job)}
+                        disabled={job.cancelRequested}
+                      >
+                        Cancel
+                      </Button>
+                    )}
+                    {['failed', 'cancelled'].includes(job.status) && (
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        startIcon={<Replay />}
+                        onClick={() => handleRetry(job)}
+                      >
+                        Retry
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+    </Box>
+  );
+};
+
+export default JobMonitor;
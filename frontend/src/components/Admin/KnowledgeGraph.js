@@ -16,7 +16,8 @@ import {
   IconButton,
   Tooltip,
   Alert,
-  Avatar
+  Avatar,
+  Chip
 } from '@mui/material';
 import {
   BarChart,
@@ -46,12 +47,18 @@ import {
 } from '@mui/icons-material';
 import api from '../../services/api';
 import UserManagement from './UserManagement';
+import DocumentLibrary from './DocumentLibrary';
+import Connectors from './Connectors';
+import JobMonitor, { INGESTION_STAGES, FINISHED_JOB_STATUSES, formatEta } from './JobMonitor';
 import { useAuth } from '../../contexts/AuthContext';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
 const COLORS = ['#2563eb', '#7c3aed', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899'];
 
+// Formats the backend extractor registry accepts
+const SUPPORTED_UPLOAD_EXTENSIONS = ['.pdf', '.docx', '.md', '.markdown', '.html', '.htm', '.txt', '.csv', '.tsv'];
+
 const KnowledgeGraph = () => {
   const { user, isAuthenticated } = useAuth();
   const [analyticsData, setAnalyticsData] = useState(null);
@@ -65,15 +72,37 @@ const KnowledgeGraph = () => {
   const [uploadSuccess, setUploadSuccess] = useState(null);
   const [uploadJobId, setUploadJobId] = useState(null);
   const [uploadProgress, setUploadProgress] = useState(null);
+  // Finished upload whose text closely matches existing documents
+  const [nearDuplicates, setNearDuplicates] = useState(null);
   const fileInputRef = useRef(null);
   const pollingIntervalRef = useRef(null);
+  // Closes the open job event stream
+  const eventStreamRef = useRef(null);
+
+  const stopStream = () => {
+    if (eventStreamRef.current) {
+      eventStreamRef.current();
+      eventStreamRef.current = null;
+    }
+  };
+
+  const startStream = (path, handlers) => {
+    stopStream();
+    eventStreamRef.current = api.streamEvents(path, handlers);
+  };
 
   const handleFileUpload = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+    const files = Array.from(e.target.files);
+    if (files.length === 0) return;
+    if (files.length > 1 || files[0].name.toLowerCase().endsWith('.zip')) {
+      handleBatchUpload(files);
+      return;
+    }
+    const file = files[0];
 
-    if (file.type !== 'application/pdf') {
-      setError('Only PDF files are allowed');
+    const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+    if (!SUPPORTED_UPLOAD_EXTENSIONS.includes(extension)) {
+      setError(`Unsupported file type. Allowed: ${SUPPORTED_UPLOAD_EXTENSIONS.join(', ')}`);
       return;
     }
 
@@ -86,6 +115,7 @@ const KnowledgeGraph = () => {
     setUploading(true);
     setUploadSuccess(null);
     setUploadProgress(null);
+    setNearDuplicates(null);
     setError(null);
 
     const formData = new FormData();
@@ -112,7 +142,7 @@ const KnowledgeGraph = () => {
       setUploadJobId(jobId);
       setUploadProgress({ status: 'pending', message: 'Processing started...' });
       
-      pollJobStatus(jobId);
+      watchJobStatus(jobId);
 
     } catch (error) {
       console.error('Upload error:', error);
@@ -125,6 +155,189 @@ const KnowledgeGraph = () => {
     }
   };
 
+  // Several files or ZIP archives are queued as one batch with a combined status
+  const handleBatchUpload = async (files) => {
+    const token = localStorage.getItem('token');
+    if (!token) {
+      setError('Authentication required');
+      return;
+    }
+
+    setUploading(true);
+    setUploadSuccess(null);
+    setUploadProgress(null);
+    setNearDuplicates(null);
+    setError(null);
+
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/upload/batch`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+        body: formData
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Upload failed');
+      }
+
+      setUploadProgress({ status: 'pending', fileName: `${files.length} files`, message: data.message });
+      watchBatchStatus(data.batchId);
+
+    } catch (error) {
+      console.error('Batch upload error:', error);
+      setError(`Upload failed: ${error.message}`);
+      setUploading(false);
+    } finally {
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+    }
+  };
+
+  // Combined status of a batch, shown in the upload panel
+  const fetchBatchStatus = async (batchId) => {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE_URL}/upload-status/batch/${batchId}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to check status');
+    }
+
+    const { batch } = data;
+    const { counts } = batch;
+    const queued = counts.total - counts.skipped;
+    const finished = counts.completed + counts.failed + counts.cancelled;
+    setUploadProgress(current => ({
+      ...current,
+      status: batch.status,
+      fileName: `${counts.total} files`,
+      message: `${finished}/${queued} processed, ${counts.failed} failed, ${counts.skipped} skipped`,
+      progress: batch.progress
+    }));
+    return batch;
+  };
+
+  // Upload outcome once no file of the batch is still processing
+  const finishBatch = (batch) => {
+    const { counts } = batch;
+    setUploading(false);
+    setUploadProgress(current => ({ ...current, current: null }));
+    if (counts.completed > 0) {
+      setUploadSuccess(`${counts.completed} of ${counts.total} files processed successfully!`);
+      loadAnalyticsData();
+    }
+    const problems = batch.files.filter(file => file.status !== 'completed');
+    if (problems.length > 0) {
+      const listed = problems.slice(0, 5).map(file => `${file.name} (${file.error || file.status})`).join('; ');
+      const more = problems.length > 5 ? ` and ${problems.length - 5} more` : '';
+      setError(`${problems.length} files were not processed: ${listed}${more}`);
+    }
+  };
+
+  const handleBatchStatusError = (error) => {
+    console.error('Batch status check error:', error);
+    setError(`Failed to check status: ${error.message}`);
+    setUploading(false);
+  };
+
+  // Used when the job event stream is unavailable
+  const pollBatchStatus = async (batchId) => {
+    const checkStatus = async () => {
+      try {
+        const batch = await fetchBatchStatus(batchId);
+        if (batch.status === 'processing') {
+          setTimeout(checkStatus, 2000); // Poll every 2 seconds
+          return;
+        }
+        finishBatch(batch);
+      } catch (error) {
+        handleBatchStatusError(error);
+      }
+    };
+
+    checkStatus();
+  };
+
+  // Follow a batch over the job event stream: live progress of the file being
+  // processed, and the combined status again whenever a file finishes
+  const watchBatchStatus = (batchId) => {
+    let finished = false;
+    const refresh = async () => {
+      try {
+        const batch = await fetchBatchStatus(batchId);
+        if (batch.status !== 'processing' && !finished) {
+          finished = true;
+          stopStream();
+          finishBatch(batch);
+        }
+      } catch (error) {
+        finished = true;
+        stopStream();
+        handleBatchStatusError(error);
+      }
+    };
+
+    startStream(`/admin/jobs/events?batchId=${batchId}`, {
+      onEvent: (event, data) => {
+        if (event === 'progress') {
+          setUploadProgress(current => ({ ...current, current: data }));
+        } else if (event === 'jobs' || FINISHED_JOB_STATUSES.includes(data.status)) {
+          refresh();
+        }
+      },
+      onError: () => {
+        if (!finished) pollBatchStatus(batchId);
+      },
+      onClose: () => {
+        if (!finished) pollBatchStatus(batchId);
+      }
+    });
+  };
+
+  // Keep a near-duplicate upload as the newest version of the document it matches
+  const handleRegisterVersion = async (match) => {
+    try {
+      const response = await api.post(`/admin/documents/${encodeURIComponent(nearDuplicates.fileId)}/register-version`, {
+        versionOf: match.fileId
+      });
+      setUploadSuccess(`${nearDuplicates.fileName} is now version ${response.data.document.version} of ${match.fileName}`);
+      setNearDuplicates(null);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to register the upload as a new version');
+    }
+  };
+
+  // Upload outcome once the job has completed, failed or been cancelled
+  const finishJob = (job) => {
+    setUploading(false);
+    setUploadJobId(null);
+    if (job.status === 'completed') {
+      setUploadSuccess(`File processed successfully! ${job.result.chunks} chunks processed.`);
+      if (job.result.nearDuplicates?.length) {
+        setNearDuplicates({ fileId: job.fileId, fileName: job.fileName, matches: job.result.nearDuplicates });
+      }
+      loadAnalyticsData();
+    } else if (job.status === 'failed') {
+      setError(`Processing failed: ${job.error}`);
+    } else {
+      setError('Processing was cancelled');
+    }
+  };
+
+  // Used when the job event stream is unavailable
   const pollJobStatus = async (jobId) => {
     const token = localStorage.getItem('token');
     
@@ -145,15 +358,8 @@ const KnowledgeGraph = () => {
         const job = data.job;
         setUploadProgress(job);
 
-        if (job.status === 'completed') {
-          setUploading(false);
-          setUploadSuccess(`File processed successfully! ${job.result.chunks} chunks processed.`);
-          setUploadJobId(null);
-          loadAnalyticsData();
-        } else if (job.status === 'failed') {
-          setUploading(false);
-          setError(`Processing failed: ${job.error}`);
-          setUploadJobId(null);
+        if (FINISHED_JOB_STATUSES.includes(job.status)) {
+          finishJob(job);
         } else {
           // Continue polling
           setTimeout(checkStatus, 2000); // Poll every 2 seconds
@@ -169,7 +375,27 @@ const KnowledgeGraph = () => {
     checkStatus();
   };
 
-  
+  // Follow a job over its event stream: the stage it is in, chunks embedded
+  // and an ETA. Falls back to polling if the stream fails or drops.
+  const watchJobStatus = (jobId) => {
+    let finished = false;
+    startStream(`/upload-status/${jobId}/events`, {
+      onEvent: (event, data) => {
+        setUploadProgress(current => ({ ...current, ...data }));
+        if (event === 'status' && FINISHED_JOB_STATUSES.includes(data.status)) {
+          finished = true;
+          finishJob(data);
+        }
+      },
+      onError: () => {
+        if (!finished) pollJobStatus(jobId);
+      },
+      onClose: () => {
+        if (!finished) pollJobStatus(jobId);
+      }
+    });
+  };
+
   const loadAnalyticsData = useCallback(async () => {
     try {
       setLoading(true);
@@ -232,6 +458,9 @@ const KnowledgeGraph = () => {
       if (pollingIntervalRef.current) {
         clearInterval(pollingIntervalRef.current);
       }
+      if (eventStreamRef.current) {
+        eventStreamRef.current();
+      }
     };
   }, []);
 
@@ -620,7 +849,7 @@ const KnowledgeGraph = () => {
         
         <Box display="flex" gap={2}>
           {/* File Upload Button */}
-          <Tooltip title="Upload PDF Document">
+          <Tooltip title="Upload documents (PDF, Word, Markdown, HTML, text or CSV), several at once or as a .zip archive">
             <Button
               variant="contained"
               startIcon={uploading ? <CircularProgress size={16} color="inherit" /> : <UploadFileIcon />}
@@ -637,10 +866,11 @@ const KnowledgeGraph = () => {
                 },
               }}
             >
-              {uploading ? (uploadProgress ? 'Processing...' : 'Uploading...') : 'Upload PDF'}
+              {uploading ? (uploadProgress ? 'Processing...' : 'Uploading...') : 'Upload Document'}
               <input
                 type="file"
-                accept=".pdf"
+                accept={[...SUPPORTED_UPLOAD_EXTENSIONS, '.zip'].join(',')}
+                multiple
                 hidden
                 onChange={handleFileUpload}
                 ref={fileInputRef}
@@ -723,6 +953,38 @@ const KnowledgeGraph = () => {
             <Typography variant="caption" color="text.secondary">
               {uploadProgress.message}
             </Typography>
+            {uploadProgress.stage && (
+              <Box sx={{ display: 'flex', gap: 0.5, mt: 1, flexWrap: 'wrap' }}>
+                {INGESTION_STAGES.map(({ id, label }, index) => {
+                  const current = uploadProgress.stage === 'finish'
+                    ? INGESTION_STAGES.length
+                    : INGESTION_STAGES.findIndex(stage => stage.id === uploadProgress.stage);
+                  return (
+                    <Chip
+                      key={id}
+                      label={label}
+                      size="small"
+                      color={index < current ? 'success' : index === current ? 'primary' : 'default'}
+                      variant={index === current ? 'filled' : 'outlined'}
+                    />
+                  );
+                })}
+              </Box>
+            )}
+            {uploadProgress.stage === 'embed' && uploadProgress.total > 0 && (
+              <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+                Embedded {uploadProgress.done} of {uploadProgress.total} chunks
+                {uploadProgress.etaSeconds !== undefined && `, about ${formatEta(uploadProgress.etaSeconds)} left`}
+              </Typography>
+            )}
+            {uploadProgress.current && (
+              <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+                Now: {uploadProgress.current.fileName}, {uploadProgress.current.stage}
+                {uploadProgress.current.stage === 'embed' && uploadProgress.current.total > 0 &&
+                  ` ${uploadProgress.current.done}/${uploadProgress.current.total} chunks`}
+                {uploadProgress.current.etaSeconds !== undefined && `, about ${formatEta(uploadProgress.current.etaSeconds)} left`}
+              </Typography>
+            )}
             {uploadProgress.progress > 0 && (
               <Box sx={{ mt: 1 }}>
                 <Box 
@@ -763,28 +1025,63 @@ const KnowledgeGraph = () => {
         </Alert>
       )}
 
+      {/* Near-Duplicate Warning */}
+      {nearDuplicates && (
+        <Alert
+          severity="warning"
+          sx={{ mb: 3 }}
+          onClose={() => setNearDuplicates(null)}
+        >
+          <Typography variant="body2">
+            {nearDuplicates.fileName} is very similar to existing documents. Register it as a new version to keep only the latest in answers.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mt: 1 }}>
+            {nearDuplicates.matches.map(match => (
+              <Button
+                key={match.fileId}
+                size="small"
+                variant="outlined"
+                color="warning"
+                onClick={() => handleRegisterVersion(match)}
+              >
+                New version of {match.fileName} ({Math.round(match.similarity * 100)}% similar)
+              </Button>
+            ))}
+          </Box>
+        </Alert>
+      )}
+
       {/* Overview Cards */}
       {renderOverviewCards()}
 
       {/* Charts Section */}
       <Grid container spacing={3} sx={{ mt: 3 }}>
-        <Grid xs={12} md={8}>
+        {/* The document library, connectors and jobs need the full width */}
+        <Grid xs={12} md={currentTab >= 3 ? 12 : 8}>
           <Tabs value={currentTab} onChange={(e, newValue) => setCurrentTab(newValue)}>
             <Tab label="Usage Trends" />
             <Tab label="Document Analytics" />
             <Tab label="Topic Distribution" />
+            <Tab label="Document Library" />
+            <Tab label="Connectors" />
+            <Tab label="Ingestion Jobs" />
           </Tabs>
           
           <Box sx={{ mt: 2 }}>
             {currentTab === 0 && renderUsageChart()}
             {currentTab === 1 && renderDocumentAnalytics()}
             {currentTab === 2 && renderTopicAnalytics()}
+            {currentTab === 3 && <DocumentLibrary />}
+            {currentTab === 4 && <Connectors />}
+            {currentTab === 5 && <JobMonitor />}
           </Box>
         </Grid>
 
-        <Grid xs={12} md={4}>
-          {renderRecentActivity()}
-        </Grid>
+        {currentTab < 3 && (
+          <Grid xs={12} md={4}>
+            {renderRecentActivity()}
+          </Grid>
+        )}
       </Grid>
 
       {/* User Management Section */}
@@ -103,6 +103,7 @@ const Chat = () => {
   const [sessionId, setSessionId] = useState(null);
   const [error, setError] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
+  const [searchQuery, setSearchQuery] = useState(null);
   const [currentCitations, setCurrentCitations] = useState([]);
   const [streamingContent, setStreamingContent] = useState('');
   const [showCitations, setShowCitations] = useState(false);
@@ -317,7 +318,14 @@ const Chat = () => {
         break;
         
       case 'status':
-        updateUI(() => setConnectionStatus(data.message?.includes('Searching') ? 'searching' : 'generating'));
+        updateUI(() => {
+          const isSearching = data.message?.includes('Searching');
+          setConnectionStatus(isSearching ? 'searching' : 'generating');
+          if (isSearching) {
+            // Follow-ups are rewritten into a standalone query before retrieval
+            setSearchQuery(data.rewrittenQuery || null);
+          }
+        });
         break;
         
       case 'search_results':
@@ -700,7 +708,11 @@ const Chat = () => {
       case 'connected':
         return { color: 'success', text: 'Connected', icon: '🟢' };
       case 'searching':
-        return { color: 'warning', text: 'Searching...', icon: '🔍' };
+        return {
+          color: 'warning',
+          text: searchQuery ? `Searching for "${searchQuery}"...` : 'Searching...',
+          icon: '🔍'
+        };
       case 'generating':
         return { color: 'info', text: 'Generating...', icon: '⚡' };
       case 'error':
@@ -708,7 +720,7 @@ const Chat = () => {
       default:
         return { color: 'default', text: 'Disconnected', icon: '⚫' };
     }
-  }, [connectionStatus]);
+  }, [connectionStatus, searchQuery]);
 
   const statusInfo = getStatusInfo();
 
@@ -12,13 +12,20 @@ import {
   Accordion,
   AccordionSummary,
   AccordionDetails,
-  Badge
+  Badge,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
 } from '@mui/material';
 import CloseIcon from '@mui/icons-material/Close';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
 import DocumentIcon from '@mui/icons-material/Description';
 import BookmarkIcon from '@mui/icons-material/Bookmark';
 import ScoreIcon from '@mui/icons-material/Score';
+import TableChartIcon from '@mui/icons-material/TableChart';
 import { styled } from '@mui/material/styles';
 
 const CitationPanelContainer = styled(Paper)(({ theme }) => ({
@@ -60,6 +67,22 @@ const CitationItem = styled(Box)(({ theme }) => ({
   },
 }));
 
+const TableBox = styled(TableContainer)(({ theme }) => ({
+  maxHeight: 280,
+  borderRadius: theme.shape.borderRadius,
+  border: '1px solid rgba(255, 255, 255, 0.12)',
+  '& .MuiTableCell-root': {
+    fontSize: '0.75rem',
+    padding: theme.spacing(0.5, 1),
+    borderBottom: '1px solid rgba(255, 255, 255, 0.08)',
+    whiteSpace: 'nowrap',
+  },
+  '& .MuiTableCell-head': {
+    fontWeight: 600,
+    background: 'rgba(30, 30, 30, 0.95)',
+  },
+}));
+
 const ConfidenceChip = styled(Chip)(({ theme, confidence }) => {
   let color = theme.palette.grey[500];
   let backgroundColor = 'rgba(255, 255, 255, 0.08)';
@@ -133,6 +156,14 @@ const CitationPanel = ({ citations, onClose }) => {
     return `Pages ${ranges.join(', ')}`;
   };
 
+  // Documents without pages (DOCX, Markdown, HTML, CSV) are cited by section
+  const formatLocation = (citation) => {
+    if (citation.sections && citation.sections.length > 0) {
+      return `Section: ${citation.sections.join('; ')}`;
+    }
+    return formatPages(citation.pages);
+  };
+
   if (!citations || citations.length === 0) {
     return (
       <CitationPanelContainer elevation={1}>
@@ -195,6 +226,11 @@ const CitationPanel = ({ citations, onClose }) => {
                 <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 0.5 }}>
                   {citation.source}
                 </Typography>
+                {(citation.title || citation.author) && (
+                  <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 0.5 }}>
+                    {[citation.title, citation.author].filter(Boolean).join(' · ')}
+                  </Typography>
+                )}
                 
                 {/* Metadata */}
                 <Box display="flex" alignItems="center" gap={1} mb={1}>
@@ -206,9 +242,26 @@ const CitationPanel = ({ citations, onClose }) => {
                   <Chip
                     size="small"
                     variant="outlined"
-                    label={formatPages(citation.pages)}
+                    label={formatLocation(citation)}
                     icon={<ScoreIcon fontSize="small" />}
                   />
+                  {citation.table && (
+                    <Chip
+                      size="small"
+                      variant="outlined"
+                      label="Table"
+                      icon={<TableChartIcon fontSize="small" />}
+                    />
+                  )}
+                  {citation.version && (
+                    <Chip
+                      size="small"
+                      variant="outlined"
+                      label={citation.version.uploadedAt
+                        ? `v${citation.version.number} · ${new Date(citation.version.uploadedAt).toLocaleDateString()}`
+                        : `v${citation.version.number}`}
+                    />
+                  )}
                 </Box>
               </Box>
             </Box>
@@ -232,12 +285,43 @@ const CitationPanel = ({ citations, onClose }) => {
                 }}
               >
                 <Typography variant="body2" color="primary">
-                  View citation details
+                  {citation.table ? 'View table' : 'View citation details'}
                 </Typography>
               </AccordionSummary>
               
               <AccordionDetails sx={{ p: 0, mt: 1 }}>
                 <Box>
+                  {/* Cited table, as extracted from the document */}
+                  {citation.table && (
+                    <Box mb={2}>
+                      {citation.table.caption && (
+                        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.5 }}>
+                          {citation.table.caption}
+                        </Typography>
+                      )}
+                      <TableBox>
+                        <Table size="small" stickyHeader>
+                          <TableHead>
+                            <TableRow>
+                              {citation.table.header.map((cell, cellIndex) => (
+                                <TableCell key={cellIndex}>{cell}</TableCell>
+                              ))}
+                            </TableRow>
+                          </TableHead>
+                          <TableBody>
+                            {citation.table.rows.map((row, rowIndex) => (
+                              <TableRow key={rowIndex}>
+                                {row.map((cell, cellIndex) => (
+                                  <TableCell key={cellIndex}>{cell}</TableCell>
+                                ))}
+                              </TableRow>
+                            ))}
+                          </TableBody>
+                        </Table>
+                      </TableBox>
+                    </Box>
+                  )}
+
                   {/* Citation Text */}
                   {citation.citation && (
                     <Box mb={2}>
@@ -107,13 +107,21 @@ const SourcePills = ({ citations, onCitationClick }) => {
     return `p${ranges.join(', ')}`;
   };
 
+  // Documents without pages (DOCX, Markdown, HTML, CSV) are cited by section
+  const formatLocation = (citation) => {
+    if (citation.sections && citation.sections.length > 0) {
+      return citation.sections.join('; ');
+    }
+    return formatPages(citation.pages);
+  };
+
   const getSourceDisplayName = (citation) => {
     const source = citation.source || 'Document';
     // Extract filename from path if it's a file path
     if (source.includes('/')) {
-      return source.split('/').pop().replace('.pdf', '');
+      return source.split('/').pop().replace(/\.[^.]+$/, '');
     }
-    return source.replace('.pdf', '');
+    return source.replace(/\.[^.]+$/, '');
   };
 
   const handlePillClick = (citation) => {
@@ -150,7 +158,7 @@ const SourcePills = ({ citations, onCitationClick }) => {
           {citations.map((citation, index) => (
             <SourcePill
               key={citation.id || `${citation.chunkId}_${index}`}
-              label={`${getSourceDisplayName(citation)} – ${formatPages(citation.pages)}`}
+              label={`${getSourceDisplayName(citation)} – ${formatLocation(citation)}`}
               onClick={() => handlePillClick(citation)}
               deleteIcon={<ConfidenceIndicator confidence={citation.confidence} />}
               onDelete={(e) => e.stopPropagation()} // Prevent deletion, just show indicator
@@ -218,7 +226,7 @@ const SourcePills = ({ citations, onCitationClick }) => {
                   <Chip
                     size="small"
                     variant="outlined"
-                    label={formatPages(selectedCitation.pages)}
+                    label={formatLocation(selectedCitation)}
                     icon={<ScoreIcon fontSize="small" />}
                     sx={{ borderColor: 'rgba(255, 255, 255, 0.3)' }}
                   />
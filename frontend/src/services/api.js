@@ -162,6 +162,60 @@ class PostEventSource {
   }
 }
 
+// Read a GET Server-Sent Events stream with the auth header EventSource cannot send.
+// onEvent gets (eventName, data); returns a function that closes the stream.
+const streamEvents = (path, { onEvent, onError, onClose } = {}) => {
+  const controller = new AbortController();
+  const token = getToken();
+
+  fetch(`${API_BASE_URL}${path}`, {
+    headers: {
+      'Accept': 'text/event-stream',
+      ...(token && { 'Authorization': `Bearer ${token}` }),
+    },
+    signal: controller.signal,
+  })
+    .then(async (response) => {
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        for (const block of events) {
+          let event = 'message';
+          let data = '';
+          block.split('\n').forEach(line => {
+            if (line.startsWith('event: ')) event = line.substring(7);
+            else if (line.startsWith('data: ')) data += line.substring(6);
+          });
+          // Comment-only blocks are keep-alive pings
+          if (!data) continue;
+          try {
+            if (onEvent) onEvent(event, JSON.parse(data));
+          } catch (e) {
+            console.error('Error handling SSE event:', e, 'Data:', data);
+          }
+        }
+      }
+      if (onClose) onClose();
+    })
+    .catch(error => {
+      if (error.name !== 'AbortError' && onError) onError(error);
+    });
+
+  return () => controller.abort();
+};
+
 // Auth API
 const auth = {
   // Register a new user
@@ -332,7 +386,11 @@ const api = {
   get: (url, config) => apiClient.get(url, config),
   post: (url, data, config) => apiClient.post(url, data, config),
   put: (url, data, config) => apiClient.put(url, data, config),
+  patch: (url, data, config) => apiClient.patch(url, data, config),
   delete: (url, config) => apiClient.delete(url, config),
+
+  // Server-Sent Events (GET)
+  streamEvents,
   
   // Set default headers
   setHeader: (name, value) => {